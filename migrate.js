@@ -0,0 +1,218 @@
+#!/usr/bin/env node
+
+/**
+ * 🗄️ Database Migration Runner for ScholarSeeker AI
+ *
+ * Applies and reverts the versioned migrations in migrations/ against the
+ * Postgres database behind Supabase. Each migration runs in its own
+ * transaction and is recorded in `schema_migrations`.
+ *
+ * Usage:
+ *   node migrate.js up [version]     Apply pending migrations (up to a version)
+ *   node migrate.js down [version]   Revert the last migration (or down to a version)
+ *   node migrate.js status           List applied and pending migrations
+ *
+ * Needs DATABASE_URL: the connection string from Supabase (Project Settings → Database).
+ */
+
+import crypto from 'crypto';
+import pg from 'pg';
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import migrations from './migrations/index.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Load environment variables
+dotenv.config({ path: path.join(__dirname, '.env') });
+
+// Any constant works; it keeps two runners from migrating at once
+const MIGRATION_LOCK_ID = 7310419;
+
+/**
+ * Apply pending migrations in order
+ * @param {Object} options - `{ target }`: highest version to apply (all by default)
+ * @returns {Promise<Array<Object>>} - Migrations applied
+ */
+async function migrateUp({ target = Infinity } = {}) {
+  return withClient(async (client) => {
+    const applied = await getAppliedVersions(client);
+    const pending = getMigrations().filter(migration => !applied.has(migration.version) && migration.version <= target);
+
+    for (const migration of pending) {
+      console.log(`⬆️  Applying ${describe(migration)}...`);
+      await inTransaction(client, async () => {
+        await client.query(migration.up);
+        await client.query(
+          'INSERT INTO public.schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+          [migration.version, migration.name, getChecksum(migration)]
+        );
+      });
+    }
+
+    console.log(pending.length > 0 ? `✅ Applied ${pending.length} migration(s)` : '✅ Database is up to date');
+    return pending;
+  });
+}
+
+/**
+ * Revert applied migrations, newest first
+ * @param {Object} options - `{ target }`: version to stay at; without it only the latest is reverted
+ * @returns {Promise<Array<Object>>} - Migrations reverted
+ */
+async function migrateDown({ target = null } = {}) {
+  return withClient(async (client) => {
+    const applied = await getAppliedVersions(client);
+    const known = new Map(getMigrations().map(migration => [migration.version, migration]));
+    const versions = [...applied.keys()].sort((a, b) => b - a);
+    const toRevert = target === null ? versions.slice(0, 1) : versions.filter(version => version > target);
+
+    const missing = toRevert.filter(version => !known.has(version));
+    if (missing.length > 0) {
+      throw new Error(`No migration file for applied version(s) ${missing.join(', ')}`);
+    }
+
+    for (const version of toRevert) {
+      const migration = known.get(version);
+      console.log(`⬇️  Reverting ${describe(migration)}...`);
+      await inTransaction(client, async () => {
+        await client.query(migration.down);
+        await client.query('DELETE FROM public.schema_migrations WHERE version = $1', [version]);
+      });
+    }
+
+    console.log(toRevert.length > 0 ? `✅ Reverted ${toRevert.length} migration(s)` : '✅ Nothing to revert');
+    return toRevert.map(version => known.get(version));
+  });
+}
+
+/**
+ * Applied and pending migrations
+ * @returns {Promise<Array<Object>>} - `{ version, name, appliedAt, modified }` per migration;
+ *   `modified` flags an applied migration whose file changed since
+ */
+async function getMigrationStatus() {
+  return withClient(async (client) => {
+    const applied = await getAppliedVersions(client);
+    return getMigrations().map(migration => {
+      const record = applied.get(migration.version);
+      return {
+        version: migration.version,
+        name: migration.name,
+        appliedAt: record?.applied_at ?? null,
+        modified: Boolean(record) && record.checksum !== getChecksum(migration)
+      };
+    });
+  });
+}
+
+// Helper functions
+
+function getMigrations() {
+  const seen = new Set();
+  return [...migrations]
+    .sort((a, b) => a.version - b.version)
+    .map(migration => {
+      if (!Number.isInteger(migration.version) || seen.has(migration.version)) {
+        throw new Error(`Invalid or duplicate migration version: ${migration.version}`);
+      }
+      if (typeof migration.up !== 'string' || typeof migration.down !== 'string') {
+        throw new Error(`Migration ${migration.version} needs both up and down SQL`);
+      }
+      seen.add(migration.version);
+      return migration;
+    });
+}
+
+function getChecksum(migration) {
+  return crypto.createHash('sha256').update(`${migration.up}\n--\n${migration.down}`).digest('hex');
+}
+
+function describe(migration) {
+  return `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+}
+
+async function withClient(callback) {
+  if (!process.env.DATABASE_URL) {
+    throw new Error('Missing DATABASE_URL: set it to the Postgres connection string from Supabase');
+  }
+
+  const client = new pg.Client({ connectionString: process.env.DATABASE_URL });
+  await client.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS public.schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        checksum CHAR(64) NOT NULL,
+        applied_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      )
+    `);
+    return await callback(client);
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]).catch(() => {});
+    await client.end();
+  }
+}
+
+async function getAppliedVersions(client) {
+  const { rows } = await client.query('SELECT version, name, checksum, applied_at FROM public.schema_migrations');
+  return new Map(rows.map(row => [row.version, row]));
+}
+
+async function inTransaction(client, callback) {
+  await client.query('BEGIN');
+  try {
+    await callback();
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+}
+
+function parseTarget(value) {
+  if (value === undefined) return undefined;
+  const version = Number(value);
+  if (!Number.isInteger(version) || version < 0) {
+    throw new Error(`Invalid migration version: ${value}`);
+  }
+  return version;
+}
+
+async function main() {
+  const [command = 'up', target] = process.argv.slice(2);
+
+  switch (command) {
+    case 'up':
+      await migrateUp({ target: parseTarget(target) });
+      break;
+    case 'down':
+      await migrateDown({ target: parseTarget(target) ?? null });
+      break;
+    case 'status': {
+      const status = await getMigrationStatus();
+      status.forEach(migration => {
+        const state = migration.appliedAt ? `applied ${new Date(migration.appliedAt).toISOString()}` : 'pending';
+        const warning = migration.modified ? '  ⚠️  changed since it was applied' : '';
+        console.log(`${describe(migration)}  ${state}${warning}`);
+      });
+      break;
+    }
+    default:
+      throw new Error(`Unknown command "${command}"; use up, down or status`);
+  }
+}
+
+// Run from the command line
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main().catch(error => {
+    console.error('❌ Migration failed:', error.message);
+    process.exit(1);
+  });
+}
+
+export { migrateUp, migrateDown, getMigrationStatus };
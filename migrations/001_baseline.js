@@ -0,0 +1,200 @@
+/**
+ * Baseline schema: the tables setup-database.js used to create one `exec_sql`
+ * call at a time, with their indexes and Row Level Security policies
+ */
+
+export default {
+  version: 1,
+  name: 'baseline',
+
+  up: `
+    CREATE TABLE IF NOT EXISTS public.users (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      email VARCHAR(255) UNIQUE NOT NULL,
+      password_hash VARCHAR(255) NOT NULL,
+      first_name VARCHAR(100),
+      last_name VARCHAR(100),
+      date_of_birth DATE,
+      phone VARCHAR(20),
+      address TEXT,
+      field_of_study VARCHAR(100),
+      academic_level VARCHAR(50),
+      gpa DECIMAL(3,2),
+      graduation_year INTEGER,
+      profile_picture_url TEXT,
+      is_admin BOOLEAN DEFAULT FALSE,
+      email_verified BOOLEAN DEFAULT FALSE,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_users_email ON public.users(email);
+    CREATE INDEX IF NOT EXISTS idx_users_field_of_study ON public.users(field_of_study);
+    CREATE INDEX IF NOT EXISTS idx_users_academic_level ON public.users(academic_level);
+
+    CREATE TABLE IF NOT EXISTS public.scholarships (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      title VARCHAR(255) NOT NULL,
+      provider VARCHAR(255) NOT NULL,
+      amount DECIMAL(10,2) NOT NULL,
+      deadline DATE NOT NULL,
+      description TEXT,
+      requirements TEXT,
+      field_of_study VARCHAR(100),
+      academic_level VARCHAR(50),
+      eligibility_criteria TEXT,
+      application_url TEXT,
+      contact_email VARCHAR(255),
+      location VARCHAR(100),
+      is_active BOOLEAN DEFAULT TRUE,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_scholarships_field_of_study ON public.scholarships(field_of_study);
+    CREATE INDEX IF NOT EXISTS idx_scholarships_academic_level ON public.scholarships(academic_level);
+    CREATE INDEX IF NOT EXISTS idx_scholarships_deadline ON public.scholarships(deadline);
+    CREATE INDEX IF NOT EXISTS idx_scholarships_amount ON public.scholarships(amount);
+    CREATE INDEX IF NOT EXISTS idx_scholarships_is_active ON public.scholarships(is_active);
+
+    CREATE TABLE IF NOT EXISTS public.applications (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+      scholarship_id UUID NOT NULL REFERENCES public.scholarships(id) ON DELETE CASCADE,
+      status VARCHAR(50) DEFAULT 'pending',
+      applied_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+      notes TEXT,
+      documents JSONB,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+      UNIQUE(user_id, scholarship_id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_applications_user_id ON public.applications(user_id);
+    CREATE INDEX IF NOT EXISTS idx_applications_scholarship_id ON public.applications(scholarship_id);
+    CREATE INDEX IF NOT EXISTS idx_applications_status ON public.applications(status);
+
+    CREATE TABLE IF NOT EXISTS public.favorites (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+      scholarship_id UUID NOT NULL REFERENCES public.scholarships(id) ON DELETE CASCADE,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+      UNIQUE(user_id, scholarship_id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_favorites_user_id ON public.favorites(user_id);
+    CREATE INDEX IF NOT EXISTS idx_favorites_scholarship_id ON public.favorites(scholarship_id);
+
+    CREATE TABLE IF NOT EXISTS public.user_files (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+      file_name VARCHAR(255) NOT NULL,
+      file_type VARCHAR(50) NOT NULL,
+      file_size INTEGER NOT NULL,
+      file_url TEXT NOT NULL,
+      upload_date TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+      is_active BOOLEAN DEFAULT TRUE,
+      metadata JSONB
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_user_files_user_id ON public.user_files(user_id);
+    CREATE INDEX IF NOT EXISTS idx_user_files_file_type ON public.user_files(file_type);
+
+    CREATE TABLE IF NOT EXISTS public.user_analytics (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+      event_type VARCHAR(100) NOT NULL,
+      event_data JSONB,
+      timestamp TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+      session_id VARCHAR(255),
+      ip_address INET,
+      user_agent TEXT
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_user_analytics_user_id ON public.user_analytics(user_id);
+    CREATE INDEX IF NOT EXISTS idx_user_analytics_event_type ON public.user_analytics(event_type);
+    CREATE INDEX IF NOT EXISTS idx_user_analytics_timestamp ON public.user_analytics(timestamp);
+
+    -- Server-side store for cached match results
+    CREATE TABLE IF NOT EXISTS public.profile_cache (
+      profile_hash TEXT PRIMARY KEY,
+      results JSONB NOT NULL,
+      catalog_version TEXT,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+      expires_at TIMESTAMP WITH TIME ZONE NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_profile_cache_expires ON public.profile_cache(expires_at);
+    CREATE INDEX IF NOT EXISTS idx_profile_cache_catalog_version ON public.profile_cache(catalog_version);
+
+    -- Row Level Security
+    ALTER TABLE public.users ENABLE ROW LEVEL SECURITY;
+    ALTER TABLE public.scholarships ENABLE ROW LEVEL SECURITY;
+    ALTER TABLE public.applications ENABLE ROW LEVEL SECURITY;
+    ALTER TABLE public.favorites ENABLE ROW LEVEL SECURITY;
+    ALTER TABLE public.user_files ENABLE ROW LEVEL SECURITY;
+    ALTER TABLE public.user_analytics ENABLE ROW LEVEL SECURITY;
+    -- profile_cache has no policies: only the service key reads or writes it
+    ALTER TABLE public.profile_cache ENABLE ROW LEVEL SECURITY;
+
+    -- Databases set up by the old script may already have these policies
+    DROP POLICY IF EXISTS "Users can view own profile" ON public.users;
+    CREATE POLICY "Users can view own profile" ON public.users
+      FOR SELECT USING (auth.uid() = id);
+
+    DROP POLICY IF EXISTS "Users can update own profile" ON public.users;
+    CREATE POLICY "Users can update own profile" ON public.users
+      FOR UPDATE USING (auth.uid() = id);
+
+    DROP POLICY IF EXISTS "Anyone can view active scholarships" ON public.scholarships;
+    CREATE POLICY "Anyone can view active scholarships" ON public.scholarships
+      FOR SELECT USING (is_active = true);
+
+    DROP POLICY IF EXISTS "Users can view own applications" ON public.applications;
+    CREATE POLICY "Users can view own applications" ON public.applications
+      FOR SELECT USING (auth.uid() = user_id);
+
+    DROP POLICY IF EXISTS "Users can create own applications" ON public.applications;
+    CREATE POLICY "Users can create own applications" ON public.applications
+      FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+    DROP POLICY IF EXISTS "Users can update own applications" ON public.applications;
+    CREATE POLICY "Users can update own applications" ON public.applications
+      FOR UPDATE USING (auth.uid() = user_id);
+
+    DROP POLICY IF EXISTS "Users can view own favorites" ON public.favorites;
+    CREATE POLICY "Users can view own favorites" ON public.favorites
+      FOR SELECT USING (auth.uid() = user_id);
+
+    DROP POLICY IF EXISTS "Users can create own favorites" ON public.favorites;
+    CREATE POLICY "Users can create own favorites" ON public.favorites
+      FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+    DROP POLICY IF EXISTS "Users can delete own favorites" ON public.favorites;
+    CREATE POLICY "Users can delete own favorites" ON public.favorites
+      FOR DELETE USING (auth.uid() = user_id);
+
+    DROP POLICY IF EXISTS "Users can view own files" ON public.user_files;
+    CREATE POLICY "Users can view own files" ON public.user_files
+      FOR SELECT USING (auth.uid() = user_id);
+
+    DROP POLICY IF EXISTS "Users can upload own files" ON public.user_files;
+    CREATE POLICY "Users can upload own files" ON public.user_files
+      FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+    DROP POLICY IF EXISTS "Users can view own analytics" ON public.user_analytics;
+    CREATE POLICY "Users can view own analytics" ON public.user_analytics
+      FOR SELECT USING (auth.uid() = user_id);
+  `,
+
+  // Drops every table, and the data in it
+  down: `
+    DROP TABLE IF EXISTS public.profile_cache;
+    DROP TABLE IF EXISTS public.user_analytics;
+    DROP TABLE IF EXISTS public.user_files;
+    DROP TABLE IF EXISTS public.favorites;
+    DROP TABLE IF EXISTS public.applications;
+    DROP TABLE IF EXISTS public.scholarships;
+    DROP TABLE IF EXISTS public.users;
+  `
+};
@@ -0,0 +1,241 @@
+/**
+ * Normalized scholarship catalog: multi-valued eligibility and per-cycle deadlines
+ * in child tables, funding details, source provenance and a content hash on the
+ * scholarship. The flat `location`, `academic_level`, `field_of_study` and
+ * `deadline` columns stay, kept in step with the child tables by triggers, so
+ * search can keep filtering and sorting on them. Writes go through
+ * `save_scholarship(payload)`, whose payload src/services/catalogMapper.js builds.
+ */
+
+export default {
+  version: 2,
+  name: 'normalized_catalog',
+
+  up: `
+    -- Flat columns now hold comma-separated lists; amount and deadline may be unstated
+    ALTER TABLE public.scholarships
+      ALTER COLUMN field_of_study TYPE TEXT,
+      ALTER COLUMN academic_level TYPE TEXT,
+      ALTER COLUMN location TYPE TEXT,
+      ALTER COLUMN amount DROP NOT NULL,
+      ALTER COLUMN deadline DROP NOT NULL;
+
+    ALTER TABLE public.scholarships
+      ADD COLUMN amount_min DECIMAL(12,2),
+      ADD COLUMN amount_max DECIMAL(12,2),
+      ADD COLUMN currency CHAR(3) NOT NULL DEFAULT 'USD',
+      ADD COLUMN amount_period VARCHAR(20) CHECK (amount_period IN ('once', 'year', 'semester', 'month', 'week')),
+      ADD COLUMN funding_type VARCHAR(20) CHECK (funding_type IN ('full', 'partial')),
+      ADD COLUMN coverage TEXT[] NOT NULL DEFAULT '{}',
+      ADD COLUMN tags TEXT,
+      ADD COLUMN source_name VARCHAR(255),
+      ADD COLUMN source_url TEXT,
+      ADD COLUMN source_id VARCHAR(255),
+      ADD COLUMN retrieved_at TIMESTAMP WITH TIME ZONE,
+      ADD COLUMN content_hash CHAR(64);
+
+    CREATE INDEX idx_scholarships_content_hash ON public.scholarships(content_hash);
+    CREATE UNIQUE INDEX idx_scholarships_source ON public.scholarships(source_name, source_id)
+      WHERE source_id IS NOT NULL;
+
+    CREATE TABLE public.scholarship_eligibility (
+      scholarship_id UUID NOT NULL REFERENCES public.scholarships(id) ON DELETE CASCADE,
+      kind VARCHAR(20) NOT NULL CHECK (kind IN ('country', 'degree', 'field', 'nationality')),
+      value TEXT NOT NULL,
+      PRIMARY KEY (scholarship_id, kind, value)
+    );
+
+    CREATE INDEX idx_scholarship_eligibility_value ON public.scholarship_eligibility(kind, lower(value));
+
+    -- One row per deadline: several cycles, and several kinds of deadline within a cycle
+    CREATE TABLE public.scholarship_deadlines (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      scholarship_id UUID NOT NULL REFERENCES public.scholarships(id) ON DELETE CASCADE,
+      cycle VARCHAR(20),
+      kind VARCHAR(20) NOT NULL DEFAULT 'application'
+        CHECK (kind IN ('application', 'early', 'priority', 'documents', 'interview', 'decision')),
+      due_date DATE NOT NULL,
+      note TEXT
+    );
+
+    CREATE INDEX idx_scholarship_deadlines_scholarship_id ON public.scholarship_deadlines(scholarship_id);
+    CREATE INDEX idx_scholarship_deadlines_due_date ON public.scholarship_deadlines(kind, due_date);
+
+    -- Backfill from the flat columns
+    UPDATE public.scholarships SET amount_min = amount, amount_max = amount WHERE amount IS NOT NULL;
+
+    INSERT INTO public.scholarship_eligibility (scholarship_id, kind, value)
+    SELECT DISTINCT s.id, lists.kind, trim(item)
+    FROM public.scholarships s
+    CROSS JOIN LATERAL (VALUES
+      ('country', s.location),
+      ('degree', s.academic_level),
+      ('field', s.field_of_study)
+    ) AS lists(kind, items)
+    CROSS JOIN LATERAL unnest(string_to_array(lists.items, ',')) AS item
+    WHERE trim(item) <> '';
+
+    INSERT INTO public.scholarship_deadlines (scholarship_id, kind, due_date)
+    SELECT id, 'application', deadline FROM public.scholarships WHERE deadline IS NOT NULL;
+
+    -- Flat search columns, derived from the child tables. The deadline is the
+    -- latest application deadline, i.e. the current or next cycle's.
+    CREATE FUNCTION public.sync_scholarship_search_columns(target UUID) RETURNS VOID
+    LANGUAGE sql AS $$
+      UPDATE public.scholarships SET
+        location = (SELECT string_agg(value, ',' ORDER BY value) FROM public.scholarship_eligibility
+          WHERE scholarship_id = target AND kind = 'country'),
+        academic_level = (SELECT string_agg(value, ',' ORDER BY value) FROM public.scholarship_eligibility
+          WHERE scholarship_id = target AND kind = 'degree'),
+        field_of_study = (SELECT string_agg(value, ',' ORDER BY value) FROM public.scholarship_eligibility
+          WHERE scholarship_id = target AND kind = 'field'),
+        deadline = (SELECT max(due_date) FROM public.scholarship_deadlines
+          WHERE scholarship_id = target AND kind = 'application'),
+        updated_at = NOW()
+      WHERE id = target;
+    $$;
+
+    CREATE FUNCTION public.sync_scholarship_search_columns_trigger() RETURNS TRIGGER
+    LANGUAGE plpgsql AS $$
+    BEGIN
+      IF TG_OP = 'DELETE' THEN
+        PERFORM public.sync_scholarship_search_columns(OLD.scholarship_id);
+      ELSE
+        PERFORM public.sync_scholarship_search_columns(NEW.scholarship_id);
+      END IF;
+      RETURN NULL;
+    END;
+    $$;
+
+    CREATE TRIGGER sync_scholarship_eligibility
+      AFTER INSERT OR UPDATE OR DELETE ON public.scholarship_eligibility
+      FOR EACH ROW EXECUTE FUNCTION public.sync_scholarship_search_columns_trigger();
+
+    CREATE TRIGGER sync_scholarship_deadlines
+      AFTER INSERT OR UPDATE OR DELETE ON public.scholarship_deadlines
+      FOR EACH ROW EXECUTE FUNCTION public.sync_scholarship_search_columns_trigger();
+
+    -- Upsert a scholarship and replace its eligibility and deadline rows in one
+    -- transaction; returns the scholarship id
+    CREATE FUNCTION public.save_scholarship(payload JSONB) RETURNS UUID
+    LANGUAGE plpgsql AS $$
+    DECLARE
+      saved_id UUID := COALESCE(NULLIF(payload->>'id', '')::UUID, gen_random_uuid());
+    BEGIN
+      INSERT INTO public.scholarships (
+        id, title, provider, description, requirements, eligibility_criteria,
+        application_url, contact_email, is_active,
+        amount, amount_min, amount_max, currency, amount_period, funding_type, coverage, tags,
+        source_name, source_url, source_id, retrieved_at, content_hash
+      ) VALUES (
+        saved_id,
+        payload->>'title',
+        payload->>'provider',
+        payload->>'description',
+        payload->>'requirements',
+        payload->>'eligibility_criteria',
+        payload->>'application_url',
+        payload->>'contact_email',
+        COALESCE((payload->>'is_active')::BOOLEAN, TRUE),
+        COALESCE((payload->>'amount_max')::DECIMAL, (payload->>'amount_min')::DECIMAL),
+        (payload->>'amount_min')::DECIMAL,
+        (payload->>'amount_max')::DECIMAL,
+        COALESCE(payload->>'currency', 'USD'),
+        payload->>'amount_period',
+        payload->>'funding_type',
+        ARRAY(SELECT jsonb_array_elements_text(COALESCE(payload->'coverage', '[]'::JSONB))),
+        payload->>'tags',
+        payload->>'source_name',
+        payload->>'source_url',
+        payload->>'source_id',
+        (payload->>'retrieved_at')::TIMESTAMP WITH TIME ZONE,
+        payload->>'content_hash'
+      )
+      ON CONFLICT (id) DO UPDATE SET
+        title = EXCLUDED.title,
+        provider = EXCLUDED.provider,
+        description = EXCLUDED.description,
+        requirements = EXCLUDED.requirements,
+        eligibility_criteria = EXCLUDED.eligibility_criteria,
+        application_url = EXCLUDED.application_url,
+        contact_email = EXCLUDED.contact_email,
+        is_active = EXCLUDED.is_active,
+        amount = EXCLUDED.amount,
+        amount_min = EXCLUDED.amount_min,
+        amount_max = EXCLUDED.amount_max,
+        currency = EXCLUDED.currency,
+        amount_period = EXCLUDED.amount_period,
+        funding_type = EXCLUDED.funding_type,
+        coverage = EXCLUDED.coverage,
+        tags = EXCLUDED.tags,
+        source_name = EXCLUDED.source_name,
+        source_url = EXCLUDED.source_url,
+        source_id = EXCLUDED.source_id,
+        retrieved_at = EXCLUDED.retrieved_at,
+        content_hash = EXCLUDED.content_hash,
+        updated_at = NOW();
+
+      DELETE FROM public.scholarship_eligibility WHERE scholarship_id = saved_id;
+      INSERT INTO public.scholarship_eligibility (scholarship_id, kind, value)
+      SELECT DISTINCT saved_id, item->>'kind', item->>'value'
+      FROM jsonb_array_elements(COALESCE(payload->'eligibility', '[]'::JSONB)) AS item;
+
+      DELETE FROM public.scholarship_deadlines WHERE scholarship_id = saved_id;
+      INSERT INTO public.scholarship_deadlines (scholarship_id, cycle, kind, due_date, note)
+      SELECT saved_id, item->>'cycle', COALESCE(item->>'kind', 'application'), (item->>'due_date')::DATE, item->>'note'
+      FROM jsonb_array_elements(COALESCE(payload->'deadlines', '[]'::JSONB)) AS item;
+
+      -- The triggers skip a scholarship without child rows
+      PERFORM public.sync_scholarship_search_columns(saved_id);
+      RETURN saved_id;
+    END;
+    $$;
+
+    ALTER TABLE public.scholarship_eligibility ENABLE ROW LEVEL SECURITY;
+    ALTER TABLE public.scholarship_deadlines ENABLE ROW LEVEL SECURITY;
+
+    CREATE POLICY "Anyone can view eligibility of active scholarships" ON public.scholarship_eligibility
+      FOR SELECT USING (EXISTS (
+        SELECT 1 FROM public.scholarships s WHERE s.id = scholarship_id AND s.is_active = true
+      ));
+
+    CREATE POLICY "Anyone can view deadlines of active scholarships" ON public.scholarship_deadlines
+      FOR SELECT USING (EXISTS (
+        SELECT 1 FROM public.scholarships s WHERE s.id = scholarship_id AND s.is_active = true
+      ));
+  `,
+
+  // The flat columns keep what the triggers last wrote. Going back to the old
+  // widths and NOT NULLs fails, and rolls the step back, if rows no longer fit.
+  down: `
+    DROP FUNCTION IF EXISTS public.save_scholarship(JSONB);
+    DROP TABLE IF EXISTS public.scholarship_deadlines;
+    DROP TABLE IF EXISTS public.scholarship_eligibility;
+    DROP FUNCTION IF EXISTS public.sync_scholarship_search_columns_trigger();
+    DROP FUNCTION IF EXISTS public.sync_scholarship_search_columns(UUID);
+
+    DROP INDEX IF EXISTS public.idx_scholarships_source;
+    DROP INDEX IF EXISTS public.idx_scholarships_content_hash;
+
+    ALTER TABLE public.scholarships
+      DROP COLUMN amount_min,
+      DROP COLUMN amount_max,
+      DROP COLUMN currency,
+      DROP COLUMN amount_period,
+      DROP COLUMN funding_type,
+      DROP COLUMN coverage,
+      DROP COLUMN tags,
+      DROP COLUMN source_name,
+      DROP COLUMN source_url,
+      DROP COLUMN source_id,
+      DROP COLUMN retrieved_at,
+      DROP COLUMN content_hash;
+
+    ALTER TABLE public.scholarships
+      ALTER COLUMN field_of_study TYPE VARCHAR(100),
+      ALTER COLUMN academic_level TYPE VARCHAR(50),
+      ALTER COLUMN location TYPE VARCHAR(100),
+      ALTER COLUMN amount SET NOT NULL,
+      ALTER COLUMN deadline SET NOT NULL;
+  `
+};
@@ -0,0 +1,69 @@
+/**
+ * Yearly USD amounts: `yearly_usd_low` and `yearly_usd_high` hold each award's
+ * lowest and highest yearly value in US dollars, so search can sort, filter and
+ * page on amounts written in any currency and period. save_scholarship writes
+ * them from its payload (see toCatalogPayload in src/services/catalogMapper.js),
+ * converted with the app's exchange rates. Existing rows are backfilled with
+ * the built-in rates as of this migration; amounts in a currency without a
+ * rate stay NULL and sort last, as they do in memory.
+ */
+
+export default {
+  version: 3,
+  name: 'yearly_usd_amounts',
+
+  up: `
+    ALTER TABLE public.scholarships
+      ADD COLUMN yearly_usd_low DECIMAL(14,2),
+      ADD COLUMN yearly_usd_high DECIMAL(14,2);
+
+    CREATE INDEX idx_scholarships_yearly_usd_high ON public.scholarships(yearly_usd_high DESC NULLS LAST, id);
+
+    UPDATE public.scholarships s SET
+      yearly_usd_low = yearly.low,
+      yearly_usd_high = yearly.high
+    FROM (
+      SELECT t.id,
+        COALESCE(t.amount_min, t.amount_max) * periods.per_year / rates.rate AS low,
+        COALESCE(t.amount_max, t.amount_min) * periods.per_year / rates.rate AS high
+      FROM public.scholarships t
+      JOIN (VALUES
+        ('USD', 1), ('EUR', 0.92), ('GBP', 0.79), ('CAD', 1.36), ('AUD', 1.52), ('NZD', 1.65),
+        ('CHF', 0.88), ('JPY', 150), ('CNY', 7.2), ('INR', 83), ('KRW', 1330), ('SGD', 1.34),
+        ('HKD', 7.8), ('SEK', 10.5), ('NOK', 10.6), ('DKK', 6.9), ('AED', 3.67), ('SAR', 3.75),
+        ('ZAR', 18.5), ('BRL', 5.0), ('MXN', 17.0), ('TRY', 32), ('MYR', 4.7)
+      ) AS rates(code, rate) ON rates.code = t.currency
+      CROSS JOIN LATERAL (SELECT CASE t.amount_period
+        WHEN 'semester' THEN 2 WHEN 'month' THEN 12 WHEN 'week' THEN 52 ELSE 1
+      END AS per_year) AS periods
+    ) AS yearly
+    WHERE yearly.id = s.id;
+
+    -- The 002 function keeps doing the writing; the wrapper adds the amounts in the same transaction
+    ALTER FUNCTION public.save_scholarship(JSONB) RENAME TO save_scholarship_record;
+
+    CREATE FUNCTION public.save_scholarship(payload JSONB) RETURNS UUID
+    LANGUAGE plpgsql AS $$
+    DECLARE
+      saved_id UUID := public.save_scholarship_record(payload);
+    BEGIN
+      UPDATE public.scholarships SET
+        yearly_usd_low = (payload->>'yearly_usd_low')::DECIMAL,
+        yearly_usd_high = (payload->>'yearly_usd_high')::DECIMAL
+      WHERE id = saved_id;
+      RETURN saved_id;
+    END;
+    $$;
+  `,
+
+  down: `
+    DROP FUNCTION IF EXISTS public.save_scholarship(JSONB);
+    ALTER FUNCTION public.save_scholarship_record(JSONB) RENAME TO save_scholarship;
+
+    DROP INDEX IF EXISTS public.idx_scholarships_yearly_usd_high;
+
+    ALTER TABLE public.scholarships
+      DROP COLUMN yearly_usd_low,
+      DROP COLUMN yearly_usd_high;
+  `
+};
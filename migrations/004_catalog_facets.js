@@ -0,0 +1,149 @@
+/**
+ * Catalog facets: `search_catalog_facets(params)` counts a search's total and
+ * facet values in the database, so a search page never loads more than the
+ * page itself. It applies the same rules as the page query and the in-memory
+ * search in src/services/scholarshipSearchService.js, which passes in the
+ * degree and funding patterns, amount buckets and deadline windows so they are
+ * defined in one place. Runs with the caller's rights, so row-level security
+ * still hides inactive scholarships.
+ */
+
+export default {
+  version: 4,
+  name: 'catalog_facets',
+
+  up: `
+    -- A yearly USD range matches the bounds it overlaps; no bounds match everything
+    CREATE FUNCTION public.catalog_amount_matches(low NUMERIC, high NUMERIC, min_amount NUMERIC, max_amount NUMERIC)
+    RETURNS BOOLEAN LANGUAGE sql IMMUTABLE AS $$
+      SELECT (min_amount IS NULL AND max_amount IS NULL)
+        OR (high IS NOT NULL
+          AND (min_amount IS NULL OR high >= min_amount)
+          AND (max_amount IS NULL OR COALESCE(low, high) <= max_amount));
+    $$;
+
+    CREATE FUNCTION public.catalog_deadline_matches(deadline DATE, from_day DATE, to_day DATE)
+    RETURNS BOOLEAN LANGUAGE sql IMMUTABLE AS $$
+      SELECT (from_day IS NULL AND to_day IS NULL)
+        OR (deadline IS NOT NULL
+          AND (from_day IS NULL OR deadline >= from_day)
+          AND (to_day IS NULL OR deadline <= to_day));
+    $$;
+
+    -- params: { terms, filters: { countries, degrees, fields, fundingTypes, minAmount, maxAmount,
+    -- deadlineFrom, deadlineTo }, degreePatterns: { level: pattern }, openDegreePattern,
+    -- fullFundingPattern, amountBuckets: [{ value, min, max }], deadlineWindows: [{ value, from, to }] }.
+    -- Returns { total, country, field, degree, fundingType, amount, deadline }; each facet is
+    -- [{ value, count }] with every other filter applied.
+    CREATE FUNCTION public.search_catalog_facets(params JSONB) RETURNS JSONB
+    LANGUAGE sql STABLE AS $$
+      WITH filters AS (
+        SELECT
+          COALESCE(params->'filters'->'countries', '[]'::JSONB) AS countries,
+          COALESCE(params->'filters'->'degrees', '[]'::JSONB) AS degrees,
+          COALESCE(params->'filters'->'fields', '[]'::JSONB) AS fields,
+          COALESCE(params->'filters'->'fundingTypes', '[]'::JSONB) AS funding_types,
+          (params->'filters'->>'minAmount')::NUMERIC AS min_amount,
+          (params->'filters'->>'maxAmount')::NUMERIC AS max_amount,
+          (params->'filters'->>'deadlineFrom')::DATE AS deadline_from,
+          (params->'filters'->>'deadlineTo')::DATE AS deadline_to
+      ),
+      matched AS (
+        SELECT s.location, s.field_of_study, s.academic_level, s.deadline, s.yearly_usd_low, s.yearly_usd_high,
+          s.academic_level IS NULL OR s.academic_level = '' OR s.academic_level ~* (params->>'openDegreePattern') AS open_degree,
+          CASE
+            WHEN s.funding_type IN ('full', 'partial') THEN s.funding_type
+            WHEN concat_ws(' ', s.title, s.description) ~* (params->>'fullFundingPattern') THEN 'full'
+            ELSE 'partial'
+          END AS funding
+        FROM public.scholarships s
+        WHERE NOT EXISTS (
+          SELECT 1 FROM jsonb_array_elements_text(COALESCE(params->'terms', '[]'::JSONB)) AS term
+          WHERE NOT COALESCE(s.title ILIKE '%' || term || '%' OR s.description ILIKE '%' || term || '%'
+            OR s.provider ILIKE '%' || term || '%' OR s.field_of_study ILIKE '%' || term || '%'
+            OR s.tags ILIKE '%' || term || '%', FALSE)
+        )
+      ),
+      flagged AS (
+        SELECT m.*,
+          jsonb_array_length(f.countries) = 0 OR EXISTS (
+            SELECT 1 FROM jsonb_array_elements_text(f.countries) AS country WHERE m.location ILIKE '%' || country || '%'
+          ) AS country_ok,
+          jsonb_array_length(f.fields) = 0 OR EXISTS (
+            SELECT 1 FROM jsonb_array_elements_text(f.fields) AS field WHERE m.field_of_study ILIKE '%' || field || '%'
+          ) AS field_ok,
+          jsonb_array_length(f.degrees) = 0 OR m.open_degree OR EXISTS (
+            SELECT 1 FROM jsonb_array_elements_text(f.degrees) AS level
+            WHERE m.academic_level ~* (params->'degreePatterns'->>level)
+          ) AS degree_ok,
+          jsonb_array_length(f.funding_types) = 0 OR f.funding_types ? m.funding AS funding_ok,
+          public.catalog_amount_matches(m.yearly_usd_low, m.yearly_usd_high, f.min_amount, f.max_amount) AS amount_ok,
+          public.catalog_deadline_matches(m.deadline, f.deadline_from, f.deadline_to) AS deadline_ok
+        FROM matched m CROSS JOIN filters f
+      )
+      SELECT jsonb_build_object(
+        'total', (SELECT count(*) FROM flagged
+          WHERE country_ok AND field_ok AND degree_ok AND funding_ok AND amount_ok AND deadline_ok),
+
+        'country', (SELECT COALESCE(jsonb_agg(jsonb_build_object('value', item.label, 'count', (
+            SELECT count(*) FROM flagged r
+            WHERE r.field_ok AND r.degree_ok AND r.funding_ok AND r.amount_ok AND r.deadline_ok
+              AND r.location ILIKE '%' || item.label || '%'
+          ))), '[]'::JSONB)
+          FROM (
+            SELECT min(trim(value)) AS label
+            FROM flagged, unnest(string_to_array(location, ',')) AS value
+            WHERE field_ok AND degree_ok AND funding_ok AND amount_ok AND deadline_ok AND trim(value) <> ''
+            GROUP BY lower(trim(value))
+          ) AS item),
+
+        'field', (SELECT COALESCE(jsonb_agg(jsonb_build_object('value', item.label, 'count', (
+            SELECT count(*) FROM flagged r
+            WHERE r.country_ok AND r.degree_ok AND r.funding_ok AND r.amount_ok AND r.deadline_ok
+              AND r.field_of_study ILIKE '%' || item.label || '%'
+          ))), '[]'::JSONB)
+          FROM (
+            SELECT min(trim(value)) AS label
+            FROM flagged, unnest(string_to_array(field_of_study, ',')) AS value
+            WHERE country_ok AND degree_ok AND funding_ok AND amount_ok AND deadline_ok AND trim(value) <> ''
+            GROUP BY lower(trim(value))
+          ) AS item),
+
+        'degree', (SELECT COALESCE(jsonb_agg(jsonb_build_object('value', level.key, 'count', (
+            SELECT count(*) FROM flagged r
+            WHERE r.country_ok AND r.field_ok AND r.funding_ok AND r.amount_ok AND r.deadline_ok
+              AND (r.open_degree OR r.academic_level ~* level.value)
+          ))), '[]'::JSONB)
+          FROM jsonb_each_text(COALESCE(params->'degreePatterns', '{}'::JSONB)) AS level),
+
+        'fundingType', (SELECT COALESCE(jsonb_agg(jsonb_build_object('value', funding.type, 'count', (
+            SELECT count(*) FROM flagged r
+            WHERE r.country_ok AND r.field_ok AND r.degree_ok AND r.amount_ok AND r.deadline_ok
+              AND r.funding = funding.type
+          ))), '[]'::JSONB)
+          FROM (VALUES ('full'), ('partial')) AS funding(type)),
+
+        'amount', (SELECT COALESCE(jsonb_agg(jsonb_build_object('value', bucket->>'value', 'count', (
+            SELECT count(*) FROM flagged r
+            WHERE r.country_ok AND r.field_ok AND r.degree_ok AND r.funding_ok AND r.deadline_ok
+              AND public.catalog_amount_matches(r.yearly_usd_low, r.yearly_usd_high,
+                (bucket->>'min')::NUMERIC, (bucket->>'max')::NUMERIC)
+          ))), '[]'::JSONB)
+          FROM jsonb_array_elements(COALESCE(params->'amountBuckets', '[]'::JSONB)) AS bucket),
+
+        'deadline', (SELECT COALESCE(jsonb_agg(jsonb_build_object('value', deadline_window->>'value', 'count', (
+            SELECT count(*) FROM flagged r
+            WHERE r.country_ok AND r.field_ok AND r.degree_ok AND r.funding_ok AND r.amount_ok
+              AND public.catalog_deadline_matches(r.deadline, (deadline_window->>'from')::DATE, (deadline_window->>'to')::DATE)
+          ))), '[]'::JSONB)
+          FROM jsonb_array_elements(COALESCE(params->'deadlineWindows', '[]'::JSONB)) AS deadline_window)
+      );
+    $$;
+  `,
+
+  down: `
+    DROP FUNCTION IF EXISTS public.search_catalog_facets(JSONB);
+    DROP FUNCTION IF EXISTS public.catalog_deadline_matches(DATE, DATE, DATE);
+    DROP FUNCTION IF EXISTS public.catalog_amount_matches(NUMERIC, NUMERIC, NUMERIC, NUMERIC);
+  `
+};
@@ -0,0 +1,17 @@
+/**
+ * Database migrations, oldest first. Add new ones at the end with the next
+ * version number; never edit one that has been applied (migrate.js warns
+ * when an applied migration's checksum changes).
+ */
+
+import baseline from './001_baseline.js';
+import normalizedCatalog from './002_normalized_catalog.js';
+import yearlyUsdAmounts from './003_yearly_usd_amounts.js';
+import catalogFacets from './004_catalog_facets.js';
+
+export default [
+  baseline,
+  normalizedCatalog,
+  yearlyUsdAmounts,
+  catalogFacets
+];
@@ -12,6 +12,7 @@ import LoginPage from './pages/Login';
 import RegisterPage from './pages/Register';
 import DashboardPage from './pages/DashboardPage';
 import ScholarshipsPage from './pages/ScholarshipsPage';
+import ComparisonPage from './pages/ComparisonPage';
 import ApplicationsPage from './pages/ApplicationsPage';
 import ProfilePage from './pages/ProfilePage';
 import UploadPage from './pages/UploadPage';
@@ -156,6 +157,16 @@ function App() {
                   </GuestRoute>
                 } 
               />
+              <Route 
+                path="/compare" 
+                element={
+                  <GuestRoute>
+                    <AppLayout>
+                      <ComparisonPage />
+                    </AppLayout>
+                  </GuestRoute>
+                } 
+              />
               <Route 
                 path="/phase4-demo" 
                 element={
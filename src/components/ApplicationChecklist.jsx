@@ -0,0 +1,178 @@
+import React, { useState } from 'react';
+import { Paperclip, Plus, Trash2, X } from 'lucide-react';
+import ApplicationService from '../services/applicationService';
+import {
+  CHECKLIST_ITEM_TYPES,
+  CHECKLIST_ITEM_STATUS,
+  ITEM_TYPE_LABELS,
+  ITEM_STATUS_LABELS,
+  isItemOverdue
+} from '../services/applicationChecklist';
+
+/**
+ * An application's requirement checklist: per-item status, due date and attached files
+ * @param {string} applicationId - Application ID
+ * @param {Array<Object>} items - Checklist items
+ * @param {Function} onChange - Called after any item is changed, added or removed
+ */
+const ApplicationChecklist = ({ applicationId, items = [], onChange }) => {
+  const [uploading, setUploading] = useState({}); // item ID -> progress
+  const [newLabel, setNewLabel] = useState('');
+  const [newType, setNewType] = useState(CHECKLIST_ITEM_TYPES.OTHER);
+  const [error, setError] = useState(null);
+
+  const run = (action) => {
+    setError(null);
+    try {
+      action();
+      onChange?.();
+    } catch (actionError) {
+      console.error('Error updating checklist:', actionError);
+      setError(actionError.message);
+    }
+  };
+
+  const handleAttach = async (itemId, file) => {
+    if (!file) return;
+    setError(null);
+    setUploading(current => ({ ...current, [itemId]: 0 }));
+    try {
+      await ApplicationService.attachChecklistFile(applicationId, itemId, file, progress => {
+        setUploading(current => ({ ...current, [itemId]: progress }));
+      });
+      onChange?.();
+    } catch (uploadError) {
+      console.error('Error attaching file:', uploadError);
+      setError(uploadError.message);
+    } finally {
+      setUploading(({ [itemId]: _done, ...rest }) => rest);
+    }
+  };
+
+  const handleAdd = (event) => {
+    event.preventDefault();
+    if (!newLabel.trim()) return;
+    run(() => ApplicationService.addChecklistItem(applicationId, { type: newType, label: newLabel.trim() }));
+    setNewLabel('');
+  };
+
+  return (
+    <div className="space-y-2">
+      {items.length === 0 && (
+        <p className="text-blue-300">Nothing on the checklist yet.</p>
+      )}
+
+      {items.map(item => {
+        const overdue = isItemOverdue(item);
+
+        return (
+          <div
+            key={item.id}
+            className={`rounded-lg border p-3 ${overdue ? 'border-red-400/60 bg-red-500/10' : 'border-white/10 bg-white/5'}`}
+          >
+            <div className="flex flex-wrap items-center gap-2">
+              <span className="flex-1 text-white">
+                {item.label}
+                {!item.required && <span className="text-blue-300"> (optional)</span>}
+              </span>
+
+              <select
+                value={item.status}
+                onChange={(e) => run(() => ApplicationService.updateChecklistItem(applicationId, item.id, { status: e.target.value }))}
+                className="bg-white/10 border border-white/20 rounded-lg px-2 py-1 text-white text-xs"
+              >
+                {Object.values(CHECKLIST_ITEM_STATUS).map(status => (
+                  <option key={status} value={status} className="bg-slate-800">
+                    {ITEM_STATUS_LABELS[status]}
+                  </option>
+                ))}
+              </select>
+
+              <input
+                type="date"
+                value={item.dueDate || ''}
+                onChange={(e) => run(() => ApplicationService.updateChecklistItem(applicationId, item.id, { dueDate: e.target.value || null }))}
+                className={`bg-white/10 border border-white/20 rounded-lg px-2 py-1 text-xs ${overdue ? 'text-red-300' : 'text-white'}`}
+                title={overdue ? 'Overdue' : 'Due date'}
+              />
+
+              <label className="p-1 text-blue-300 hover:text-white cursor-pointer" title="Attach a file">
+                <Paperclip className="w-4 h-4" />
+                <input
+                  type="file"
+                  className="hidden"
+                  disabled={item.id in uploading}
+                  onChange={(e) => {
+                    handleAttach(item.id, e.target.files[0]);
+                    e.target.value = '';
+                  }}
+                />
+              </label>
+
+              <button
+                onClick={() => run(() => ApplicationService.removeChecklistItem(applicationId, item.id))}
+                className="p-1 text-red-400 hover:text-red-300"
+                title="Remove item"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </div>
+
+            {item.id in uploading && (
+              <p className="mt-1 text-xs text-blue-300">Uploading... {uploading[item.id]}%</p>
+            )}
+
+            {item.files?.length > 0 && (
+              <ul className="mt-2 flex flex-wrap gap-2">
+                {item.files.map(file => (
+                  <li key={file.id || file.name} className="flex items-center gap-1 rounded bg-white/10 px-2 py-0.5 text-xs text-blue-100">
+                    {file.name}
+                    <button
+                      onClick={() => run(() => ApplicationService.detachChecklistFile(applicationId, item.id, file.id))}
+                      className="text-blue-300 hover:text-white"
+                      title="Detach file"
+                    >
+                      <X className="w-3 h-3" />
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        );
+      })}
+
+      <form onSubmit={handleAdd} className="flex flex-wrap items-center gap-2 pt-1">
+        <select
+          value={newType}
+          onChange={(e) => setNewType(e.target.value)}
+          className="bg-white/10 border border-white/20 rounded-lg px-2 py-1 text-white text-xs"
+        >
+          {Object.values(CHECKLIST_ITEM_TYPES).map(type => (
+            <option key={type} value={type} className="bg-slate-800">
+              {ITEM_TYPE_LABELS[type]}
+            </option>
+          ))}
+        </select>
+        <input
+          type="text"
+          value={newLabel}
+          onChange={(e) => setNewLabel(e.target.value)}
+          placeholder="Add an item"
+          className="flex-1 bg-white/10 border border-white/20 rounded-lg px-2 py-1 text-white text-xs placeholder-blue-300"
+        />
+        <button
+          type="submit"
+          disabled={!newLabel.trim()}
+          className="flex items-center gap-1 bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white px-3 py-1 rounded-lg text-xs"
+        >
+          <Plus className="w-3 h-3" /> Add
+        </button>
+      </form>
+
+      {error && <p className="text-red-300 text-xs">{error}</p>}
+    </div>
+  );
+};
+
+export default ApplicationChecklist;
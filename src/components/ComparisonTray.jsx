@@ -0,0 +1,137 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Columns, Check, X } from 'lucide-react';
+import ComparisonService from '../services/comparisonService';
+
+/**
+ * Scholarships picked for comparison, kept in sync across pages and tabs
+ * @returns {Object} - `{ selection, isSelected, toggle, remove, clear, error }`
+ */
+export const useComparisonSelection = () => {
+  const [selection, setSelection] = useState(() => ComparisonService.getSelection());
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const refresh = () => setSelection(ComparisonService.getSelection());
+    const onStorage = (event) => {
+      if (event.key === ComparisonService.STORAGE_KEY) refresh();
+    };
+
+    window.addEventListener(ComparisonService.UPDATED_EVENT, refresh);
+    window.addEventListener('storage', onStorage);
+    return () => {
+      window.removeEventListener(ComparisonService.UPDATED_EVENT, refresh);
+      window.removeEventListener('storage', onStorage);
+    };
+  }, []);
+
+  const toggle = (scholarship) => {
+    try {
+      ComparisonService.toggle(scholarship);
+      setError(null);
+    } catch (toggleError) {
+      setError(toggleError.message);
+    }
+  };
+
+  return {
+    selection,
+    isSelected: (id) => selection.some(item => String(item.id) === String(id)),
+    toggle,
+    remove: (id) => ComparisonService.remove(id),
+    clear: () => {
+      ComparisonService.clear();
+      setError(null);
+    },
+    error
+  };
+};
+
+const TOGGLE_STYLES = {
+  light: {
+    on: 'bg-blue-100 text-blue-700 border-blue-300',
+    off: 'bg-white text-gray-600 border-gray-300 hover:border-blue-300'
+  },
+  dark: {
+    on: 'bg-blue-500/30 text-white border-blue-400',
+    off: 'bg-white/5 text-blue-200 border-white/20 hover:text-white'
+  }
+};
+
+/**
+ * "Compare" checkbox-style button for a scholarship card
+ * @param {boolean} selected - Whether the scholarship is picked
+ * @param {Function} onToggle - Called to pick or unpick it
+ * @param {string} variant - 'light' or 'dark' page styling
+ */
+export const CompareToggle = ({ selected, onToggle, variant = 'light' }) => {
+  const styles = TOGGLE_STYLES[variant] || TOGGLE_STYLES.light;
+
+  return (
+    <button
+      onClick={onToggle}
+      aria-pressed={selected}
+      className={`inline-flex items-center gap-1 px-3 py-2 rounded-lg border text-sm transition-colors ${selected ? styles.on : styles.off}`}
+    >
+      {selected ? <Check className="w-4 h-4" /> : <Columns className="w-4 h-4" />}
+      {selected ? 'Comparing' : 'Compare'}
+    </button>
+  );
+};
+
+/**
+ * Floating bar listing the picked scholarships, opening the comparison once two are picked
+ * @param {Object} comparison - Result of useComparisonSelection
+ */
+const ComparisonTray = ({ comparison }) => {
+  const navigate = useNavigate();
+  const { selection, remove, clear, error } = comparison;
+
+  if (selection.length === 0) return null;
+
+  const canCompare = selection.length >= ComparisonService.MIN_ITEMS;
+
+  return (
+    <div className="fixed bottom-4 left-1/2 -translate-x-1/2 z-40 w-[calc(100%-2rem)] max-w-3xl bg-white rounded-2xl shadow-xl border border-gray-200 p-4">
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="text-sm font-semibold text-gray-900 mr-2">
+          Compare ({selection.length}/{ComparisonService.MAX_ITEMS})
+        </span>
+        {selection.map(scholarship => (
+          <span
+            key={scholarship.id}
+            className="inline-flex items-center gap-1 max-w-[12rem] px-2 py-1 bg-gray-100 text-gray-700 rounded-full text-xs"
+          >
+            <span className="truncate">{scholarship.title || scholarship.name}</span>
+            <button
+              onClick={() => remove(scholarship.id)}
+              className="text-gray-500 hover:text-gray-900"
+              aria-label={`Remove ${scholarship.title || scholarship.name} from comparison`}
+            >
+              <X className="w-3 h-3" />
+            </button>
+          </span>
+        ))}
+        <div className="flex items-center gap-2 ml-auto">
+          <button
+            onClick={clear}
+            className="text-sm text-gray-500 hover:text-gray-900"
+          >
+            Clear
+          </button>
+          <button
+            onClick={() => navigate('/compare')}
+            disabled={!canCompare}
+            className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg text-sm transition-colors disabled:opacity-50"
+            title={canCompare ? undefined : `Pick at least ${ComparisonService.MIN_ITEMS} scholarships`}
+          >
+            Compare
+          </button>
+        </div>
+      </div>
+      {error && <p className="mt-2 text-xs text-red-600">{error}</p>}
+    </div>
+  );
+};
+
+export default ComparisonTray;
@@ -0,0 +1,55 @@
+import React from 'react';
+import { ShieldCheck, ShieldAlert, ShieldX } from 'lucide-react';
+
+const STATUS_DISPLAY = {
+  eligible: {
+    label: 'Eligible',
+    icon: ShieldCheck,
+    light: 'bg-green-100 text-green-700',
+    dark: 'bg-green-500/20 text-green-300'
+  },
+  needs_verification: {
+    label: 'Needs verification',
+    icon: ShieldAlert,
+    light: 'bg-amber-100 text-amber-700',
+    dark: 'bg-yellow-500/20 text-yellow-300'
+  },
+  ineligible: {
+    label: 'Not eligible',
+    icon: ShieldX,
+    light: 'bg-red-100 text-red-700',
+    dark: 'bg-red-500/20 text-red-300'
+  }
+};
+
+/**
+ * Eligibility badge with the reasons behind a non-eligible status
+ * @param {string} status - ELIGIBILITY_STATUS value
+ * @param {Array<string>} reasons - Failed or unverifiable gates
+ * @param {string} variant - 'light' or 'dark' page styling
+ */
+const EligibilityStatus = ({ status, reasons = [], variant = 'light' }) => {
+  const display = STATUS_DISPLAY[status];
+  if (!display) return null;
+
+  const Icon = display.icon;
+  const reasonClass = variant === 'dark' ? 'text-white/70' : 'text-gray-600';
+
+  return (
+    <div>
+      <span className={`inline-flex items-center gap-1 px-2 py-1 rounded-full text-xs font-medium ${display[variant] || display.light}`}>
+        <Icon className="w-3.5 h-3.5" />
+        {display.label}
+      </span>
+      {reasons.length > 0 && (
+        <ul className={`mt-2 space-y-1 text-xs list-disc list-inside ${reasonClass}`}>
+          {reasons.map(reason => (
+            <li key={reason}>{reason}</li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default EligibilityStatus;
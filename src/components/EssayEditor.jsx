@@ -0,0 +1,134 @@
+import React, { forwardRef, useEffect, useImperativeHandle, useRef, useState } from 'react';
+import { Bold, Italic, Underline, List, ListOrdered, Quote } from 'lucide-react';
+import { sanitizeEssayHtml, getTextStats, textToHtml } from '../services/essayText';
+
+const TOOLS = [
+  { command: 'bold', icon: Bold, title: 'Bold' },
+  { command: 'italic', icon: Italic, title: 'Italic' },
+  { command: 'underline', icon: Underline, title: 'Underline' },
+  { command: 'insertUnorderedList', icon: List, title: 'Bulleted list' },
+  { command: 'insertOrderedList', icon: ListOrdered, title: 'Numbered list' },
+  { command: 'formatBlock', value: 'blockquote', icon: Quote, title: 'Quote' }
+];
+
+/**
+ * Rich-text essay editor with live word and character counts against the prompt's limits.
+ * The ref exposes `insertText(text)` (at the cursor, or at the end) and `getSelectedText()`.
+ * @param {string} contentKey - Changing it reloads the editor from `initialHtml`
+ * @param {string} initialHtml - Content to start from
+ * @param {Object} prompt - `{ wordLimit, charLimit }`
+ * @param {Function} onChange - Called with the editor HTML on every edit
+ */
+const EssayEditor = forwardRef(({ contentKey, initialHtml = '', prompt = null, onChange }, ref) => {
+  const editorRef = useRef(null);
+  const selectionRef = useRef(null);
+  const [html, setHtml] = useState(initialHtml);
+
+  // Only reload when told to: re-setting innerHTML while typing would lose the cursor
+  useEffect(() => {
+    if (editorRef.current) editorRef.current.innerHTML = sanitizeEssayHtml(initialHtml);
+    setHtml(initialHtml);
+  }, [contentKey]);
+
+  const emitChange = () => {
+    const current = editorRef.current?.innerHTML || '';
+    setHtml(current);
+    onChange?.(current);
+  };
+
+  // Remember the cursor while the user is in the reuse panel, so inserts land where they were typing
+  const rememberSelection = () => {
+    const selection = window.getSelection();
+    if (selection?.rangeCount > 0 && editorRef.current?.contains(selection.anchorNode)) {
+      selectionRef.current = selection.getRangeAt(0).cloneRange();
+    }
+  };
+
+  useImperativeHandle(ref, () => ({
+    insertText: (text) => {
+      const editor = editorRef.current;
+      if (!editor) return;
+      editor.focus();
+
+      const selection = window.getSelection();
+      selection.removeAllRanges();
+      if (selectionRef.current) {
+        selection.addRange(selectionRef.current);
+      } else {
+        const range = document.createRange();
+        range.selectNodeContents(editor);
+        range.collapse(false);
+        selection.addRange(range);
+      }
+      document.execCommand('insertHTML', false, textToHtml(text));
+      emitChange();
+    },
+    getSelectedText: () => {
+      const selection = window.getSelection();
+      return selection && editorRef.current?.contains(selection.anchorNode) ? selection.toString() : '';
+    }
+  }));
+
+  const runCommand = (event, tool) => {
+    event.preventDefault();
+    editorRef.current?.focus();
+    document.execCommand(tool.command, false, tool.value || null);
+    emitChange();
+  };
+
+  // Pasted content keeps only the formatting the editor supports
+  const handlePaste = (event) => {
+    event.preventDefault();
+    const pastedHtml = event.clipboardData.getData('text/html');
+    const content = pastedHtml
+      ? sanitizeEssayHtml(pastedHtml)
+      : textToHtml(event.clipboardData.getData('text/plain'));
+    document.execCommand('insertHTML', false, content);
+    emitChange();
+  };
+
+  const stats = getTextStats(html, prompt);
+
+  return (
+    <div className="rounded-lg border border-white/20 bg-white/5">
+      <div className="flex items-center gap-1 border-b border-white/10 px-2 py-1">
+        {TOOLS.map(tool => (
+          <button
+            key={tool.title}
+            type="button"
+            onMouseDown={(event) => runCommand(event, tool)}
+            className="p-1.5 rounded text-blue-200 hover:text-white hover:bg-white/10"
+            title={tool.title}
+          >
+            <tool.icon className="w-4 h-4" />
+          </button>
+        ))}
+      </div>
+
+      <div
+        ref={editorRef}
+        contentEditable
+        suppressContentEditableWarning
+        onInput={emitChange}
+        onPaste={handlePaste}
+        onKeyUp={rememberSelection}
+        onMouseUp={rememberSelection}
+        onBlur={rememberSelection}
+        className="min-h-[14rem] max-h-[32rem] overflow-y-auto px-4 py-3 text-white text-sm leading-relaxed focus:outline-none [&_p]:mb-3 [&_ul]:list-disc [&_ul]:pl-6 [&_ol]:list-decimal [&_ol]:pl-6 [&_blockquote]:border-l-2 [&_blockquote]:border-white/30 [&_blockquote]:pl-3"
+      />
+
+      <div className="flex flex-wrap justify-end gap-4 border-t border-white/10 px-3 py-1 text-xs">
+        <span className={stats.overWordLimit ? 'text-red-300 font-medium' : 'text-blue-300'}>
+          {stats.words}{stats.wordLimit ? ` / ${stats.wordLimit}` : ''} words
+        </span>
+        <span className={stats.overCharLimit ? 'text-red-300 font-medium' : 'text-blue-300'}>
+          {stats.characters}{stats.charLimit ? ` / ${stats.charLimit}` : ''} characters
+        </span>
+      </div>
+    </div>
+  );
+});
+
+EssayEditor.displayName = 'EssayEditor';
+
+export default EssayEditor;
@@ -0,0 +1,214 @@
+import React, { useState } from 'react';
+import { AlertTriangle, CheckCircle, Loader2, Sparkles, Trash2, XCircle } from 'lucide-react';
+import EssayFeedbackService from '../services/essayFeedbackService';
+import EssayService from '../services/essayService';
+import { highlightQuotes } from '../services/essayText';
+
+const formatTime = (timestamp) => new Date(timestamp).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' });
+
+const scoreColor = (score) => {
+  if (score >= 75) return 'text-green-300';
+  if (score >= 50) return 'text-yellow-300';
+  return 'text-red-300';
+};
+
+const barColor = (score) => {
+  if (score >= 75) return 'bg-green-400';
+  if (score >= 50) return 'bg-yellow-400';
+  return 'bg-red-400';
+};
+
+const PROFILE_NOTES = {
+  scrub_failed: 'Your profile could not be checked for personal details, so it was not sent.',
+  missing: 'No profile found, so the essay was judged on its own.',
+  excluded: 'Your profile was not used.'
+};
+
+/**
+ * Feedback on an essay draft: rubric scores from the scholarship's stated
+ * values and eligibility, unsupported claims highlighted in the text, and
+ * prompt requirements the draft misses
+ * @param {Object} essay - Essay
+ * @param {Function} onBeforeRequest - Called before asking, to save unsaved changes
+ * @param {Function} onChange - Called after feedback is added or deleted
+ */
+const EssayFeedbackPanel = ({ essay, onBeforeRequest, onChange }) => {
+  const [includeProfile, setIncludeProfile] = useState(true);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [selectedId, setSelectedId] = useState(null);
+
+  const history = essay.feedback || [];
+  const feedback = history.find(entry => entry.id === selectedId) || history[0] || null;
+  const missed = EssayFeedbackService.getMissedRequirements(feedback);
+  const segments = feedback ? highlightQuotes(feedback.essayText, feedback.unsupportedClaims.map(claim => claim.quote)) : [];
+
+  const handleRequest = async () => {
+    onBeforeRequest?.();
+    setLoading(true);
+    setError(null);
+    try {
+      const result = await EssayFeedbackService.requestFeedback(essay.id, { includeProfile });
+      setSelectedId(result.id);
+      onChange?.();
+    } catch (requestError) {
+      console.error('Error getting essay feedback:', requestError);
+      setError(requestError.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleDelete = (entry) => {
+    try {
+      EssayService.deleteFeedback(essay.id, entry.id);
+      if (entry.id === selectedId) setSelectedId(null);
+      onChange?.();
+    } catch (deleteError) {
+      console.error('Error deleting essay feedback:', deleteError);
+      setError(deleteError.message);
+    }
+  };
+
+  return (
+    <div className="rounded-lg border border-white/10 bg-white/5 p-3 space-y-3 text-xs">
+      <div className="flex flex-wrap items-center gap-3">
+        <label className="flex items-center gap-2 text-blue-200">
+          <input
+            type="checkbox"
+            checked={includeProfile}
+            onChange={(e) => setIncludeProfile(e.target.checked)}
+          />
+          Use my profile for context (personal details are removed first)
+        </label>
+        <div className="flex-1" />
+        <button
+          onClick={handleRequest}
+          disabled={loading}
+          className="flex items-center gap-1 bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white px-3 py-1 rounded-lg"
+        >
+          {loading ? <Loader2 className="w-3 h-3 animate-spin" /> : <Sparkles className="w-3 h-3" />}
+          {loading ? 'Reviewing...' : 'Get feedback'}
+        </button>
+      </div>
+
+      {error && <p className="text-red-300">{error}</p>}
+
+      {!feedback && !loading && (
+        <p className="text-blue-300">
+          Feedback scores this draft against a rubric built from the scholarship's description and eligibility,
+          points out claims that need support, and checks the draft covers everything the prompt asks.
+        </p>
+      )}
+
+      {history.length > 1 && (
+        <div className="flex flex-wrap gap-2">
+          {history.map(entry => (
+            <button
+              key={entry.id}
+              onClick={() => setSelectedId(entry.id)}
+              className={`px-2 py-0.5 rounded border ${entry.id === feedback?.id ? 'bg-blue-600 border-blue-500 text-white' : 'bg-white/10 border-white/20 text-blue-200 hover:text-white'}`}
+            >
+              {entry.overallScore} · {formatTime(entry.createdAt)}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {feedback && (
+        <div className="space-y-3">
+          <div className="flex items-start gap-3">
+            <div className="text-center">
+              <p className={`text-2xl font-bold ${scoreColor(feedback.overallScore)}`}>{feedback.overallScore}</p>
+              <p className="text-blue-300">/ 100</p>
+            </div>
+            <div className="flex-1 space-y-1">
+              <p className="text-white">{feedback.summary}</p>
+              <p className="text-blue-300">
+                {formatTime(feedback.createdAt)} · {feedback.words} words
+                {EssayFeedbackService.isStale(feedback, essay) && ' · the draft has changed since'}
+              </p>
+              {PROFILE_NOTES[feedback.profileStatus] && (
+                <p className="text-blue-300">{PROFILE_NOTES[feedback.profileStatus]}</p>
+              )}
+            </div>
+            <button onClick={() => handleDelete(feedback)} className="p-1 text-red-400 hover:text-red-300" title="Delete feedback">
+              <Trash2 className="w-4 h-4" />
+            </button>
+          </div>
+
+          {feedback.strengths.length > 0 && (
+            <div>
+              <p className="text-blue-200 font-medium mb-1">Strengths</p>
+              <ul className="list-disc pl-5 text-blue-100 space-y-0.5">
+                {feedback.strengths.map(strength => <li key={strength}>{strength}</li>)}
+              </ul>
+            </div>
+          )}
+
+          <div className="space-y-2">
+            <p className="text-blue-200 font-medium">Rubric</p>
+            {feedback.rubric.map(criterion => (
+              <div key={criterion.id} className="rounded bg-white/5 p-2 space-y-1">
+                <div className="flex items-center gap-2">
+                  <span className="flex-1 text-white" title={criterion.description}>{criterion.criterion}</span>
+                  <div className="w-24 h-1.5 rounded bg-white/10">
+                    <div className={`h-1.5 rounded ${barColor(criterion.score)}`} style={{ width: `${criterion.score}%` }} />
+                  </div>
+                  <span className={`w-8 text-right ${scoreColor(criterion.score)}`}>{criterion.score}</span>
+                </div>
+                {criterion.evidence && <p className="text-blue-200">{criterion.evidence}</p>}
+                {criterion.suggestion && <p className="text-blue-100">→ {criterion.suggestion}</p>}
+              </div>
+            ))}
+          </div>
+
+          {feedback.requirements.length > 0 && (
+            <div className="space-y-1">
+              <p className="text-blue-200 font-medium">
+                Prompt requirements ({feedback.requirements.length - missed.length}/{feedback.requirements.length} covered)
+              </p>
+              {feedback.requirements.map(requirement => (
+                <div key={requirement.id} className="flex items-start gap-2">
+                  {requirement.met
+                    ? <CheckCircle className="w-4 h-4 text-green-400 flex-shrink-0" />
+                    : <XCircle className="w-4 h-4 text-red-400 flex-shrink-0" />}
+                  <div>
+                    <p className={requirement.met ? 'text-blue-100' : 'text-red-200 font-medium'}>{requirement.text}</p>
+                    {requirement.detail && <p className="text-blue-300">{requirement.detail}</p>}
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {feedback.unsupportedClaims.length > 0 && (
+            <div className="space-y-2">
+              <p className="text-blue-200 font-medium">Unsupported claims ({feedback.unsupportedClaims.length})</p>
+              <div className="max-h-64 overflow-y-auto whitespace-pre-wrap rounded bg-white/5 p-2 text-blue-100 leading-relaxed">
+                {segments.map((segment, index) => (segment.quoteIndex === null
+                  ? <span key={index}>{segment.text}</span>
+                  : (
+                    <mark key={index} className="bg-yellow-400/30 text-yellow-100 rounded px-0.5">
+                      {segment.text}<sup className="text-yellow-300 ml-0.5">{segment.quoteIndex + 1}</sup>
+                    </mark>
+                  )))}
+              </div>
+              {feedback.unsupportedClaims.map((claim, index) => (
+                <div key={index} className="flex items-start gap-2">
+                  <AlertTriangle className="w-4 h-4 text-yellow-400 flex-shrink-0" />
+                  <div>
+                    <p className="text-white">{index + 1}. {claim.reason}</p>
+                    {claim.suggestion && <p className="text-blue-200">→ {claim.suggestion}</p>}
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default EssayFeedbackPanel;
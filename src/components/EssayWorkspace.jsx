@@ -0,0 +1,398 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { FilePlus, GitCompare, History, RotateCcw, Save, Search, Sparkles, Trash2, BookmarkPlus } from 'lucide-react';
+import EssayService from '../services/essayService';
+import SettingsService from '../services/settingsService';
+import EssayEditor from './EssayEditor';
+import EssayFeedbackPanel from './EssayFeedbackPanel';
+
+const getAutoSaveSettings = () => ({
+  enabled: SettingsService.getSetting('applications.autoSave', true) !== false,
+  interval: SettingsService.getSetting('applications.autoSaveInterval', 30)
+});
+
+const formatTime = (timestamp) => new Date(timestamp).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' });
+
+/**
+ * Essays for one application: prompts from the scholarship, the editor with
+ * autosave, named versions with diffs, feedback on drafts, and paragraphs to
+ * reuse from other essays
+ * @param {Object} application - Application
+ */
+const EssayWorkspace = ({ application }) => {
+  const [essays, setEssays] = useState(() => EssayService.getEssays(application.id));
+  const [activeId, setActiveId] = useState(() => essays[0]?.id || null);
+  const [contentKey, setContentKey] = useState(0);
+  const [dirty, setDirty] = useState(false);
+  const [lastSavedAt, setLastSavedAt] = useState(() => essays[0]?.lastSavedAt || null);
+  const [autoSave, setAutoSave] = useState(getAutoSaveSettings);
+  const [panel, setPanel] = useState(null); // 'new', 'versions', 'feedback', 'reuse'
+  const [customPrompt, setCustomPrompt] = useState({ text: '', wordLimit: '', charLimit: '' });
+  const [versionName, setVersionName] = useState('');
+  const [diff, setDiff] = useState(null); // { versionName, ops, added, removed }
+  const [search, setSearch] = useState('');
+  const [error, setError] = useState(null);
+
+  const editorRef = useRef(null);
+  const contentRef = useRef(essays[0]?.content || '');
+  const dirtyRef = useRef(false);
+
+  const active = essays.find(essay => essay.id === activeId) || null;
+  const suggestedPrompts = panel === 'new' ? EssayService.getSuggestedPrompts(application.id) : [];
+  const reusable = panel === 'reuse' && active ? EssayService.getReusableParagraphs(active.id, { search }) : [];
+
+  const refresh = () => setEssays(EssayService.getEssays(application.id));
+
+  const save = useCallback(() => {
+    if (!activeId || !dirtyRef.current) return;
+    try {
+      const saved = EssayService.saveContent(activeId, contentRef.current);
+      dirtyRef.current = false;
+      setDirty(false);
+      setLastSavedAt(saved.lastSavedAt);
+      setEssays(EssayService.getEssays(application.id));
+    } catch (saveError) {
+      console.error('Error saving essay:', saveError);
+      setError(saveError.message);
+    }
+  }, [activeId, application.id]);
+
+  // Autosave every `applications.autoSaveInterval` seconds while there are unsaved changes
+  useEffect(() => {
+    if (!autoSave.enabled) return undefined;
+    const timer = setInterval(save, autoSave.interval * 1000);
+    return () => clearInterval(timer);
+  }, [autoSave, save]);
+
+  useEffect(() => {
+    const onSettingsChange = () => setAutoSave(getAutoSaveSettings());
+    const events = ['scholarai_settings_updated', 'scholarai_settings_reset', 'scholarai_settings_imported'];
+    events.forEach(eventType => window.addEventListener(eventType, onSettingsChange));
+    return () => events.forEach(eventType => window.removeEventListener(eventType, onSettingsChange));
+  }, []);
+
+  // Don't lose changes when switching essays or closing the workspace
+  useEffect(() => save, [save]);
+
+  const openEssay = (essayId) => {
+    save();
+    const essay = EssayService.getEssay(essayId);
+    dirtyRef.current = false;
+    setDirty(false);
+    contentRef.current = essay?.content || '';
+    setActiveId(essayId);
+    setLastSavedAt(essay?.lastSavedAt || null);
+    setDiff(null);
+    setContentKey(key => key + 1);
+  };
+
+  const run = (action) => {
+    setError(null);
+    try {
+      return action();
+    } catch (actionError) {
+      console.error('Error updating essay:', actionError);
+      setError(actionError.message);
+      return null;
+    }
+  };
+
+  const handleCreate = (prompt) => {
+    const essay = run(() => EssayService.createEssay(application.id, { prompt }));
+    if (!essay) return;
+    refresh();
+    setPanel(null);
+    setCustomPrompt({ text: '', wordLimit: '', charLimit: '' });
+    openEssay(essay.id);
+  };
+
+  const handleChange = (html) => {
+    contentRef.current = html;
+    dirtyRef.current = true;
+    setDirty(true);
+  };
+
+  const handleSaveVersion = (event) => {
+    event.preventDefault();
+    save();
+    if (run(() => EssayService.saveVersion(active.id, versionName))) {
+      setVersionName('');
+      refresh();
+    }
+  };
+
+  const handleCompare = (version) => {
+    save();
+    const result = run(() => EssayService.diffVersions(active.id, version.id));
+    if (result) setDiff({ versionName: version.name, ...result });
+  };
+
+  const handleRestore = (version) => {
+    if (!window.confirm(`Replace the current text with "${version.name}"? The current text is kept as a version.`)) return;
+    save();
+    if (run(() => EssayService.restoreVersion(active.id, version.id))) {
+      refresh();
+      openEssay(active.id);
+    }
+  };
+
+  const handleDeleteEssay = () => {
+    if (!window.confirm(`Delete "${active.title}" and all its versions?`)) return;
+    dirtyRef.current = false;
+    EssayService.deleteEssay(active.id);
+    const remaining = EssayService.getEssays(application.id);
+    setEssays(remaining);
+    setActiveId(null);
+    if (remaining[0]) openEssay(remaining[0].id);
+  };
+
+  const handleInsert = (paragraph) => {
+    editorRef.current?.insertText(paragraph.text);
+    if (paragraph.snippetId) EssayService.markSnippetUsed(paragraph.snippetId, active.id);
+  };
+
+  const handleSaveSnippet = () => {
+    const text = editorRef.current?.getSelectedText();
+    if (!text) {
+      setError('Select the text to save to your library first');
+      return;
+    }
+    if (run(() => EssayService.saveSnippet({ text, sourceEssayId: active.id }))) {
+      setPanel('reuse');
+    }
+  };
+
+  const togglePanel = (name) => setPanel(current => (current === name ? null : name));
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center gap-2">
+        {essays.map(essay => (
+          <button
+            key={essay.id}
+            onClick={() => openEssay(essay.id)}
+            className={`px-3 py-1 rounded-lg text-xs border ${essay.id === activeId ? 'bg-blue-600 border-blue-500 text-white' : 'bg-white/10 border-white/20 text-blue-200 hover:text-white'}`}
+          >
+            {essay.title}
+          </button>
+        ))}
+        <button
+          onClick={() => togglePanel('new')}
+          className="flex items-center gap-1 px-3 py-1 rounded-lg text-xs bg-white/10 border border-white/20 text-white hover:bg-white/20"
+        >
+          <FilePlus className="w-3 h-3" /> New essay
+        </button>
+      </div>
+
+      {panel === 'new' && (
+        <div className="rounded-lg border border-white/10 bg-white/5 p-3 space-y-2">
+          {suggestedPrompts.length > 0 && (
+            <>
+              <p className="text-blue-200 text-xs">Prompts from this scholarship:</p>
+              {suggestedPrompts.map(prompt => (
+                <button
+                  key={prompt.text}
+                  onClick={() => handleCreate(prompt)}
+                  className="block w-full text-left rounded-lg bg-white/5 hover:bg-white/10 px-3 py-2 text-white text-xs"
+                >
+                  {prompt.text}
+                  {(prompt.wordLimit || prompt.charLimit) && (
+                    <span className="text-blue-300">
+                      {' '}({[prompt.wordLimit && `${prompt.wordLimit} words`, prompt.charLimit && `${prompt.charLimit} characters`].filter(Boolean).join(', ')})
+                    </span>
+                  )}
+                </button>
+              ))}
+            </>
+          )}
+          <form
+            onSubmit={(event) => {
+              event.preventDefault();
+              handleCreate(customPrompt.text.trim() ? customPrompt : null);
+            }}
+            className="space-y-2"
+          >
+            <textarea
+              value={customPrompt.text}
+              onChange={(e) => setCustomPrompt({ ...customPrompt, text: e.target.value })}
+              placeholder="Prompt (optional)"
+              rows={2}
+              className="w-full bg-white/10 border border-white/20 rounded-lg px-2 py-1 text-white text-xs placeholder-blue-300"
+            />
+            <div className="flex flex-wrap items-center gap-2">
+              <input
+                type="number"
+                min="1"
+                value={customPrompt.wordLimit}
+                onChange={(e) => setCustomPrompt({ ...customPrompt, wordLimit: e.target.value })}
+                placeholder="Word limit"
+                className="w-28 bg-white/10 border border-white/20 rounded-lg px-2 py-1 text-white text-xs placeholder-blue-300"
+              />
+              <input
+                type="number"
+                min="1"
+                value={customPrompt.charLimit}
+                onChange={(e) => setCustomPrompt({ ...customPrompt, charLimit: e.target.value })}
+                placeholder="Character limit"
+                className="w-32 bg-white/10 border border-white/20 rounded-lg px-2 py-1 text-white text-xs placeholder-blue-300"
+              />
+              <button type="submit" className="bg-blue-600 hover:bg-blue-700 text-white px-3 py-1 rounded-lg text-xs">
+                {customPrompt.text.trim() ? 'Start with this prompt' : 'Start a blank essay'}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      {active ? (
+        <>
+          {active.prompt && (
+            <p className="text-blue-200 text-xs italic">{active.prompt.text}</p>
+          )}
+
+          <div className="flex flex-wrap items-center gap-2 text-xs">
+            <span className={dirty ? 'text-yellow-300' : 'text-blue-300'}>
+              {dirty
+                ? (autoSave.enabled ? `Unsaved changes · autosaves every ${autoSave.interval}s` : 'Unsaved changes')
+                : (lastSavedAt ? `Saved ${formatTime(lastSavedAt)}` : 'No changes')}
+            </span>
+            <div className="flex-1" />
+            <button onClick={save} disabled={!dirty} className="flex items-center gap-1 text-blue-200 hover:text-white disabled:opacity-50" title="Save now">
+              <Save className="w-4 h-4" /> Save
+            </button>
+            <button onClick={() => togglePanel('versions')} className="flex items-center gap-1 text-blue-200 hover:text-white" title="Versions">
+              <History className="w-4 h-4" /> Versions ({active.versions?.length || 0})
+            </button>
+            <button onClick={() => togglePanel('feedback')} className="flex items-center gap-1 text-blue-200 hover:text-white" title="Feedback against the scholarship's criteria">
+              <Sparkles className="w-4 h-4" /> Feedback
+            </button>
+            <button onClick={() => togglePanel('reuse')} className="flex items-center gap-1 text-blue-200 hover:text-white" title="Reuse paragraphs">
+              <Search className="w-4 h-4" /> Reuse
+            </button>
+            <button onClick={handleSaveSnippet} className="flex items-center gap-1 text-blue-200 hover:text-white" title="Save the selected text to your paragraph library">
+              <BookmarkPlus className="w-4 h-4" />
+            </button>
+            <button onClick={handleDeleteEssay} className="p-1 text-red-400 hover:text-red-300" title="Delete essay">
+              <Trash2 className="w-4 h-4" />
+            </button>
+          </div>
+
+          <EssayEditor
+            ref={editorRef}
+            contentKey={`${active.id}_${contentKey}`}
+            initialHtml={contentRef.current}
+            prompt={active.prompt}
+            onChange={handleChange}
+          />
+
+          {panel === 'versions' && (
+            <div className="rounded-lg border border-white/10 bg-white/5 p-3 space-y-2">
+              <form onSubmit={handleSaveVersion} className="flex gap-2">
+                <input
+                  type="text"
+                  value={versionName}
+                  onChange={(e) => setVersionName(e.target.value)}
+                  placeholder={`Version ${(active.versions?.length || 0) + 1}`}
+                  className="flex-1 bg-white/10 border border-white/20 rounded-lg px-2 py-1 text-white text-xs placeholder-blue-300"
+                />
+                <button type="submit" className="bg-blue-600 hover:bg-blue-700 text-white px-3 py-1 rounded-lg text-xs">
+                  Save version
+                </button>
+              </form>
+
+              {[...(active.versions || [])].reverse().map(version => (
+                <div key={version.id} className="flex items-center gap-2 text-xs">
+                  <span className="flex-1 text-white">{version.name}</span>
+                  <span className="text-blue-300">{version.words} words · {formatTime(version.createdAt)}</span>
+                  <button onClick={() => handleCompare(version)} className="p-1 text-blue-200 hover:text-white" title="Compare with the current text">
+                    <GitCompare className="w-4 h-4" />
+                  </button>
+                  <button onClick={() => handleRestore(version)} className="p-1 text-blue-200 hover:text-white" title="Restore">
+                    <RotateCcw className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => {
+                      run(() => EssayService.deleteVersion(active.id, version.id));
+                      refresh();
+                    }}
+                    className="p-1 text-red-400 hover:text-red-300"
+                    title="Delete version"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              ))}
+
+              {diff && (
+                <div className="border-t border-white/10 pt-2">
+                  <p className="text-blue-200 text-xs mb-1">
+                    Changes since "{diff.versionName}": <span className="text-green-300">+{diff.added}</span>{' '}
+                    <span className="text-red-300">-{diff.removed}</span> words
+                  </p>
+                  <div className="max-h-64 overflow-y-auto whitespace-pre-wrap text-xs text-blue-100">
+                    {diff.ops.map((op, index) => {
+                      if (op.type === 'insert') return <ins key={index} className="bg-green-500/20 text-green-200 no-underline">{op.text}</ins>;
+                      if (op.type === 'delete') return <del key={index} className="bg-red-500/20 text-red-200">{op.text}</del>;
+                      return <span key={index}>{op.text}</span>;
+                    })}
+                  </div>
+                </div>
+              )}
+            </div>
+          )}
+
+          {panel === 'feedback' && (
+            <EssayFeedbackPanel essay={active} onBeforeRequest={save} onChange={refresh} />
+          )}
+
+          {panel === 'reuse' && (
+            <div className="rounded-lg border border-white/10 bg-white/5 p-3 space-y-2">
+              <input
+                type="text"
+                value={search}
+                onChange={(e) => setSearch(e.target.value)}
+                placeholder="Search your library and other essays"
+                className="w-full bg-white/10 border border-white/20 rounded-lg px-2 py-1 text-white text-xs placeholder-blue-300"
+              />
+              {reusable.length === 0 && (
+                <p className="text-blue-300 text-xs">
+                  Nothing to reuse yet. Select text and use the bookmark button to save it to your library.
+                </p>
+              )}
+              <div className="max-h-64 overflow-y-auto space-y-2">
+                {reusable.map(paragraph => (
+                  <div key={paragraph.id} className="rounded bg-white/5 p-2 text-xs">
+                    <div className="flex items-center gap-2 mb-1">
+                      <span className="flex-1 text-blue-300">
+                        {paragraph.source === 'library' ? 'Library' : 'From'}: {paragraph.title}
+                      </span>
+                      <button onClick={() => handleInsert(paragraph)} className="text-blue-200 hover:text-white">Insert</button>
+                      {paragraph.source === 'library' && (
+                        <button
+                          onClick={() => {
+                            EssayService.deleteSnippet(paragraph.snippetId);
+                            refresh();
+                          }}
+                          className="text-red-400 hover:text-red-300"
+                          title="Remove from library"
+                        >
+                          <Trash2 className="w-3 h-3" />
+                        </button>
+                      )}
+                    </div>
+                    <p className="text-blue-100 line-clamp-3">{paragraph.text}</p>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+        </>
+      ) : (
+        panel !== 'new' && <p className="text-blue-300">No essays yet. Start one from a scholarship prompt or a blank page.</p>
+      )}
+
+      {error && <p className="text-red-300 text-xs">{error}</p>}
+    </div>
+  );
+};
+
+export default EssayWorkspace;
@@ -1,9 +1,10 @@
 import React from "react";
+import DocumentReaderService from "../services/documentReaderService";
 
 export function FileDropPDF({
   onFile,
   error,
-  hint = "Drag & drop your CV (PDF) or browse",
+  hint = "Drag & drop your CV or browse",
 }) {
   const inputRef = React.useRef(null);
   const [dragging, setDragging] = React.useState(false);
@@ -11,7 +12,9 @@ export function FileDropPDF({
   function handleFiles(files) {
     const f = files?.[0];
     if (!f) return;
-    if (f.type !== "application/pdf") return alert("Please upload a PDF file.");
+    if (!DocumentReaderService.isSupportedFile(f)) {
+      return alert(`Please upload a ${DocumentReaderService.getFormatsLabel()} file.`);
+    }
     onFile(f);
   }
 
@@ -30,7 +33,7 @@ export function FileDropPDF({
       <input
         ref={inputRef}
         type="file"
-        accept=".pdf"
+        accept={DocumentReaderService.getAcceptAttribute()}
         onChange={(e) => handleFiles(e.target.files)}
         className="hidden"
       />
@@ -48,7 +51,7 @@ export function FileDropPDF({
         </div>
         
         <p className="text-sm text-text-lo">
-          PDF files only, up to 10MB
+          {DocumentReaderService.getFormatsLabel()} files, up to 10MB
         </p>
       </div>
     </div>
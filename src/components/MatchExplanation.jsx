@@ -0,0 +1,78 @@
+import React from 'react';
+import { CheckCircle, XCircle, HelpCircle } from 'lucide-react';
+
+const VARIANT_CLASSES = {
+  light: {
+    heading: 'text-gray-900',
+    text: 'text-gray-700',
+    points: 'text-gray-400',
+    pass: 'text-green-600',
+    fail: 'text-red-500',
+    unknown: 'text-amber-500'
+  },
+  dark: {
+    heading: 'text-white',
+    text: 'text-white/80',
+    points: 'text-white/40',
+    pass: 'text-green-400',
+    fail: 'text-red-400',
+    unknown: 'text-yellow-400'
+  }
+};
+
+const STATUS_ICONS = {
+  pass: CheckCircle,
+  fail: XCircle,
+  unknown: HelpCircle
+};
+
+/**
+ * "Why this matched / what's missing" for a scored scholarship
+ * @param {Array<Object>} breakdown - Criteria from the match scoring engine
+ * @param {string} variant - 'light' or 'dark' page styling
+ * @param {boolean} stacked - Show the two lists one above the other, for narrow cards
+ */
+const MatchExplanation = ({ breakdown = [], variant = 'light', stacked = false }) => {
+  if (!breakdown || breakdown.length === 0) return null;
+
+  const classes = VARIANT_CLASSES[variant] || VARIANT_CLASSES.light;
+  const matched = breakdown.filter(item => item.status === 'pass');
+  const missing = breakdown.filter(item => item.status !== 'pass');
+
+  const renderItem = (item) => {
+    const Icon = STATUS_ICONS[item.status] || HelpCircle;
+    return (
+      <li key={item.criterion} className={`flex items-start gap-2 text-sm ${classes.text}`}>
+        <Icon className={`w-4 h-4 mt-0.5 flex-shrink-0 ${classes[item.status]}`} />
+        <span className="flex-1">
+          <span className="font-medium">{item.label}:</span> {item.reason}
+        </span>
+        <span
+          className={`text-xs whitespace-nowrap ${classes.points}`}
+          title={`${item.points} of ${item.weight} points`}
+        >
+          {item.points}/{item.weight}
+        </span>
+      </li>
+    );
+  };
+
+  return (
+    <div className={stacked ? 'space-y-3' : 'grid grid-cols-1 md:grid-cols-2 gap-4'}>
+      {matched.length > 0 && (
+        <div>
+          <h4 className={`text-sm font-semibold mb-2 ${classes.heading}`}>Why this matched</h4>
+          <ul className="space-y-1">{matched.map(renderItem)}</ul>
+        </div>
+      )}
+      {missing.length > 0 && (
+        <div>
+          <h4 className={`text-sm font-semibold mb-2 ${classes.heading}`}>What's missing</h4>
+          <ul className="space-y-1">{missing.map(renderItem)}</ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MatchExplanation;
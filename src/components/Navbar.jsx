@@ -1,7 +1,9 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { Link, useLocation, useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import { Menu, X, User, LogOut, Settings, BookOpen, FileText, Upload, BarChart3 } from 'lucide-react';
+import NotificationCenter from './NotificationCenter';
+import SavedSearchService from '../services/savedSearchService';
 
 const Navbar = () => {
   const [isOpen, setIsOpen] = useState(false);
@@ -10,6 +12,12 @@ const Navbar = () => {
   const location = useLocation();
   const navigate = useNavigate();
 
+  // Re-run the signed-in user's saved searches so new matches show up under the bell
+  useEffect(() => {
+    if (!user?.id) return undefined;
+    return SavedSearchService.startAlertService(user.id);
+  }, [user?.id]);
+
   const handleLogout = async () => {
     await logout();
     navigate('/login');
@@ -74,61 +82,64 @@ const Navbar = () => {
 
           {/* Profile Dropdown or Auth Buttons */}
           {isAuthenticated() ? (
-            <div className="relative">
-              <button
-                onClick={() => setIsProfileOpen(!isProfileOpen)}
-                className="flex items-center space-x-3 text-sm rounded-xl p-2 focus:outline-none focus:ring-4 focus:ring-primary/20 hover:bg-elevated/50 transition-all duration-300"
-              >
-                <div className="w-8 h-8 bg-grad-primary rounded-full flex items-center justify-center shadow-md">
-                  <User size={16} className="text-white" />
-                </div>
-                <div className="hidden md:block text-left">
-                  <div className="text-sm font-medium text-text-hi">
-                    {user?.firstName} {user?.lastName}
+            <div className="flex items-center space-x-2">
+              <NotificationCenter />
+              <div className="relative">
+                <button
+                  onClick={() => setIsProfileOpen(!isProfileOpen)}
+                  className="flex items-center space-x-3 text-sm rounded-xl p-2 focus:outline-none focus:ring-4 focus:ring-primary/20 hover:bg-elevated/50 transition-all duration-300"
+                >
+                  <div className="w-8 h-8 bg-grad-primary rounded-full flex items-center justify-center shadow-md">
+                    <User size={16} className="text-white" />
+                  </div>
+                  <div className="hidden md:block text-left">
+                    <div className="text-sm font-medium text-text-hi">
+                      {user?.firstName} {user?.lastName}
+                    </div>
+                    <div className="text-xs text-text-lo">{user?.email}</div>
                   </div>
-                  <div className="text-xs text-text-lo">{user?.email}</div>
-                </div>
-              </button>
+                </button>
 
-              {/* Profile Dropdown Menu */}
-              {isProfileOpen && (
-                <div className="absolute right-0 mt-2 w-48 bg-elevated/90 backdrop-blur-md rounded-2xl shadow-xl py-2 z-50 border border-border">
-                  <Link
-                    to="/profile"
-                    className="flex items-center px-4 py-2 text-sm text-text-hi hover:bg-surface/50 hover:text-primary transition-all duration-200 rounded-xl mx-2"
-                    onClick={() => setIsProfileOpen(false)}
-                  >
-                    <User size={16} className="mr-3" />
-                    Profile
-                  </Link>
-                  <Link
-                    to="/settings"
-                    className="flex items-center px-4 py-2 text-sm text-text-hi hover:bg-surface/50 hover:text-primary transition-all duration-200 rounded-xl mx-2"
-                    onClick={() => setIsProfileOpen(false)}
-                  >
-                    <Settings size={16} className="mr-3" />
-                    Settings
-                  </Link>
-                  {user?.isAdmin && (
+                {/* Profile Dropdown Menu */}
+                {isProfileOpen && (
+                  <div className="absolute right-0 mt-2 w-48 bg-elevated/90 backdrop-blur-md rounded-2xl shadow-xl py-2 z-50 border border-border">
                     <Link
-                      to="/admin"
+                      to="/profile"
                       className="flex items-center px-4 py-2 text-sm text-text-hi hover:bg-surface/50 hover:text-primary transition-all duration-200 rounded-xl mx-2"
                       onClick={() => setIsProfileOpen(false)}
                     >
-                      <BarChart3 size={16} className="mr-3" />
-                      Admin Panel
+                      <User size={16} className="mr-3" />
+                      Profile
                     </Link>
-                  )}
-                  <hr className="my-2 border-border" />
-                  <button
-                    onClick={handleLogout}
-                    className="flex items-center w-full px-4 py-2 text-sm text-warning hover:bg-warning/10 hover:text-warning transition-all duration-200 rounded-xl mx-2"
-                  >
-                    <LogOut size={16} className="mr-3" />
-                    Sign Out
-                  </button>
-                </div>
-              )}
+                    <Link
+                      to="/settings"
+                      className="flex items-center px-4 py-2 text-sm text-text-hi hover:bg-surface/50 hover:text-primary transition-all duration-200 rounded-xl mx-2"
+                      onClick={() => setIsProfileOpen(false)}
+                    >
+                      <Settings size={16} className="mr-3" />
+                      Settings
+                    </Link>
+                    {user?.isAdmin && (
+                      <Link
+                        to="/admin"
+                        className="flex items-center px-4 py-2 text-sm text-text-hi hover:bg-surface/50 hover:text-primary transition-all duration-200 rounded-xl mx-2"
+                        onClick={() => setIsProfileOpen(false)}
+                      >
+                        <BarChart3 size={16} className="mr-3" />
+                        Admin Panel
+                      </Link>
+                    )}
+                    <hr className="my-2 border-border" />
+                    <button
+                      onClick={handleLogout}
+                      className="flex items-center w-full px-4 py-2 text-sm text-warning hover:bg-warning/10 hover:text-warning transition-all duration-200 rounded-xl mx-2"
+                    >
+                      <LogOut size={16} className="mr-3" />
+                      Sign Out
+                    </button>
+                  </div>
+                )}
+              </div>
             </div>
           ) : (
             <div className="flex items-center space-x-3">
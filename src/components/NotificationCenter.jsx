@@ -0,0 +1,132 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Bell, X } from 'lucide-react';
+import NotificationService from '../services/notificationService';
+
+// Events NotificationService dispatches whenever the stored notifications change
+const NOTIFICATION_EVENTS = [
+  'scholarai_notification_created',
+  'scholarai_notification_read',
+  'scholarai_notifications_read_all',
+  'scholarai_notification_dismissed',
+  'scholarai_notification_deleted',
+  'scholarai_notifications_cleared'
+];
+
+const MAX_LISTED = 10;
+
+const getVisibleNotifications = () => NotificationService.getNotifications().filter(n => !n.dismissed);
+
+const formatTime = (timestamp) => {
+  const minutes = Math.floor((Date.now() - new Date(timestamp)) / 60000);
+  if (minutes < 1) return 'Just now';
+  if (minutes < 60) return `${minutes}m ago`;
+  if (minutes < 24 * 60) return `${Math.floor(minutes / 60)}h ago`;
+  return new Date(timestamp).toLocaleDateString();
+};
+
+/**
+ * Navbar bell with the unread count, opening the latest notifications
+ */
+const NotificationCenter = () => {
+  const [notifications, setNotifications] = useState(getVisibleNotifications);
+  const [isOpen, setIsOpen] = useState(false);
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    const refresh = () => setNotifications(getVisibleNotifications());
+    const onStorage = (event) => {
+      if (event.key === NotificationService.STORAGE_KEY) refresh();
+    };
+
+    NOTIFICATION_EVENTS.forEach(eventType => window.addEventListener(eventType, refresh));
+    window.addEventListener('storage', onStorage);
+    return () => {
+      NOTIFICATION_EVENTS.forEach(eventType => window.removeEventListener(eventType, refresh));
+      window.removeEventListener('storage', onStorage);
+    };
+  }, []);
+
+  const unreadCount = notifications.filter(n => !n.read).length;
+
+  const handleOpen = (notification) => {
+    NotificationService.markAsRead(notification.id);
+    setIsOpen(false);
+    if (notification.actionUrl) {
+      navigate(notification.actionUrl);
+    }
+  };
+
+  const handleDismiss = (event, notification) => {
+    event.stopPropagation();
+    NotificationService.dismissNotification(notification.id);
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="relative p-2 rounded-xl text-text-lo hover:text-text-hi hover:bg-elevated/50 focus:outline-none focus:ring-4 focus:ring-primary/20 transition-all duration-300"
+        aria-label={unreadCount > 0 ? `Notifications, ${unreadCount} unread` : 'Notifications'}
+      >
+        <Bell size={20} />
+        {unreadCount > 0 && (
+          <span className="absolute -top-0.5 -right-0.5 min-w-[18px] h-[18px] px-1 rounded-full bg-warning text-white text-[10px] font-bold flex items-center justify-center">
+            {unreadCount > 9 ? '9+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {isOpen && (
+        <>
+          <div className="fixed inset-0 z-40" onClick={() => setIsOpen(false)}></div>
+          <div className="absolute right-0 mt-2 w-80 bg-elevated/95 backdrop-blur-md rounded-2xl shadow-xl z-50 border border-border overflow-hidden">
+            <div className="flex items-center justify-between px-4 py-3 border-b border-border">
+              <span className="text-sm font-semibold text-text-hi">Notifications</span>
+              {unreadCount > 0 && (
+                <button
+                  onClick={() => NotificationService.markAllAsRead()}
+                  className="text-xs font-medium text-primary hover:underline"
+                >
+                  Mark all read
+                </button>
+              )}
+            </div>
+
+            {notifications.length === 0 ? (
+              <p className="px-4 py-6 text-sm text-text-lo text-center">You're all caught up.</p>
+            ) : (
+              <ul className="max-h-96 overflow-y-auto">
+                {notifications.slice(0, MAX_LISTED).map(notification => (
+                  <li
+                    key={notification.id}
+                    onClick={() => handleOpen(notification)}
+                    className={`flex items-start gap-3 px-4 py-3 cursor-pointer hover:bg-surface/50 transition-colors ${
+                      notification.read ? '' : 'bg-primary/5'
+                    }`}
+                  >
+                    <span className={`mt-1.5 w-2 h-2 rounded-full flex-shrink-0 ${notification.read ? 'bg-transparent' : 'bg-primary'}`}></span>
+                    <div className="flex-1 min-w-0">
+                      <div className="text-sm font-medium text-text-hi">{notification.title}</div>
+                      <div className="text-xs text-text-lo">{notification.message}</div>
+                      <div className="text-[11px] text-text-lo mt-1">{formatTime(notification.createdAt)}</div>
+                    </div>
+                    <button
+                      onClick={(event) => handleDismiss(event, notification)}
+                      className="text-text-lo hover:text-text-hi"
+                      aria-label="Dismiss"
+                    >
+                      <X size={14} />
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default NotificationCenter;
@@ -0,0 +1,216 @@
+import React, { useState } from 'react';
+import { Mail, Plus, Trash2 } from 'lucide-react';
+import ApplicationService from '../services/applicationService';
+import ProfileService from '../services/profileService';
+import {
+  RECOMMENDATION_STATUS,
+  RECOMMENDATION_STATUS_LABELS,
+  getNextStatuses,
+  getLetterDueDate,
+  isLetterOverdue
+} from '../services/recommendationLetters';
+
+const STATUS_COLORS = {
+  [RECOMMENDATION_STATUS.NOT_REQUESTED]: 'text-blue-200',
+  [RECOMMENDATION_STATUS.REQUESTED]: 'text-yellow-300',
+  [RECOMMENDATION_STATUS.REMINDED]: 'text-orange-300',
+  [RECOMMENDATION_STATUS.RECEIVED]: 'text-green-300',
+  [RECOMMENDATION_STATUS.DECLINED]: 'text-gray-400'
+};
+
+const ACTION_LABELS = {
+  [RECOMMENDATION_STATUS.NOT_REQUESTED]: 'Ask again',
+  [RECOMMENDATION_STATUS.REQUESTED]: 'Mark requested',
+  [RECOMMENDATION_STATUS.REMINDED]: 'Log reminder',
+  [RECOMMENDATION_STATUS.RECEIVED]: 'Mark received',
+  [RECOMMENDATION_STATUS.DECLINED]: 'Declined'
+};
+
+const getStudentName = () => {
+  const name = ProfileService.getProfile()?.personalInfo?.name;
+  return name && name !== 'Not specified' ? name : '';
+};
+
+/**
+ * Recommenders for an application: letter request status, due dates and the request email
+ * @param {Object} application - Application
+ * @param {Function} onChange - Called after any recommender is changed, added or removed
+ */
+const RecommendationTracker = ({ application, onChange }) => {
+  const [form, setForm] = useState({ name: '', email: '', relationship: '' });
+  const [email, setEmail] = useState(null); // { recommenderId, subject, body, mailto }
+  const [error, setError] = useState(null);
+
+  const recommenders = application.recommenders || [];
+
+  const run = (action) => {
+    setError(null);
+    try {
+      action();
+      onChange?.();
+    } catch (actionError) {
+      console.error('Error updating recommenders:', actionError);
+      setError(actionError.message);
+    }
+  };
+
+  const handleAdd = (event) => {
+    event.preventDefault();
+    if (!form.name.trim()) return;
+    run(() => ApplicationService.addRecommender(application.id, form));
+    setForm({ name: '', email: '', relationship: '' });
+  };
+
+  const handleShowEmail = (recommender) => {
+    if (email?.recommenderId === recommender.id) {
+      setEmail(null);
+      return;
+    }
+    try {
+      const draft = ApplicationService.getRecommendationEmail(application.id, recommender.id, { studentName: getStudentName() });
+      setEmail({ recommenderId: recommender.id, ...draft });
+    } catch (draftError) {
+      setError(draftError.message);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(`Subject: ${email.subject}\n\n${email.body}`);
+    } catch (copyError) {
+      console.error('Error copying email:', copyError);
+      setError('Could not copy to the clipboard');
+    }
+  };
+
+  return (
+    <div className="space-y-2">
+      {recommenders.length === 0 && (
+        <p className="text-blue-300">No recommenders yet.</p>
+      )}
+
+      {recommenders.map(recommender => {
+        const dueDate = getLetterDueDate(recommender, application);
+        const overdue = isLetterOverdue(recommender, application);
+
+        return (
+          <div
+            key={recommender.id}
+            className={`rounded-lg border p-3 ${overdue ? 'border-red-400/60 bg-red-500/10' : 'border-white/10 bg-white/5'}`}
+          >
+            <div className="flex flex-wrap items-center gap-2">
+              <div className="flex-1">
+                <span className="text-white">{recommender.name}</span>
+                {recommender.relationship && <span className="text-blue-300"> · {recommender.relationship}</span>}
+                <div className="text-xs">
+                  <span className={STATUS_COLORS[recommender.status]}>
+                    {RECOMMENDATION_STATUS_LABELS[recommender.status]}
+                  </span>
+                  {recommender.reminders?.length > 0 && (
+                    <span className="text-blue-300"> · {recommender.reminders.length} reminder{recommender.reminders.length === 1 ? '' : 's'}</span>
+                  )}
+                  {dueDate && recommender.status !== RECOMMENDATION_STATUS.RECEIVED && (
+                    <span className={overdue ? 'text-red-300' : 'text-blue-300'}>
+                      {' '}· {overdue ? 'Overdue since' : 'Due'} {new Date(dueDate).toLocaleDateString()}
+                    </span>
+                  )}
+                </div>
+              </div>
+
+              {getNextStatuses(recommender).map(status => (
+                <button
+                  key={status}
+                  onClick={() => run(() => ApplicationService.setRecommendationStatus(application.id, recommender.id, status))}
+                  className="bg-white/10 hover:bg-white/20 border border-white/20 text-white px-2 py-1 rounded-lg text-xs"
+                >
+                  {ACTION_LABELS[status]}
+                </button>
+              ))}
+
+              {recommender.status !== RECOMMENDATION_STATUS.RECEIVED && recommender.status !== RECOMMENDATION_STATUS.DECLINED && (
+                <button
+                  onClick={() => handleShowEmail(recommender)}
+                  className="p-1 text-blue-300 hover:text-white"
+                  title="Request email"
+                >
+                  <Mail className="w-4 h-4" />
+                </button>
+              )}
+
+              <button
+                onClick={() => run(() => ApplicationService.removeRecommender(application.id, recommender.id))}
+                className="p-1 text-red-400 hover:text-red-300"
+                title="Remove recommender"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </div>
+
+            {email?.recommenderId === recommender.id && (
+              <div className="mt-2 space-y-2">
+                <p className="text-xs text-blue-200">Subject: {email.subject}</p>
+                <textarea
+                  readOnly
+                  value={email.body}
+                  rows={10}
+                  className="w-full bg-white/5 border border-white/20 rounded-lg p-2 text-xs text-white"
+                />
+                <div className="flex gap-2">
+                  {email.to && (
+                    <a
+                      href={email.mailto}
+                      className="bg-blue-600 hover:bg-blue-700 text-white px-3 py-1 rounded-lg text-xs"
+                    >
+                      Open in email app
+                    </a>
+                  )}
+                  <button
+                    onClick={handleCopy}
+                    className="bg-white/10 hover:bg-white/20 border border-white/20 text-white px-3 py-1 rounded-lg text-xs"
+                  >
+                    Copy
+                  </button>
+                </div>
+              </div>
+            )}
+          </div>
+        );
+      })}
+
+      <form onSubmit={handleAdd} className="flex flex-wrap items-center gap-2 pt-1">
+        <input
+          type="text"
+          value={form.name}
+          onChange={(e) => setForm({ ...form, name: e.target.value })}
+          placeholder="Name"
+          className="flex-1 min-w-[8rem] bg-white/10 border border-white/20 rounded-lg px-2 py-1 text-white text-xs placeholder-blue-300"
+        />
+        <input
+          type="email"
+          value={form.email}
+          onChange={(e) => setForm({ ...form, email: e.target.value })}
+          placeholder="Email"
+          className="flex-1 min-w-[8rem] bg-white/10 border border-white/20 rounded-lg px-2 py-1 text-white text-xs placeholder-blue-300"
+        />
+        <input
+          type="text"
+          value={form.relationship}
+          onChange={(e) => setForm({ ...form, relationship: e.target.value })}
+          placeholder="Relationship, e.g. thesis supervisor"
+          className="flex-1 min-w-[8rem] bg-white/10 border border-white/20 rounded-lg px-2 py-1 text-white text-xs placeholder-blue-300"
+        />
+        <button
+          type="submit"
+          disabled={!form.name.trim()}
+          className="flex items-center gap-1 bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white px-3 py-1 rounded-lg text-xs"
+        >
+          <Plus className="w-3 h-3" /> Add
+        </button>
+      </form>
+
+      {error && <p className="text-red-300 text-xs">{error}</p>}
+    </div>
+  );
+};
+
+export default RecommendationTracker;
@@ -0,0 +1,133 @@
+import React, { useState } from 'react';
+import { Bell, BellOff, Bookmark, Trash2 } from 'lucide-react';
+import SavedSearchService from '../services/savedSearchService';
+
+const FREQUENCY_LABELS = {
+  [SavedSearchService.FREQUENCIES.CATALOG_CHANGES]: 'When the catalog changes',
+  [SavedSearchService.FREQUENCIES.DAILY]: 'Daily',
+  [SavedSearchService.FREQUENCIES.WEEKLY]: 'Weekly'
+};
+
+/**
+ * Saved search picker and "save this search" form for the catalog page
+ * @param {Array<Object>} savedSearches - The user's saved searches
+ * @param {string} activeId - Saved search currently applied, if any
+ * @param {Function} onApply - Called with a saved search to apply
+ * @param {Function} onSave - Called with `{ name, frequency }`; may return a promise
+ * @param {Function} onDelete - Called with a saved search to delete
+ * @param {Function} onToggleAlerts - Called with a saved search to switch its alerts on or off
+ */
+const SavedSearchBar = ({ savedSearches = [], activeId = '', onApply, onSave, onDelete, onToggleAlerts }) => {
+  const [isSaving, setIsSaving] = useState(false);
+  const [name, setName] = useState('');
+  const [frequency, setFrequency] = useState(SavedSearchService.FREQUENCIES.DAILY);
+  const [error, setError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const active = savedSearches.find(search => search.id === activeId);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setSubmitting(true);
+    setError(null);
+    try {
+      await onSave({ name, frequency });
+      setName('');
+      setIsSaving(false);
+    } catch (saveError) {
+      setError(saveError.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-3 mb-4">
+      <select
+        value={activeId}
+        onChange={(e) => {
+          const search = savedSearches.find(item => item.id === e.target.value);
+          if (search) onApply(search);
+        }}
+        className="bg-white/10 border border-white/20 rounded-lg px-3 py-2 text-white text-sm"
+      >
+        <option value="" className="bg-slate-800">
+          {savedSearches.length > 0 ? 'Saved searches' : 'No saved searches'}
+        </option>
+        {savedSearches.map(search => (
+          <option key={search.id} value={search.id} className="bg-slate-800">
+            {search.name}
+          </option>
+        ))}
+      </select>
+
+      {active && (
+        <>
+          <button
+            onClick={() => onToggleAlerts(active)}
+            className="flex items-center gap-1 text-blue-200 hover:text-white text-sm"
+            title={active.alertsEnabled ? `Alerts: ${FREQUENCY_LABELS[active.frequency]}` : 'Alerts off'}
+          >
+            {active.alertsEnabled ? <Bell className="w-4 h-4" /> : <BellOff className="w-4 h-4" />}
+            {active.alertsEnabled ? 'Alerts on' : 'Alerts off'}
+          </button>
+          <button
+            onClick={() => onDelete(active)}
+            className="flex items-center gap-1 text-red-300 hover:text-red-200 text-sm"
+          >
+            <Trash2 className="w-4 h-4" />
+            Delete
+          </button>
+        </>
+      )}
+
+      {isSaving ? (
+        <form onSubmit={handleSubmit} className="flex flex-wrap items-center gap-2">
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="Name this search"
+            autoFocus
+            className="bg-white/10 border border-white/20 rounded-lg px-3 py-2 text-white text-sm placeholder-blue-200"
+          />
+          <select
+            value={frequency}
+            onChange={(e) => setFrequency(e.target.value)}
+            className="bg-white/10 border border-white/20 rounded-lg px-3 py-2 text-white text-sm"
+            title="How often to check for new matches"
+          >
+            {Object.entries(FREQUENCY_LABELS).map(([value, label]) => (
+              <option key={value} value={value} className="bg-slate-800">{label}</option>
+            ))}
+          </select>
+          <button
+            type="submit"
+            disabled={submitting || !name.trim()}
+            className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg text-sm transition-colors disabled:opacity-50"
+          >
+            {submitting ? 'Saving...' : 'Save'}
+          </button>
+          <button
+            type="button"
+            onClick={() => setIsSaving(false)}
+            className="text-blue-200 hover:text-white text-sm"
+          >
+            Cancel
+          </button>
+          {error && <span className="text-red-300 text-sm">{error}</span>}
+        </form>
+      ) : (
+        <button
+          onClick={() => setIsSaving(true)}
+          className="flex items-center gap-1 text-blue-200 hover:text-white text-sm"
+        >
+          <Bookmark className="w-4 h-4" />
+          Save this search
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default SavedSearchBar;
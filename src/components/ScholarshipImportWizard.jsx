@@ -0,0 +1,350 @@
+import React, { useState } from 'react';
+import { AlertTriangle, ArrowLeft, CheckCircle, Upload, X } from 'lucide-react';
+import { toast } from 'react-hot-toast';
+import ScholarshipImportService, {
+  DUPLICATE_ACTIONS,
+  IMPORT_FIELDS,
+  IMPORT_ROW_STATUS
+} from '../services/scholarshipImportService';
+
+const STEPS = ['Upload', 'Map columns', 'Review', 'Done'];
+
+const STATUS_STYLES = {
+  [IMPORT_ROW_STATUS.CREATE]: { label: 'New', className: 'bg-green-100 text-green-800' },
+  [IMPORT_ROW_STATUS.UPDATE]: { label: 'Update', className: 'bg-blue-100 text-blue-800' },
+  [IMPORT_ROW_STATUS.UNCHANGED]: { label: 'Unchanged', className: 'bg-gray-100 text-gray-700' },
+  [IMPORT_ROW_STATUS.DUPLICATE]: { label: 'Duplicate', className: 'bg-yellow-100 text-yellow-800' },
+  [IMPORT_ROW_STATUS.INVALID]: { label: 'Invalid', className: 'bg-red-100 text-red-800' }
+};
+
+const SAMPLE_ROWS = 3;
+
+/**
+ * Bulk scholarship import: upload a CSV, JSON or XLSX file, map its columns
+ * onto the catalog fields, review the dry-run report, then commit it
+ * @param {Function} onClose - Called when the wizard is dismissed
+ * @param {Function} onImported - Called with the commit result after rows are written
+ */
+const ScholarshipImportWizard = ({ onClose, onImported }) => {
+  const [step, setStep] = useState(0);
+  const [table, setTable] = useState(null);
+  const [fileName, setFileName] = useState('');
+  const [sourceName, setSourceName] = useState('');
+  const [mapping, setMapping] = useState({});
+  const [duplicates, setDuplicates] = useState(DUPLICATE_ACTIONS.SKIP);
+  const [report, setReport] = useState(null);
+  const [result, setResult] = useState(null);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState(null);
+
+  const mappingProblems = table ? ScholarshipImportService.getMappingProblems(mapping) : [];
+
+  const handleFile = async (event) => {
+    const file = event.target.files?.[0];
+    if (!file) return;
+
+    setWorking(true);
+    setError(null);
+    try {
+      const data = await ScholarshipImportService.readFile(file);
+      setTable(data);
+      setFileName(file.name);
+      setSourceName(current => current || file.name.replace(/\.[^.]+$/, ''));
+      setMapping(ScholarshipImportService.suggestMapping(data.columns));
+    } catch (readError) {
+      console.error('Error reading import file:', readError);
+      setError(readError.message);
+      setTable(null);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const runDryRun = async (duplicateAction = duplicates) => {
+    setWorking(true);
+    setError(null);
+    try {
+      ScholarshipImportService.saveMapping(mapping);
+      const dryRun = await ScholarshipImportService.buildDryRun(table, mapping, {
+        sourceName: sourceName.trim() || 'import',
+        duplicates: duplicateAction
+      });
+      setReport(dryRun);
+      setStep(2);
+    } catch (dryRunError) {
+      console.error('Error building import report:', dryRunError);
+      setError(dryRunError.message);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleDuplicatesChange = (value) => {
+    setDuplicates(value);
+    runDryRun(value);
+  };
+
+  const handleCommit = async () => {
+    setWorking(true);
+    setError(null);
+    try {
+      const commitResult = await ScholarshipImportService.commitImport(report);
+      setResult(commitResult);
+      setStep(3);
+      if (commitResult.failed.length > 0) {
+        toast.error(`${commitResult.failed.length} scholarship(s) could not be saved`);
+      } else {
+        toast.success('Import complete');
+      }
+      onImported?.(commitResult);
+    } catch (commitError) {
+      console.error('Error committing import:', commitError);
+      setError(commitError.message);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const writeCount = report ? report.summary[IMPORT_ROW_STATUS.CREATE] + report.summary[IMPORT_ROW_STATUS.UPDATE] : 0;
+  const visibleRows = report ? report.rows.filter(row => !statusFilter || row.status === statusFilter) : [];
+
+  const renderUpload = () => (
+    <div className="space-y-4">
+      <label className="flex flex-col items-center justify-center border-2 border-dashed border-gray-300 rounded-lg p-8 cursor-pointer hover:border-indigo-400">
+        <Upload className="h-8 w-8 text-gray-400 mb-2" />
+        <span className="text-sm font-medium text-gray-700">{fileName || 'Choose a CSV, JSON or XLSX file'}</span>
+        {table && (
+          <span className="text-xs text-gray-500 mt-1">
+            {table.rows.length} rows, {table.columns.length} columns
+          </span>
+        )}
+        <input type="file" accept=".csv,.tsv,.txt,.json,.xlsx" onChange={handleFile} className="hidden" />
+      </label>
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">Source name</label>
+        <input
+          type="text"
+          value={sourceName}
+          onChange={(e) => setSourceName(e.target.value)}
+          placeholder="e.g. partner-feed"
+          className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+        />
+        <p className="text-xs text-gray-500 mt-1">
+          Re-importing from the same source with a Source ID column updates those scholarships in place.
+        </p>
+      </div>
+      <div className="flex justify-end">
+        <button
+          onClick={() => setStep(1)}
+          disabled={!table || working}
+          className="px-4 py-2 rounded-md text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+        >
+          Next
+        </button>
+      </div>
+    </div>
+  );
+
+  const renderMapping = () => (
+    <div className="space-y-4">
+      <div className="overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Column</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Sample values</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Import as</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {table.columns.map(column => (
+              <tr key={column}>
+                <td className="px-4 py-2 text-sm font-medium text-gray-900">{column}</td>
+                <td className="px-4 py-2 text-sm text-gray-500 max-w-xs truncate">
+                  {table.rows.slice(0, SAMPLE_ROWS).map(row => String(row[column] ?? '')).filter(Boolean).join(' · ')}
+                </td>
+                <td className="px-4 py-2">
+                  <select
+                    value={mapping[column] || ''}
+                    onChange={(e) => setMapping({ ...mapping, [column]: e.target.value })}
+                    className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+                  >
+                    <option value="">Don't import</option>
+                    {IMPORT_FIELDS.map(field => (
+                      <option key={field.key} value={field.key}>
+                        {field.label}{field.required ? ' *' : ''}
+                      </option>
+                    ))}
+                  </select>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      {mappingProblems.length > 0 && (
+        <ul className="text-sm text-red-600 list-disc list-inside">
+          {mappingProblems.map(problem => <li key={problem}>{problem}</li>)}
+        </ul>
+      )}
+      <div className="flex justify-between">
+        <button onClick={() => setStep(0)} className="inline-flex items-center px-4 py-2 text-sm text-gray-700 hover:text-gray-900">
+          <ArrowLeft className="h-4 w-4 mr-1" />
+          Back
+        </button>
+        <button
+          onClick={() => runDryRun()}
+          disabled={mappingProblems.length > 0 || working}
+          className="px-4 py-2 rounded-md text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+        >
+          {working ? 'Checking rows...' : 'Run dry run'}
+        </button>
+      </div>
+    </div>
+  );
+
+  const renderReport = () => (
+    <div className="space-y-4">
+      <div className="flex flex-wrap gap-2">
+        <button
+          onClick={() => setStatusFilter('')}
+          className={`px-3 py-1 rounded-full text-xs font-medium ${statusFilter === '' ? 'bg-indigo-600 text-white' : 'bg-gray-100 text-gray-700'}`}
+        >
+          All {report.summary.total}
+        </button>
+        {Object.values(IMPORT_ROW_STATUS).map(status => (
+          <button
+            key={status}
+            onClick={() => setStatusFilter(status)}
+            className={`px-3 py-1 rounded-full text-xs font-medium ${statusFilter === status ? 'bg-indigo-600 text-white' : STATUS_STYLES[status].className}`}
+          >
+            {STATUS_STYLES[status].label} {report.summary[status]}
+          </button>
+        ))}
+      </div>
+
+      {report.notices.length > 0 && (
+        <div className="rounded-md bg-yellow-50 p-3 text-sm text-yellow-800 space-y-1">
+          {report.notices.map(notice => (
+            <p key={notice} className="flex items-start">
+              <AlertTriangle className="h-4 w-4 mr-2 mt-0.5 flex-shrink-0" />
+              {notice}
+            </p>
+          ))}
+        </div>
+      )}
+
+      <div className="flex items-center space-x-2 text-sm text-gray-700">
+        <span>Rows that look like an existing scholarship:</span>
+        <select
+          value={duplicates}
+          onChange={(e) => handleDuplicatesChange(e.target.value)}
+          disabled={working}
+          className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+        >
+          <option value={DUPLICATE_ACTIONS.SKIP}>Skip</option>
+          <option value={DUPLICATE_ACTIONS.UPDATE}>Update the existing scholarship</option>
+        </select>
+      </div>
+
+      <div className="overflow-x-auto max-h-96 overflow-y-auto border border-gray-200 rounded-md">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50 sticky top-0">
+            <tr>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Line</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Scholarship</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Details</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {visibleRows.map(row => (
+              <tr key={row.row}>
+                <td className="px-4 py-2 text-sm text-gray-500">{row.row}</td>
+                <td className="px-4 py-2">
+                  <span className={`px-2 py-1 rounded-full text-xs font-medium ${STATUS_STYLES[row.status].className}`}>
+                    {STATUS_STYLES[row.status].label}
+                  </span>
+                </td>
+                <td className="px-4 py-2 text-sm text-gray-900">{row.title || <span className="text-gray-400">Untitled</span>}</td>
+                <td className="px-4 py-2 text-sm">
+                  {row.match && (
+                    <p className="text-gray-600">
+                      {row.match.row ? `Same as line ${row.match.row}` : `Matches "${row.match.title}"`}
+                      {row.match.score < 1 && ` (${Math.round(row.match.score * 100)}% similar)`}
+                    </p>
+                  )}
+                  {row.errors.map((message, index) => <p key={`error-${index}`} className="text-red-600">{message}</p>)}
+                  {row.warnings.map((message, index) => <p key={`warning-${index}`} className="text-yellow-700">{message}</p>)}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="flex justify-between">
+        <button onClick={() => setStep(1)} disabled={working} className="inline-flex items-center px-4 py-2 text-sm text-gray-700 hover:text-gray-900">
+          <ArrowLeft className="h-4 w-4 mr-1" />
+          Back
+        </button>
+        <button
+          onClick={handleCommit}
+          disabled={writeCount === 0 || working}
+          className="px-4 py-2 rounded-md text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+        >
+          {working ? 'Importing...' : `Import ${writeCount} scholarship${writeCount === 1 ? '' : 's'}`}
+        </button>
+      </div>
+    </div>
+  );
+
+  const renderResult = () => (
+    <div className="space-y-4">
+      <div className="flex items-center text-green-700">
+        <CheckCircle className="h-5 w-5 mr-2" />
+        <span className="text-sm font-medium">
+          {result.created} added, {result.updated} updated
+        </span>
+      </div>
+      {result.failed.length > 0 && (
+        <div className="rounded-md bg-red-50 p-3 text-sm text-red-700 space-y-1">
+          {result.failed.map(item => (
+            <p key={item.row}>Line {item.row} ({item.title}): {item.error}</p>
+          ))}
+        </div>
+      )}
+      <div className="flex justify-end">
+        <button onClick={onClose} className="px-4 py-2 rounded-md text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700">
+          Close
+        </button>
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="bg-white rounded-lg shadow">
+      <div className="px-6 py-4 border-b border-gray-200 flex justify-between items-center">
+        <div>
+          <h3 className="text-lg font-medium text-gray-900">Import Scholarships</h3>
+          <p className="text-sm text-gray-500">
+            Step {step + 1} of {STEPS.length}: {STEPS[step]}
+          </p>
+        </div>
+        <button onClick={onClose} className="text-gray-400 hover:text-gray-600" aria-label="Close import">
+          <X className="h-5 w-5" />
+        </button>
+      </div>
+      <div className="p-6">
+        {error && <div className="mb-4 rounded-md bg-red-50 p-3 text-sm text-red-700">{error}</div>}
+        {step === 0 && renderUpload()}
+        {step === 1 && table && renderMapping()}
+        {step === 2 && report && renderReport()}
+        {step === 3 && result && renderResult()}
+      </div>
+    </div>
+  );
+};
+
+export default ScholarshipImportWizard;
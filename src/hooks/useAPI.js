@@ -85,13 +85,13 @@ export const useScholarshipSearch = () => {
   const queryClient = useQueryClient();
   
   return useMutation({
-    mutationFn: async ({ profile, preferences = {} }) => {
+    mutationFn: async ({ profile, preferences = {}, includeIneligible = false }) => {
       if (!profile) {
         throw new Error('Profile is required for scholarship search');
       }
 
       // Use optimized API with vector search + Gemini refinement
-      const response = await OptimizedScholarSeekerAPI.findScholarshipsOptimized(profile, preferences);
+      const response = await OptimizedScholarSeekerAPI.findScholarshipsOptimized(profile, preferences, { includeIneligible });
       
       if (!response.success) {
         throw new Error(response.error || 'Failed to find scholarships');
@@ -102,7 +102,7 @@ export const useScholarshipSearch = () => {
     onSuccess: (data, variables) => {
       // Cache scholarship results
       queryClient.setQueryData(
-        [QUERY_KEYS.SCHOLARSHIPS, variables.profile?.id, variables.preferences], 
+        [QUERY_KEYS.SCHOLARSHIPS, variables.profile?.id, variables.preferences, Boolean(variables.includeIneligible)], 
         data
       );
       
@@ -38,7 +38,7 @@ export const MICROCOPY = {
   errorHints: {
     uploadFailed: "Upload failed. Please check your file format and try again.",
     networkError: "Connection lost. Please check your internet and retry.",
-    invalidFile: "Invalid file type. Please upload PDF, DOC, or DOCX files.",
+    invalidFile: "Invalid file type. Please upload PDF, DOCX, ODT, RTF, or TXT files.",
     fileTooLarge: "File too large. Please upload files smaller than 10MB.",
     profileIncomplete: "Complete all required fields to continue matching scholarships.",
     sessionExpired: "Your session expired. Please log in again to continue.",
@@ -107,7 +107,7 @@ export const VALIDATION = {
   email: "Please enter a valid email address",
   password: "Password must be at least 8 characters",
   match: "Passwords don't match",
-  fileType: "Please upload a PDF, DOC, or DOCX file",
+  fileType: "Please upload a PDF, DOCX, ODT, RTF, or TXT file",
   fileSize: "File must be smaller than 10MB",
   gpa: "GPA must be between 0.0 and 4.0",
   year: "Please select a valid graduation year"
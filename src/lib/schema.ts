@@ -24,5 +24,144 @@ export const ScholarshipSchema = z.object({
   fitScore: z.number().min(0).max(1),
 });
 
+// LLM output schemas. Model responses are validated against these before use;
+// see LLMService.generateJSON for the repair-and-retry loop.
+
+const IsoDateSchema = z.string().regex(/^\d{4}-\d{2}-\d{2}$/);
+const MatchScoreSchema = z.number().min(0).max(100);
+const OptionalTextSchema = z.string().nullable().optional();
+
+// Models often answer a single item where a list was asked for
+const StringListSchema = z
+  .union([z.array(z.string()), z.string()])
+  .transform((value) => (Array.isArray(value) ? value : [value]));
+
+export const LLMScholarshipSchema = z.object({
+  id: z.union([z.string(), z.number()]).transform(String).optional(),
+  title: z.string().min(1),
+  provider: z.string().min(1),
+  amount: z.string().min(1),
+  deadline: z.union([IsoDateSchema, z.literal("varies")]),
+  country: z.string().min(1),
+  degreeLevel: z.string().min(1),
+  fieldOfStudy: StringListSchema,
+  eligibility: StringListSchema,
+  description: z.string(),
+  applicationUrl: z.string().url().nullable().optional(),
+  matchScore: MatchScoreSchema,
+});
+
+export const LLMScholarshipListSchema = z.array(LLMScholarshipSchema);
+
+export const MatchResultSchema = z.object({
+  scholarship_id: z.union([z.string(), z.number()]).transform(String),
+  name: z.string().min(1),
+  provider: OptionalTextSchema,
+  match_score: MatchScoreSchema,
+  match_reasons: z.array(z.string()).min(1),
+  eligibility_status: z.enum(["eligible", "conditional", "ineligible"]),
+  deadline: z.union([IsoDateSchema, z.literal("varies")]).nullable().optional(),
+  amount: z.union([z.number(), z.string()]).nullable().optional(),
+  currency: OptionalTextSchema,
+  application_url: OptionalTextSchema,
+  key_requirements: z.array(z.string()).optional().default([]),
+});
+
+export const MatchRefinementSchema = z.object({
+  matches: z.array(MatchResultSchema),
+  total_analyzed: z.number().int().nonnegative().optional(),
+  processing_notes: z.string().optional(),
+});
+
+export const ScholarshipEnhancementSchema = z.object({
+  matchReason: z.string().min(1),
+  applicationTips: z.string().min(1),
+  enhancedMatchScore: MatchScoreSchema,
+});
+
+export const ScholarshipEnhancementListSchema = z.array(ScholarshipEnhancementSchema);
+
+export const CVExtractionSchema = z.object({
+  personalInfo: z
+    .object({
+      name: OptionalTextSchema,
+      email: OptionalTextSchema,
+      phone: OptionalTextSchema,
+      location: OptionalTextSchema,
+    })
+    .optional()
+    .default({}),
+  education: z
+    .array(
+      z.object({
+        degree: z.string().min(1),
+        institution: OptionalTextSchema,
+        year: z.union([z.string(), z.number()]).transform(String).nullable().optional(),
+        gpa: z.union([z.string(), z.number()]).transform(String).nullable().optional(),
+      })
+    )
+    .optional()
+    .default([]),
+  experience: z
+    .array(
+      z.object({
+        title: z.string().min(1),
+        company: OptionalTextSchema,
+        duration: OptionalTextSchema,
+        description: OptionalTextSchema,
+      })
+    )
+    .optional()
+    .default([]),
+  skills: z.array(z.string()).optional().default([]),
+  achievements: z.array(z.string()).optional().default([]),
+  interests: z.array(z.string()).optional().default([]),
+});
+
+// Essay feedback refers back to the rubric criteria and prompt requirements it
+// was given by ID; overall scores are weighted from the rubric, not asked for
+const FeedbackIdSchema = z.union([z.string(), z.number()]).transform(String);
+
+export const EssayFeedbackSchema = z.object({
+  summary: z.string().min(1),
+  strengths: StringListSchema.optional().default([]),
+  rubric: z
+    .array(
+      z.object({
+        id: FeedbackIdSchema,
+        score: MatchScoreSchema,
+        evidence: OptionalTextSchema,
+        suggestion: OptionalTextSchema,
+      })
+    )
+    .min(1),
+  promptRequirements: z
+    .array(
+      z.object({
+        id: FeedbackIdSchema,
+        met: z.boolean(),
+        detail: OptionalTextSchema,
+      })
+    )
+    .optional()
+    .default([]),
+  unsupportedClaims: z
+    .array(
+      z.object({
+        quote: z.string().min(1),
+        reason: z.string().min(1),
+        suggestion: OptionalTextSchema,
+      })
+    )
+    .optional()
+    .default([]),
+});
+
 export type Profile = z.infer<typeof ProfileSchema>;
-export type Scholarship = z.infer<typeof ScholarshipSchema>;
\ No newline at end of file
+export type Scholarship = z.infer<typeof ScholarshipSchema>;
+export type LLMScholarship = z.infer<typeof LLMScholarshipSchema>;
+export type MatchResult = z.infer<typeof MatchResultSchema>;
+export type MatchRefinement = z.infer<typeof MatchRefinementSchema>;
+export type ScholarshipEnhancement = z.infer<typeof ScholarshipEnhancementSchema>;
+export type CVExtraction = z.infer<typeof CVExtractionSchema>;
+export type EssayFeedback = z.infer<typeof EssayFeedbackSchema>;
\ No newline at end of file
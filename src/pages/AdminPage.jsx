@@ -12,10 +12,14 @@ import {
   Eye,
   Edit,
   Trash2,
-  Plus
+  Plus,
+  Upload
 } from 'lucide-react';
 import { toast } from 'react-hot-toast';
 import LoadingSpinner from '../components/LoadingSpinner';
+import ScholarshipImportWizard from '../components/ScholarshipImportWizard';
+import ScholarshipImportService from '../services/scholarshipImportService';
+import SupabaseService from '../services/supabaseService';
 
 const AdminPage = () => {
   const { user } = useAuth();
@@ -30,6 +34,9 @@ const AdminPage = () => {
   const [users, setUsers] = useState([]);
   const [scholarships, setScholarships] = useState([]);
   const [applications, setApplications] = useState([]);
+  const [showImport, setShowImport] = useState(false);
+  const [exportFormat, setExportFormat] = useState('csv');
+  const [exporting, setExporting] = useState(false);
 
   useEffect(() => {
     if (user?.role !== 'admin') {
@@ -224,14 +231,64 @@ const AdminPage = () => {
     </div>
   );
 
-  const renderScholarships = () => (
+  const handleExportScholarships = async () => {
+    try {
+      setExporting(true);
+      const catalog = await SupabaseService.getAllScholarships();
+      const { blob, fileName } = await ScholarshipImportService.exportCatalog(catalog, exportFormat);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = fileName;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error exporting scholarships:', error);
+      toast.error('Failed to export scholarships');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const renderScholarships = () => showImport ? (
+    <ScholarshipImportWizard
+      onClose={() => setShowImport(false)}
+      onImported={() => fetchAdminData()}
+    />
+  ) : (
     <div className="bg-white rounded-lg shadow">
       <div className="px-6 py-4 border-b border-gray-200 flex justify-between items-center">
         <h3 className="text-lg font-medium text-gray-900">Scholarships Management</h3>
-        <button className="inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700">
-          <Plus className="h-4 w-4 mr-2" />
-          Add Scholarship
-        </button>
+        <div className="flex items-center space-x-3">
+          <select
+            value={exportFormat}
+            onChange={(e) => setExportFormat(e.target.value)}
+            className="border border-gray-300 rounded-md px-2 py-2 text-sm"
+          >
+            <option value="csv">CSV</option>
+            <option value="json">JSON</option>
+            <option value="xlsx">Excel</option>
+          </select>
+          <button
+            onClick={handleExportScholarships}
+            disabled={exporting}
+            className="inline-flex items-center px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+          >
+            <Download className="h-4 w-4 mr-2" />
+            Export
+          </button>
+          <button
+            onClick={() => setShowImport(true)}
+            className="inline-flex items-center px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+          >
+            <Upload className="h-4 w-4 mr-2" />
+            Import
+          </button>
+          <button className="inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700">
+            <Plus className="h-4 w-4 mr-2" />
+            Add Scholarship
+          </button>
+        </div>
       </div>
       <div className="p-6">
         <p className="text-gray-500">Scholarships management interface will be implemented here.</p>
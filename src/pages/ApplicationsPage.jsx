@@ -1,6 +1,12 @@
 import React, { useState, useEffect } from 'react';
 import ApplicationService from '../services/applicationService';
+import { STATUS_LABELS } from '../services/applicationWorkflow';
 import AnalyticsService from '../services/analyticsService';
+import ApplicationChecklist from '../components/ApplicationChecklist';
+import RecommendationTracker from '../components/RecommendationTracker';
+import EssayWorkspace from '../components/EssayWorkspace';
+import EssayService from '../services/essayService';
+import { RECOMMENDATION_STATUS, isLetterOverdue } from '../services/recommendationLetters';
 
 const ApplicationsPage = () => {
   const [applications, setApplications] = useState([]);
@@ -17,12 +23,13 @@ const ApplicationsPage = () => {
     AnalyticsService.trackPageView('/applications');
   }, []);
 
-  const loadApplicationData = () => {
+  // Checklist and recommender edits refresh in place, without the loading screen collapsing the cards
+  const loadApplicationData = ({ showLoading = true } = {}) => {
     try {
-      setLoading(true);
+      if (showLoading) setLoading(true);
       
-      const allApplications = ApplicationService.getAllApplications();
-      const userFavorites = ApplicationService.getFavorites();
+      const allApplications = ApplicationService.getApplications();
+      const userFavorites = Object.values(ApplicationService.getFavorites());
       const stats = ApplicationService.getStatistics();
       const deadlines = ApplicationService.getUpcomingDeadlines(30); // Next 30 days
       
@@ -39,7 +46,7 @@ const ApplicationsPage = () => {
 
   const handleStatusChange = (applicationId, newStatus) => {
     try {
-      ApplicationService.updateApplicationStatus(applicationId, newStatus);
+      ApplicationService.transitionApplication(applicationId, newStatus, { source: 'applications_page' });
       loadApplicationData();
       
       AnalyticsService.trackEvent(AnalyticsService.EVENTS.APPLICATION_STATUS_CHANGED, {
@@ -78,7 +85,7 @@ const ApplicationsPage = () => {
 
   const handleRemoveFavorite = (scholarshipId) => {
     try {
-      ApplicationService.removeFavorite(scholarshipId);
+      ApplicationService.removeFromFavorites(scholarshipId);
       loadApplicationData();
     } catch (error) {
       console.error('Error removing favorite:', error);
@@ -120,13 +127,13 @@ const ApplicationsPage = () => {
     filtered.sort((a, b) => {
       switch (sortBy) {
         case 'deadline':
-          return new Date(a.deadline) - new Date(b.deadline);
+          return new Date(a.timeline.deadline) - new Date(b.timeline.deadline);
         case 'amount':
-          return (b.amount || 0) - (a.amount || 0);
+          return (b.scholarship.amount || 0) - (a.scholarship.amount || 0);
         case 'status':
           return a.status.localeCompare(b.status);
         case 'title':
-          return a.title.localeCompare(b.title);
+          return (a.scholarship.title || '').localeCompare(b.scholarship.title || '');
         default:
           return new Date(b.createdAt) - new Date(a.createdAt);
       }
@@ -137,12 +144,13 @@ const ApplicationsPage = () => {
 
   const getStatusColor = (status) => {
     switch (status) {
-      case 'draft': return 'bg-gray-500/20 text-gray-300';
-      case 'in-progress': return 'bg-blue-500/20 text-blue-300';
-      case 'submitted': return 'bg-green-500/20 text-green-300';
-      case 'accepted': return 'bg-emerald-500/20 text-emerald-300';
-      case 'rejected': return 'bg-red-500/20 text-red-300';
-      case 'waitlisted': return 'bg-yellow-500/20 text-yellow-300';
+      case ApplicationService.STATUS.SAVED: return 'bg-gray-500/20 text-gray-300';
+      case ApplicationService.STATUS.IN_PROGRESS: return 'bg-blue-500/20 text-blue-300';
+      case ApplicationService.STATUS.SUBMITTED: return 'bg-green-500/20 text-green-300';
+      case ApplicationService.STATUS.UNDER_REVIEW: return 'bg-yellow-500/20 text-yellow-300';
+      case ApplicationService.STATUS.ACCEPTED: return 'bg-emerald-500/20 text-emerald-300';
+      case ApplicationService.STATUS.REJECTED: return 'bg-red-500/20 text-red-300';
+      case ApplicationService.STATUS.EXPIRED: return 'bg-orange-500/20 text-orange-300';
       default: return 'bg-gray-500/20 text-gray-300';
     }
   };
@@ -231,7 +239,7 @@ const ApplicationsPage = () => {
             <div className="flex items-center justify-between">
               <div>
                 <p className="text-blue-200 text-sm">Submitted</p>
-                <p className="text-3xl font-bold text-green-300">{statistics.submitted || 0}</p>
+                <p className="text-3xl font-bold text-green-300">{statistics.byStatus?.[ApplicationService.STATUS.SUBMITTED] || 0}</p>
               </div>
               <span className="text-3xl">✅</span>
             </div>
@@ -241,7 +249,7 @@ const ApplicationsPage = () => {
             <div className="flex items-center justify-between">
               <div>
                 <p className="text-blue-200 text-sm">In Progress</p>
-                <p className="text-3xl font-bold text-blue-300">{statistics.inProgress || 0}</p>
+                <p className="text-3xl font-bold text-blue-300">{statistics.byStatus?.[ApplicationService.STATUS.IN_PROGRESS] || 0}</p>
               </div>
               <span className="text-3xl">⏳</span>
             </div>
@@ -300,12 +308,9 @@ const ApplicationsPage = () => {
                   className="bg-white/10 border border-white/20 rounded-lg px-3 py-2 text-white text-sm"
                 >
                   <option value="all">All Statuses</option>
-                  <option value="draft">Draft</option>
-                  <option value="in-progress">In Progress</option>
-                  <option value="submitted">Submitted</option>
-                  <option value="accepted">Accepted</option>
-                  <option value="rejected">Rejected</option>
-                  <option value="waitlisted">Waitlisted</option>
+                  {Object.values(ApplicationService.STATUS).map(status => (
+                    <option key={status} value={status}>{STATUS_LABELS[status]}</option>
+                  ))}
                 </select>
               </div>
               
@@ -343,70 +348,151 @@ const ApplicationsPage = () => {
                 </a>
               </div>
             ) : (
-              getFilteredApplications().map((application) => (
-                <div
-                  key={application.id}
-                  className="bg-white/10 backdrop-blur-sm rounded-lg border border-white/20 p-6"
-                >
-                  <div className="flex items-start justify-between mb-4">
-                    <div className="flex-1">
-                      <h3 className="text-xl font-semibold text-white mb-2">
-                        {application.title}
-                      </h3>
-                      <div className="flex items-center space-x-4 text-sm">
-                        <span className="text-green-300 font-semibold">
-                          {formatAmount(application.amount)}
-                        </span>
-                        <span className={`px-2 py-1 rounded-full text-xs font-medium ${getStatusColor(application.status)}`}>
-                          {application.status.replace('-', ' ').toUpperCase()}
-                        </span>
-                        <span className={`font-medium ${getDeadlineColor(application.deadline)}`}>
-                          {formatDeadline(application.deadline)}
-                        </span>
+              getFilteredApplications().map((application) => {
+                const transitions = ApplicationService.getAvailableTransitions(application.id);
+                const blocked = transitions.filter(transition => !transition.allowed);
+                const checklist = ApplicationService.getChecklist(application.id);
+                const recommenders = application.recommenders || [];
+                const lettersReceived = recommenders.filter(recommender => recommender.status === RECOMMENDATION_STATUS.RECEIVED).length;
+                const lettersOverdue = recommenders.filter(recommender => isLetterOverdue(recommender, application)).length;
+                const essayCount = EssayService.getEssays(application.id).length;
+
+                return (
+                  <div
+                    key={application.id}
+                    className="bg-white/10 backdrop-blur-sm rounded-lg border border-white/20 p-6"
+                  >
+                    <div className="flex items-start justify-between mb-4">
+                      <div className="flex-1">
+                        <h3 className="text-xl font-semibold text-white mb-2">
+                          {application.scholarship.title}
+                        </h3>
+                        <div className="flex items-center space-x-4 text-sm">
+                          <span className="text-green-300 font-semibold">
+                            {formatAmount(application.scholarship.amount)}
+                          </span>
+                          <span className={`px-2 py-1 rounded-full text-xs font-medium ${getStatusColor(application.status)}`}>
+                            {(STATUS_LABELS[application.status] || application.status).toUpperCase()}
+                          </span>
+                          <span className={`font-medium ${getDeadlineColor(application.timeline.deadline)}`}>
+                            {formatDeadline(application.timeline.deadline)}
+                          </span>
+                        </div>
                       </div>
-                    </div>
-                    
-                    <div className="flex items-center space-x-2">
-                      <select
-                        value={application.status}
-                        onChange={(e) => handleStatusChange(application.id, e.target.value)}
-                        className="bg-white/10 border border-white/20 rounded-lg px-3 py-1 text-white text-sm"
-                      >
-                        <option value="draft">Draft</option>
-                        <option value="in-progress">In Progress</option>
-                        <option value="submitted">Submitted</option>
-                        <option value="accepted">Accepted</option>
-                        <option value="rejected">Rejected</option>
-                        <option value="waitlisted">Waitlisted</option>
-                      </select>
                       
-                      <button
-                        onClick={() => handleDeleteApplication(application.id)}
-                        className="p-2 text-red-400 hover:text-red-300 transition-colors"
-                        title="Delete application"
-                      >
-                        <svg className="w-5 h-5" fill="currentColor" viewBox="0 0 20 20">
-                          <path fillRule="evenodd" d="M9 2a1 1 0 00-.894.553L7.382 4H4a1 1 0 000 2v10a2 2 0 002 2h8a2 2 0 002-2V6a1 1 0 100-2h-3.382l-.724-1.447A1 1 0 0011 2H9zM7 8a1 1 0 012 0v6a1 1 0 11-2 0V8zm5-1a1 1 0 00-1 1v6a1 1 0 102 0V8a1 1 0 00-1-1z" clipRule="evenodd" />
-                        </svg>
-                      </button>
-                    </div>
-                  </div>
-                  
-                  {application.notes && (
-                    <div className="mb-4">
-                      <h4 className="text-white font-medium text-sm mb-2">Notes:</h4>
-                      <p className="text-blue-200 text-sm">{application.notes}</p>
+                      <div className="flex items-center space-x-2">
+                        {transitions.length > 0 && (
+                          <select
+                            value=""
+                            onChange={(e) => e.target.value && handleStatusChange(application.id, e.target.value)}
+                            className="bg-white/10 border border-white/20 rounded-lg px-3 py-1 text-white text-sm"
+                          >
+                            <option value="" className="bg-slate-800">Next step...</option>
+                            {transitions.map(transition => (
+                              <option
+                                key={transition.to}
+                                value={transition.to}
+                                disabled={!transition.allowed}
+                                title={transition.blockers.join('. ')}
+                                className="bg-slate-800"
+                              >
+                                {transition.label}
+                              </option>
+                            ))}
+                          </select>
+                        )}
+                        
+                        <button
+                          onClick={() => handleDeleteApplication(application.id)}
+                          className="p-2 text-red-400 hover:text-red-300 transition-colors"
+                          title="Delete application"
+                        >
+                          <svg className="w-5 h-5" fill="currentColor" viewBox="0 0 20 20">
+                            <path fillRule="evenodd" d="M9 2a1 1 0 00-.894.553L7.382 4H4a1 1 0 000 2v10a2 2 0 002 2h8a2 2 0 002-2V6a1 1 0 100-2h-3.382l-.724-1.447A1 1 0 0011 2H9zM7 8a1 1 0 012 0v6a1 1 0 11-2 0V8zm5-1a1 1 0 00-1 1v6a1 1 0 102 0V8a1 1 0 00-1-1z" clipRule="evenodd" />
+                          </svg>
+                        </button>
+                      </div>
                     </div>
-                  )}
-                  
-                  <div className="flex items-center justify-between text-sm text-blue-300">
-                    <span>Created: {new Date(application.createdAt).toLocaleDateString()}</span>
-                    {application.updatedAt && application.updatedAt !== application.createdAt && (
-                      <span>Updated: {new Date(application.updatedAt).toLocaleDateString()}</span>
+                    
+                    {blocked.length > 0 && (
+                      <div className="mb-4 text-sm text-yellow-300">
+                        {blocked.map(transition => (
+                          <p key={transition.to}>{transition.label}: {transition.blockers.join('. ')}</p>
+                        ))}
+                      </div>
+                    )}
+
+                    {application.notes?.userNotes && (
+                      <div className="mb-4">
+                        <h4 className="text-white font-medium text-sm mb-2">Notes:</h4>
+                        <p className="text-blue-200 text-sm">{application.notes.userNotes}</p>
+                      </div>
+                    )}
+
+                    <details className="mb-4 text-sm">
+                      <summary className="text-blue-200 cursor-pointer">
+                        Checklist ({checklist.progress.completed}/{checklist.progress.total})
+                        {checklist.progress.overdue > 0 && (
+                          <span className="text-red-300"> · {checklist.progress.overdue} overdue</span>
+                        )}
+                      </summary>
+                      <div className="mt-2">
+                        <ApplicationChecklist
+                          applicationId={application.id}
+                          items={checklist.items}
+                          onChange={() => loadApplicationData({ showLoading: false })}
+                        />
+                      </div>
+                    </details>
+
+                    <details className="mb-4 text-sm">
+                      <summary className="text-blue-200 cursor-pointer">
+                        Recommendation letters ({lettersReceived}/{recommenders.length} received)
+                        {lettersOverdue > 0 && (
+                          <span className="text-red-300"> · {lettersOverdue} overdue</span>
+                        )}
+                      </summary>
+                      <div className="mt-2">
+                        <RecommendationTracker
+                          application={application}
+                          onChange={() => loadApplicationData({ showLoading: false })}
+                        />
+                      </div>
+                    </details>
+
+                    <details className="mb-4 text-sm">
+                      <summary className="text-blue-200 cursor-pointer">Essays ({essayCount})</summary>
+                      <div className="mt-2">
+                        <EssayWorkspace application={application} />
+                      </div>
+                    </details>
+
+                    {application.history?.length > 0 && (
+                      <details className="mb-4 text-sm">
+                        <summary className="text-blue-200 cursor-pointer">History ({application.history.length})</summary>
+                        <ul className="mt-2 space-y-1 text-blue-300">
+                          {application.history.map(entry => (
+                            <li key={entry.id}>
+                              {new Date(entry.at).toLocaleString()}:{' '}
+                              {entry.from ? `${STATUS_LABELS[entry.from] || entry.from} → ` : ''}
+                              {STATUS_LABELS[entry.to] || entry.to}
+                              {entry.reason && ` (${entry.reason})`}
+                            </li>
+                          ))}
+                        </ul>
+                      </details>
                     )}
+                    
+                    <div className="flex items-center justify-between text-sm text-blue-300">
+                      <span>Created: {new Date(application.createdAt).toLocaleDateString()}</span>
+                      <span>{application.progress.completionPercentage}% complete</span>
+                      {application.updatedAt && application.updatedAt !== application.createdAt && (
+                        <span>Updated: {new Date(application.updatedAt).toLocaleDateString()}</span>
+                      )}
+                    </div>
                   </div>
-                </div>
-              ))
+                );
+              })
             )}
           </div>
         )}
@@ -434,20 +520,20 @@ const ApplicationsPage = () => {
                   <div className="flex items-start justify-between">
                     <div className="flex-1">
                       <h3 className="text-xl font-semibold text-white mb-2">
-                        {favorite.title}
+                        {favorite.scholarship.title}
                       </h3>
                       <div className="flex items-center space-x-4 text-sm">
                         <span className="text-green-300 font-semibold">
-                          {formatAmount(favorite.amount)}
+                          {formatAmount(favorite.scholarship.amount)}
                         </span>
-                        <span className={`font-medium ${getDeadlineColor(favorite.deadline)}`}>
-                          {formatDeadline(favorite.deadline)}
+                        <span className={`font-medium ${getDeadlineColor(favorite.scholarship.deadline)}`}>
+                          {formatDeadline(favorite.scholarship.deadline)}
                         </span>
                       </div>
                     </div>
                     
                     <button
-                      onClick={() => handleRemoveFavorite(favorite.scholarshipId)}
+                      onClick={() => handleRemoveFavorite(favorite.id)}
                       className="p-2 text-red-400 hover:text-red-300 transition-colors"
                       title="Remove from favorites"
                     >
@@ -458,7 +544,7 @@ const ApplicationsPage = () => {
                   </div>
                   
                   <div className="mt-4 text-sm text-blue-300">
-                    Added: {new Date(favorite.createdAt).toLocaleDateString()}
+                    Added: {new Date(favorite.addedAt).toLocaleDateString()}
                   </div>
                 </div>
               ))
@@ -483,24 +569,21 @@ const ApplicationsPage = () => {
                   <div className="flex items-center justify-between">
                     <div>
                       <h3 className="text-xl font-semibold text-white mb-2">
-                        {deadline.title}
+                        {deadline.scholarship.title}
                       </h3>
                       <div className="flex items-center space-x-4 text-sm">
                         <span className="text-green-300 font-semibold">
-                          {formatAmount(deadline.amount)}
+                          {formatAmount(deadline.scholarship.amount)}
                         </span>
                         <span className={`px-2 py-1 rounded-full text-xs font-medium ${getStatusColor(deadline.status)}`}>
-                          {deadline.status.replace('-', ' ').toUpperCase()}
+                          {(STATUS_LABELS[deadline.status] || deadline.status).toUpperCase()}
                         </span>
                       </div>
                     </div>
                     
                     <div className="text-right">
-                      <div className={`text-lg font-bold ${getDeadlineColor(deadline.deadline)}`}>
-                        {formatDeadline(deadline.deadline)}
-                      </div>
-                      <div className="text-blue-300 text-sm">
-                        {deadline.daysLeft} days left
+                      <div className={`text-lg font-bold ${getDeadlineColor(deadline.timeline.deadline)}`}>
+                        {formatDeadline(deadline.timeline.deadline)}
                       </div>
                     </div>
                   </div>
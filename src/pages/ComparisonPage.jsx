@@ -0,0 +1,191 @@
+import React, { useMemo, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { Columns, Download, X } from 'lucide-react';
+import ComparisonService, { COMPARISON_SECTIONS } from '../services/comparisonService';
+import ProfileService from '../services/profileService';
+import AnalyticsService from '../services/analyticsService';
+import { DEFAULT_CURRENCY, EXCHANGE_RATES } from '../services/moneyService';
+import { useComparisonSelection } from '../components/ComparisonTray';
+
+const SECTION_LABELS = {
+  [COMPARISON_SECTIONS.AWARD]: 'Award',
+  [COMPARISON_SECTIONS.DEADLINE]: 'Deadline',
+  [COMPARISON_SECTIONS.ELIGIBILITY]: 'Eligibility',
+  [COMPARISON_SECTIONS.MATCH]: 'Match breakdown'
+};
+
+const EXPORT_TYPES = {
+  csv: 'text/csv',
+  json: 'application/json'
+};
+
+const ComparisonPage = () => {
+  const { selection, remove, clear } = useComparisonSelection();
+  const [currency, setCurrency] = useState(DEFAULT_CURRENCY);
+  const [onlyDifferences, setOnlyDifferences] = useState(false);
+
+  const comparison = useMemo(() => {
+    if (selection.length < ComparisonService.MIN_ITEMS) return null;
+    return ComparisonService.buildComparison(selection, ProfileService.getProfile() || {}, { currency });
+  }, [selection, currency]);
+
+  const handleExport = (format) => {
+    try {
+      const data = ComparisonService.exportComparison(comparison, format);
+      const blob = new Blob([data], { type: EXPORT_TYPES[format] });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `scholarship_comparison_${new Date().toISOString().split('T')[0]}.${format}`;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+
+      AnalyticsService.trackEvent(AnalyticsService.EVENTS.FEATURE_USED, {
+        action: 'export_comparison',
+        format,
+        count: comparison.columns.length
+      });
+    } catch (error) {
+      console.error('Error exporting comparison:', error);
+      alert('Error exporting comparison: ' + error.message);
+    }
+  };
+
+  if (!comparison) {
+    return (
+      <div className="max-w-3xl mx-auto px-4 py-16 text-center">
+        <Columns className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+        <h1 className="text-2xl font-bold text-gray-900 mb-2">Compare scholarships</h1>
+        <p className="text-gray-600 mb-6">
+          Pick {ComparisonService.MIN_ITEMS}–{ComparisonService.MAX_ITEMS} scholarships with their Compare button to see them side by side.
+          {selection.length === 1 && ' You have picked one so far.'}
+        </p>
+        <Link
+          to="/scholarships"
+          className="inline-block bg-blue-600 hover:bg-blue-700 text-white px-6 py-3 rounded-lg transition-colors"
+        >
+          Browse scholarships
+        </Link>
+      </div>
+    );
+  }
+
+  const rows = onlyDifferences ? comparison.rows.filter(row => row.differs) : comparison.rows;
+  const sections = Object.values(COMPARISON_SECTIONS)
+    .map(section => ({ section, rows: rows.filter(row => row.section === section) }))
+    .filter(group => group.rows.length > 0);
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      {/* Header */}
+      <div className="flex flex-col md:flex-row md:items-end md:justify-between gap-4 mb-6">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900 mb-1">Compare scholarships</h1>
+          <p className="text-gray-600">
+            Rows where the offers differ are highlighted; the strongest value in a row is in bold.
+          </p>
+        </div>
+        <div className="flex flex-wrap items-center gap-3">
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={onlyDifferences}
+              onChange={(e) => setOnlyDifferences(e.target.checked)}
+              className="rounded border-gray-300"
+            />
+            Only differences
+          </label>
+          <select
+            value={currency}
+            onChange={(e) => setCurrency(e.target.value)}
+            className="border border-gray-300 rounded-lg px-3 py-2 text-sm"
+            title="Show amounts in"
+          >
+            {Object.keys(EXCHANGE_RATES).map(code => (
+              <option key={code} value={code}>{code}</option>
+            ))}
+          </select>
+          <button
+            onClick={() => handleExport('csv')}
+            className="inline-flex items-center gap-1 border border-gray-300 hover:bg-gray-100 text-gray-700 px-3 py-2 rounded-lg text-sm transition-colors"
+          >
+            <Download className="w-4 h-4" />
+            CSV
+          </button>
+          <button
+            onClick={() => handleExport('json')}
+            className="inline-flex items-center gap-1 border border-gray-300 hover:bg-gray-100 text-gray-700 px-3 py-2 rounded-lg text-sm transition-colors"
+          >
+            <Download className="w-4 h-4" />
+            JSON
+          </button>
+          <button
+            onClick={clear}
+            className="text-sm text-gray-500 hover:text-gray-900"
+          >
+            Clear all
+          </button>
+        </div>
+      </div>
+
+      {/* Table */}
+      <div className="overflow-x-auto bg-white rounded-2xl shadow-sm border border-gray-200">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b border-gray-200">
+              <th className="w-48 p-4"></th>
+              {comparison.columns.map(column => (
+                <th key={column.id} className="p-4 text-left align-top min-w-[12rem]">
+                  <div className="flex items-start justify-between gap-2">
+                    <div>
+                      <div className="font-semibold text-gray-900">{column.title}</div>
+                      {column.provider && <div className="text-xs font-normal text-gray-500">{column.provider}</div>}
+                    </div>
+                    <button
+                      onClick={() => remove(column.id)}
+                      className="text-gray-400 hover:text-gray-700"
+                      aria-label={`Remove ${column.title} from comparison`}
+                    >
+                      <X className="w-4 h-4" />
+                    </button>
+                  </div>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          {sections.map(({ section, rows: sectionRows }) => (
+            <tbody key={section}>
+              <tr className="bg-gray-50">
+                <th colSpan={comparison.columns.length + 1} className="px-4 py-2 text-left text-xs font-semibold uppercase tracking-wide text-gray-500">
+                  {SECTION_LABELS[section]}
+                </th>
+              </tr>
+              {sectionRows.map(row => (
+                <tr key={row.key} className={`border-b border-gray-100 ${row.differs ? 'bg-amber-50' : ''}`}>
+                  <th className="p-4 text-left font-medium text-gray-700 align-top">{row.label}</th>
+                  {row.cells.map((cell, i) => (
+                    <td
+                      key={comparison.columns[i].id}
+                      className={`p-4 align-top ${row.best.includes(i) ? 'font-semibold text-green-700' : 'text-gray-900'}`}
+                    >
+                      <div>{cell.display}</div>
+                      {cell.detail && <div className="text-xs font-normal text-gray-500 mt-1">{cell.detail}</div>}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          ))}
+        </table>
+      </div>
+
+      {rows.length === 0 && (
+        <p className="text-center text-gray-600 mt-6">These scholarships don't differ on anything we compare.</p>
+      )}
+    </div>
+  );
+};
+
+export default ComparisonPage;
@@ -11,10 +11,39 @@ import {
   Calendar,
   Bell,
   User,
-  Settings
+  Settings,
+  Mail
 } from 'lucide-react';
 import { toast } from 'react-hot-toast';
 import LoadingSpinner from '../components/LoadingSpinner';
+import ApplicationService from '../services/applicationService';
+import NotificationService from '../services/notificationService';
+
+// Application deadlines in the next 30 days, with overdue recommendation letters first
+const getDeadlineItems = () => {
+  const overdueLetters = ApplicationService.getOverdueRecommendations().map(({ applicationId, scholarshipTitle, recommender, dueDate, daysOverdue }) => ({
+    id: `${applicationId}_${recommender.id}`,
+    kind: 'letter',
+    title: `Letter from ${recommender.name}`,
+    detail: scholarshipTitle,
+    date: dueDate,
+    label: daysOverdue === 0 ? 'Due today' : `${daysOverdue} day${daysOverdue === 1 ? '' : 's'} overdue`
+  }));
+
+  const deadlines = ApplicationService.getUpcomingDeadlines(30).map(application => {
+    const days = Math.ceil((new Date(application.timeline.deadline) - new Date()) / (1000 * 60 * 60 * 24));
+    return {
+      id: application.id,
+      kind: 'application',
+      title: application.scholarship?.title || application.scholarship?.name || 'Untitled scholarship',
+      detail: `${application.progress?.completionPercentage || 0}% complete`,
+      date: application.timeline.deadline,
+      label: days <= 0 ? 'Due today' : `${days} day${days === 1 ? '' : 's'} left`
+    };
+  });
+
+  return [...overdueLetters, ...deadlines];
+};
 
 const DashboardPage = () => {
   const { user } = useAuth();
@@ -36,6 +65,7 @@ const DashboardPage = () => {
     const loadDashboardData = async () => {
       try {
         setLoading(true);
+        NotificationService.checkForOverdueRecommendations();
         const [statsRes, applicationsRes, scholarshipsRes] = await Promise.all([
           apiClient.get('/users/dashboard/stats'),
           apiClient.get('/users/applications/recent'),
@@ -46,7 +76,7 @@ const DashboardPage = () => {
           stats: statsRes.data,
           recentApplications: applicationsRes.data,
           recommendedScholarships: scholarshipsRes.data,
-          upcomingDeadlines: [] // Will be implemented later
+          upcomingDeadlines: getDeadlineItems()
         });
         
         // Track page view
@@ -247,6 +277,46 @@ const DashboardPage = () => {
           </div>
         </div>
 
+        {/* Upcoming Deadlines */}
+        <div className="mt-8 bg-white rounded-lg shadow">
+          <div className="px-6 py-4 border-b border-gray-200 flex justify-between items-center">
+            <h3 className="text-lg font-medium text-gray-900">Upcoming Deadlines</h3>
+            <a href="/applications" className="text-blue-600 hover:text-blue-500 text-sm font-medium">
+              View All
+            </a>
+          </div>
+          <div className="p-6">
+            {dashboardData.upcomingDeadlines.length > 0 ? (
+              <div className="space-y-4">
+                {dashboardData.upcomingDeadlines.slice(0, 8).map((item) => (
+                  <div key={item.id} className="flex items-center space-x-4">
+                    <div className="flex-shrink-0">
+                      <div className={`w-10 h-10 rounded-lg flex items-center justify-center ${item.kind === 'letter' ? 'bg-red-100' : 'bg-yellow-100'}`}>
+                        {item.kind === 'letter'
+                          ? <Mail className="h-5 w-5 text-red-600" />
+                          : <Calendar className="h-5 w-5 text-yellow-600" />}
+                      </div>
+                    </div>
+                    <div className="flex-1 min-w-0">
+                      <p className="text-sm font-medium text-gray-900 truncate">{item.title}</p>
+                      <p className="text-sm text-gray-500 truncate">{item.detail}</p>
+                    </div>
+                    <div className="flex-shrink-0 text-right">
+                      <p className={`text-sm font-medium ${item.kind === 'letter' ? 'text-red-600' : 'text-gray-900'}`}>{item.label}</p>
+                      <p className="text-xs text-gray-500">{new Date(item.date).toLocaleDateString()}</p>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            ) : (
+              <div className="text-center py-8">
+                <Calendar className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+                <p className="text-gray-500">No deadlines in the next 30 days</p>
+              </div>
+            )}
+          </div>
+        </div>
+
         {/* Quick Actions */}
         <div className="mt-8 bg-white rounded-lg shadow">
           <div className="px-6 py-4 border-b border-gray-200">
@@ -11,6 +11,15 @@ import {
   validateScholarshipForClassification,
   extractFundingKeywords
 } from '../services/fundingService';
+import {
+  DEFAULT_CURRENCY,
+  EXCHANGE_RATES,
+  estimateCoverage,
+  formatMoney,
+  formatMoneyRange,
+  getComparableAmount,
+  parseMoney
+} from '../services/moneyService';
 
 const FundingDemo = () => {
   const [activeTab, setActiveTab] = useState('single');
@@ -57,6 +66,17 @@ const FundingDemo = () => {
   // Schema state
   const [schema, setSchema] = useState(null);
 
+  // Amount parsing state
+  const [amountInput, setAmountInput] = useState([
+    'Up to $50,000',
+    '$2,500 - $15,000',
+    '€1,200 per month',
+    'Between £12k and £18k a year',
+    'Full tuition waiver'
+  ].join('\n'));
+  const [amountCountry, setAmountCountry] = useState('Germany');
+  const [amountCurrency, setAmountCurrency] = useState(DEFAULT_CURRENCY);
+
   const handleSingleClassification = async () => {
     setLoading(true);
     setError(null);
@@ -197,6 +217,7 @@ const FundingDemo = () => {
             { id: 'single', label: 'Single Classification' },
             { id: 'batch', label: 'Batch Processing' },
             { id: 'validation', label: 'Validation' },
+            { id: 'amounts', label: 'Amounts & Coverage' },
             { id: 'test', label: 'System Test' },
             { id: 'schema', label: 'Schema' }
           ].map((tab) => (
@@ -418,6 +439,95 @@ const FundingDemo = () => {
           </div>
         )}
 
+        {/* Amounts Tab */}
+        {activeTab === 'amounts' && (
+          <div className="space-y-6">
+            <div className="bg-gray-800 rounded-lg p-6">
+              <h2 className="text-2xl font-semibold mb-4 text-blue-400">Amounts & Cost Coverage</h2>
+              <p className="text-gray-300 mb-6">
+                Parse award amounts into a range, currency and period, convert them, and estimate the share of a
+                destination's typical yearly tuition and living costs they cover.
+              </p>
+
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+                <div className="md:col-span-3">
+                  <label className="block text-sm font-medium text-gray-300 mb-2">Amounts (one per line)</label>
+                  <textarea
+                    value={amountInput}
+                    onChange={(e) => setAmountInput(e.target.value)}
+                    rows={5}
+                    className="w-full p-3 bg-gray-700 border border-gray-600 rounded-lg text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent font-mono text-sm"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-2">Destination Country</label>
+                  <input
+                    type="text"
+                    value={amountCountry}
+                    onChange={(e) => setAmountCountry(e.target.value)}
+                    className="w-full p-3 bg-gray-700 border border-gray-600 rounded-lg text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    placeholder="e.g. United Kingdom"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-2">Convert To</label>
+                  <select
+                    value={amountCurrency}
+                    onChange={(e) => setAmountCurrency(e.target.value)}
+                    className="w-full p-3 bg-gray-700 border border-gray-600 rounded-lg text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  >
+                    {Object.keys(EXCHANGE_RATES).map(code => (
+                      <option key={code} value={code}>{code}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-400 border-b border-gray-700">
+                      <th className="py-2 pr-4">Input</th>
+                      <th className="py-2 pr-4">Parsed</th>
+                      <th className="py-2 pr-4">Min / Max</th>
+                      <th className="py-2 pr-4">Period</th>
+                      <th className="py-2 pr-4">Yearly ({amountCurrency})</th>
+                      <th className="py-2">Cost Coverage</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {amountInput.split('\n').filter(line => line.trim()).map((line, index) => {
+                      const money = parseMoney(line);
+                      const yearly = getComparableAmount({ amount: line }, amountCurrency).high;
+                      const coverage = estimateCoverage({ amount: line }, {
+                        country: amountCountry,
+                        fullyFunded: /full/i.test(line)
+                      });
+
+                      return (
+                        <tr key={index} className="border-b border-gray-700/50">
+                          <td className="py-2 pr-4 text-gray-300">{line}</td>
+                          <td className="py-2 pr-4 text-white">{formatMoneyRange(money)}</td>
+                          <td className="py-2 pr-4 text-gray-300 font-mono">
+                            {money.min ?? '—'} / {money.max ?? '—'} {money.currency}
+                          </td>
+                          <td className="py-2 pr-4 text-gray-300">{money.period || 'not stated'}</td>
+                          <td className="py-2 pr-4 text-white">{formatMoney(yearly, amountCurrency)}</td>
+                          <td className="py-2 text-white">
+                            {coverage
+                              ? `${Math.round(coverage.share * 100)}% of ${formatMoney(coverage.annualCost)}`
+                              : 'No estimate'}
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          </div>
+        )}
+
         {/* Test Tab */}
         {activeTab === 'test' && (
           <div className="space-y-6">
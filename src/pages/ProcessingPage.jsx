@@ -9,59 +9,50 @@ const ProcessingPage = () => {
   const { setScholarships, setProcessing, setProcessingStep } = useScholarship()
   const [currentStep, setCurrentStep] = useState(0)
   const [progress, setProgress] = useState(0)
+  const [statusMessage, setStatusMessage] = useState('')
 
   const processingSteps = [
     {
       id: 'analyzing',
       title: 'Analyzing Your Profile',
       description: 'AI is processing your academic background and achievements',
-      icon: Brain,
-      duration: 3000
+      icon: Brain
     },
     {
       id: 'scanning',
       title: 'Scanning Scholarship Database',
       description: 'Searching through 50,000+ scholarship opportunities',
-      icon: Database,
-      duration: 4000
+      icon: Database
     },
     {
       id: 'matching',
       title: 'AI-Powered Matching',
       description: 'Using advanced algorithms to find your perfect matches',
-      icon: Sparkles,
-      duration: 3500
+      icon: Sparkles
     },
     {
       id: 'ranking',
       title: 'Ranking Best Opportunities',
       description: 'Sorting scholarships by compatibility and relevance',
-      icon: Target,
-      duration: 2500
+      icon: Target
     }
   ]
 
   useEffect(() => {
     setProcessing(true)
+
+    // Follow the search as it reports each stage
+    const handleProgress = ({ stage, message, progress: stageProgress }) => {
+      const stepIndex = processingSteps.findIndex(step => step.id === stage)
+      if (stepIndex >= 0) {
+        setCurrentStep(stepIndex)
+        setProcessingStep(stepIndex)
+      }
+      setStatusMessage(message)
+      setProgress(prev => Math.max(prev, stageProgress))
+    }
     
     const processSteps = async () => {
-      for (let i = 0; i < processingSteps.length; i++) {
-        setCurrentStep(i)
-        setProcessingStep(i)
-        
-        // Animate progress for current step
-        const stepDuration = processingSteps[i].duration
-        const progressInterval = setInterval(() => {
-          setProgress(prev => {
-            const newProgress = prev + (100 / (stepDuration / 100))
-            return Math.min(newProgress, (i + 1) * 25)
-          })
-        }, 100)
-        
-        await new Promise(resolve => setTimeout(resolve, stepDuration))
-        clearInterval(progressInterval)
-      }
-      
       // Use real API to find scholarships
       try {
         const { ScholarSeekerAPI } = await import('@/services/api');
@@ -69,7 +60,7 @@ const ProcessingPage = () => {
         
         if (storedProfile) {
           const profile = JSON.parse(storedProfile);
-          const result = await ScholarSeekerAPI.findScholarships(profile.profileId, {});
+          const result = await ScholarSeekerAPI.findScholarships(profile.profileId, {}, { onProgress: handleProgress });
           
           if (result.success) {
             setScholarships(result.scholarships);
@@ -112,6 +103,7 @@ const ProcessingPage = () => {
         ];
         setScholarships(basicScholarships);
        }
+      setCurrentStep(processingSteps.length)
       setProcessing(false)
       setProgress(100)
       
@@ -175,7 +167,7 @@ const ProcessingPage = () => {
               
               <div className="text-center">
                 <p className="text-gray-600">
-                  This may take 30-60 seconds
+                  {statusMessage || 'This may take 30-60 seconds'}
                 </p>
               </div>
             </div>
@@ -1,7 +1,24 @@
 import React, { useState, useEffect } from 'react';
 import { ScholarSeekerAPI } from '../services/api';
+import DocumentReaderService from '../services/documentReaderService';
 import ProfileService from '../services/profileService';
 import AnalyticsService from '../services/analyticsService';
+import { FIELD_SOURCES, getFieldMeta, getLowConfidenceFields, isLowConfidence } from '../services/profileProvenanceService';
+
+const SOURCE_LABELS = {
+  [FIELD_SOURCES.REGEX]: 'CV parser',
+  [FIELD_SOURCES.GEMINI]: 'AI extraction',
+  [FIELD_SOURCES.USER]: 'You'
+};
+
+const ReviewBadge = ({ meta }) => (
+  <span
+    className="ml-2 inline-block bg-yellow-500/20 text-yellow-300 px-2 py-0.5 rounded text-xs align-middle"
+    title={`${SOURCE_LABELS[meta.source] || meta.source} · ${Math.round(meta.confidence * 100)}% confidence`}
+  >
+    Review
+  </span>
+);
 
 const ProfilePage = () => {
   const [profile, setProfile] = useState(null);
@@ -80,6 +97,19 @@ const ProfilePage = () => {
     }
   };
 
+  const handleConfirmField = (fieldKey) => {
+    if (ProfileService.confirmProfileField(fieldKey)) {
+      loadProfileData();
+      AnalyticsService.trackEvent(AnalyticsService.EVENTS.PROFILE_UPDATED, {
+        source: 'field_confirmation'
+      });
+    }
+  };
+
+  const reviewClass = (meta) => (
+    isLowConfidence(meta) ? 'ring-1 ring-yellow-400/60 bg-yellow-500/10 rounded' : ''
+  );
+
   const handleExportProfile = () => {
     try {
       const exportData = ProfileService.exportProfile();
@@ -164,7 +194,7 @@ const ProfilePage = () => {
                   {uploadingCV ? 'Uploading...' : 'Upload CV'}
                   <input
                     type="file"
-                    accept=".pdf"
+                    accept={DocumentReaderService.getAcceptAttribute()}
                     onChange={handleCVUpload}
                     disabled={uploadingCV}
                     className="hidden"
@@ -202,7 +232,7 @@ const ProfilePage = () => {
             {uploadingCV ? 'Uploading...' : 'Upload New CV'}
             <input
               type="file"
-              accept=".pdf"
+              accept={DocumentReaderService.getAcceptAttribute()}
               onChange={handleCVUpload}
               disabled={uploadingCV}
               className="hidden"
@@ -228,6 +258,37 @@ const ProfilePage = () => {
           )}
         </div>
 
+        {/* Fields to Review */}
+        {profile && !editing && getLowConfidenceFields(profile).length > 0 && (
+          <div className="bg-yellow-500/10 backdrop-blur-sm rounded-lg p-6 mb-8 border border-yellow-500/40">
+            <h2 className="text-xl font-semibold text-white mb-2">Fields to Review</h2>
+            <p className="text-blue-200 text-sm mb-4">
+              We are not sure these values were read correctly from your CV. Confirm them or use Edit Profile to correct them.
+            </p>
+            <div className="space-y-3">
+              {getLowConfidenceFields(profile).map((item) => (
+                <div key={item.key} className="flex items-start justify-between gap-4 bg-white/5 rounded-lg p-3">
+                  <div>
+                    <p className="text-white">{item.label}</p>
+                    <p className="text-blue-300 text-xs">
+                      {SOURCE_LABELS[item.meta.source] || item.meta.source} · {Math.round(item.meta.confidence * 100)}% confidence
+                      {item.meta.span?.line && ` · found in "${item.meta.span.line}"`}
+                      {item.meta.span?.page && ` (page ${item.meta.span.page})`}
+                      {!item.meta.span && ' · not found in CV text'}
+                    </p>
+                  </div>
+                  <button
+                    onClick={() => handleConfirmField(item.key)}
+                    className="shrink-0 bg-yellow-600 hover:bg-yellow-700 text-white px-3 py-1 rounded-lg text-sm transition-colors"
+                  >
+                    Confirm
+                  </button>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
         {/* Profile Data */}
         {profile && (
           <div className="bg-white/10 backdrop-blur-sm rounded-lg border border-white/20">
@@ -265,7 +326,12 @@ const ProfilePage = () => {
                           className="w-full bg-white/10 border border-white/20 rounded-lg px-4 py-2 text-white"
                         />
                       ) : (
-                        <p className="text-white">{profile.personalInfo?.name || 'Not provided'}</p>
+                        <p className={`text-white ${reviewClass(getFieldMeta(profile, 'personalInfo.name'))}`}>
+                          {profile.personalInfo?.name || 'Not provided'}
+                          {isLowConfidence(getFieldMeta(profile, 'personalInfo.name')) && (
+                            <ReviewBadge meta={getFieldMeta(profile, 'personalInfo.name')} />
+                          )}
+                        </p>
                       )}
                     </div>
                     
@@ -285,7 +351,12 @@ const ProfilePage = () => {
                           className="w-full bg-white/10 border border-white/20 rounded-lg px-4 py-2 text-white"
                         />
                       ) : (
-                        <p className="text-white">{profile.personalInfo?.email || 'Not provided'}</p>
+                        <p className={`text-white ${reviewClass(getFieldMeta(profile, 'personalInfo.email'))}`}>
+                          {profile.personalInfo?.email || 'Not provided'}
+                          {isLowConfidence(getFieldMeta(profile, 'personalInfo.email')) && (
+                            <ReviewBadge meta={getFieldMeta(profile, 'personalInfo.email')} />
+                          )}
+                        </p>
                       )}
                     </div>
                     
@@ -305,7 +376,12 @@ const ProfilePage = () => {
                           className="w-full bg-white/10 border border-white/20 rounded-lg px-4 py-2 text-white"
                         />
                       ) : (
-                        <p className="text-white">{profile.personalInfo?.phone || 'Not provided'}</p>
+                        <p className={`text-white ${reviewClass(getFieldMeta(profile, 'personalInfo.phone'))}`}>
+                          {profile.personalInfo?.phone || 'Not provided'}
+                          {isLowConfidence(getFieldMeta(profile, 'personalInfo.phone')) && (
+                            <ReviewBadge meta={getFieldMeta(profile, 'personalInfo.phone')} />
+                          )}
+                        </p>
                       )}
                     </div>
                   </div>
@@ -316,12 +392,25 @@ const ProfilePage = () => {
                   <h3 className="text-lg font-semibold text-white mb-4">Education</h3>
                   <div className="space-y-4">
                     {profile.education?.map((edu, index) => (
-                      <div key={index} className="bg-white/5 rounded-lg p-4">
-                        <h4 className="text-white font-medium">{edu.degree || 'Degree'}</h4>
+                      <div key={index} className={`bg-white/5 rounded-lg p-4 ${reviewClass(getFieldMeta(profile, 'education', edu))}`}>
+                        <h4 className="text-white font-medium">
+                          {edu.degree || 'Degree'}
+                          {isLowConfidence(getFieldMeta(profile, 'education', edu)) && (
+                            <ReviewBadge meta={getFieldMeta(profile, 'education', edu)} />
+                          )}
+                        </h4>
                         <p className="text-blue-200">{edu.institution || 'Institution'}</p>
-                        <p className="text-blue-300 text-sm">{edu.year || 'Year'}</p>
+                        <p className="text-blue-300 text-sm">
+                          {edu.year || 'Year'}
+                          {edu.period?.ongoing && <span className="ml-2 text-green-300">(in progress)</span>}
+                        </p>
                         {edu.gpa && (
-                          <p className="text-green-300 text-sm">GPA: {edu.gpa}</p>
+                          <p className="text-green-300 text-sm">
+                            GPA: {edu.gpa}
+                            {edu.gpaNormalized && edu.gpaNormalized.type !== '4.0' && (
+                              <span className="text-blue-300"> (≈ {edu.gpaNormalized.gpa4.toFixed(2)} / 4.0)</span>
+                            )}
+                          </p>
                         )}
                       </div>
                     )) || (
@@ -337,7 +426,12 @@ const ProfilePage = () => {
                     {profile.skills?.map((skill, index) => (
                       <span
                         key={index}
-                        className="bg-blue-600/20 text-blue-300 px-3 py-1 rounded-full text-sm"
+                        className={`px-3 py-1 rounded-full text-sm ${
+                          isLowConfidence(getFieldMeta(profile, 'skills', skill))
+                            ? 'bg-yellow-500/20 text-yellow-300 ring-1 ring-yellow-400/60'
+                            : 'bg-blue-600/20 text-blue-300'
+                        }`}
+                        title={isLowConfidence(getFieldMeta(profile, 'skills', skill)) ? 'Low confidence – please review' : undefined}
                       >
                         {skill}
                       </span>
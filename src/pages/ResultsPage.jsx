@@ -18,12 +18,17 @@ import {
 } from 'lucide-react'
 import { useScholarship } from '@/context/ScholarshipContext'
 import Button from '@/components/ui/Button'
+import MatchExplanation from '@/components/MatchExplanation'
+import EligibilityStatus from '@/components/EligibilityStatus'
+import ComparisonTray, { CompareToggle, useComparisonSelection } from '@/components/ComparisonTray'
+import { getComparableAmount } from '@/services/moneyService'
 
 const ResultsPage = () => {
   const { scholarships, userProfile } = useScholarship()
   const [copiedId, setCopiedId] = useState(null)
   const [sortBy, setSortBy] = useState('matchScore')
   const [filterBy, setFilterBy] = useState('all')
+  const comparison = useComparisonSelection()
 
   const handleCopyToClipboard = async (scholarship) => {
     const summary = `
@@ -68,7 +73,7 @@ const ResultsPage = () => {
       case 'deadline':
         return new Date(a.deadline) - new Date(b.deadline)
       case 'amount':
-        return b.amount.localeCompare(a.amount)
+        return (getComparableAmount(b).high ?? -1) - (getComparableAmount(a).high ?? -1)
       default:
         return 0
     }
@@ -194,6 +199,15 @@ const ResultsPage = () => {
                     <div className="text-sm text-gray-500 mb-4">
                       <span className="font-medium">Provider:</span> {scholarship.provider}
                     </div>
+
+                    {scholarship.eligibilityStatus && (
+                      <div className="mb-4">
+                        <EligibilityStatus
+                          status={scholarship.eligibilityStatus}
+                          reasons={scholarship.eligibilityReasons}
+                        />
+                      </div>
+                    )}
                   </div>
                   
                   <div className="lg:ml-8 mt-4 lg:mt-0">
@@ -259,6 +273,13 @@ const ResultsPage = () => {
                   ))}
                 </div>
 
+                {/* Match Explanation */}
+                {scholarship.matchBreakdown && (
+                  <div className="mb-6 p-4 bg-gray-50 rounded-xl">
+                    <MatchExplanation breakdown={scholarship.matchBreakdown.breakdown} />
+                  </div>
+                )}
+
                 {/* Actions */}
                 <div className="flex flex-col sm:flex-row gap-3">
                   <Button
@@ -289,6 +310,11 @@ const ResultsPage = () => {
                       </>
                     )}
                   </Button>
+
+                  <CompareToggle
+                    selected={comparison.isSelected(scholarship.id)}
+                    onToggle={() => comparison.toggle(scholarship)}
+                  />
                 </div>
               </div>
               
@@ -331,6 +357,8 @@ const ResultsPage = () => {
           </div>
         </motion.div>
       </div>
+
+      <ComparisonTray comparison={comparison} />
     </div>
   )
 }
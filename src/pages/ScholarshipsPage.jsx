@@ -1,37 +1,98 @@
 import React, { useState, useEffect } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import { ScholarSeekerAPI } from '../services/api';
 import ProfileService from '../services/profileService';
 import ApplicationService from '../services/applicationService';
 import AnalyticsService from '../services/analyticsService';
+import MatchExplanation from '../components/MatchExplanation';
+import EligibilityStatus from '../components/EligibilityStatus';
+import SavedSearchBar from '../components/SavedSearchBar';
+import ComparisonTray, { CompareToggle, useComparisonSelection } from '../components/ComparisonTray';
+import ScholarshipSearchService, { FUNDING_TYPES, SEARCH_SORTS, getFundingType } from '../services/scholarshipSearchService';
+import { estimateCoverage, formatMoneyRange, getScholarshipAmount } from '../services/moneyService';
+import SavedSearchService from '../services/savedSearchService';
 import { useAuth } from '../contexts/AuthContext';
 
+const EMPTY_FILTERS = {
+  country: '',
+  degree: '',
+  field: '',
+  fundingType: '',
+  amount: '',
+  deadline: ''
+};
+
+const FACET_FILTERS = [
+  { facet: 'country', label: 'Country', allLabel: 'All Countries' },
+  { facet: 'degree', label: 'Level', allLabel: 'All Levels' },
+  { facet: 'field', label: 'Field of Study', allLabel: 'All Fields' },
+  { facet: 'fundingType', label: 'Funding', allLabel: 'Any Funding' },
+  { facet: 'amount', label: 'Amount', allLabel: 'Any Amount' },
+  { facet: 'deadline', label: 'Deadline', allLabel: 'Any Deadline' }
+];
+
+// Catalog rows store requirements as comma-separated text, other sources as lists
+const getRequirements = (scholarship) => {
+  const { requirements } = scholarship;
+  if (Array.isArray(requirements)) return requirements;
+  return typeof requirements === 'string'
+    ? requirements.split(',').map(item => item.trim()).filter(Boolean)
+    : [];
+};
+
 const ScholarshipsPage = () => {
   const { user } = useAuth();
+  const [searchParams, setSearchParams] = useSearchParams();
   const [scholarships, setScholarships] = useState([]);
   const [loading, setLoading] = useState(true);
   const [searchQuery, setSearchQuery] = useState('');
-  const [filters, setFilters] = useState({
-    minAmount: '',
-    maxAmount: '',
-    deadline: '',
-    fieldOfStudy: '',
-    level: '',
-    location: ''
-  });
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [facets, setFacets] = useState(null);
+  const [total, setTotal] = useState(0);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [hiddenIneligible, setHiddenIneligible] = useState(0);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [favorites, setFavorites] = useState(new Set());
   const [applications, setApplications] = useState(new Set());
-  const [sortBy, setSortBy] = useState('relevance');
+  const [sortBy, setSortBy] = useState(SEARCH_SORTS.DEADLINE);
   const [viewMode, setViewMode] = useState('grid'); // 'grid' or 'list'
+  const [includeIneligible, setIncludeIneligible] = useState(false);
+  const [savedSearches, setSavedSearches] = useState([]);
+  const [activeSavedSearchId, setActiveSavedSearchId] = useState('');
+  const comparison = useComparisonSelection();
 
   useEffect(() => {
-    loadScholarships();
     loadUserData();
     AnalyticsService.trackPageView('/scholarships');
   }, []);
 
-  const loadScholarships = async () => {
+  // Alerts link here with ?savedSearch=<id>
+  useEffect(() => {
+    const savedSearch = user?.id && searchParams.get('savedSearch')
+      ? SavedSearchService.getSavedSearch(user.id, searchParams.get('savedSearch'))
+      : null;
+
+    if (savedSearch) {
+      handleApplySavedSearch(savedSearch);
+    } else {
+      loadScholarships();
+    }
+  }, [searchParams]);
+
+  // Overrides let handlers search with state they have just set
+  const loadScholarships = async ({
+    includeIneligible: showIneligible = includeIneligible,
+    filters: searchFilters = filters,
+    query = searchQuery,
+    sort = sortBy,
+    cursor = null
+  } = {}) => {
     try {
-      setLoading(true);
+      if (cursor) {
+        setLoadingMore(true);
+      } else {
+        setLoading(true);
+      }
       // Use profile if user is authenticated, otherwise use default/empty profile
       const profile = user ? ProfileService.getProfile() : {
         fieldOfStudy: '',
@@ -40,40 +101,27 @@ const ScholarshipsPage = () => {
         location: '',
         interests: []
       };
-      const results = await ScholarSeekerAPI.findScholarships(profile, {
-        searchQuery,
-        ...filters
-      });
-      
-      let sortedResults = [...results];
-      
-      // Apply sorting
-      switch (sortBy) {
-        case 'amount':
-          sortedResults.sort((a, b) => (b.amount || 0) - (a.amount || 0));
-          break;
-        case 'deadline':
-          sortedResults.sort((a, b) => new Date(a.deadline) - new Date(b.deadline));
-          break;
-        case 'relevance':
-        default:
-          sortedResults.sort((a, b) => (b.matchScore || 0) - (a.matchScore || 0));
-          break;
-      }
-      
-      setScholarships(sortedResults);
+      const page = await ScholarSeekerAPI.searchCatalog({
+        query,
+        filters: ScholarshipSearchService.getSelectionFilters(searchFilters),
+        sortBy: sort,
+        cursor
+      }, { profile, includeIneligible: showIneligible });
       
-      // Track search event
-      AnalyticsService.trackEvent(AnalyticsService.EVENTS.SEARCH_PERFORMED, {
-        query: searchQuery,
-        filters,
-        resultsCount: results.length
-      });
+      setScholarships(prev => (cursor ? [...prev, ...page.results] : page.results));
+      setHiddenIneligible(prev => (cursor ? prev : 0) + page.hiddenIneligible);
+      setFacets(page.facets);
+      setTotal(page.total);
+      setNextCursor(page.nextCursor);
     } catch (error) {
       console.error('Error loading scholarships:', error);
-      setScholarships([]);
+      if (!cursor) {
+        setScholarships([]);
+        setNextCursor(null);
+      }
     } finally {
       setLoading(false);
+      setLoadingMore(false);
     }
   };
 
@@ -82,9 +130,14 @@ const ScholarshipsPage = () => {
     if (!user) {
       setFavorites(new Set());
       setApplications(new Set());
+      setSavedSearches([]);
       return;
     }
     
+    if (user.id) {
+      setSavedSearches(SavedSearchService.getSavedSearches(user.id));
+    }
+    
     try {
       // Load favorites
       const userApplications = ApplicationService.getAllApplications();
@@ -105,11 +158,82 @@ const ScholarshipsPage = () => {
   };
 
   const handleSearch = () => {
+    setActiveSavedSearchId('');
     loadScholarships();
   };
 
+  const handleToggleIneligible = (checked) => {
+    setActiveSavedSearchId('');
+    setIncludeIneligible(checked);
+    loadScholarships({ includeIneligible: checked });
+  };
+
   const handleFilterChange = (key, value) => {
-    setFilters(prev => ({ ...prev, [key]: value }));
+    setActiveSavedSearchId('');
+    const newFilters = { ...filters, [key]: value };
+    setFilters(newFilters);
+    loadScholarships({ filters: newFilters });
+  };
+
+  const handleSortChange = (value) => {
+    setActiveSavedSearchId('');
+    setSortBy(value);
+    loadScholarships({ sort: value });
+  };
+
+  const handleClearFilters = () => {
+    setActiveSavedSearchId('');
+    setSearchQuery('');
+    setFilters(EMPTY_FILTERS);
+    loadScholarships({ filters: EMPTY_FILTERS, query: '' });
+  };
+
+  const handleLoadMore = () => {
+    loadScholarships({ cursor: nextCursor });
+  };
+
+  const handleApplySavedSearch = (savedSearch) => {
+    const savedFilters = { ...EMPTY_FILTERS, ...savedSearch.filters };
+    setActiveSavedSearchId(savedSearch.id);
+    setSearchQuery(savedSearch.query);
+    setFilters(savedFilters);
+    setSortBy(savedSearch.sortBy);
+    setIncludeIneligible(savedSearch.includeIneligible);
+    loadScholarships({
+      query: savedSearch.query,
+      filters: savedFilters,
+      sort: savedSearch.sortBy,
+      includeIneligible: savedSearch.includeIneligible
+    });
+  };
+
+  const handleSaveSearch = async ({ name, frequency }) => {
+    const savedSearch = await SavedSearchService.saveSearch(user.id, {
+      name,
+      query: searchQuery,
+      filters,
+      sortBy,
+      includeIneligible,
+      frequency
+    });
+    setSavedSearches(SavedSearchService.getSavedSearches(user.id));
+    setActiveSavedSearchId(savedSearch.id);
+  };
+
+  const handleDeleteSavedSearch = (savedSearch) => {
+    if (!window.confirm(`Delete the saved search "${savedSearch.name}"?`)) return;
+
+    SavedSearchService.deleteSearch(user.id, savedSearch.id);
+    setSavedSearches(SavedSearchService.getSavedSearches(user.id));
+    setActiveSavedSearchId('');
+    if (searchParams.has('savedSearch')) {
+      setSearchParams({});
+    }
+  };
+
+  const handleToggleSavedSearchAlerts = (savedSearch) => {
+    SavedSearchService.updateSearch(user.id, savedSearch.id, { alertsEnabled: !savedSearch.alertsEnabled });
+    setSavedSearches(SavedSearchService.getSavedSearches(user.id));
   };
 
   const handleToggleFavorite = (scholarship) => {
@@ -188,19 +312,19 @@ const ScholarshipsPage = () => {
     });
     
     // In a real app, this would navigate to a detailed view
-    alert(`Viewing details for: ${scholarship.title}\n\nDescription: ${scholarship.description}\n\nRequirements: ${scholarship.requirements?.join(', ') || 'Not specified'}`);
+    alert(`Viewing details for: ${scholarship.title}\n\nDescription: ${scholarship.description}\n\nRequirements: ${getRequirements(scholarship).join(', ') || 'Not specified'}`);
   };
 
-  const formatAmount = (amount) => {
-    if (!amount) return 'Amount not specified';
-    return new Intl.NumberFormat('en-US', {
-      style: 'currency',
-      currency: 'USD',
-      minimumFractionDigits: 0,
-      maximumFractionDigits: 0
-    }).format(amount);
+  const formatAmount = (scholarship) => {
+    const money = getScholarshipAmount(scholarship);
+    if (money.amount === null) return 'Amount not specified';
+    return formatMoneyRange(money);
   };
 
+  const getCoverage = (scholarship) => estimateCoverage(scholarship, {
+    fullyFunded: getFundingType(scholarship) === FUNDING_TYPES.FULL
+  });
+
   const formatDeadline = (deadline) => {
     if (!deadline) return 'No deadline specified';
     const date = new Date(deadline);
@@ -216,6 +340,25 @@ const ScholarshipsPage = () => {
     return date.toLocaleDateString();
   };
 
+  // Facet options with their counts; a selected value stays listed even when nothing matches it
+  const renderFacetOptions = (facet, selected) => {
+    const options = facets?.[facet] || [];
+    const withSelected = selected && !options.some(option => option.value === selected)
+      ? [...options, { value: selected, label: selected, count: 0 }]
+      : options;
+
+    return withSelected.map(option => (
+      <option
+        key={option.value}
+        value={option.value}
+        disabled={option.count === 0 && option.value !== selected}
+        className="bg-slate-800"
+      >
+        {option.label} ({option.count})
+      </option>
+    ));
+  };
+
   const getMatchScoreColor = (score) => {
     if (score >= 80) return 'text-green-300';
     if (score >= 60) return 'text-yellow-300';
@@ -244,6 +387,18 @@ const ScholarshipsPage = () => {
 
         {/* Search and Filters */}
         <div className="bg-white/10 backdrop-blur-sm rounded-lg p-6 mb-8 border border-white/20">
+          {/* Saved Searches */}
+          {user?.id && (
+            <SavedSearchBar
+              savedSearches={savedSearches}
+              activeId={activeSavedSearchId}
+              onApply={handleApplySavedSearch}
+              onSave={handleSaveSearch}
+              onDelete={handleDeleteSavedSearch}
+              onToggleAlerts={handleToggleSavedSearchAlerts}
+            />
+          )}
+
           {/* Search Bar */}
           <div className="flex gap-4 mb-6">
             <div className="flex-1">
@@ -264,76 +419,31 @@ const ScholarshipsPage = () => {
             </button>
           </div>
 
-          {/* Filters */}
-          <div className="grid grid-cols-1 md:grid-cols-3 lg:grid-cols-6 gap-4 mb-4">
-            <div>
-              <label className="block text-blue-200 mb-2 text-sm">Min Amount</label>
-              <input
-                type="number"
-                placeholder="$0"
-                value={filters.minAmount}
-                onChange={(e) => handleFilterChange('minAmount', e.target.value)}
-                className="w-full bg-white/10 border border-white/20 rounded-lg px-3 py-2 text-white text-sm"
-              />
-            </div>
-            <div>
-              <label className="block text-blue-200 mb-2 text-sm">Max Amount</label>
-              <input
-                type="number"
-                placeholder="$50000"
-                value={filters.maxAmount}
-                onChange={(e) => handleFilterChange('maxAmount', e.target.value)}
-                className="w-full bg-white/10 border border-white/20 rounded-lg px-3 py-2 text-white text-sm"
-              />
-            </div>
-            <div>
-              <label className="block text-blue-200 mb-2 text-sm">Field of Study</label>
-              <select
-                value={filters.fieldOfStudy}
-                onChange={(e) => handleFilterChange('fieldOfStudy', e.target.value)}
-                className="w-full bg-white/10 border border-white/20 rounded-lg px-3 py-2 text-white text-sm"
-              >
-                <option value="">All Fields</option>
-                <option value="engineering">Engineering</option>
-                <option value="medicine">Medicine</option>
-                <option value="business">Business</option>
-                <option value="arts">Arts</option>
-                <option value="science">Science</option>
-              </select>
-            </div>
-            <div>
-              <label className="block text-blue-200 mb-2 text-sm">Level</label>
-              <select
-                value={filters.level}
-                onChange={(e) => handleFilterChange('level', e.target.value)}
-                className="w-full bg-white/10 border border-white/20 rounded-lg px-3 py-2 text-white text-sm"
-              >
-                <option value="">All Levels</option>
-                <option value="undergraduate">Undergraduate</option>
-                <option value="graduate">Graduate</option>
-                <option value="phd">PhD</option>
-              </select>
-            </div>
-            <div>
-              <label className="block text-blue-200 mb-2 text-sm">Location</label>
-              <input
-                type="text"
-                placeholder="Any location"
-                value={filters.location}
-                onChange={(e) => handleFilterChange('location', e.target.value)}
-                className="w-full bg-white/10 border border-white/20 rounded-lg px-3 py-2 text-white text-sm"
-              />
-            </div>
+          {/* Filters, with counts from the current search */}
+          <div className="grid grid-cols-1 md:grid-cols-3 lg:grid-cols-7 gap-4 mb-4">
+            {FACET_FILTERS.map(({ facet, label, allLabel }) => (
+              <div key={facet}>
+                <label className="block text-blue-200 mb-2 text-sm">{label}</label>
+                <select
+                  value={filters[facet]}
+                  onChange={(e) => handleFilterChange(facet, e.target.value)}
+                  className="w-full bg-white/10 border border-white/20 rounded-lg px-3 py-2 text-white text-sm"
+                >
+                  <option value="" className="bg-slate-800">{allLabel}</option>
+                  {renderFacetOptions(facet, filters[facet])}
+                </select>
+              </div>
+            ))}
             <div>
               <label className="block text-blue-200 mb-2 text-sm">Sort By</label>
               <select
                 value={sortBy}
-                onChange={(e) => setSortBy(e.target.value)}
+                onChange={(e) => handleSortChange(e.target.value)}
                 className="w-full bg-white/10 border border-white/20 rounded-lg px-3 py-2 text-white text-sm"
               >
-                <option value="relevance">Relevance</option>
-                <option value="amount">Amount</option>
-                <option value="deadline">Deadline</option>
+                <option value={SEARCH_SORTS.DEADLINE} className="bg-slate-800">Deadline</option>
+                <option value={SEARCH_SORTS.AMOUNT} className="bg-slate-800">Amount</option>
+                <option value={SEARCH_SORTS.NEWEST} className="bg-slate-800">Newest</option>
               </select>
             </div>
           </div>
@@ -342,8 +452,18 @@ const ScholarshipsPage = () => {
           <div className="flex items-center justify-between">
             <div className="flex items-center space-x-4">
               <span className="text-blue-200 text-sm">
-                {scholarships.length} scholarships found
+                Showing {scholarships.length} of {total} scholarships
+                {hiddenIneligible > 0 && ` (${hiddenIneligible} ineligible hidden)`}
               </span>
+              <label className="flex items-center space-x-2 text-blue-200 text-sm">
+                <input
+                  type="checkbox"
+                  checked={includeIneligible}
+                  onChange={(e) => handleToggleIneligible(e.target.checked)}
+                  className="w-4 h-4 text-blue-600 bg-white/10 border-white/20 rounded"
+                />
+                <span>Include ineligible</span>
+              </label>
             </div>
             <div className="flex items-center space-x-2">
               <button
@@ -377,18 +497,7 @@ const ScholarshipsPage = () => {
             <h3 className="text-2xl font-semibold text-white mb-2">No scholarships found</h3>
             <p className="text-blue-200 mb-6">Try adjusting your search criteria or filters.</p>
             <button
-              onClick={() => {
-                setSearchQuery('');
-                setFilters({
-                  minAmount: '',
-                  maxAmount: '',
-                  deadline: '',
-                  fieldOfStudy: '',
-                  level: '',
-                  location: ''
-                });
-                handleSearch();
-              }}
+              onClick={handleClearFilters}
               className="bg-blue-600 hover:bg-blue-700 text-white px-6 py-3 rounded-lg transition-colors"
             >
               Clear Filters
@@ -415,7 +524,7 @@ const ScholarshipsPage = () => {
                       </h3>
                       <div className="flex items-center space-x-4 text-sm">
                         <span className="text-green-300 font-semibold">
-                          {formatAmount(scholarship.amount)}
+                          {formatAmount(scholarship)}
                         </span>
                         {scholarship.matchScore && (
                           <span className={`font-medium ${getMatchScoreColor(scholarship.matchScore)}`}>
@@ -438,6 +547,17 @@ const ScholarshipsPage = () => {
                     </button>
                   </div>
 
+                  {/* Eligibility */}
+                  {scholarship.eligibilityStatus && (
+                    <div className="mb-4">
+                      <EligibilityStatus
+                        status={scholarship.eligibilityStatus}
+                        reasons={scholarship.eligibilityReasons}
+                        variant="dark"
+                      />
+                    </div>
+                  )}
+
                   {/* Description */}
                   <p className="text-blue-200 text-sm mb-4 line-clamp-3">
                     {scholarship.description}
@@ -449,6 +569,17 @@ const ScholarshipsPage = () => {
                       <span className="text-blue-300 w-20">Deadline:</span>
                       <span className="text-white">{formatDeadline(scholarship.deadline)}</span>
                     </div>
+                    {getCoverage(scholarship) && (
+                      <div className="flex items-center text-sm">
+                        <span className="text-blue-300 w-20">Covers:</span>
+                        <span
+                          className="text-white"
+                          title={`Typical yearly tuition and living costs: $${getCoverage(scholarship).annualCost.toLocaleString()}`}
+                        >
+                          ~{Math.round(getCoverage(scholarship).share * 100)}% of yearly costs in <span className="capitalize">{getCoverage(scholarship).country}</span>
+                        </span>
+                      </div>
+                    )}
                     {scholarship.provider && (
                       <div className="flex items-center text-sm">
                         <span className="text-blue-300 w-20">Provider:</span>
@@ -463,12 +594,23 @@ const ScholarshipsPage = () => {
                     )}
                   </div>
 
+                  {/* Match Explanation */}
+                  {scholarship.matchBreakdown && (
+                    <div className="mb-4">
+                      <MatchExplanation
+                        breakdown={scholarship.matchBreakdown.breakdown}
+                        variant="dark"
+                        stacked
+                      />
+                    </div>
+                  )}
+
                   {/* Requirements */}
-                  {scholarship.requirements && scholarship.requirements.length > 0 && (
+                  {getRequirements(scholarship).length > 0 && (
                     <div className="mb-4">
                       <h4 className="text-white font-medium text-sm mb-2">Requirements:</h4>
                       <div className="flex flex-wrap gap-1">
-                        {scholarship.requirements.slice(0, 3).map((req, index) => (
+                        {getRequirements(scholarship).slice(0, 3).map((req, index) => (
                           <span
                             key={index}
                             className="bg-blue-600/20 text-blue-300 px-2 py-1 rounded text-xs"
@@ -476,9 +618,9 @@ const ScholarshipsPage = () => {
                             {req}
                           </span>
                         ))}
-                        {scholarship.requirements.length > 3 && (
+                        {getRequirements(scholarship).length > 3 && (
                           <span className="text-blue-300 text-xs px-2 py-1">
-                            +{scholarship.requirements.length - 3} more
+                            +{getRequirements(scholarship).length - 3} more
                           </span>
                         )}
                       </div>
@@ -487,6 +629,11 @@ const ScholarshipsPage = () => {
 
                   {/* Actions */}
                   <div className="flex gap-2">
+                    <CompareToggle
+                      selected={comparison.isSelected(scholarship.id)}
+                      onToggle={() => comparison.toggle(scholarship)}
+                      variant="dark"
+                    />
                     <button
                       onClick={() => handleViewDetails(scholarship)}
                       className="flex-1 bg-blue-600/20 hover:bg-blue-600/30 text-blue-300 px-4 py-2 rounded-lg transition-colors text-sm"
@@ -514,7 +661,22 @@ const ScholarshipsPage = () => {
             ))}
           </div>
         )}
+
+        {/* Next page */}
+        {nextCursor && scholarships.length > 0 && (
+          <div className="text-center mt-8">
+            <button
+              onClick={handleLoadMore}
+              disabled={loadingMore}
+              className="bg-white/10 hover:bg-white/20 border border-white/20 text-white px-6 py-3 rounded-lg transition-colors disabled:opacity-50"
+            >
+              {loadingMore ? 'Loading...' : 'Load more'}
+            </button>
+          </div>
+        )}
       </div>
+
+      <ComparisonTray comparison={comparison} />
     </div>
   );
 };
@@ -2,6 +2,10 @@ import React, { useState, useEffect } from 'react';
 import SettingsService from '../services/settingsService';
 import BackupService from '../services/backupService';
 import AnalyticsService from '../services/analyticsService';
+import LLMService from '../services/llmService';
+import VectorSearchService from '../services/vectorSearchService';
+import { CRITERION_LABELS, DEFAULT_MATCH_WEIGHTS } from '../services/matchScoringService';
+import { DEFAULT_CURRENCY, EXCHANGE_RATES } from '../services/moneyService';
 
 const SettingsPage = () => {
   const [settings, setSettings] = useState({});
@@ -10,6 +14,9 @@ const SettingsPage = () => {
   const [saving, setSaving] = useState(false);
   const [backupStats, setBackupStats] = useState({});
   const [importFile, setImportFile] = useState(null);
+  const [llmUsage, setLlmUsage] = useState(null);
+  const [llmTest, setLlmTest] = useState(null);
+  const [searchIndexStats, setSearchIndexStats] = useState(null);
 
   useEffect(() => {
     loadSettings();
@@ -20,8 +27,10 @@ const SettingsPage = () => {
   const loadSettings = async () => {
     try {
       setLoading(true);
-      const allSettings = SettingsService.getAllSettings();
+      const allSettings = SettingsService.getSettings();
       setSettings(allSettings);
+      setLlmUsage(LLMService.getUsage());
+      setSearchIndexStats(VectorSearchService.getIndexStats());
     } catch (error) {
       console.error('Error loading settings:', error);
     } finally {
@@ -53,11 +62,8 @@ const SettingsPage = () => {
     try {
       setSaving(true);
       
-      // Save each category
-      for (const [category, categorySettings] of Object.entries(settings)) {
-        for (const [key, value] of Object.entries(categorySettings)) {
-          SettingsService.updateSetting(category, key, value);
-        }
+      if (!SettingsService.updateSettings(settings)) {
+        throw new Error('Settings could not be saved');
       }
       
       AnalyticsService.trackEvent(AnalyticsService.EVENTS.FEATURE_USED, {
@@ -77,7 +83,7 @@ const SettingsPage = () => {
   const handleResetSettings = () => {
     if (window.confirm('Are you sure you want to reset all settings to default? This cannot be undone.')) {
       try {
-        SettingsService.resetAllSettings();
+        SettingsService.resetSettings();
         loadSettings();
         
         AnalyticsService.trackEvent(AnalyticsService.EVENTS.FEATURE_USED, {
@@ -201,6 +207,28 @@ const SettingsPage = () => {
     }
   };
 
+  const handleTestLlm = async () => {
+    setLlmTest({ testing: true });
+    const result = await LLMService.testConnection();
+    setLlmTest(result);
+    setLlmUsage(LLMService.getUsage());
+  };
+
+  const handleResetLlmUsage = () => {
+    LLMService.resetUsage();
+    setLlmUsage(LLMService.getUsage());
+  };
+
+  const handleClearSearchIndex = () => {
+    VectorSearchService.clearIndex();
+    setSearchIndexStats(VectorSearchService.getIndexStats());
+  };
+
+  const llmProviders = LLMService.getProviders();
+  const embeddingProviders = VectorSearchService.getProviders();
+  const defaultProvider = llmProviders.find(provider => provider.id === LLMService.getDefaultProviderId()) || llmProviders[0];
+  const selectedProvider = llmProviders.find(provider => provider.id === settings.advanced?.llmProvider) || defaultProvider;
+
   if (loading) {
     return (
       <div className="min-h-screen bg-gradient-to-br from-slate-900 via-blue-900 to-indigo-900 flex items-center justify-center">
@@ -233,7 +261,8 @@ const SettingsPage = () => {
                   { id: 'search', label: 'Search', icon: '🔍' },
                   { id: 'applications', label: 'Applications', icon: '📋' },
                   { id: 'performance', label: 'Performance', icon: '⚡' },
-                  { id: 'backup', label: 'Backup & Data', icon: '💾' }
+                  { id: 'backup', label: 'Backup & Data', icon: '💾' },
+                  { id: 'advanced', label: 'AI & Advanced', icon: '🤖' }
                 ].map((tab) => (
                   <button
                     key={tab.id}
@@ -493,6 +522,63 @@ const SettingsPage = () => {
                       />
                       <label htmlFor="autoComplete" className="text-white">Enable auto-complete</label>
                     </div>
+
+                    <div>
+                      <h3 className="text-lg font-semibold text-white mb-1">Match Weights</h3>
+                      <p className="text-white/60 text-sm mb-3">
+                        How much each criterion counts towards a match score. Set a weight to 0 to ignore it.
+                      </p>
+                      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                        {Object.entries(DEFAULT_MATCH_WEIGHTS).map(([criterion, defaultWeight]) => (
+                          <div key={criterion}>
+                            <label className="block text-white font-medium mb-2">{CRITERION_LABELS[criterion]}</label>
+                            <input
+                              type="number"
+                              value={settings.search?.matchWeights?.[criterion] ?? defaultWeight}
+                              onChange={(e) => handleSettingChange('search', 'matchWeights', {
+                                ...settings.search?.matchWeights,
+                                [criterion]: Math.min(100, Math.max(0, parseInt(e.target.value, 10) || 0))
+                              })}
+                              className="w-full bg-white/10 border border-white/20 rounded-lg px-4 py-2 text-white"
+                              min="0"
+                              max="100"
+                            />
+                          </div>
+                        ))}
+                      </div>
+                    </div>
+
+                    <div>
+                      <h3 className="text-lg font-semibold text-white mb-1">Exchange Rates</h3>
+                      <p className="text-white/60 text-sm mb-3">
+                        Units of each currency per {DEFAULT_CURRENCY}, used to compare, sort and filter award amounts. Leave a rate empty to use the built-in one.
+                      </p>
+                      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                        {Object.entries(EXCHANGE_RATES)
+                          .filter(([code]) => code !== DEFAULT_CURRENCY)
+                          .map(([code, defaultRate]) => (
+                            <div key={code}>
+                              <label className="block text-white font-medium mb-2">{code}</label>
+                              <input
+                                type="number"
+                                value={settings.search?.exchangeRates?.[code] ?? ''}
+                                placeholder={String(defaultRate)}
+                                onChange={(e) => {
+                                  // null rather than a missing key, so saving clears a stored override
+                                  const rate = parseFloat(e.target.value);
+                                  handleSettingChange('search', 'exchangeRates', {
+                                    ...settings.search?.exchangeRates,
+                                    [code]: rate > 0 ? rate : null
+                                  });
+                                }}
+                                className="w-full bg-white/10 border border-white/20 rounded-lg px-4 py-2 text-white"
+                                min="0"
+                                step="any"
+                              />
+                            </div>
+                          ))}
+                      </div>
+                    </div>
                   </div>
                 </div>
               )}
@@ -722,6 +808,183 @@ const SettingsPage = () => {
                 </div>
               )}
 
+              {/* AI & Advanced Settings */}
+              {activeTab === 'advanced' && (
+                <div className="space-y-6">
+                  <h2 className="text-2xl font-bold text-white mb-4">AI & Advanced Settings</h2>
+                  
+                  <div className="space-y-4">
+                    <div>
+                      <label className="block text-white font-medium mb-2">AI provider</label>
+                      <select
+                        value={settings.advanced?.llmProvider || ''}
+                        onChange={(e) => setSettings({
+                          ...settings,
+                          advanced: { ...settings.advanced, llmProvider: e.target.value, llmModel: '' }
+                        })}
+                        className="w-full bg-white/10 border border-white/20 rounded-lg px-4 py-2 text-white"
+                      >
+                        <option value="">Default ({defaultProvider.label})</option>
+                        {llmProviders.map(provider => (
+                          <option key={provider.id} value={provider.id}>
+                            {provider.label}{provider.configured ? '' : ' (not configured)'}
+                          </option>
+                        ))}
+                      </select>
+                    </div>
+                    
+                    <div>
+                      <label className="block text-white font-medium mb-2">Model</label>
+                      <select
+                        value={settings.advanced?.llmModel || ''}
+                        onChange={(e) => handleSettingChange('advanced', 'llmModel', e.target.value)}
+                        className="w-full bg-white/10 border border-white/20 rounded-lg px-4 py-2 text-white"
+                      >
+                        <option value="">Default ({selectedProvider.defaultModel})</option>
+                        {selectedProvider.models.map(model => (
+                          <option key={model} value={model}>{model}</option>
+                        ))}
+                      </select>
+                    </div>
+                    
+                    {selectedProvider.id === 'openai' && (
+                      <div>
+                        <label className="block text-white font-medium mb-2">Server URL</label>
+                        <input
+                          type="url"
+                          value={settings.advanced?.llmBaseUrl || ''}
+                          onChange={(e) => handleSettingChange('advanced', 'llmBaseUrl', e.target.value.trim())}
+                          placeholder="https://api.openai.com/v1"
+                          className="w-full bg-white/10 border border-white/20 rounded-lg px-4 py-2 text-white"
+                        />
+                        <p className="text-blue-200 text-sm mt-1">Any OpenAI-compatible server, e.g. a local Ollama or LM Studio instance.</p>
+                      </div>
+                    )}
+                    
+                    <div>
+                      <label className="block text-white font-medium mb-2">Request timeout (seconds)</label>
+                      <input
+                        type="number"
+                        value={Math.round((settings.advanced?.apiTimeout || 30000) / 1000)}
+                        onChange={(e) => handleSettingChange('advanced', 'apiTimeout', parseInt(e.target.value) * 1000)}
+                        className="w-full bg-white/10 border border-white/20 rounded-lg px-4 py-2 text-white"
+                        min="1"
+                        max="300"
+                      />
+                    </div>
+                    
+                    <div>
+                      <label className="block text-white font-medium mb-2">Retries on rate limits and server errors</label>
+                      <input
+                        type="number"
+                        value={settings.advanced?.maxRetries ?? 3}
+                        onChange={(e) => handleSettingChange('advanced', 'maxRetries', parseInt(e.target.value))}
+                        className="w-full bg-white/10 border border-white/20 rounded-lg px-4 py-2 text-white"
+                        min="0"
+                        max="5"
+                      />
+                    </div>
+                    
+                    <div>
+                      <label className="block text-white font-medium mb-2">Repair attempts for invalid AI responses</label>
+                      <input
+                        type="number"
+                        value={settings.advanced?.llmRepairAttempts ?? 2}
+                        onChange={(e) => handleSettingChange('advanced', 'llmRepairAttempts', parseInt(e.target.value))}
+                        className="w-full bg-white/10 border border-white/20 rounded-lg px-4 py-2 text-white"
+                        min="0"
+                        max="5"
+                      />
+                      <p className="text-blue-200 text-sm mt-1">Responses that don't match the expected format are sent back with the problems found before falling back to built-in matching.</p>
+                    </div>
+                    
+                    <div className="flex items-center space-x-3">
+                      <button
+                        onClick={handleTestLlm}
+                        disabled={llmTest?.testing}
+                        className="bg-blue-600 hover:bg-blue-700 disabled:bg-blue-800 text-white px-4 py-2 rounded-lg transition-colors"
+                      >
+                        {llmTest?.testing ? 'Testing...' : 'Test Saved Configuration'}
+                      </button>
+                      {llmTest && !llmTest.testing && (
+                        <span className={llmTest.success ? 'text-green-300' : 'text-red-300'}>{llmTest.message}</span>
+                      )}
+                    </div>
+                  </div>
+                  
+                  {/* Scholarship Search Index */}
+                  <div className="bg-white/5 rounded-lg p-4">
+                    <h3 className="text-lg font-semibold text-white mb-3">Scholarship Search Index</h3>
+                    <div className="mb-4">
+                      <label className="block text-white font-medium mb-2">Embeddings</label>
+                      <select
+                        value={settings.advanced?.embeddingProvider || 'local'}
+                        onChange={(e) => handleSettingChange('advanced', 'embeddingProvider', e.target.value)}
+                        className="w-full bg-white/10 border border-white/20 rounded-lg px-4 py-2 text-white"
+                      >
+                        {embeddingProviders.map(provider => (
+                          <option key={provider.id} value={provider.id} disabled={!provider.configured}>
+                            {provider.label} ({provider.model}){provider.configured ? '' : ' - not configured'}
+                          </option>
+                        ))}
+                      </select>
+                      <p className="text-blue-200 text-sm mt-1">Changing the embedding model rebuilds the index on the next search.</p>
+                    </div>
+                    <p className="text-blue-100 text-sm mb-4">
+                      {searchIndexStats?.size || 0} scholarships indexed
+                      {searchIndexStats?.updatedAt ? `, last updated ${new Date(searchIndexStats.updatedAt).toLocaleString()}` : ''}
+                    </p>
+                    <button
+                      onClick={handleClearSearchIndex}
+                      className="bg-gray-600 hover:bg-gray-700 text-white px-4 py-2 rounded-lg transition-colors"
+                    >
+                      Rebuild Index
+                    </button>
+                  </div>
+                  
+                  {/* Token Usage */}
+                  <div className="bg-white/5 rounded-lg p-4">
+                    <h3 className="text-lg font-semibold text-white mb-3">AI Token Usage</h3>
+                    <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm mb-4">
+                      <div>
+                        <p className="text-blue-200">Requests</p>
+                        <p className="text-white font-semibold">{llmUsage?.totals.requests || 0}</p>
+                      </div>
+                      <div>
+                        <p className="text-blue-200">Failed / Invalid</p>
+                        <p className="text-white font-semibold">{llmUsage?.totals.failures || 0} / {llmUsage?.totals.invalidResponses || 0}</p>
+                      </div>
+                      <div>
+                        <p className="text-blue-200">Prompt Tokens</p>
+                        <p className="text-white font-semibold">{(llmUsage?.totals.promptTokens || 0).toLocaleString()}</p>
+                      </div>
+                      <div>
+                        <p className="text-blue-200">Response Tokens</p>
+                        <p className="text-white font-semibold">{(llmUsage?.totals.completionTokens || 0).toLocaleString()}</p>
+                      </div>
+                    </div>
+                    
+                    {llmUsage && Object.keys(llmUsage.byModel).length > 0 && (
+                      <ul className="text-sm text-blue-100 space-y-1 mb-4">
+                        {Object.entries(llmUsage.byModel).map(([model, usage]) => (
+                          <li key={model}>
+                            {model}: {usage.requests} requests, {usage.totalTokens.toLocaleString()} tokens
+                            {usage.estimatedRequests > 0 ? ' (partly estimated)' : ''}
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                    
+                    <button
+                      onClick={handleResetLlmUsage}
+                      className="bg-gray-600 hover:bg-gray-700 text-white px-4 py-2 rounded-lg transition-colors"
+                    >
+                      Reset Usage
+                    </button>
+                  </div>
+                </div>
+              )}
+
               {/* Action Buttons */}
               <div className="flex justify-between items-center pt-6 border-t border-white/20">
                 <div className="flex space-x-3">
@@ -2,15 +2,26 @@ import { useState, useCallback } from 'react'
 import { useNavigate } from 'react-router-dom'
 import { motion } from 'framer-motion'
 import { useDropzone } from 'react-dropzone'
-import { Upload, FileText, ArrowLeft, CheckCircle, AlertCircle } from 'lucide-react'
+import { Upload, FileText, ArrowLeft, CheckCircle, AlertCircle, AlertTriangle, ScanLine } from 'lucide-react'
 import Button from '@components/ui/Button'
 import { useScholarship } from '@/context/ScholarshipContext'
+import DocumentReaderService from '@/services/documentReaderService'
+import OCRService, { OCR_LANGUAGES } from '@/services/ocrService'
+import SettingsService from '@/services/settingsService'
+
+const getDefaultOcrLanguage = () => {
+  const language = SettingsService.getSetting('language', 'en')
+  return OCR_LANGUAGES[language] ? language : 'en'
+}
 
 const UploadPage = () => {
   const navigate = useNavigate()
   const { setCvFile, setCvText, setCurrentStep } = useScholarship()
-  const [uploadStatus, setUploadStatus] = useState('idle') // idle, uploading, success, error
+  const [uploadStatus, setUploadStatus] = useState('idle') // idle, uploading, success, lowQuality, error
   const [errorMessage, setErrorMessage] = useState('')
+  const [parseProgress, setParseProgress] = useState({ progress: 0, message: '' })
+  const [ocrLanguage, setOcrLanguage] = useState(getDefaultOcrLanguage)
+  const [ocrReport, setOcrReport] = useState(null)
 
   const onDrop = useCallback(async (acceptedFiles) => {
     const file = acceptedFiles[0]
@@ -18,11 +29,16 @@ const UploadPage = () => {
 
     setUploadStatus('uploading')
     setErrorMessage('')
+    setParseProgress({ progress: 0, message: '' })
+    setOcrReport(null)
 
     try {
       // Use real CV parsing API
       const { ScholarSeekerAPI } = await import('@/services/api')
-      const result = await ScholarSeekerAPI.parseCVFile(file)
+      const result = await ScholarSeekerAPI.parseCVFile(file, {
+        ocrLanguages: [ocrLanguage],
+        onProgress: ({ progress, message }) => setParseProgress({ progress, message })
+      })
       
       if (result.success) {
         // Store the parsed profile data
@@ -30,8 +46,16 @@ const UploadPage = () => {
         
         setCvFile(file)
         setCvText(`Parsed CV data: ${result.profile.personalInfo?.name || 'Profile extracted'}`)
-        setUploadStatus('success')
         setCurrentStep(1)
+        setOcrReport(result.ocr)
+
+        // A poor scan needs the user's go-ahead before matching on its data
+        if (result.ocr?.lowQuality) {
+          setUploadStatus('lowQuality')
+          return
+        }
+
+        setUploadStatus('success')
         
         // Navigate to processing after a short delay
         setTimeout(() => {
@@ -45,15 +69,13 @@ const UploadPage = () => {
       setUploadStatus('error')
       setErrorMessage(error.message || 'Failed to process your CV. Please try again.')
     }
-  }, [setCvFile, setCvText, setCurrentStep, navigate])
+  }, [setCvFile, setCvText, setCurrentStep, navigate, ocrLanguage])
 
   const { getRootProps, getInputProps, isDragActive } = useDropzone({
     onDrop,
-    accept: {
-      'application/pdf': ['.pdf']
-    },
+    accept: DocumentReaderService.getDropzoneAccept(),
     maxFiles: 1,
-    maxSize: 10 * 1024 * 1024 // 10MB
+    maxSize: DocumentReaderService.MAX_FILE_SIZE
   })
 
   return (
@@ -118,7 +140,20 @@ const UploadPage = () => {
                     Processing your CV...
                   </h3>
                   <p className="text-gray-600">
-                    Extracting and analyzing your information
+                    {parseProgress.message || 'Extracting and analyzing your information'}
+                  </p>
+                </div>
+                <div className="max-w-sm mx-auto">
+                  <div className="w-full bg-gray-200 rounded-full h-2">
+                    <motion.div
+                      className="bg-primary-600 h-2 rounded-full"
+                      initial={{ width: 0 }}
+                      animate={{ width: `${parseProgress.progress}%` }}
+                      transition={{ duration: 0.3 }}
+                    />
+                  </div>
+                  <p className="text-sm text-gray-500 mt-2">
+                    {Math.round(parseProgress.progress)}%
                   </p>
                 </div>
               </div>
@@ -134,6 +169,40 @@ const UploadPage = () => {
                   <p className="text-gray-600">
                     Redirecting to analysis...
                   </p>
+                  {ocrReport && (
+                    <p className="text-sm text-gray-500 mt-2">
+                      {ocrReport.message}
+                    </p>
+                  )}
+                </div>
+              </div>
+            )}
+
+            {uploadStatus === 'lowQuality' && ocrReport && (
+              <div className="space-y-4" onClick={(event) => event.stopPropagation()}>
+                <AlertTriangle className="w-16 h-16 text-yellow-500 mx-auto" />
+                <div>
+                  <h3 className="text-lg font-semibold text-gray-900 mb-2">
+                    Low Scan Quality
+                  </h3>
+                  <p className="text-gray-600 mb-4">
+                    {ocrReport.message}
+                  </p>
+                  <ul className="text-sm text-gray-600 mb-4 space-y-1">
+                    {ocrReport.pages.map(page => (
+                      <li key={page.page} className={page.lowQuality ? 'text-yellow-700' : ''}>
+                        Page {page.page}: {page.confidence}% confidence
+                      </li>
+                    ))}
+                  </ul>
+                  <div className="flex justify-center gap-3">
+                    <Button variant="outline" onClick={() => setUploadStatus('idle')}>
+                      Upload a Clearer Scan
+                    </Button>
+                    <Button onClick={() => navigate('/processing')}>
+                      Continue Anyway
+                    </Button>
+                  </div>
                 </div>
               </div>
             )}
@@ -168,13 +237,33 @@ const UploadPage = () => {
                     or click to browse files
                   </p>
                   <p className="text-sm text-gray-500">
-                    Supported format: PDF (max 10MB)
+                    Supported formats: {DocumentReaderService.getFormatsLabel()} (max 10MB)
                   </p>
                 </div>
               </div>
             )}
           </div>
           
+          {/* Language used to read scanned CVs */}
+          {uploadStatus === 'idle' && (
+            <div className="mt-4 flex items-center justify-center gap-2 text-sm text-gray-600">
+              <ScanLine className="w-4 h-4" />
+              <label htmlFor="ocr-language">Scanned CV language:</label>
+              <select
+                id="ocr-language"
+                value={ocrLanguage}
+                onChange={(event) => setOcrLanguage(event.target.value)}
+                className="border border-gray-300 rounded-md px-2 py-1 bg-white"
+              >
+                {OCRService.getAvailableLanguages().map(language => (
+                  <option key={language.code} value={language.code}>
+                    {language.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+
           {/* Alternative Option */}
           {uploadStatus === 'idle' && (
             <div className="mt-8 text-center">
@@ -0,0 +1,364 @@
+/**
+ * Academic Normalizer
+ * Turns free-text education and experience periods into ISO date ranges and
+ * converts grades from common grading systems to a 4.0-equivalent GPA
+ */
+
+import {
+  LANGUAGE_DICTIONARIES,
+  collectTerms,
+  escapePattern,
+  getAllMonths,
+  wholeWordPattern
+} from './cvLanguages.js';
+
+export const GRADING_SCALES = {
+  GPA_4: '4.0',
+  GPA_5: '5.0',
+  GPA_10: '10',
+  PERCENTAGE: 'percentage',
+  UK_HONOURS: 'uk_honours',
+  GERMAN: 'german'
+};
+
+export const DEGREE_LEVELS = {
+  BACHELOR: 'bachelor',
+  MASTER: 'master',
+  PHD: 'phd'
+};
+
+const ALL_DICTIONARIES = Object.values(LANGUAGE_DICTIONARIES);
+const MONTHS = getAllMonths();
+
+const MONTH_NAMES = Object.keys(MONTHS).sort((a, b) => b.length - a.length).map(escapePattern).join('|');
+const DATE_TOKEN_PATTERN = new RegExp(
+  `(?<![\\p{L}\\d])(?:(${MONTH_NAMES})\\.?,?\\s+(?:de\\s+)?|(0?[1-9]|1[0-2])[/.-])?((?:19|20)\\d{2})(?!\\d)`,
+  'giu'
+);
+const ONGOING_PATTERN = new RegExp(wholeWordPattern(collectTerms(ALL_DICTIONARIES, 'ongoing')), 'iu');
+const SINCE_PATTERN = new RegExp(`${wholeWordPattern(collectTerms(ALL_DICTIONARIES, 'since'))}\\s*$`, 'iu');
+const EXPECTED_PATTERN = new RegExp(`${wholeWordPattern(collectTerms(ALL_DICTIONARIES, 'expected'))}\\s*:?\\s*$`, 'iu');
+
+// UK degree classifications and their usual 4.0-scale equivalents
+const UK_HONOURS = [
+  { pattern: /\bfirst[\s-]*class\b|\b1st\s*class\b|\bfirst\b(?=\s*(?:class\s*)?hon)/i, label: 'First Class Honours', gpa4: 4.0 },
+  { pattern: /\b2\s*:\s*1\b|\b2\.1\s*hon|\bupper\s+second\b/i, label: 'Upper Second Class (2:1)', gpa4: 3.4 },
+  { pattern: /\b2\s*:\s*2\b|\b2\.2\s*hon|\blower\s+second\b/i, label: 'Lower Second Class (2:2)', gpa4: 2.8 },
+  { pattern: /\bthird[\s-]*class\b|\b3rd\s*class\b/i, label: 'Third Class Honours', gpa4: 2.2 }
+];
+
+const GPA_PATTERN = new RegExp(
+  `${wholeWordPattern(collectTerms(ALL_DICTIONARIES, 'gpaLabels'))}[^\\d\\n]{0,15}(\\d{1,2}(?:[.,]\\d{1,2})?)(?:\\s*(?:\\/|out of|sur|de|of)\\s*(\\d{1,3}(?:[.,]\\d{1,2})?))?`,
+  'iu'
+);
+const PERCENTAGE_PATTERN = /(\d{2,3}(?:[.,]\d{1,2})?)\s*%/;
+const PERCENTAGE_CONTEXT_PATTERN = new RegExp(wholeWordPattern([
+  'grade', 'average', 'score', 'mark', 'marks', 'percentage', 'aggregate', 'result',
+  'note', 'nota', 'résultat', 'resultado', 'النسبة', 'التقدير',
+  ...collectTerms(ALL_DICTIONARIES, 'gpaLabels')
+]), 'iu');
+const GERMAN_PATTERN = /\b(?:(?:abschluss|gesamt|end)note|german grade|grade\s*\(german\)|german scale)\b[^\d\n]{0,15}([1-5][.,]\d)/i;
+// Scales stated after the grade: "1.7 (German scale)", "8.2 (10-point scale)", "4.5 on a 5.0 scale"
+const GERMAN_SUFFIX_PATTERN = /^[^\d\n]{0,10}?(?:\(\s*(?:german|deutsche?)\b[^)\n]{0,15}\)|\b(?:german|deutsche?)\s+(?:scale|grade|grading|system)\b)/i;
+const SCALE_SUFFIX_PATTERN = /^[^\d\n]{0,10}?(?:(\d{1,3}(?:[.,]\d)?)[\s-]*(?:point\s+)?scale\b|scale\s+of\s+(\d{1,3}(?:[.,]\d)?)\b)\)?/i;
+
+/**
+ * Parse a free-text period such as "Sep 2019 – Present" or "2015-2019"
+ * @param {string} text - Text containing the period
+ * @param {Object} options - `{ referenceDate }` used to decide whether a period is ongoing
+ * @returns {Object} - `{ raw, start, end, ongoing, precision }` with ISO (YYYY-MM-DD) dates or null
+ */
+export function parseDateRange(text, { referenceDate = new Date() } = {}) {
+  const empty = { raw: text || null, start: null, end: null, ongoing: false, precision: null };
+  if (!text || typeof text !== 'string') return empty;
+
+  const tokens = [...text.matchAll(DATE_TOKEN_PATTERN)].map(match => ({
+    index: match.index,
+    length: match[0].length,
+    year: parseInt(match[3], 10),
+    month: match[1] ? MONTHS[match[1].toLowerCase()] : match[2] ? parseInt(match[2], 10) : null
+  }));
+
+  if (tokens.length === 0) return empty;
+
+  const first = tokens[0];
+  const last = tokens[tokens.length - 1];
+  const afterFirst = text.slice(first.index + first.length);
+  const beforeFirst = text.slice(0, first.index);
+  const openEnded = tokens.length === 1 && (ONGOING_PATTERN.test(afterFirst) || SINCE_PATTERN.test(beforeFirst));
+  const expected = tokens.length === 1 && EXPECTED_PATTERN.test(beforeFirst);
+
+  let start = null;
+  let end = null;
+
+  if (tokens.length > 1) {
+    start = first;
+    end = ONGOING_PATTERN.test(text.slice(first.index + first.length, last.index)) ? null : last;
+  } else if (openEnded) {
+    start = first;
+  } else {
+    end = first; // A single year is usually the graduation or leaving year
+  }
+
+  const endDate = end ? toIsoDate(end, 'end') : null;
+  const ongoing = !end || openEnded || expected || (endDate !== null && endDate > toIsoDay(referenceDate));
+
+  return {
+    raw: text.trim(),
+    start: start ? toIsoDate(start, 'start') : null,
+    end: endDate,
+    ongoing: start || end ? ongoing : false,
+    precision: [start, end].some(token => token?.month) ? 'month' : 'year'
+  };
+}
+
+/**
+ * Detect a grade in free text and convert it to a 4.0-equivalent
+ * @param {string} text - Text that may contain a GPA, percentage or classification
+ * @returns {Object|null} - `{ raw, value, scale, type, gpa4 }` or null if none found
+ */
+export function parseGpa(text) {
+  if (!text || typeof text !== 'string') return null;
+
+  const german = text.match(GERMAN_PATTERN);
+  if (german) {
+    const value = toNumber(german[1]);
+    return createGrade(german[0], value, 5, GRADING_SCALES.GERMAN, convertGermanGrade(value));
+  }
+
+  const gpa = text.match(GPA_PATTERN);
+  if (gpa) {
+    const value = toNumber(gpa[1]);
+    const suffix = gpa[2] ? '' : text.slice(gpa.index + gpa[0].length);
+
+    const germanSuffix = suffix.match(GERMAN_SUFFIX_PATTERN);
+    if (germanSuffix && value >= 1 && value <= 5) {
+      return createGrade(`${gpa[0]}${germanSuffix[0]}`, value, 5, GRADING_SCALES.GERMAN, convertGermanGrade(value));
+    }
+
+    const scaleSuffix = suffix.match(SCALE_SUFFIX_PATTERN);
+    const statedScale = gpa[2] || scaleSuffix?.[1] || scaleSuffix?.[2];
+    const scale = statedScale ? toNumber(statedScale) : inferScale(value);
+    const grade = normalizeGpaValue(value, scale);
+    if (grade) return { ...grade, raw: `${gpa[0]}${scaleSuffix ? scaleSuffix[0] : ''}`.trim() };
+  }
+
+  for (const honours of UK_HONOURS) {
+    const match = text.match(honours.pattern);
+    if (match) {
+      return createGrade(match[0], honours.label, null, GRADING_SCALES.UK_HONOURS, honours.gpa4);
+    }
+  }
+
+  const percentage = text.match(PERCENTAGE_PATTERN);
+  if (percentage && PERCENTAGE_CONTEXT_PATTERN.test(text)) {
+    const value = toNumber(percentage[1]);
+    if (value <= 100) {
+      return createGrade(percentage[0], value, 100, GRADING_SCALES.PERCENTAGE, (value / 100) * 4);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Convert a numeric grade to a 4.0-equivalent
+ * @param {number|string} value - Grade value
+ * @param {number|string|null} scale - Maximum of the scale; inferred from the value when omitted
+ * @returns {Object|null} - `{ raw, value, scale, type, gpa4 }` or null if not a valid grade
+ */
+export function normalizeGpaValue(value, scale = null) {
+  const numericValue = toNumber(value);
+  if (!Number.isFinite(numericValue) || numericValue < 0) return null;
+
+  const maximum = scale !== null && scale !== undefined ? toNumber(scale) : inferScale(numericValue);
+  if (!Number.isFinite(maximum) || maximum <= 0 || numericValue > maximum) return null;
+
+  const type = {
+    4: GRADING_SCALES.GPA_4,
+    5: GRADING_SCALES.GPA_5,
+    10: GRADING_SCALES.GPA_10,
+    100: GRADING_SCALES.PERCENTAGE
+  }[maximum] || `${maximum}`;
+
+  return createGrade(String(value), numericValue, maximum, type, (numericValue / maximum) * 4);
+}
+
+/**
+ * Add ISO periods and normalized grades to an education entry
+ * @param {Object} entry - Education entry with free-text `year` and `gpa`
+ * @param {Object} options - Passed to parseDateRange
+ * @returns {Object} - Entry with `period` and `gpaNormalized`
+ */
+export function normalizeEducationEntry(entry, options = {}) {
+  if (!entry) return entry;
+
+  const hasGpa = entry.gpa !== undefined && entry.gpa !== null && entry.gpa !== '';
+
+  return {
+    ...entry,
+    period: entry.period || parseDateRange(entry.year || entry.duration || '', options),
+    gpaNormalized: entry.gpaNormalized || (hasGpa ? parseGpa(`GPA ${entry.gpa}`) : null)
+  };
+}
+
+/**
+ * Add ISO periods to an experience entry
+ * @param {Object} entry - Experience entry with free-text `duration`
+ * @param {Object} options - Passed to parseDateRange
+ * @returns {Object} - Entry with `period`
+ */
+export function normalizeExperienceEntry(entry, options = {}) {
+  if (!entry) return entry;
+
+  return {
+    ...entry,
+    period: entry.period || parseDateRange(entry.duration || '', options)
+  };
+}
+
+/**
+ * Get the applicant's GPA on the 4.0 scale from a CV profile or questionnaire data
+ * @param {Object} profile - User profile
+ * @returns {number|null} - Best known 4.0-equivalent GPA
+ */
+export function getProfileGpa(profile) {
+  if (!profile) return null;
+
+  const educationGrades = (profile.education || [])
+    .map(entry => normalizeEducationEntry(entry))
+    .filter(entry => entry.gpaNormalized)
+    // Completed degrees first (most recent first), grades of ongoing studies after
+    .sort((a, b) => (
+      Number(Boolean(a.period?.ongoing)) - Number(Boolean(b.period?.ongoing))
+      || (b.period?.end || '').localeCompare(a.period?.end || '')
+    ));
+
+  if (educationGrades.length > 0) {
+    return educationGrades[0].gpaNormalized.gpa4;
+  }
+
+  const directValue = profile.gpa ?? profile.currentGPA ?? profile.academicInfo?.gpa;
+  if (directValue === undefined || directValue === null || directValue === '') return null;
+
+  const grade = typeof directValue === 'number'
+    ? normalizeGpaValue(directValue)
+    : parseGpa(`GPA ${directValue}`) || parseGpa(String(directValue));
+
+  return grade ? grade.gpa4 : null;
+}
+
+/**
+ * Get a scholarship's minimum GPA on the 4.0 scale
+ * @param {Object} scholarship - Scholarship in any of the catalog shapes
+ * @returns {number|null} - Minimum GPA or null if none is stated
+ */
+export function getMinimumGpa(scholarship) {
+  if (!scholarship) return null;
+
+  const explicit = scholarship.gpa_min
+    ?? scholarship.eligibility?.gpa_min
+    ?? scholarship.gpaRequirement
+    ?? scholarship.eligibility?.gpaRequirement;
+
+  if (explicit !== undefined && explicit !== null && explicit !== '') {
+    const grade = normalizeGpaValue(explicit);
+    return grade ? grade.gpa4 : null;
+  }
+
+  // Free-text requirements such as "Minimum 3.5 GPA" or "3.0+ GPA"
+  const requirementText = [
+    scholarship.requirements,
+    typeof scholarship.eligibility === 'string' ? scholarship.eligibility : scholarship.eligibility?.requirements
+  ]
+    .flat()
+    .filter(item => typeof item === 'string')
+    .join('\n');
+
+  const match = requirementText.match(/(\d(?:\.\d{1,2})?)\s*\+?\s*(?:\/\s*(\d(?:\.\d)?)\s*)?(?:cumulative\s+)?gpa\b|\bgpa\s*(?:of|:|≥|>=)?\s*(\d(?:\.\d{1,2})?)/i);
+  if (!match) return null;
+
+  const grade = normalizeGpaValue(match[1] || match[3], match[2] || null);
+  return grade ? grade.gpa4 : null;
+}
+
+/**
+ * Map a free-text degree or academic level to degree levels. Every level
+ * mentioned counts, so "Bachelor's or Master's" gives both. Professional
+ * degrees such as MD or JD have no level here and give an empty list.
+ * @param {string} value - e.g. "Master's Degree", "Undergraduate", "PhD/Doctorate"
+ * @returns {Array<string>} - DEGREE_LEVELS values; empty for "any" or unrecognized levels
+ */
+export function getDegreeLevels(value) {
+  const text = String(value ?? '').toLowerCase();
+
+  // "Any level" is unrestricted; "Master's in any field" still names a level
+  if (/\b(any|all)\b/.test(text) && !/\b(any|all)\s+(fields?|subjects?|disciplines?|majors?|areas?)\b/.test(text)) return [];
+
+  const levels = new Set();
+  if (/undergrad|bachelor|\bb\.?sc?\b|\bb\.?a\b|licen/.test(text)) levels.add(DEGREE_LEVELS.BACHELOR);
+  if (/master|\bmba\b|\bm\.?sc?\b|\bm\.?a\b|\bm\.?phil\b|\bll\.?m\b/.test(text)) levels.add(DEGREE_LEVELS.MASTER);
+  if (/ph\.?\s?d|doctor/.test(text)) levels.add(DEGREE_LEVELS.PHD);
+  // "Graduate" and "postgraduate" cover both master's and doctoral study
+  if (/(?<!under)graduate/.test(text) && !levels.has(DEGREE_LEVELS.MASTER) && !levels.has(DEGREE_LEVELS.PHD)) {
+    levels.add(DEGREE_LEVELS.MASTER);
+    levels.add(DEGREE_LEVELS.PHD);
+  }
+  return Object.values(DEGREE_LEVELS).filter(level => levels.has(level));
+}
+
+// Helper functions
+
+function createGrade(raw, value, scale, type, gpa4) {
+  return {
+    raw: String(raw).trim(),
+    value,
+    scale,
+    type,
+    gpa4: Math.round(Math.max(0, Math.min(4, gpa4)) * 100) / 100
+  };
+}
+
+function convertGermanGrade(grade) {
+  // German grades run from 1.0 (best) to 4.0 (lowest pass); 5.0 is a fail
+  return Math.max(0, Math.min(4, 5 - grade));
+}
+
+function inferScale(value) {
+  if (value <= 4) return 4;
+  if (value <= 5) return 5;
+  if (value <= 10) return 10;
+  if (value <= 100) return 100;
+  return NaN;
+}
+
+function toNumber(value) {
+  return typeof value === 'number' ? value : parseFloat(String(value).replace(',', '.'));
+}
+
+function toIsoDate({ year, month }, boundary) {
+  if (boundary === 'start') {
+    return `${year}-${String(month || 1).padStart(2, '0')}-01`;
+  }
+
+  const endMonth = month || 12;
+  const lastDay = new Date(Date.UTC(year, endMonth, 0)).getUTCDate();
+  return `${year}-${String(endMonth).padStart(2, '0')}-${String(lastDay).padStart(2, '0')}`;
+}
+
+function toIsoDay(date) {
+  return new Date(date).toISOString().split('T')[0];
+}
+
+export default {
+  GRADING_SCALES,
+  DEGREE_LEVELS,
+  parseDateRange,
+  parseGpa,
+  normalizeGpaValue,
+  normalizeEducationEntry,
+  normalizeExperienceEntry,
+  getProfileGpa,
+  getMinimumGpa,
+  getDegreeLevels
+};
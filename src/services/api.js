@@ -1,18 +1,22 @@
 // 🔌 Main API Service - ScholarSeeker AI
 import { supabase, supabaseHelpers } from './supabase.js';
 import { GeminiScholarshipService } from './geminiService.js';
-import { GoogleGenerativeAI } from '@google/generative-ai';
-import PDFParserService from './pdfParser.js';
+import DocumentReaderService from './documentReaderService.js';
+import CVParserWorkerService from './cvParserWorkerService.js';
+import { PARSING_STAGES, createProgressEvent } from './cvParsingProgress.js';
 import SupabaseService from './supabaseService.js';
 import ProfileService from './profileService.js';
 import ApplicationService from './applicationService.js';
 import NotificationService from './notificationService.js';
 import AnalyticsService from './analyticsService.js';
 import SettingsService from './settingsService.js';
+import LLMService from './llmService.js';
+import { CVExtractionSchema, ScholarshipEnhancementListSchema } from '../lib/schema';
 import BackupService from './backupService.js';
-
-const API_KEY = import.meta.env.VITE_GEMINI_API_KEY;
-const genAI = API_KEY ? new GoogleGenerativeAI(API_KEY) : null;
+import { FIELD_SOURCES, annotateProfile, mergeProfiles, pickConfirmedFields } from './profileProvenanceService.js';
+import { normalizeEducationEntry, normalizeExperienceEntry } from './academicNormalizer.js';
+import { ELIGIBILITY_STATUS, applyEligibilityGates, rankEligibleScholarships } from './eligibilityService.js';
+import { scoreScholarship } from './matchScoringService.js';
 
 // API Configuration
 const API_CONFIG = {
@@ -21,6 +25,15 @@ const API_CONFIG = {
   retries: 3
 };
 
+// Scholarship search stages reported while matching, in order
+export const SEARCH_STAGES = {
+  ANALYZING: { id: 'analyzing', start: 0, end: 10, message: 'Analyzing your profile' },
+  SCANNING: { id: 'scanning', start: 10, end: 55, message: 'Scanning scholarship database' },
+  MATCHING: { id: 'matching', start: 55, end: 90, message: 'Matching scholarships to your profile' },
+  RANKING: { id: 'ranking', start: 90, end: 100, message: 'Ranking best opportunities' },
+  COMPLETE: { id: 'complete', start: 100, end: 100, message: 'Matches ready' }
+};
+
 /**
  * Main API Service Class
  */
@@ -61,58 +74,69 @@ export class ScholarSeekerAPI {
     }
   }
   /**
-   * Parse uploaded CV file using advanced PDF parser and Gemini AI
-   * @param {File} cvFile - PDF file to parse
-   * @returns {Promise<Object>} - Parsed profile data
+   * Parse uploaded CV file using the matching document reader and Gemini AI
+   * @param {File} cvFile - PDF, DOCX, ODT, RTF or TXT file to parse
+   * @param {Object} options - `{ onProgress, ocrLanguages }`; onProgress is called with
+   *   `{ stage, message, progress }` events, ocrLanguages are CV language codes for scanned CVs
+   * @returns {Promise<Object>} - Parsed profile data, with `ocr` confidence when the CV was scanned
    */
-  static async parseCVFile(cvFile) {
+  static async parseCVFile(cvFile, { onProgress, ocrLanguages } = {}) {
+    const report = typeof onProgress === 'function' ? onProgress : () => {};
+
     try {
       // Validate file
-      if (!cvFile || cvFile.type !== 'application/pdf') {
-        throw new Error('Please upload a valid PDF file');
-      }
-
-      if (cvFile.size > 10 * 1024 * 1024) { // 10MB limit
-        throw new Error('File size must be less than 10MB');
+      const fileValidation = DocumentReaderService.validateFile(cvFile);
+      if (!fileValidation.isValid) {
+        throw new Error(fileValidation.error);
       }
 
       console.log('Processing CV file:', cvFile.name);
 
-      // Extract text from PDF using advanced parser
-      const extractedText = await PDFParserService.extractTextFromPDF(cvFile);
-      
-      if (!extractedText || extractedText.trim().length === 0) {
-        throw new Error('Could not extract text from PDF. Please ensure the PDF contains readable text.');
-      }
+      // Extract and analyze the CV off the main thread
+      const { document: cvDocument, profile: structuredData } = await CVParserWorkerService.parse(cvFile, { onProgress: report, ocrLanguages });
+      const extractedText = cvDocument.text;
 
       console.log('Extracted text length:', extractedText.length);
-
-      // Use advanced CV analysis
-      const structuredData = PDFParserService.analyzeCV(extractedText);
       
-      // Enhance with Gemini AI if available
+      // Enhance with the configured LLM if available
       let enhancedData = structuredData;
-      if (genAI) {
+      if (LLMService.isAvailable()) {
+        report(createProgressEvent(PARSING_STAGES.ENHANCING));
         try {
           const geminiEnhanced = await this.parseWithGemini(extractedText);
-          enhancedData = this.mergeProfileData(structuredData, geminiEnhanced);
+          enhancedData = this.mergeProfileData(structuredData, geminiEnhanced, cvDocument);
         } catch (geminiError) {
           console.warn('Gemini enhancement failed, using structured parser:', geminiError.message);
         }
       }
+
+      // Never overwrite values the user has already confirmed
+      const confirmedFields = pickConfirmedFields(ProfileService.getProfile());
+      if (confirmedFields) {
+        enhancedData = mergeProfiles([enhancedData, confirmedFields]);
+      }
       
       // Store profile temporarily using ProfileService
       const profileId = ProfileService.storeTemporaryProfile(enhancedData);
       
       // Also store permanently for user convenience
       ProfileService.storeProfile(enhancedData);
+
+      report(createProgressEvent(PARSING_STAGES.COMPLETE));
+
+      // Tell the user when a scanned CV could not be read reliably
+      const validation = ProfileService.validateProfile(enhancedData);
+      if (cvDocument.ocr?.lowQuality) {
+        validation.warnings.push(cvDocument.ocr.message);
+      }
       
       return {
         success: true,
         profile: enhancedData,
         profileId,
         expiresAt: new Date(Date.now() + 5 * 60 * 1000).toISOString(), // 5 minutes
-        validation: ProfileService.validateProfile(enhancedData)
+        validation,
+        ocr: cvDocument.ocr || null
       };
     } catch (error) {
       console.error('CV Parsing Error:', error);
@@ -122,14 +146,23 @@ export class ScholarSeekerAPI {
 
   /**
    * Find scholarships based on profile using Supabase and Gemini AI
-   * @param {string} profileId - Temporary profile ID
+   * @param {string|Object} profileId - Temporary profile ID, or the profile itself
    * @param {Object} filters - Search filters
-   * @returns {Promise<Object>} - Scholarship matches
+   * @param {Object} options - `{ onProgress, includeIneligible }`; onProgress is called with SEARCH_STAGES
+   *   progress events, includeIneligible keeps scholarships that fail a hard eligibility gate (ranked last)
+   * @returns {Promise<Object>} - Scholarship matches with `eligibilityStatus` and `eligibilityReasons`
    */
-  static async findScholarships(profileId, filters = {}) {
+  static async findScholarships(profileId, filters = {}, { onProgress, includeIneligible = false } = {}) {
+    const report = typeof onProgress === 'function' ? onProgress : () => {};
+
     try {
-      // Get profile from ProfileService
-      const profile = ProfileService.getTemporaryProfile(profileId);
+      report(createProgressEvent(SEARCH_STAGES.ANALYZING));
+
+
+      // Get profile from ProfileService; pages with a profile at hand may pass it directly
+      const profile = typeof profileId === 'object' && profileId !== null
+        ? profileId
+        : ProfileService.getTemporaryProfile(profileId);
       
       if (!profile) {
         throw new Error('Profile not found or expired. Please upload your CV again.');
@@ -142,13 +175,18 @@ export class ScholarSeekerAPI {
       await SupabaseService.initializeDatabase();
 
       // Search scholarships using Supabase
-      const scholarships = await SupabaseService.searchScholarships(profile, filters);
+      report(createProgressEvent(SEARCH_STAGES.SCANNING));
+      const results = await SupabaseService.searchScholarships(profile, filters);
+      const scholarships = rankEligibleScholarships(results || [], profile, { includeIneligible });
       
       if (scholarships && scholarships.length > 0) {
-        // Enhance results with Gemini AI if available
-        if (genAI) {
+        // Enhance results with the configured LLM if available
+        if (LLMService.isAvailable()) {
+          report(createProgressEvent(SEARCH_STAGES.MATCHING));
           try {
             const enhancedScholarships = await this.enhanceScholarshipsWithGemini(scholarships, profile);
+            report(createProgressEvent(SEARCH_STAGES.RANKING));
+            report(createProgressEvent(SEARCH_STAGES.COMPLETE));
             return {
               success: true,
               scholarships: enhancedScholarships,
@@ -160,6 +198,8 @@ export class ScholarSeekerAPI {
             console.warn('Gemini enhancement failed, using Supabase results:', geminiError.message);
           }
         }
+        report(createProgressEvent(SEARCH_STAGES.RANKING));
+        report(createProgressEvent(SEARCH_STAGES.COMPLETE));
         return {
           success: true,
           scholarships,
@@ -170,7 +210,8 @@ export class ScholarSeekerAPI {
       }
 
       // Final fallback
-      const fallbackScholarships = await this.getRealFallbackScholarships(profile);
+      const fallbackScholarships = await this.getRealFallbackScholarships(profile, { includeIneligible });
+      report(createProgressEvent(SEARCH_STAGES.COMPLETE));
       
       return {
         success: true,
@@ -183,8 +224,8 @@ export class ScholarSeekerAPI {
       console.error('Scholarship Search Error:', error);
       
       // Fallback to curated real scholarships if everything fails
-      const profile = ProfileService.getTemporaryProfile(profileId) || {};
-      const fallbackScholarships = await this.getRealFallbackScholarships(profile);
+      const profile = (typeof profileId === 'object' && profileId) || ProfileService.getTemporaryProfile(profileId) || {};
+      const fallbackScholarships = await this.getRealFallbackScholarships(profile, { includeIneligible });
       
       return {
         success: false,
@@ -238,7 +279,7 @@ export class ScholarSeekerAPI {
       const supabaseTest = await supabaseHelpers.testConnection();
       results.supabase = supabaseTest;
 
-      // Test Gemini connection
+      // Test the configured LLM provider
       const geminiTest = await GeminiScholarshipService.testConnection();
       results.gemini = geminiTest;
 
@@ -260,48 +301,30 @@ export class ScholarSeekerAPI {
   // ==========================================
 
   /**
-   * Merge profile data from different sources
-   * @param {Object} structuredData - Data from PDF parser
+   * Merge profile data from different sources, keeping the most confident
+   * value for each field along with its provenance
+   * @param {Object} structuredData - Annotated data from PDF parser
    * @param {Object} geminiData - Data from Gemini AI
-   * @returns {Object} - Merged profile data
+   * @param {Object} cvDocument - CV document model used to locate Gemini values (optional)
+   * @returns {Object} - Merged profile data with `provenance`
    */
-  static mergeProfileData(structuredData, geminiData) {
-    return {
-      personalInfo: {
-        ...structuredData.personalInfo,
-        ...(geminiData.personalInfo || {})
-      },
-      education: geminiData.education && geminiData.education.length > 0 
-        ? geminiData.education 
-        : structuredData.education,
-      experience: geminiData.experience && geminiData.experience.length > 0 
-        ? geminiData.experience 
-        : structuredData.experience,
-      skills: [...new Set([
-        ...(structuredData.skills || []),
-        ...(geminiData.skills || [])
-      ])].slice(0, 20), // Limit to 20 skills
-      achievements: [...new Set([
-        ...(structuredData.achievements || []),
-        ...(geminiData.achievements || [])
-      ])].slice(0, 10), // Limit to 10 achievements
-      interests: [...new Set([
-        ...(structuredData.interests || []),
-        ...(geminiData.interests || [])
-      ])].slice(0, 8) // Limit to 8 interests
-    };
+  static mergeProfileData(structuredData, geminiData, cvDocument = null) {
+    const annotatedGemini = geminiData.provenance
+      ? geminiData
+      : annotateProfile(geminiData, { source: FIELD_SOURCES.GEMINI, document: cvDocument });
+
+    return mergeProfiles([structuredData, annotatedGemini]);
   }
 
   /**
-   * Enhance scholarships with Gemini AI insights
+   * Enhance scholarships with LLM match insights
    * @param {Array} scholarships - Base scholarships from Supabase
    * @param {Object} profile - User profile
    * @returns {Promise<Array>} - Enhanced scholarships
    */
   static async enhanceScholarshipsWithGemini(scholarships, profile) {
     try {
-      const model = genAI.getGenerativeModel({ model: 'gemini-pro' });
-      
+      const analyzed = scholarships.slice(0, 10);
       const prompt = `
         Analyze these scholarships and provide personalized match insights for the user.
         
@@ -309,7 +332,7 @@ export class ScholarSeekerAPI {
         ${JSON.stringify(profile, null, 2)}
         
         Scholarships:
-        ${JSON.stringify(scholarships.slice(0, 10), null, 2)}
+        ${JSON.stringify(analyzed.map(({ matchBreakdown, ...scholarship }) => scholarship), null, 2)}
         
         For each scholarship, provide:
         1. A personalized match reason (why it fits the user)
@@ -324,13 +347,15 @@ export class ScholarSeekerAPI {
         Return only valid JSON, no additional text.
       `;
       
-      const result = await model.generateContent(prompt);
-      const response = await result.response;
-      const text = response.text();
-      
-      // Parse JSON response
-      const cleanedText = text.replace(/```json\n?|```\n?/g, '').trim();
-      const enhancedData = JSON.parse(cleanedText);
+      const enhancedData = await LLMService.generateJSON(prompt, {
+        feature: 'scholarship_enhancement',
+        json: 'array',
+        schema: ScholarshipEnhancementListSchema,
+        // Insights are matched back by position, so every scholarship needs one
+        validate: (data) => data.length === analyzed.length
+          ? []
+          : [{ path: '(root)', message: `Expected ${analyzed.length} entries in the same order as the scholarships, received ${data.length}` }]
+      });
       
       // Merge enhanced data with original scholarships
       return scholarships.map((scholarship, index) => {
@@ -339,7 +364,8 @@ export class ScholarSeekerAPI {
           ...scholarship,
           matchReason: enhancement.matchReason || 'Good fit based on your profile',
           applicationTips: enhancement.applicationTips || 'Review requirements carefully and highlight relevant experience',
-          matchScore: enhancement.enhancedMatchScore || scholarship.matchScore || 75
+          // The scoring engine's number stays the match score so it agrees with its breakdown
+          aiMatchScore: enhancement.enhancedMatchScore ?? null
         };
       });
       
@@ -355,16 +381,12 @@ export class ScholarSeekerAPI {
   }
 
   /**
-   * Parse CV text using Gemini AI
+   * Parse CV text using the configured LLM
    * @param {string} cvText - Extracted CV text
    * @returns {Promise<Object>} - Structured profile data
    */
   static async parseWithGemini(cvText) {
     try {
-      const { GoogleGenerativeAI } = await import('@google/generative-ai');
-      const genAI = new GoogleGenerativeAI(import.meta.env.VITE_GEMINI_API_KEY);
-      const model = genAI.getGenerativeModel({ model: 'gemini-pro' });
-
       const prompt = `
 Analyze this CV text and extract structured information in JSON format:
 
@@ -401,15 +423,14 @@ Please return ONLY a valid JSON object with this exact structure:
 
 Extract only information that is clearly present in the CV. Use empty arrays for missing sections.`;
 
-      const result = await model.generateContent(prompt);
-      const response = await result.response;
-      const text = response.text();
-      
-      // Clean and parse the JSON response
-      const cleanedText = text.replace(/```json\n?|```\n?/g, '').trim();
-      const profile = JSON.parse(cleanedText);
+      const profile = await LLMService.generateJSON(prompt, { feature: 'cv_parsing', schema: CVExtractionSchema });
       
-      return profile;
+      // Same structured periods and grades as the regex parser
+      return {
+        ...profile,
+        education: (profile.education || []).map(entry => normalizeEducationEntry(entry)),
+        experience: (profile.experience || []).map(entry => normalizeExperienceEntry(entry))
+      };
     } catch (error) {
       console.error('Gemini parsing error:', error);
       // Fallback to basic extraction if Gemini fails
@@ -695,6 +716,39 @@ Extract only information that is clearly present in the CV. Use empty arrays for
     }
   }
 
+  /**
+   * Browse the scholarship catalog with faceted search and cursor pagination.
+   * Results keep the requested sort order; each carries its match score and
+   * eligibility for the profile.
+   * @param {Object} params - `{ query, filters, sortBy, cursor, limit }`, see ScholarshipSearchService.search
+   * @param {Object} options - `{ profile, includeIneligible }`; ineligible scholarships are left out
+   *   of the page (and counted in `hiddenIneligible`) unless includeIneligible is set
+   * @returns {Promise<Object>} - `{ results, total, nextCursor, facets, hiddenIneligible }`
+   */
+  static async searchCatalog(params = {}, { profile = {}, includeIneligible = false } = {}) {
+    try {
+      const page = await SupabaseService.searchCatalog(params);
+      const gated = applyEligibilityGates(page.results, profile, { includeIneligible: true });
+      const results = gated
+        .filter(scholarship => includeIneligible || scholarship.eligibilityStatus !== ELIGIBILITY_STATUS.INELIGIBLE)
+        .map(scholarship => {
+          const { score, breakdown, matched, missing } = scoreScholarship(scholarship, profile);
+          return { ...scholarship, matchScore: score, matchBreakdown: { breakdown, matched, missing } };
+        });
+
+      AnalyticsService.trackEvent(AnalyticsService.EVENTS.SEARCH_PERFORMED, {
+        query: params.query,
+        filters: params.filters,
+        resultsCount: page.total
+      });
+
+      return { ...page, results, hiddenIneligible: gated.length - results.length };
+    } catch (error) {
+      console.error('Catalog search error:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get system health status
    * @returns {Object} - System health
@@ -759,10 +813,11 @@ Extract only information that is clearly present in the CV. Use empty arrays for
   /**
    * Get real fallback scholarships if Gemini service fails
    * @param {Object} profile - User profile for basic matching
+   * @param {Object} options - `{ includeIneligible }`, see findScholarships
    * @returns {Promise<Array>} - Array of real scholarships
    */
-  static async getRealFallbackScholarships(profile) {
-    // Return curated real scholarships with basic matching
+  static async getRealFallbackScholarships(profile, { includeIneligible = false } = {}) {
+    // Return curated real scholarships, scored like catalog results
     const allScholarships = [
       {
         id: 1,
@@ -831,40 +886,12 @@ Extract only information that is clearly present in the CV. Use empty arrays for
       }
     ];
     
-    // Basic matching based on profile
-    const matchedScholarships = allScholarships.map(scholarship => {
-      let matchScore = 50; // Base score
-      
-      // Increase score based on field match
-      if (profile.education && profile.education.length > 0) {
-        const degree = profile.education[0].degree?.toLowerCase() || '';
-        if (scholarship.fieldOfStudy === 'Any') matchScore += 10;
-        else if (degree.includes('computer') && scholarship.fieldOfStudy.includes('Computer')) matchScore += 25;
-        else if (degree.includes('engineering') && scholarship.fieldOfStudy.includes('Engineering')) matchScore += 25;
-        else if (scholarship.fieldOfStudy.includes('STEM') && (degree.includes('science') || degree.includes('engineering') || degree.includes('math'))) matchScore += 20;
-      }
-      
-      // Increase score based on skills match
-      if (profile.skills && profile.skills.length > 0) {
-        const hasSTEMSkills = profile.skills.some(skill => 
-          ['javascript', 'python', 'java', 'programming', 'coding', 'software'].some(tech => 
-            skill.toLowerCase().includes(tech)
-          )
-        );
-        if (hasSTEMSkills && scholarship.fieldOfStudy.includes('Computer')) matchScore += 15;
-      }
-      
-      return {
+    return rankEligibleScholarships(allScholarships, profile, { includeIneligible })
+      .map(scholarship => ({
         ...scholarship,
-        matchScore: Math.min(matchScore, 95), // Cap at 95
         searchedAt: new Date().toISOString(),
         aiGenerated: false
-      };
-    });
-    
-    // Sort by match score and return top 5
-    return matchedScholarships
-      .sort((a, b) => b.matchScore - a.matchScore)
+      }))
       .slice(0, 5);
   }
 
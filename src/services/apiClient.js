@@ -1,5 +1,6 @@
 import axios from 'axios';
 import toast from 'react-hot-toast';
+import DocumentReaderService from './documentReaderService';
 
 // Create axios instance with base configuration
 const apiClient = axios.create({
@@ -113,6 +114,21 @@ const apiHelpers = {
     });
   },
 
+  // Reject files no document reader supports before they are uploaded
+  validateFileTypes: (formData) => {
+    const unsupported = [...formData.values()]
+      .filter(value => value instanceof File && !DocumentReaderService.isSupportedFile(value));
+
+    if (unsupported.length > 0) {
+      const names = unsupported.map(file => file.name).join(', ');
+      return Promise.reject(new Error(
+        `Unsupported file type: ${names}. Allowed formats: ${DocumentReaderService.getFormatsLabel()}`
+      ));
+    }
+
+    return Promise.resolve();
+  },
+
   // Download file
   downloadFile: async (url, filename) => {
     try {
@@ -186,8 +202,11 @@ export const favoritesAPI = {
 };
 
 export const uploadsAPI = {
-  uploadSingle: (formData, onProgress) => apiHelpers.uploadFile('/uploads/single', formData, onProgress),
-  uploadMultiple: (formData, onProgress) => apiHelpers.uploadFile('/uploads/multiple', formData, onProgress),
+  uploadSingle: (formData, onProgress) => apiHelpers.validateFileTypes(formData)
+    .then(() => apiHelpers.uploadFile('/uploads/single', formData, onProgress)),
+  uploadMultiple: (formData, onProgress) => apiHelpers.validateFileTypes(formData)
+    .then(() => apiHelpers.uploadFile('/uploads/multiple', formData, onProgress)),
+  allowedMimeTypes: () => DocumentReaderService.getSupportedMimeTypes(),
   getFiles: (params) => apiClient.get('/uploads', { params }),
   downloadFile: (id) => apiClient.get(`/uploads/download/${id}`, { responseType: 'blob' }),
   updateFile: (id, data) => apiClient.put(`/uploads/${id}`, data),
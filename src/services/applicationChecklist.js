@@ -0,0 +1,288 @@
+/**
+ * Application Checklist
+ * What an application needs before it can be submitted: a CV, transcripts,
+ * essays, recommendation letters, a language test and anything else the
+ * scholarship asks for. Items are seeded from the scholarship record, carry
+ * their own status, due date and attached uploads, and drive the application's
+ * completion percentage and its "required documents" workflow guard.
+ */
+
+export const CHECKLIST_ITEM_TYPES = {
+  CV: 'cv',
+  TRANSCRIPT: 'transcript',
+  ESSAY: 'essay',
+  RECOMMENDATION: 'recommendation',
+  LANGUAGE_TEST: 'language_test',
+  OTHER: 'other'
+};
+
+export const CHECKLIST_ITEM_STATUS = {
+  TODO: 'todo',
+  IN_PROGRESS: 'in_progress',
+  DONE: 'done',
+  NOT_APPLICABLE: 'not_applicable'
+};
+
+export const ITEM_TYPE_LABELS = {
+  [CHECKLIST_ITEM_TYPES.CV]: 'CV / Résumé',
+  [CHECKLIST_ITEM_TYPES.TRANSCRIPT]: 'Academic transcripts',
+  [CHECKLIST_ITEM_TYPES.ESSAY]: 'Essay',
+  [CHECKLIST_ITEM_TYPES.RECOMMENDATION]: 'Recommendation letter',
+  [CHECKLIST_ITEM_TYPES.LANGUAGE_TEST]: 'Language test',
+  [CHECKLIST_ITEM_TYPES.OTHER]: 'Other'
+};
+
+export const ITEM_STATUS_LABELS = {
+  [CHECKLIST_ITEM_STATUS.TODO]: 'To do',
+  [CHECKLIST_ITEM_STATUS.IN_PROGRESS]: 'In progress',
+  [CHECKLIST_ITEM_STATUS.DONE]: 'Done',
+  [CHECKLIST_ITEM_STATUS.NOT_APPLICABLE]: 'Not needed'
+};
+
+// How scholarship texts ask for each item
+const ITEM_PATTERNS = [
+  { type: CHECKLIST_ITEM_TYPES.CV, pattern: /\b(cv|curriculum vitae|r[ée]sum[ée])\b/i },
+  { type: CHECKLIST_ITEM_TYPES.TRANSCRIPT, pattern: /\b(transcripts?|academic records?|grade reports?|mark ?sheets?)\b/i },
+  { type: CHECKLIST_ITEM_TYPES.ESSAY, pattern: /\b(essays?|personal statement|statement of purpose|motivation(al)? letter|cover letter)\b/i },
+  { type: CHECKLIST_ITEM_TYPES.RECOMMENDATION, pattern: /\b(recommendation|reference letters?|letters? of reference|referees?)\b/i },
+  { type: CHECKLIST_ITEM_TYPES.LANGUAGE_TEST, pattern: /\b(ielts|toefl|duolingo|pte|cambridge english|goethe|delf|dalf|testdaf|language (test|proficiency|certificate))\b/i }
+];
+
+const LANGUAGE_TESTS = ['IELTS', 'TOEFL', 'Duolingo', 'PTE', 'Goethe', 'DELF', 'DALF', 'TestDaF'];
+
+// Itemized requirements that aren't one of the known types still become items if
+// they name something to hand in (rather than a criterion like "3.0+ GPA")
+const DOCUMENT_PATTERN = /\b(letter|certificate|copy|passport|portfolio|form|proof|statement|document|plan|proposal|sample|photo|diploma|degree certificate)\b/i;
+
+const COUNT_WORDS = { one: 1, two: 2, three: 3, four: 4, five: 5 };
+
+// Days before the application deadline each item should be ready by;
+// referees and test scores need the most lead time
+const LEAD_DAYS = {
+  [CHECKLIST_ITEM_TYPES.CV]: 0,
+  [CHECKLIST_ITEM_TYPES.TRANSCRIPT]: 7,
+  [CHECKLIST_ITEM_TYPES.ESSAY]: 3,
+  [CHECKLIST_ITEM_TYPES.RECOMMENDATION]: 14,
+  [CHECKLIST_ITEM_TYPES.LANGUAGE_TEST]: 30,
+  [CHECKLIST_ITEM_TYPES.OTHER]: 0
+};
+
+// Items sent in separately from the application form, which follow a "documents" deadline if there is one
+const DOCUMENT_DEADLINE_TYPES = [CHECKLIST_ITEM_TYPES.TRANSCRIPT, CHECKLIST_ITEM_TYPES.RECOMMENDATION, CHECKLIST_ITEM_TYPES.LANGUAGE_TEST];
+
+/**
+ * Build the checklist a scholarship asks for
+ * @param {Object} scholarship - Scholarship in any of the catalog shapes
+ * @param {Object} options - `{ deadline }`: application deadline, for due dates
+ * @returns {Array<Object>} - Checklist items, see createChecklistItem
+ */
+export function seedChecklist(scholarship = {}, { deadline = scholarship.deadline } = {}) {
+  const listed = toRequirementList(scholarship);
+  const text = [...listed, scholarship.description || ''].join('\n');
+  const documentsDeadline = (scholarship.deadlines?.cycles || []).find(cycle => cycle.kind === 'documents')?.date || null;
+  const items = [];
+
+  ITEM_PATTERNS.forEach(({ type, pattern }) => {
+    if (!pattern.test(text)) return;
+
+    const dueDate = getDueDate(type, { deadline, documentsDeadline });
+    if (type === CHECKLIST_ITEM_TYPES.RECOMMENDATION) {
+      const count = getRecommendationCount(text);
+      for (let index = 1; index <= count; index++) {
+        items.push(createChecklistItem({ type, label: count > 1 ? `${ITEM_TYPE_LABELS[type]} ${index}` : null, dueDate, source: 'scholarship' }));
+      }
+    } else if (type === CHECKLIST_ITEM_TYPES.LANGUAGE_TEST) {
+      const tests = LANGUAGE_TESTS.filter(name => new RegExp(`\\b${name}\\b`, 'i').test(text));
+      const label = tests.length > 0 ? `${ITEM_TYPE_LABELS[type]} (${tests.join(' or ')})` : null;
+      items.push(createChecklistItem({ type, label, dueDate, source: 'scholarship' }));
+    } else {
+      items.push(createChecklistItem({ type, dueDate, source: 'scholarship' }));
+    }
+  });
+
+  listed
+    .filter(requirement => DOCUMENT_PATTERN.test(requirement) && !ITEM_PATTERNS.some(({ pattern }) => pattern.test(requirement)))
+    .forEach(requirement => {
+      items.push(createChecklistItem({
+        type: CHECKLIST_ITEM_TYPES.OTHER,
+        label: requirement.length > 80 ? `${requirement.slice(0, 77)}...` : requirement,
+        dueDate: getDueDate(CHECKLIST_ITEM_TYPES.OTHER, { deadline, documentsDeadline }),
+        source: 'scholarship'
+      }));
+    });
+
+  return items;
+}
+
+/**
+ * Create a checklist item
+ * @param {Object} fields - `{ type, label, required, status, dueDate, notes, source }`
+ * @returns {Object} - `{ id, type, label, required, status, dueDate, files, notes, source, createdAt, updatedAt }`
+ */
+export function createChecklistItem({ type = CHECKLIST_ITEM_TYPES.OTHER, label = null, required = true, status = CHECKLIST_ITEM_STATUS.TODO, dueDate = null, notes = '', source = 'user' } = {}) {
+  const now = new Date().toISOString();
+  return {
+    id: `item_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    type: Object.values(CHECKLIST_ITEM_TYPES).includes(type) ? type : CHECKLIST_ITEM_TYPES.OTHER,
+    label: label || ITEM_TYPE_LABELS[type] || ITEM_TYPE_LABELS[CHECKLIST_ITEM_TYPES.OTHER],
+    required,
+    status,
+    dueDate,
+    files: [],
+    notes,
+    source,
+    createdAt: now,
+    updatedAt: now
+  };
+}
+
+/**
+ * An application's checklist items. Applications saved before checklists
+ * existed get items built from their free-form `notes.documents` and
+ * `notes.requirements`, so their progress and guards still work.
+ * @param {Object} application - Application
+ * @returns {Array<Object>} - Checklist items
+ */
+export function getChecklistItems(application = {}) {
+  if (Array.isArray(application.checklist?.items)) return application.checklist.items;
+
+  const documents = (application.notes?.documents || []).map((document, index) => {
+    const fields = typeof document === 'string' ? { name: document } : document || {};
+    return {
+      ...createChecklistItem({ type: detectItemType(fields.name), label: fields.name, required: fields.required !== false, source: 'notes' }),
+      id: `notes_document_${index}`,
+      status: fields.attachedAt ? CHECKLIST_ITEM_STATUS.DONE : CHECKLIST_ITEM_STATUS.TODO
+    };
+  });
+
+  const requirements = application.notes?.requirements || [];
+  const metCount = application.progress?.requirementsMet || 0;
+  const requirementItems = requirements.map((requirement, index) => {
+    const fields = typeof requirement === 'string' ? { text: requirement } : requirement || {};
+    const met = typeof requirement === 'string' ? index < metCount : !!fields.met;
+    return {
+      ...createChecklistItem({ type: detectItemType(fields.text), label: fields.text, source: 'notes' }),
+      id: `notes_requirement_${index}`,
+      status: met ? CHECKLIST_ITEM_STATUS.DONE : CHECKLIST_ITEM_STATUS.TODO
+    };
+  });
+
+  return [...documents, ...requirementItems];
+}
+
+/**
+ * Whether an item no longer stands in the way of submitting
+ * @param {Object} item - Checklist item
+ * @returns {boolean} - Done, or marked not needed
+ */
+export function isItemComplete(item) {
+  return item.status === CHECKLIST_ITEM_STATUS.DONE || item.status === CHECKLIST_ITEM_STATUS.NOT_APPLICABLE;
+}
+
+/**
+ * Whether an open item is past its due date
+ * @param {Object} item - Checklist item
+ * @param {Date} now - Current time
+ * @returns {boolean} - Overdue status
+ */
+export function isItemOverdue(item, now = new Date()) {
+  if (isItemComplete(item) || !item.dueDate) return false;
+  // Compared as calendar days; new Date('YYYY-MM-DD') is UTC midnight, the day before west of UTC
+  return String(item.dueDate).slice(0, 10) < toLocalDay(now);
+}
+
+/**
+ * Sum up a checklist
+ * @param {Array<Object>} items - Checklist items
+ * @param {Date} now - Current time
+ * @returns {Object} - `{ total, required, completed, requiredCompleted, withFiles, overdue, missing }`;
+ *   missing lists the labels of required items still open
+ */
+export function getChecklistProgress(items = [], now = new Date()) {
+  const required = items.filter(item => item.required);
+  return {
+    total: items.length,
+    required: required.length,
+    completed: items.filter(isItemComplete).length,
+    requiredCompleted: required.filter(isItemComplete).length,
+    withFiles: items.filter(item => item.files?.length > 0).length,
+    overdue: items.filter(item => isItemOverdue(item, now)).length,
+    missing: required.filter(item => !isItemComplete(item)).map(item => item.label)
+  };
+}
+
+/**
+ * Normalize an upload response (or a file already on the server) into a file reference
+ * @param {Object} upload - Upload record, e.g. `{ _id, originalName, mimetype, size }`
+ * @returns {Object} - `{ id, name, mimeType, size, uploadedAt }`
+ */
+export function toFileReference(upload = {}) {
+  return {
+    id: upload.id ?? upload._id ?? upload.fileId ?? null,
+    name: upload.originalName ?? upload.name ?? upload.filename ?? 'Untitled file',
+    mimeType: upload.mimeType ?? upload.mimetype ?? upload.type ?? null,
+    size: upload.size ?? null,
+    uploadedAt: upload.uploadedAt ?? upload.createdAt ?? new Date().toISOString()
+  };
+}
+
+// Helper functions
+
+function toRequirementList(scholarship) {
+  const items = [];
+  const add = value => {
+    if (Array.isArray(value)) value.forEach(add);
+    else if (typeof value === 'string' && value.trim()) items.push(...value.split(/[\n;]|,(?![^(]*\))/).map(item => item.trim()).filter(Boolean));
+  };
+
+  add(scholarship.application?.requirements);
+  if (!Array.isArray(scholarship.application?.requirements)) add(scholarship.requirements);
+  add(scholarship.eligibility?.requirements);
+  if (typeof scholarship.eligibility === 'string') add(scholarship.eligibility);
+  return [...new Set(items)];
+}
+
+function detectItemType(text) {
+  return ITEM_PATTERNS.find(({ pattern }) => pattern.test(text || ''))?.type || CHECKLIST_ITEM_TYPES.OTHER;
+}
+
+function getRecommendationCount(text) {
+  const match = text.match(/\b(one|two|three|four|five|[1-5])\s+(?:academic\s+|professional\s+)?(?:letters? of recommendation|recommendation letters?|reference letters?|letters? of reference|references|referees|recommendations)\b/i);
+  if (!match) return 1;
+  return COUNT_WORDS[match[1].toLowerCase()] || parseInt(match[1], 10) || 1;
+}
+
+function getDueDate(type, { deadline, documentsDeadline }) {
+  const followsDocumentsDeadline = DOCUMENT_DEADLINE_TYPES.includes(type) && !!documentsDeadline;
+  const base = followsDocumentsDeadline ? documentsDeadline : deadline;
+  const date = base ? toLocalDate(base) : null;
+  if (!date || Number.isNaN(date.getTime())) return null;
+
+  date.setDate(date.getDate() - (followsDocumentsDeadline ? 0 : LEAD_DAYS[type]));
+  return toLocalDay(date);
+}
+
+// ISO days are read as local midnight, like other date text, so day arithmetic stays on the calendar
+function toLocalDate(value) {
+  const iso = String(value).match(/^(\d{4})-(\d{2})-(\d{2})/);
+  return iso ? new Date(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3])) : new Date(value);
+}
+
+function toLocalDay(date) {
+  const day = new Date(date);
+  return `${day.getFullYear()}-${String(day.getMonth() + 1).padStart(2, '0')}-${String(day.getDate()).padStart(2, '0')}`;
+}
+
+export default {
+  CHECKLIST_ITEM_TYPES,
+  CHECKLIST_ITEM_STATUS,
+  ITEM_TYPE_LABELS,
+  ITEM_STATUS_LABELS,
+  seedChecklist,
+  createChecklistItem,
+  getChecklistItems,
+  isItemComplete,
+  isItemOverdue,
+  getChecklistProgress,
+  toFileReference
+};
@@ -3,6 +3,26 @@
  * Manages scholarship applications, deadlines, and status tracking
  */
 
+import ApplicationWorkflow, { APPLICATION_STATUS } from './applicationWorkflow.js';
+import {
+  CHECKLIST_ITEM_TYPES,
+  CHECKLIST_ITEM_STATUS,
+  seedChecklist,
+  createChecklistItem,
+  getChecklistItems,
+  getChecklistProgress,
+  toFileReference
+} from './applicationChecklist.js';
+import {
+  RECOMMENDATION_STATUS,
+  createRecommender,
+  applyRecommendationStatus,
+  getLetterDueDate,
+  isLetterOverdue,
+  buildRequestEmail
+} from './recommendationLetters.js';
+import { uploadsAPI } from './apiClient.js';
+
 export class ApplicationService {
   static STORAGE_KEY = 'scholarai_applications';
   static FAVORITES_KEY = 'scholarai_favorites';
@@ -46,17 +66,9 @@ export class ApplicationService {
   }
 
   /**
-   * Application status constants
+   * Application status constants; see ApplicationWorkflow for the allowed transitions
    */
-  static STATUS = {
-    SAVED: 'saved',
-    IN_PROGRESS: 'in_progress',
-    SUBMITTED: 'submitted',
-    UNDER_REVIEW: 'under_review',
-    ACCEPTED: 'accepted',
-    REJECTED: 'rejected',
-    EXPIRED: 'expired'
-  };
+  static STATUS = APPLICATION_STATUS;
 
   /**
    * Priority levels
@@ -99,11 +111,17 @@ export class ApplicationService {
           requirementsMet: 0,
           completionPercentage: 0
         },
+        checklist: {
+          items: seedChecklist(scholarship, { deadline: scholarship.deadline }),
+          seededAt: new Date().toISOString()
+        },
+        history: [this.createHistoryEntry(null, this.STATUS.SAVED)],
         createdAt: new Date().toISOString(),
         updatedAt: new Date().toISOString()
       };
+      application.progress = this.calculateProgress(application);
 
-      const applications = this.getApplications();
+      const applications = this.getStoredApplications();
       applications[applicationId] = application;
       this.saveApplications(applications);
 
@@ -118,46 +136,358 @@ export class ApplicationService {
   }
 
   /**
-   * Update application status
+   * Update application status. Only transitions the workflow allows, with their
+   * guards passing, are applied; see transitionApplication.
    * @param {string} applicationId - Application ID
-   * @param {string} status - New status
+   * @param {string} status - New status (the current one to apply updates only)
    * @param {Object} updates - Additional updates
    * @returns {boolean} - Success status
    */
   static updateApplicationStatus(applicationId, status, updates = {}) {
     try {
-      const applications = this.getApplications();
-      const application = applications[applicationId];
+      this.transitionApplication(applicationId, status, { updates });
+      return true;
+    } catch (error) {
+      console.error('Error updating application status:', error);
+      return false;
+    }
+  }
 
-      if (!application) {
-        throw new Error('Application not found');
-      }
+  /**
+   * Move an application to a new status, recording the change in its history
+   * @param {string} applicationId - Application ID
+   * @param {string} status - New status (the current one to apply updates only)
+   * @param {Object} options - `{ updates, reason, source }`: updates to notes, progress
+   *   or priority, applied before the guards run; reason and source go in the history entry
+   * @returns {Object} - Updated application
+   * @throws {Error} - `code` 'not_found', 'invalid_transition' or 'guard_failed'
+   *   (with `reasons`) when the change is not allowed
+   */
+  static transitionApplication(applicationId, status, { updates = {}, reason = null, source = null } = {}) {
+    const applications = this.getStoredApplications();
+    const application = applications[applicationId];
 
-      // Update status and timeline
-      application.status = status;
-      application.timeline[status] = new Date().toISOString();
-      application.updatedAt = new Date().toISOString();
+    if (!application) {
+      const error = new Error('Application not found');
+      error.code = 'not_found';
+      throw error;
+    }
 
-      // Apply additional updates
-      if (updates.notes) {
-        application.notes = { ...application.notes, ...updates.notes };
-      }
+    const from = application.status;
+    const updated = this.applyUpdates({ ...application }, updates);
+    if (status !== from) {
+      ApplicationWorkflow.assertTransition(updated, status);
+    }
 
-      if (updates.progress) {
-        application.progress = { ...application.progress, ...updates.progress };
-        application.progress.completionPercentage = this.calculateCompletionPercentage(application);
-      }
+    const now = new Date().toISOString();
+    let entry = null;
+    if (status !== from) {
+      entry = this.createHistoryEntry(from, status, { reason, source });
+      updated.status = status;
+      updated.timeline = { ...updated.timeline, [status]: now };
+      updated.history = [...(updated.history || []), entry];
+    }
+    updated.progress = this.calculateProgress(updated);
+    updated.updatedAt = now;
+
+    applications[applicationId] = updated;
+    this.saveApplications(applications);
+
+    if (entry) {
+      ApplicationWorkflow.runHooks({ application: updated, from, to: status, entry });
+    }
+
+    return updated;
+  }
+
+  /**
+   * Status changes an application can make next
+   * @param {string} applicationId - Application ID
+   * @returns {Array<Object>} - `[{ to, label, allowed, blockers }]`; blocked transitions
+   *   carry the guard messages saying why
+   */
+  static getAvailableTransitions(applicationId) {
+    const application = this.getStoredApplications()[applicationId];
+    return application ? ApplicationWorkflow.getTransitions(application) : [];
+  }
+
+  /**
+   * Get an application's audit trail
+   * @param {string} applicationId - Application ID
+   * @returns {Array<Object>} - `[{ id, from, to, at, reason, source }]`, oldest first
+   */
+  static getApplicationHistory(applicationId) {
+    return this.getStoredApplications()[applicationId]?.history || [];
+  }
+
+  /**
+   * Get an application's checklist
+   * @param {string} applicationId - Application ID
+   * @returns {Object} - `{ items, progress }`; see getChecklistProgress
+   */
+  static getChecklist(applicationId) {
+    const items = getChecklistItems(this.getStoredApplications()[applicationId]);
+    return { items, progress: getChecklistProgress(items) };
+  }
+
+  /**
+   * Add an item to an application's checklist
+   * @param {string} applicationId - Application ID
+   * @param {Object} fields - `{ type, label, required, dueDate, notes }`
+   * @returns {Object} - The new item
+   * @throws {Error} - `code` 'not_found' for an unknown application
+   */
+  static addChecklistItem(applicationId, fields = {}) {
+    const item = createChecklistItem({ ...fields, source: 'user' });
+    this.updateChecklist(applicationId, items => [...items, item]);
+    return item;
+  }
+
+  /**
+   * Change an item's status, due date, label, notes or whether it is required
+   * @param {string} applicationId - Application ID
+   * @param {string} itemId - Checklist item ID
+   * @param {Object} changes - `{ status, dueDate, label, required, notes }`
+   * @returns {Object} - The updated item
+   * @throws {Error} - `code` 'not_found' for an unknown application or item,
+   *   'invalid_status' for a status outside CHECKLIST_ITEM_STATUS
+   */
+  static updateChecklistItem(applicationId, itemId, changes = {}) {
+    if (changes.status && !Object.values(CHECKLIST_ITEM_STATUS).includes(changes.status)) {
+      const error = new Error(`Unknown checklist item status: ${changes.status}`);
+      error.code = 'invalid_status';
+      throw error;
+    }
+
+    const allowed = ['status', 'dueDate', 'label', 'required', 'notes'];
+    const picked = Object.fromEntries(Object.entries(changes).filter(([key]) => allowed.includes(key)));
+    return this.updateChecklistEntry(applicationId, itemId, item => ({ ...item, ...picked }));
+  }
+
+  /**
+   * Remove an item from an application's checklist
+   * @param {string} applicationId - Application ID
+   * @param {string} itemId - Checklist item ID
+   * @returns {boolean} - Whether the item existed
+   * @throws {Error} - `code` 'not_found' for an unknown application
+   */
+  static removeChecklistItem(applicationId, itemId) {
+    let removed = false;
+    this.updateChecklist(applicationId, items => {
+      removed = items.some(item => item.id === itemId);
+      return items.filter(item => item.id !== itemId);
+    });
+    return removed;
+  }
+
+  /**
+   * Attach a file to a checklist item. Files are uploaded through uploadsAPI;
+   * a file already on the server can be attached by passing its upload record.
+   * Attaching to an open item marks it done.
+   * @param {string} applicationId - Application ID
+   * @param {string} itemId - Checklist item ID
+   * @param {File|Object} file - File to upload, or an existing upload record
+   * @param {Function} onProgress - Upload progress callback (0-100)
+   * @returns {Promise<Object>} - The updated item
+   * @throws {Error} - `code` 'not_found' for an unknown application or item; upload
+   *   errors (including unsupported file types) are passed through
+   */
+  static async attachChecklistFile(applicationId, itemId, file, onProgress) {
+    this.findChecklistItem(applicationId, itemId);
+
+    let reference;
+    if (typeof File !== 'undefined' && file instanceof File) {
+      const formData = new FormData();
+      formData.append('file', file);
+      const response = await uploadsAPI.uploadSingle(formData, onProgress);
+      const data = response?.data?.data || response?.data || {};
+      reference = toFileReference({ name: file.name, type: file.type, size: file.size, ...(data.file || data.files?.[0] || data) });
+    } else {
+      reference = toFileReference(file);
+    }
+
+    return this.updateChecklistEntry(applicationId, itemId, item => ({
+      ...item,
+      files: [...(item.files || []), reference],
+      status: item.status === CHECKLIST_ITEM_STATUS.TODO || item.status === CHECKLIST_ITEM_STATUS.IN_PROGRESS
+        ? CHECKLIST_ITEM_STATUS.DONE
+        : item.status
+    }));
+  }
+
+  /**
+   * Detach a file from a checklist item. The upload itself stays on the server.
+   * @param {string} applicationId - Application ID
+   * @param {string} itemId - Checklist item ID
+   * @param {string} fileId - ID of the attached file
+   * @returns {Object} - The updated item
+   * @throws {Error} - `code` 'not_found' for an unknown application or item
+   */
+  static detachChecklistFile(applicationId, itemId, fileId) {
+    return this.updateChecklistEntry(applicationId, itemId, item => ({
+      ...item,
+      files: (item.files || []).filter(file => file.id !== fileId)
+    }));
+  }
+
+  /**
+   * Get the people asked for recommendation letters for an application
+   * @param {string} applicationId - Application ID
+   * @returns {Array<Object>} - Recommenders; see createRecommender
+   */
+  static getRecommenders(applicationId) {
+    return this.getStoredApplications()[applicationId]?.recommenders || [];
+  }
+
+  /**
+   * Add a recommender. Unless told otherwise, the letter covers the first
+   * recommendation item on the checklist that no other recommender has taken.
+   * @param {string} applicationId - Application ID
+   * @param {Object} fields - `{ name, email, relationship, dueDate, checklistItemId, notes }`
+   * @returns {Object} - The new recommender
+   * @throws {Error} - `code` 'not_found' for an unknown application, 'invalid_recommender' without a name
+   */
+  static addRecommender(applicationId, fields = {}) {
+    let recommender = null;
+    this.updateApplicationRecord(applicationId, application => {
+      const recommenders = application.recommenders || [];
+      const taken = recommenders
+        .filter(entry => entry.status !== RECOMMENDATION_STATUS.DECLINED)
+        .map(entry => entry.checklistItemId);
+      const freeItem = getChecklistItems(application)
+        .find(item => item.type === CHECKLIST_ITEM_TYPES.RECOMMENDATION && !taken.includes(item.id));
+
+      recommender = createRecommender({ checklistItemId: freeItem?.id || null, ...fields });
+      return { ...application, recommenders: [...recommenders, recommender] };
+    });
+    return recommender;
+  }
+
+  /**
+   * Change a recommender's details
+   * @param {string} applicationId - Application ID
+   * @param {string} recommenderId - Recommender ID
+   * @param {Object} changes - `{ name, email, relationship, dueDate, checklistItemId, notes }`
+   * @returns {Object} - The updated recommender
+   * @throws {Error} - `code` 'not_found' for an unknown application or recommender
+   */
+  static updateRecommender(applicationId, recommenderId, changes = {}) {
+    const allowed = ['name', 'email', 'relationship', 'dueDate', 'checklistItemId', 'notes'];
+    const picked = Object.fromEntries(Object.entries(changes).filter(([key]) => allowed.includes(key)));
+    return this.updateRecommenderEntry(applicationId, recommenderId, recommender => ({
+      ...recommender,
+      ...picked,
+      updatedAt: new Date().toISOString()
+    }));
+  }
 
-      if (updates.priority) {
-        application.priority = updates.priority;
+  /**
+   * Move a letter request along: requested, reminded (as often as needed), received
+   * or declined. A received letter completes the checklist item it covers.
+   * @param {string} applicationId - Application ID
+   * @param {string} recommenderId - Recommender ID
+   * @param {string} status - RECOMMENDATION_STATUS value
+   * @returns {Object} - The updated recommender
+   * @throws {Error} - `code` 'not_found' for an unknown application or recommender,
+   *   'invalid_transition' when the status can't follow the current one
+   */
+  static setRecommendationStatus(applicationId, recommenderId, status) {
+    return this.updateRecommenderEntry(
+      applicationId,
+      recommenderId,
+      recommender => applyRecommendationStatus(recommender, status),
+      (application, recommender) => {
+        if (status !== RECOMMENDATION_STATUS.RECEIVED || !recommender.checklistItemId) return application;
+        return {
+          ...application,
+          checklist: {
+            ...application.checklist,
+            items: getChecklistItems(application).map(item => (item.id === recommender.checklistItemId
+              ? { ...item, status: CHECKLIST_ITEM_STATUS.DONE, updatedAt: recommender.updatedAt }
+              : item))
+          }
+        };
       }
+    );
+  }
 
-      applications[applicationId] = application;
-      this.saveApplications(applications);
+  /**
+   * Remove a recommender
+   * @param {string} applicationId - Application ID
+   * @param {string} recommenderId - Recommender ID
+   * @returns {boolean} - Whether the recommender existed
+   * @throws {Error} - `code` 'not_found' for an unknown application
+   */
+  static removeRecommender(applicationId, recommenderId) {
+    let removed = false;
+    this.updateApplicationRecord(applicationId, application => {
+      const recommenders = application.recommenders || [];
+      removed = recommenders.some(entry => entry.id === recommenderId);
+      return { ...application, recommenders: recommenders.filter(entry => entry.id !== recommenderId) };
+    });
+    return removed;
+  }
+
+  /**
+   * Draft the email asking for (or chasing) a recommendation letter
+   * @param {string} applicationId - Application ID
+   * @param {string} recommenderId - Recommender ID
+   * @param {Object} options - `{ studentName }`
+   * @returns {Object} - `{ to, subject, body, mailto }`
+   * @throws {Error} - `code` 'not_found' for an unknown application or recommender
+   */
+  static getRecommendationEmail(applicationId, recommenderId, options = {}) {
+    const application = this.getStoredApplications()[applicationId];
+    const recommender = application?.recommenders?.find(entry => entry.id === recommenderId);
+
+    if (!recommender) {
+      const error = new Error(application ? 'Recommender not found' : 'Application not found');
+      error.code = 'not_found';
+      throw error;
+    }
+    return buildRequestEmail(recommender, application, options);
+  }
 
+  /**
+   * Letters past their due date, across applications still being worked on
+   * @param {Date} now - Current time
+   * @returns {Array<Object>} - `[{ applicationId, scholarshipTitle, recommender, dueDate, daysOverdue }]`,
+   *   most overdue first
+   */
+  static getOverdueRecommendations(now = new Date()) {
+    const finished = [this.STATUS.ACCEPTED, this.STATUS.REJECTED, this.STATUS.EXPIRED];
+
+    return Object.values(this.getStoredApplications())
+      .filter(application => !finished.includes(application.status))
+      .flatMap(application => (application.recommenders || [])
+        .filter(recommender => isLetterOverdue(recommender, application, now))
+        .map(recommender => {
+          const dueDate = getLetterDueDate(recommender, application);
+          return {
+            applicationId: application.id,
+            scholarshipTitle: application.scholarship?.title || application.scholarship?.name || 'Untitled scholarship',
+            recommender,
+            dueDate,
+            daysOverdue: countDaysSince(dueDate, now)
+          };
+        }))
+      .sort((a, b) => b.daysOverdue - a.daysOverdue);
+  }
+
+  /**
+   * Record that an overdue letter has been notified about, so it is reported
+   * once per due date
+   * @param {string} applicationId - Application ID
+   * @param {string} recommenderId - Recommender ID
+   * @param {string} dueDate - Due date the notification was for
+   * @returns {boolean} - Success status
+   */
+  static markRecommendationOverdueNotified(applicationId, recommenderId, dueDate) {
+    try {
+      this.updateRecommenderEntry(applicationId, recommenderId, recommender => ({ ...recommender, overdueNotifiedFor: dueDate }));
       return true;
     } catch (error) {
-      console.error('Error updating application status:', error);
+      console.error('Error marking recommendation as notified:', error);
       return false;
     }
   }
@@ -169,9 +499,7 @@ export class ApplicationService {
    */
   static getApplications(filters = {}) {
     try {
-      const storedData = localStorage.getItem(this.STORAGE_KEY);
-      const applications = storedData ? JSON.parse(storedData) : {};
-      let applicationsArray = Object.values(applications);
+      let applicationsArray = Object.values(this.getStoredApplications());
 
       // Apply filters
       if (filters.status) {
@@ -531,16 +859,135 @@ export class ApplicationService {
     return reminders;
   }
 
+  // Steps to submission: starting, each required checklist item, and submitting;
+  // anything past submission is complete
   static calculateCompletionPercentage(application) {
-    const totalSteps = 5; // Documents, requirements, essay, review, submit
-    let completedSteps = 0;
-    
-    if (application.progress.documentsGathered > 0) completedSteps++;
-    if (application.progress.requirementsMet > 0) completedSteps++;
-    if (application.status === this.STATUS.IN_PROGRESS) completedSteps++;
-    if (application.status === this.STATUS.SUBMITTED) completedSteps = totalSteps;
-    
-    return Math.round((completedSteps / totalSteps) * 100);
+    const submitted = [this.STATUS.SUBMITTED, this.STATUS.UNDER_REVIEW, this.STATUS.ACCEPTED, this.STATUS.REJECTED];
+    if (submitted.includes(application.status)) return 100;
+
+    const { required, requiredCompleted } = getChecklistProgress(getChecklistItems(application));
+    const started = application.status === this.STATUS.IN_PROGRESS ? 1 : 0;
+
+    return Math.round(((started + requiredCompleted) / (required + 2)) * 100);
+  }
+
+  // Progress counters kept on the application for exports and statistics
+  static calculateProgress(application) {
+    const { withFiles, completed } = getChecklistProgress(getChecklistItems(application));
+    return {
+      ...application.progress,
+      documentsGathered: withFiles,
+      requirementsMet: completed,
+      completionPercentage: this.calculateCompletionPercentage(application)
+    };
+  }
+
+  // Apply `update` to the checklist items (materializing a legacy checklist first) and save
+  static updateChecklist(applicationId, update) {
+    return this.updateApplicationRecord(applicationId, application => ({
+      ...application,
+      checklist: { ...application.checklist, items: update(getChecklistItems(application)) }
+    }));
+  }
+
+  // Apply `update` to a stored application, refresh its progress and save
+  static updateApplicationRecord(applicationId, update) {
+    const applications = this.getStoredApplications();
+    const application = applications[applicationId];
+
+    if (!application) {
+      const error = new Error('Application not found');
+      error.code = 'not_found';
+      throw error;
+    }
+
+    const updated = { ...update(application), updatedAt: new Date().toISOString() };
+    updated.progress = this.calculateProgress(updated);
+
+    applications[applicationId] = updated;
+    this.saveApplications(applications);
+    return updated;
+  }
+
+  static updateChecklistEntry(applicationId, itemId, update) {
+    this.findChecklistItem(applicationId, itemId);
+
+    let result = null;
+    this.updateChecklist(applicationId, items => items.map(item => {
+      if (item.id !== itemId) return item;
+      result = { ...update(item), updatedAt: new Date().toISOString() };
+      return result;
+    }));
+    return result;
+  }
+
+  // Apply `update` to one recommender, then `alsoUpdate(application, updatedRecommender)`
+  // to the application, in a single save
+  static updateRecommenderEntry(applicationId, recommenderId, update, alsoUpdate = application => application) {
+    let result = null;
+    this.updateApplicationRecord(applicationId, application => {
+      const recommenders = application.recommenders || [];
+      const current = recommenders.find(entry => entry.id === recommenderId);
+      if (!current) {
+        const error = new Error('Recommender not found');
+        error.code = 'not_found';
+        throw error;
+      }
+
+      result = update(current);
+      const updated = { ...application, recommenders: recommenders.map(entry => (entry.id === recommenderId ? result : entry)) };
+      return alsoUpdate(updated, result);
+    });
+    return result;
+  }
+
+  static findChecklistItem(applicationId, itemId) {
+    const application = this.getStoredApplications()[applicationId];
+    const item = application && getChecklistItems(application).find(entry => entry.id === itemId);
+
+    if (!item) {
+      const error = new Error(application ? 'Checklist item not found' : 'Application not found');
+      error.code = 'not_found';
+      throw error;
+    }
+    return item;
+  }
+
+  static applyUpdates(application, updates) {
+    if (updates.notes) {
+      application.notes = { ...application.notes, ...updates.notes };
+    }
+
+    if (updates.progress) {
+      application.progress = { ...application.progress, ...updates.progress };
+    }
+
+    if (updates.priority) {
+      application.priority = updates.priority;
+    }
+
+    return application;
+  }
+
+  static createHistoryEntry(from, to, { reason = null, source = null } = {}) {
+    return {
+      id: `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      from,
+      to,
+      at: new Date().toISOString(),
+      reason,
+      source
+    };
+  }
+
+  static getStoredApplications() {
+    try {
+      const storedData = localStorage.getItem(this.STORAGE_KEY);
+      return storedData ? JSON.parse(storedData) : {};
+    } catch (error) {
+      console.error('Error getting applications:', error);
+      return {};
+    }
   }
 
   static saveApplications(applications) {
@@ -627,4 +1074,29 @@ export class ApplicationService {
   }
 }
 
+// Helper functions
+
+// Whole calendar days from a YYYY-MM-DD day to the local day of now
+function countDaysSince(day, now) {
+  const [year, month, date] = String(day).slice(0, 10).split('-').map(Number);
+  const today = new Date(now);
+  return Math.round((Date.UTC(today.getFullYear(), today.getMonth(), today.getDate()) - Date.UTC(year, month - 1, date)) / (1000 * 60 * 60 * 24));
+}
+
+// Reminders are only useful while the application can still be worked on
+[
+  ApplicationService.STATUS.SUBMITTED,
+  ApplicationService.STATUS.ACCEPTED,
+  ApplicationService.STATUS.REJECTED,
+  ApplicationService.STATUS.EXPIRED
+].forEach(status => {
+  ApplicationWorkflow.registerHook(status, 'enter', ({ application }) => ApplicationService.removeReminders(application.id));
+});
+ApplicationWorkflow.registerHook(ApplicationService.STATUS.EXPIRED, 'exit', ({ application }) => {
+  ApplicationService.setupReminders({
+    ...application,
+    timeline: { ...application.timeline, reminderDates: ApplicationService.calculateReminderDates(application.timeline.deadline) }
+  });
+});
+
 export default ApplicationService;
\ No newline at end of file
@@ -0,0 +1,229 @@
+/**
+ * Application Workflow
+ * The state machine applications move through: which status can follow which,
+ * the guards that must pass first (required documents attached, deadline not
+ * passed), and hooks that run when an application enters or leaves a status.
+ * Transitions, guards and hooks are all replaceable, so the workflow can be
+ * tuned without touching ApplicationService.
+ */
+
+import { getChecklistItems, getChecklistProgress } from './applicationChecklist.js';
+
+export const APPLICATION_STATUS = {
+  SAVED: 'saved',
+  IN_PROGRESS: 'in_progress',
+  SUBMITTED: 'submitted',
+  UNDER_REVIEW: 'under_review',
+  ACCEPTED: 'accepted',
+  REJECTED: 'rejected',
+  EXPIRED: 'expired'
+};
+
+export const STATUS_LABELS = {
+  [APPLICATION_STATUS.SAVED]: 'Saved',
+  [APPLICATION_STATUS.IN_PROGRESS]: 'In Progress',
+  [APPLICATION_STATUS.SUBMITTED]: 'Submitted',
+  [APPLICATION_STATUS.UNDER_REVIEW]: 'Under Review',
+  [APPLICATION_STATUS.ACCEPTED]: 'Accepted',
+  [APPLICATION_STATUS.REJECTED]: 'Rejected',
+  [APPLICATION_STATUS.EXPIRED]: 'Expired'
+};
+
+/**
+ * Default transitions, keyed by the status they leave. `guards` name entries
+ * of ApplicationWorkflow.guards; all must pass for the transition to be allowed.
+ */
+export const DEFAULT_TRANSITIONS = {
+  [APPLICATION_STATUS.SAVED]: [
+    { to: APPLICATION_STATUS.IN_PROGRESS, label: 'Start application', guards: ['deadlineOpen'] },
+    { to: APPLICATION_STATUS.EXPIRED, label: 'Mark as expired' }
+  ],
+  [APPLICATION_STATUS.IN_PROGRESS]: [
+    { to: APPLICATION_STATUS.SUBMITTED, label: 'Mark as submitted', guards: ['deadlineOpen', 'requiredDocumentsAttached'] },
+    { to: APPLICATION_STATUS.SAVED, label: 'Put back on hold' },
+    { to: APPLICATION_STATUS.EXPIRED, label: 'Mark as expired' }
+  ],
+  [APPLICATION_STATUS.SUBMITTED]: [
+    { to: APPLICATION_STATUS.UNDER_REVIEW, label: 'Mark as under review' },
+    { to: APPLICATION_STATUS.ACCEPTED, label: 'Mark as accepted' },
+    { to: APPLICATION_STATUS.REJECTED, label: 'Mark as rejected' }
+  ],
+  [APPLICATION_STATUS.UNDER_REVIEW]: [
+    { to: APPLICATION_STATUS.ACCEPTED, label: 'Mark as accepted' },
+    { to: APPLICATION_STATUS.REJECTED, label: 'Mark as rejected' }
+  ],
+  // Reopening needs the deadline to have moved (extended, or a new cycle)
+  [APPLICATION_STATUS.EXPIRED]: [
+    { to: APPLICATION_STATUS.IN_PROGRESS, label: 'Reopen', guards: ['deadlineOpen'] }
+  ],
+  [APPLICATION_STATUS.ACCEPTED]: [],
+  [APPLICATION_STATUS.REJECTED]: []
+};
+
+/**
+ * Built-in guards. A guard returns null when the transition may go ahead, or
+ * a message saying what is missing.
+ */
+const DEFAULT_GUARDS = {
+  deadlineOpen: (application, { now }) => {
+    const deadline = application.timeline?.deadline;
+    if (!deadline || Number.isNaN(new Date(deadline).getTime())) return null;
+    return toDeadlineDay(deadline) < toLocalDay(now) ? 'The deadline has passed' : null;
+  },
+  requiredDocumentsAttached: (application, { now }) => {
+    const { missing } = getChecklistProgress(getChecklistItems(application), now);
+    if (missing.length === 0) return null;
+    return `Complete the required checklist items first: ${missing.join(', ')}`;
+  }
+};
+
+export class ApplicationWorkflow {
+  static transitions = DEFAULT_TRANSITIONS;
+  static guards = new Map(Object.entries(DEFAULT_GUARDS));
+  static hooks = new Map(); // `${status}:${'enter'|'exit'}` -> Set of hooks
+
+  /**
+   * Replace the transition table
+   * @param {Object} transitions - Status to `[{ to, label, guards }]`; see DEFAULT_TRANSITIONS
+   */
+  static configure(transitions) {
+    const unknown = Object.entries(transitions)
+      .flatMap(([from, items]) => [from, ...items.map(item => item.to)])
+      .filter(status => !Object.values(APPLICATION_STATUS).includes(status));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown application status: ${[...new Set(unknown)].join(', ')}`);
+    }
+
+    this.transitions = transitions;
+  }
+
+  /**
+   * Restore the default transitions and guards. Hooks stay registered (the
+   * reminder hooks ApplicationService adds on import among them); remove one
+   * with the function registerHook returned.
+   */
+  static reset() {
+    this.transitions = DEFAULT_TRANSITIONS;
+    this.guards = new Map(Object.entries(DEFAULT_GUARDS));
+  }
+
+  /**
+   * Add or replace a guard
+   * @param {string} name - Guard name, as used in the transitions' `guards`
+   * @param {Function} guard - `(application, { from, to, now }) => string|null`
+   */
+  static registerGuard(name, guard) {
+    if (typeof guard !== 'function') {
+      throw new Error(`Guard "${name}" must be a function`);
+    }
+    this.guards.set(name, guard);
+  }
+
+  /**
+   * Run a function whenever an application enters or leaves a status
+   * @param {string} status - APPLICATION_STATUS value
+   * @param {string} event - 'enter' or 'exit'
+   * @param {Function} hook - `({ application, from, to, entry }) => void`, called after the
+   *   transition is saved
+   * @returns {Function} - Removes the hook
+   */
+  static registerHook(status, event, hook) {
+    const key = `${status}:${event}`;
+    if (!this.hooks.has(key)) this.hooks.set(key, new Set());
+    this.hooks.get(key).add(hook);
+    return () => this.hooks.get(key)?.delete(hook);
+  }
+
+  /**
+   * Every transition out of an application's status, and whether its guards pass
+   * @param {Object} application - Application
+   * @param {Object} options - `{ now }`
+   * @returns {Array<Object>} - `[{ to, label, allowed, blockers }]`
+   */
+  static getTransitions(application, { now = new Date() } = {}) {
+    return (this.transitions[application.status] || []).map(transition => {
+      const blockers = this.checkGuards(application, transition, now);
+      return { to: transition.to, label: transition.label || STATUS_LABELS[transition.to], allowed: blockers.length === 0, blockers };
+    });
+  }
+
+  /**
+   * Check that an application may move to a status
+   * @param {Object} application - Application
+   * @param {string} to - Target status
+   * @param {Object} options - `{ now }`
+   * @returns {Object} - `{ allowed, reasons }`
+   */
+  static canTransition(application, to, { now = new Date() } = {}) {
+    const transition = (this.transitions[application.status] || []).find(item => item.to === to);
+    if (!transition) {
+      return {
+        allowed: false,
+        reasons: [`Cannot go from ${STATUS_LABELS[application.status] || application.status} to ${STATUS_LABELS[to] || to}`]
+      };
+    }
+
+    const reasons = this.checkGuards(application, transition, now);
+    return { allowed: reasons.length === 0, reasons };
+  }
+
+  /**
+   * Throw unless an application may move to a status
+   * @param {Object} application - Application
+   * @param {string} to - Target status
+   * @param {Object} options - `{ now }`
+   * @throws {Error} - `code` 'invalid_transition' or 'guard_failed', with `reasons`
+   */
+  static assertTransition(application, to, options = {}) {
+    const { allowed, reasons } = this.canTransition(application, to, options);
+    if (allowed) return;
+
+    const known = (this.transitions[application.status] || []).some(item => item.to === to);
+    const error = new Error(reasons.join('. '));
+    error.code = known ? 'guard_failed' : 'invalid_transition';
+    error.reasons = reasons;
+    throw error;
+  }
+
+  /**
+   * Run the exit hooks of the old status, then the enter hooks of the new one.
+   * Failures are logged rather than thrown: the transition is already saved.
+   * @param {Object} context - `{ application, from, to, entry }`
+   */
+  static runHooks(context) {
+    [`${context.from}:exit`, `${context.to}:enter`].forEach(key => {
+      (this.hooks.get(key) || new Set()).forEach(hook => {
+        try {
+          hook(context);
+        } catch (error) {
+          console.error(`Error in application workflow hook (${key}):`, error);
+        }
+      });
+    });
+  }
+
+  static checkGuards(application, transition, now) {
+    return (transition.guards || []).map(name => {
+      const guard = this.guards.get(name);
+      if (!guard) {
+        console.warn(`Unknown application workflow guard: ${name}`);
+        return null;
+      }
+      return guard(application, { from: application.status, to: transition.to, now });
+    }).filter(Boolean);
+  }
+}
+
+// Helper functions
+
+function toLocalDay(date) {
+  const day = new Date(date);
+  return `${day.getFullYear()}-${String(day.getMonth() + 1).padStart(2, '0')}-${String(day.getDate()).padStart(2, '0')}`;
+}
+
+// An ISO deadline is already a calendar day; new Date() would read it as UTC midnight
+function toDeadlineDay(deadline) {
+  return /^\d{4}-\d{2}-\d{2}/.test(String(deadline)) ? String(deadline).slice(0, 10) : toLocalDay(deadline);
+}
+
+export default ApplicationWorkflow;
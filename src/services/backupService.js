@@ -8,6 +8,7 @@ import ApplicationService from './applicationService.js';
 import SettingsService from './settingsService.js';
 import NotificationService from './notificationService.js';
 import AnalyticsService from './analyticsService.js';
+import EssayService from './essayService.js';
 
 export class BackupService {
   static STORAGE_KEY = 'scholarai_backups';
@@ -23,6 +24,7 @@ export class BackupService {
     FULL: 'full',
     PROFILE: 'profile',
     APPLICATIONS: 'applications',
+    ESSAYS: 'essays',
     SETTINGS: 'settings',
     NOTIFICATIONS: 'notifications',
     ANALYTICS: 'analytics'
@@ -84,6 +86,7 @@ export class BackupService {
         data: {
           profile: ProfileService.exportProfile(),
           applications: ApplicationService.exportApplications(),
+          essays: EssayService.exportEssays(),
           settings: SettingsService.exportSettings(),
           notifications: NotificationService.exportNotifications()
         }
@@ -155,6 +158,9 @@ export class BackupService {
         case this.BACKUP_TYPES.APPLICATIONS:
           backupData.data.applications = ApplicationService.exportApplications();
           break;
+        case this.BACKUP_TYPES.ESSAYS:
+          backupData.data.essays = EssayService.exportEssays();
+          break;
         case this.BACKUP_TYPES.SETTINGS:
           backupData.data.settings = SettingsService.exportSettings();
           break;
@@ -251,6 +257,16 @@ export class BackupService {
         }
       }
 
+      // Restore essays
+      if ((!selectiveRestore || selectiveRestore.includes('essays')) && restoredData.essays) {
+        try {
+          const essaysResult = EssayService.importEssays(restoredData.essays, overwriteExisting);
+          restoreResults.essays = { success: essaysResult, error: null };
+        } catch (error) {
+          restoreResults.essays = { success: false, error: error.message };
+        }
+      }
+
       // Restore settings data
       if ((!selectiveRestore || selectiveRestore.includes('settings')) && restoredData.settings) {
         try {
@@ -0,0 +1,114 @@
+/**
+ * IndexedDB Cache Backend
+ * Browser storage for cached match results. Unlike localStorage it isn't
+ * capped at a few megabytes and doesn't block the main thread on large
+ * result sets.
+ */
+
+const DEFAULT_DATABASE = 'scholarai_cache';
+const DEFAULT_STORE = 'scholarship_results';
+const DATABASE_VERSION = 1;
+
+/**
+ * Create an IndexedDB backend
+ * @param {Object} options - `{ id, databaseName, storeName }`
+ * @returns {Object} - Result cache backend
+ */
+export function createIndexedDBCacheBackend({
+  id = 'indexeddb',
+  databaseName = DEFAULT_DATABASE,
+  storeName = DEFAULT_STORE
+} = {}) {
+  let connection = null;
+
+  const openDatabase = () => {
+    if (!connection) {
+      connection = new Promise((resolve, reject) => {
+        const request = indexedDB.open(databaseName, DATABASE_VERSION);
+        request.onupgradeneeded = () => {
+          const store = request.result.createObjectStore(storeName, { keyPath: 'key' });
+          store.createIndex('expiresAt', 'expiresAt');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      }).catch(error => {
+        // Let the next call try again, e.g. after the user closes a blocking tab
+        connection = null;
+        throw error;
+      });
+    }
+    return connection;
+  };
+
+  const withStore = async (mode, operation) => {
+    const database = await openDatabase();
+    return new Promise((resolve, reject) => {
+      const transaction = database.transaction(storeName, mode);
+      let result;
+      Promise.resolve(operation(transaction.objectStore(storeName)))
+        .then(value => { result = value; })
+        .catch(reject);
+      transaction.oncomplete = () => resolve(result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  };
+
+  return {
+    id,
+    label: 'IndexedDB (this browser)',
+
+    isAvailable() {
+      return typeof indexedDB !== 'undefined';
+    },
+
+    async get(key) {
+      return withStore('readonly', store => requestToPromise(store.get(key)))
+        .then(entry => entry || null);
+    },
+
+    async set(entry) {
+      await withStore('readwrite', store => requestToPromise(store.put(entry)));
+    },
+
+    async delete(key) {
+      await withStore('readwrite', store => requestToPromise(store.delete(key)));
+    },
+
+    async prune({ now = Date.now(), catalogVersion = null } = {}) {
+      return withStore('readwrite', store => new Promise((resolve, reject) => {
+        let removed = 0;
+        const request = store.openCursor();
+        request.onsuccess = () => {
+          const cursor = request.result;
+          if (!cursor) {
+            resolve(removed);
+            return;
+          }
+          const entry = cursor.value;
+          if (entry.expiresAt <= now || (catalogVersion && entry.catalogVersion !== catalogVersion)) {
+            cursor.delete();
+            removed++;
+          }
+          cursor.continue();
+        };
+        request.onerror = () => reject(request.error);
+      }));
+    },
+
+    async clear() {
+      await withStore('readwrite', store => requestToPromise(store.clear()));
+    }
+  };
+}
+
+// Helper functions
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+export default createIndexedDBCacheBackend;
@@ -0,0 +1,53 @@
+/**
+ * Memory Cache Backend
+ * Keeps result cache entries in a Map for the lifetime of the page or process.
+ * Used where IndexedDB isn't available (Node, private browsing) and in tests.
+ */
+
+/**
+ * Create a memory backend
+ * @param {Object} options - `{ id }`
+ * @returns {Object} - Result cache backend
+ */
+export function createMemoryCacheBackend({ id = 'memory' } = {}) {
+  const entries = new Map();
+
+  return {
+    id,
+    label: 'In memory',
+    entries,
+
+    isAvailable() {
+      return true;
+    },
+
+    async get(key) {
+      return entries.get(key) || null;
+    },
+
+    async set(entry) {
+      entries.set(entry.key, entry);
+    },
+
+    async delete(key) {
+      entries.delete(key);
+    },
+
+    async prune({ now = Date.now(), catalogVersion = null } = {}) {
+      let removed = 0;
+      entries.forEach((entry, key) => {
+        if (entry.expiresAt <= now || (catalogVersion && entry.catalogVersion !== catalogVersion)) {
+          entries.delete(key);
+          removed++;
+        }
+      });
+      return removed;
+    },
+
+    async clear() {
+      entries.clear();
+    }
+  };
+}
+
+export default createMemoryCacheBackend;
@@ -0,0 +1,102 @@
+/**
+ * Supabase Cache Backend
+ * Server-side result cache in the `profile_cache` table (created by
+ * setup-database.js), shared by every process talking to the same project.
+ * Only the profile hash is stored, never the profile itself.
+ */
+
+const DEFAULT_TABLE = 'profile_cache';
+
+/**
+ * Create a Supabase backend
+ * @param {Object} client - Supabase client, ideally with the service key
+ * @param {Object} options - `{ id, table }`
+ * @returns {Object} - Result cache backend
+ */
+export function createSupabaseCacheBackend(client, { id = 'supabase', table = DEFAULT_TABLE } = {}) {
+  return {
+    id,
+    label: 'Supabase',
+
+    isAvailable() {
+      return Boolean(client);
+    },
+
+    async get(key) {
+      const { data, error } = await client
+        .from(table)
+        .select('profile_hash, results, catalog_version, created_at, expires_at')
+        .eq('profile_hash', key)
+        .maybeSingle();
+
+      if (error) throw error;
+      return data ? fromRow(data) : null;
+    },
+
+    async set(entry) {
+      const { error } = await client
+        .from(table)
+        .upsert(toRow(entry), { onConflict: 'profile_hash' });
+
+      if (error) throw error;
+    },
+
+    async delete(key) {
+      const { error } = await client
+        .from(table)
+        .delete()
+        .eq('profile_hash', key);
+
+      if (error) throw error;
+    },
+
+    async prune({ now = Date.now(), catalogVersion = null } = {}) {
+      const expiredBefore = new Date(now).toISOString();
+      const stale = catalogVersion
+        ? `expires_at.lte.${expiredBefore},catalog_version.neq.${catalogVersion}`
+        : `expires_at.lte.${expiredBefore}`;
+
+      const { data, error } = await client
+        .from(table)
+        .delete()
+        .or(stale)
+        .select('profile_hash');
+
+      if (error) throw error;
+      return data?.length || 0;
+    },
+
+    async clear() {
+      const { error } = await client
+        .from(table)
+        .delete()
+        .neq('profile_hash', '');
+
+      if (error) throw error;
+    }
+  };
+}
+
+// Helper functions
+
+function toRow(entry) {
+  return {
+    profile_hash: entry.key,
+    results: entry.results,
+    catalog_version: entry.catalogVersion,
+    created_at: new Date(entry.createdAt).toISOString(),
+    expires_at: new Date(entry.expiresAt).toISOString()
+  };
+}
+
+function fromRow(row) {
+  return {
+    key: row.profile_hash,
+    results: row.results,
+    catalogVersion: row.catalog_version,
+    createdAt: new Date(row.created_at).getTime(),
+    expiresAt: new Date(row.expires_at).getTime()
+  };
+}
+
+export default createSupabaseCacheBackend;
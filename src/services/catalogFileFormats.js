@@ -0,0 +1,386 @@
+/**
+ * Catalog File Formats
+ * Reads and writes scholarship tables as CSV, JSON or XLSX. A table is
+ * `{ columns, rows }`: column names in order, and one plain object per row keyed
+ * by column. XLSX workbooks are read and written with JSZip and regex-based XML
+ * handling (see documentReaders/xmlText.js); only the first worksheet is read.
+ */
+
+import { decodeXmlEntities, getXmlAttribute } from './documentReaders/xmlText.js';
+
+const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+/**
+ * Supported formats, keyed by id
+ */
+export const CATALOG_FORMATS = {
+  csv: {
+    id: 'csv',
+    label: 'CSV',
+    extensions: ['.csv', '.tsv', '.txt'],
+    mimeType: 'text/csv',
+    read: async (file) => parseCsv(await file.text()),
+    write: async (table) => toCsv(table)
+  },
+  json: {
+    id: 'json',
+    label: 'JSON',
+    extensions: ['.json'],
+    mimeType: 'application/json',
+    read: async (file) => parseJsonTable(await file.text()),
+    write: async (table) => JSON.stringify(table.rows, null, 2)
+  },
+  xlsx: {
+    id: 'xlsx',
+    label: 'Excel (XLSX)',
+    extensions: ['.xlsx'],
+    mimeType: XLSX_MIME_TYPE,
+    read: async (file) => readXlsx(await file.arrayBuffer()),
+    write: async (table) => writeXlsx(table)
+  }
+};
+
+/**
+ * Pick the format of a file from its name
+ * @param {string} fileName - File name
+ * @returns {Object|null} - CATALOG_FORMATS entry, or null if unsupported
+ */
+export function detectCatalogFormat(fileName = '') {
+  const name = fileName.toLowerCase();
+  return Object.values(CATALOG_FORMATS).find(format => format.extensions.some(extension => name.endsWith(extension))) || null;
+}
+
+/**
+ * Read a CSV, JSON or XLSX file into a table
+ * @param {File} file - Uploaded file
+ * @returns {Promise<Object>} - `{ format, columns, rows }`
+ */
+export async function readCatalogFile(file) {
+  const format = detectCatalogFormat(file.name);
+  if (!format) {
+    const error = new Error(`Unsupported file type: ${file.name}. Use CSV, JSON or XLSX.`);
+    error.code = 'unsupported_format';
+    throw error;
+  }
+
+  const table = await format.read(file);
+  if (table.rows.length === 0) {
+    const error = new Error(`${file.name} has no rows to import`);
+    error.code = 'empty_file';
+    throw error;
+  }
+
+  return { format: format.id, ...table };
+}
+
+/**
+ * Write a table in one of the formats
+ * @param {Object} table - `{ columns, rows }`
+ * @param {string} formatId - CATALOG_FORMATS key
+ * @returns {Promise<Blob>} - File contents
+ */
+export async function writeCatalogFile(table, formatId) {
+  const format = CATALOG_FORMATS[formatId];
+  if (!format) {
+    throw new Error(`Unknown export format: ${formatId}`);
+  }
+
+  const data = await format.write(table);
+  return data instanceof Blob ? data : new Blob([data], { type: format.mimeType });
+}
+
+/**
+ * Parse CSV text. The delimiter (comma, semicolon or tab) is detected from the
+ * header line; quoted fields may hold delimiters, quotes ("") and line breaks.
+ * The apostrophe toCsv puts before formula-like cells is dropped again.
+ * @param {string} text - CSV text
+ * @returns {Object} - `{ columns, rows }`
+ */
+export function parseCsv(text) {
+  const source = String(text || '').replace(/^﻿/, '');
+  const delimiter = detectDelimiter(source);
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const nonEmpty = records.filter(values => values.some(value => value.trim() !== ''));
+  return toTable(nonEmpty.map(values => values.map(fromCsvField)));
+}
+
+/**
+ * Serialize a table as CSV. Cells starting with =, +, - or @ get a leading
+ * apostrophe so spreadsheets don't run them as formulas.
+ * @param {Object} table - `{ columns, rows }`
+ * @returns {string} - CSV text
+ */
+export function toCsv({ columns, rows }) {
+  const lines = [
+    columns.map(toCsvField).join(','),
+    ...rows.map(row => columns.map(column => toCsvField(toCellText(row[column]))).join(','))
+  ];
+  return lines.join('\n');
+}
+
+// Helper functions
+
+function detectDelimiter(text) {
+  const header = text.split(/\r?\n/, 1)[0] || '';
+  const counts = [',', ';', '\t'].map(delimiter => ({
+    delimiter,
+    count: header.replace(/"[^"]*"/g, '').split(delimiter).length - 1
+  }));
+  return counts.sort((a, b) => b.count - a.count)[0].count > 0 ? counts[0].delimiter : ',';
+}
+
+// First record is the header; blank or repeated names get a positional name
+function toTable(records) {
+  if (records.length === 0) return { columns: [], rows: [] };
+
+  const seen = new Map();
+  const columns = records[0].map((name, index) => {
+    const base = String(name ?? '').trim() || `Column ${index + 1}`;
+    const count = seen.get(base) || 0;
+    seen.set(base, count + 1);
+    return count === 0 ? base : `${base} (${count + 1})`;
+  });
+
+  const rows = records.slice(1).map(values => Object.fromEntries(
+    columns.map((column, index) => [column, values[index] ?? ''])
+  ));
+
+  return { columns, rows };
+}
+
+function parseJsonTable(text) {
+  let data;
+  try {
+    data = JSON.parse(String(text || '').replace(/^﻿/, ''));
+  } catch (parseError) {
+    const error = new Error(`Invalid JSON: ${parseError.message}`);
+    error.code = 'invalid_json';
+    throw error;
+  }
+
+  // A bare array, or an export wrapped as { scholarships: [...] }
+  const items = Array.isArray(data) ? data : Array.isArray(data?.scholarships) ? data.scholarships : null;
+  if (!items) {
+    const error = new Error('JSON must be an array of scholarships, or an object with a "scholarships" array');
+    error.code = 'invalid_json';
+    throw error;
+  }
+
+  const rows = items.filter(item => item && typeof item === 'object' && !Array.isArray(item)).map(item => flattenObject(item));
+  const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+  return { columns, rows };
+}
+
+// Nested objects become dotted columns ("eligibility.countries"); lists stay lists
+function flattenObject(value, prefix = '') {
+  return Object.entries(value).reduce((flat, [key, item]) => {
+    const column = prefix ? `${prefix}.${key}` : key;
+    if (item && typeof item === 'object' && !Array.isArray(item)) {
+      Object.assign(flat, flattenObject(item, column));
+    } else {
+      flat[column] = item;
+    }
+    return flat;
+  }, {});
+}
+
+function toCellText(value) {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return value.join('; ');
+  return String(value);
+}
+
+function toCsvField(value) {
+  const text = /^[=+\-@]/.test(value) ? `'${value}` : value;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function fromCsvField(value) {
+  return /^'[=+\-@]/.test(value) ? value.slice(1) : value;
+}
+
+async function readXlsx(buffer) {
+  const { default: JSZip } = await import('jszip');
+  const zip = await JSZip.loadAsync(buffer);
+  const sheetPath = await getFirstSheetPath(zip);
+  const sheetEntry = sheetPath ? zip.file(sheetPath) : null;
+
+  if (!sheetEntry) {
+    throw new Error('Not a valid XLSX workbook');
+  }
+
+  const sharedStringsEntry = zip.file('xl/sharedStrings.xml');
+  const sharedStrings = sharedStringsEntry ? readSharedStrings(await sharedStringsEntry.async('string')) : [];
+  return toTable(readSheetRows(await sheetEntry.async('string'), sharedStrings));
+}
+
+async function getFirstSheetPath(zip) {
+  const workbookEntry = zip.file('xl/workbook.xml');
+  const relsEntry = zip.file('xl/_rels/workbook.xml.rels');
+  if (!workbookEntry || !relsEntry) return 'xl/worksheets/sheet1.xml';
+
+  const sheetTag = (await workbookEntry.async('string')).match(/<sheet\s[^>]*>/);
+  const relationId = sheetTag ? getXmlAttribute(sheetTag[0], 'r:id') : null;
+  const relationTag = [...(await relsEntry.async('string')).matchAll(/<Relationship\s[^>]*>/g)]
+    .map(match => match[0])
+    .find(tag => getXmlAttribute(tag, 'Id') === relationId);
+  const target = relationTag ? getXmlAttribute(relationTag, 'Target') : null;
+
+  if (!target) return 'xl/worksheets/sheet1.xml';
+  return target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+}
+
+function readSharedStrings(xml) {
+  return [...xml.matchAll(/<si>([\s\S]*?)<\/si>/g)].map(([, item]) => readTextRuns(item));
+}
+
+function readTextRuns(xml) {
+  return [...xml.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)].map(([, text]) => decodeXmlEntities(text)).join('');
+}
+
+// Cells are placed by their reference ("C4"), since empty cells are left out of the XML
+function readSheetRows(xml, sharedStrings) {
+  const records = [];
+
+  for (const [, rowBody = ''] of xml.matchAll(/<row\b[^>]*?(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+    const values = [];
+    for (const [, attributes, body = ''] of rowBody.matchAll(/<c(\s[^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const tag = `<c${attributes}>`;
+      const reference = getXmlAttribute(tag, 'r');
+      const index = reference ? getColumnIndex(reference) : values.length;
+      values[index] = readCellValue(getXmlAttribute(tag, 't'), body, sharedStrings);
+    }
+    records.push(Array.from(values, value => value ?? ''));
+  }
+
+  return records.filter(values => values.some(value => String(value).trim() !== ''));
+}
+
+function readCellValue(type, body, sharedStrings) {
+  if (type === 'inlineStr') return readTextRuns(body);
+
+  const valueMatch = body.match(/<v>([\s\S]*?)<\/v>/);
+  const raw = valueMatch ? decodeXmlEntities(valueMatch[1]) : '';
+
+  if (type === 's') return sharedStrings[parseInt(raw, 10)] ?? '';
+  if (type === 'b') return raw === '1' ? 'TRUE' : 'FALSE';
+  if (type === 'str' || type === 'e') return raw;
+  // Numbers (and dates, which are day serials) stay numbers for the importer to interpret
+  return raw === '' ? '' : Number(raw);
+}
+
+function getColumnIndex(reference) {
+  const letters = reference.match(/^[A-Z]+/i)?.[0].toUpperCase() || 'A';
+  return [...letters].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+}
+
+function getColumnLetters(index) {
+  let letters = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+  }
+  return letters;
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    // Control characters other than tab and line breaks are not allowed in XML
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+function toXlsxCell(value, reference) {
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return `<c r="${reference}"><v>${value}</v></c>`;
+  }
+  const text = toCellText(value);
+  if (text === '') return '';
+  return `<c r="${reference}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(text)}</t></is></c>`;
+}
+
+async function writeXlsx({ columns, rows }) {
+  const { default: JSZip } = await import('jszip');
+  const zip = new JSZip();
+
+  const sheetRows = [columns.map(String), ...rows.map(row => columns.map(column => row[column]))]
+    .map((values, rowIndex) => {
+      const cells = values.map((value, columnIndex) => toXlsxCell(value, `${getColumnLetters(columnIndex)}${rowIndex + 1}`)).join('');
+      return `<row r="${rowIndex + 1}">${cells}</row>`;
+    })
+    .join('');
+
+  zip.file('[Content_Types].xml', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+    + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+    + '<Default Extension="xml" ContentType="application/xml"/>'
+    + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+    + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+    + '</Types>');
+  zip.file('_rels/.rels', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+    + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+    + '</Relationships>');
+  zip.file('xl/workbook.xml', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+    + '<sheets><sheet name="Scholarships" sheetId="1" r:id="rId1"/></sheets>'
+    + '</workbook>');
+  zip.file('xl/_rels/workbook.xml.rels', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+    + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+    + '</Relationships>');
+  zip.file('xl/worksheets/sheet1.xml', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+    + `<sheetData>${sheetRows}</sheetData>`
+    + '</worksheet>');
+
+  return zip.generateAsync({ type: 'blob', mimeType: XLSX_MIME_TYPE });
+}
+
+export default {
+  CATALOG_FORMATS,
+  detectCatalogFormat,
+  readCatalogFile,
+  writeCatalogFile,
+  parseCsv,
+  toCsv
+};
@@ -0,0 +1,404 @@
+/**
+ * Catalog Mapper
+ * One shape for scholarship records, whichever store they come from. Rows of the
+ * normalized `scholarships` table (with their eligibility and deadline rows
+ * embedded), legacy flat rows with comma-separated lists, and records already in
+ * the canonical shape all map to the same record, so SupabaseService, the search
+ * service and the optimized matching pipeline read the same fields. Writes go the
+ * other way through `toCatalogPayload` and the `save_scholarship` database function
+ * (see migrations/002_normalized_catalog.js and 003_yearly_usd_amounts.js).
+ */
+
+import { canonicalize, sha256 } from './resultCacheService.js';
+import { DEFAULT_CURRENCY, getComparableAmount, getScholarshipAmount } from './moneyService.js';
+
+export const ELIGIBILITY_KINDS = {
+  COUNTRY: 'country',
+  DEGREE: 'degree',
+  FIELD: 'field',
+  NATIONALITY: 'nationality'
+};
+
+export const DEADLINE_KINDS = {
+  APPLICATION: 'application',
+  EARLY: 'early',
+  PRIORITY: 'priority',
+  DOCUMENTS: 'documents',
+  INTERVIEW: 'interview',
+  DECISION: 'decision'
+};
+
+// Select for PostgREST: the scholarship with its eligibility and deadline rows
+export const CATALOG_SELECT = '*, eligibility_rows:scholarship_eligibility(kind, value), deadline_rows:scholarship_deadlines(cycle, kind, due_date, note)';
+
+// Eligibility kinds and the record lists (and legacy flat columns) holding them
+const ELIGIBILITY_LISTS = [
+  { kind: ELIGIBILITY_KINDS.COUNTRY, key: 'countries', column: 'location' },
+  { kind: ELIGIBILITY_KINDS.DEGREE, key: 'degrees', column: 'academic_level' },
+  { kind: ELIGIBILITY_KINDS.FIELD, key: 'fields', column: 'field_of_study' },
+  { kind: ELIGIBILITY_KINDS.NATIONALITY, key: 'nationalities', column: null }
+];
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Map a stored scholarship to the canonical record
+ * @param {Object} row - Normalized row (optionally with `eligibility_rows` and `deadline_rows`
+ *   embedded, see CATALOG_SELECT), legacy flat row, or canonical record
+ * @returns {Object} - Canonical record: `eligibility`, `financial`, `deadlines`, `application`
+ *   and `provenance` structures, plus the flat columns the search filters and sorts on
+ *   (`amount`, `currency`, `deadline`, `location`, `academic_level`, `field_of_study`), derived from them.
+ *   `yearly_usd_low` and `yearly_usd_high` are the stored yearly USD amounts, or computed with the
+ *   current exchange rates for records that don't carry them
+ */
+export function fromCatalogRow(row = {}) {
+  const eligibility = getEligibility(row);
+  const financial = getFinancial(row);
+  const yearly = getYearlyUsd(row, financial);
+  const deadlines = getDeadlines(row);
+  const provenance = getProvenance(row);
+  const title = row.title ?? row.name ?? '';
+  const requirements = row.requirements ?? (toRequirementList(row.application?.requirements).join(', ') || null);
+  const applicationUrl = row.application_url ?? row.application?.url ?? provenance.sourceUrl;
+
+  return {
+    id: row.id ?? null,
+    title,
+    name: title,
+    provider: row.provider ?? null,
+    description: row.description ?? null,
+    requirements,
+    application_url: applicationUrl,
+    contact_email: row.contact_email ?? null,
+    tags: toList(row.tags),
+    is_active: row.is_active ?? true,
+    eligibility,
+    financial,
+    deadlines,
+    application: {
+      url: applicationUrl,
+      requirements: Array.isArray(row.application?.requirements)
+        ? toRequirementList(row.application.requirements)
+        : toList(requirements)
+    },
+    provenance,
+    source_url: provenance.sourceUrl,
+    content_hash: row.content_hash ?? null,
+    created_at: row.created_at ?? null,
+    updated_at: row.updated_at ?? null,
+    amount: financial.max ?? financial.min,
+    currency: financial.currency,
+    amount_period: financial.period,
+    yearly_usd_low: yearly.low,
+    yearly_usd_high: yearly.high,
+    funding_type: financial.fundingType,
+    deadline: deadlines.application,
+    location: joinList(eligibility.countries),
+    academic_level: joinList(eligibility.degrees),
+    field_of_study: joinList(eligibility.fields)
+  };
+}
+
+/**
+ * Apply an update to a record. Updates may set the flat columns (`location`,
+ * `amount`, `deadline`...) or the nested structures; a flat column replaces the
+ * part of the structure it is derived from.
+ * @param {Object} record - Record in any of the catalog shapes
+ * @param {Object} updates - Fields to change
+ * @returns {Object} - Updated canonical record
+ */
+export function mergeCatalogRecord(record, updates = {}) {
+  const current = fromCatalogRow(record);
+  const merged = {
+    ...current,
+    ...updates,
+    eligibility: { ...current.eligibility, ...(isPlainObject(updates.eligibility) ? updates.eligibility : {}) },
+    financial: { ...current.financial, ...(isPlainObject(updates.financial) ? updates.financial : {}) },
+    deadlines: isPlainObject(updates.deadlines) ? updates.deadlines : current.deadlines
+  };
+
+  // Derived from the amount, so computed again below
+  delete merged.yearly_usd_low;
+  delete merged.yearly_usd_high;
+
+  if ('name' in updates && !('title' in updates)) merged.title = updates.name;
+  if ('requirements' in updates && !('application' in updates)) delete merged.application;
+
+  ELIGIBILITY_LISTS.forEach(({ key, column }) => {
+    if (column && column in updates) merged.eligibility[key] = toList(updates[column]);
+  });
+  const criteria = updates.eligibility_criteria ?? (typeof updates.eligibility === 'string' ? updates.eligibility : undefined);
+  if (criteria !== undefined) merged.eligibility.requirements = toRequirementList(String(criteria || '').split('\n'));
+
+  if ('amount' in updates || 'currency' in updates || 'amount_period' in updates) {
+    const money = getScholarshipAmount({
+      amount: 'amount' in updates ? updates.amount : current.amount,
+      currency: updates.currency ?? current.financial.currency,
+      amount_period: updates.amount_period ?? current.financial.period
+    });
+    merged.financial = { ...merged.financial, amount: money.amount, min: money.min, max: money.max, currency: money.currency, period: money.period };
+  }
+  if ('funding_type' in updates) merged.financial.fundingType = updates.funding_type;
+
+  if ('deadline' in updates) {
+    const others = current.deadlines.cycles.filter(cycle => cycle.kind !== DEADLINE_KINDS.APPLICATION);
+    const date = toIsoDay(updates.deadline);
+    merged.deadlines = {
+      cycles: date ? [...others, { cycle: null, kind: DEADLINE_KINDS.APPLICATION, date, note: null }] : others
+    };
+  }
+
+  return fromCatalogRow(merged);
+}
+
+/**
+ * Build the argument of the `save_scholarship` database function, which upserts
+ * the scholarship and replaces its eligibility and deadline rows in one transaction
+ * @param {Object} record - Record in any of the catalog shapes
+ * @returns {Promise<Object>} - `{ payload }` fields: scholarship columns (the yearly USD amounts
+ *   converted with the current exchange rates) plus `eligibility`
+ *   (`[{ kind, value }]`) and `deadlines` (`[{ cycle, kind, due_date, note }]`)
+ */
+export async function toCatalogPayload(record = {}) {
+  const scholarship = fromCatalogRow(record);
+  const { eligibility, financial, deadlines, provenance } = scholarship;
+  const yearly = getComparableAmount({ financial }, DEFAULT_CURRENCY);
+
+  return {
+    // Legacy numeric ids from fallback data never reach the UUID column
+    id: UUID_PATTERN.test(String(scholarship.id)) ? scholarship.id : null,
+    title: scholarship.title,
+    provider: scholarship.provider,
+    description: scholarship.description,
+    requirements: scholarship.requirements,
+    eligibility_criteria: eligibility.requirements.join('\n') || null,
+    application_url: scholarship.application_url,
+    contact_email: scholarship.contact_email,
+    is_active: scholarship.is_active,
+    amount_min: financial.min,
+    amount_max: financial.max,
+    currency: financial.currency,
+    amount_period: financial.period,
+    yearly_usd_low: yearly.low,
+    yearly_usd_high: yearly.high,
+    funding_type: financial.fundingType,
+    coverage: financial.coverage,
+    tags: joinList(scholarship.tags),
+    source_name: provenance.source,
+    source_url: provenance.sourceUrl,
+    source_id: provenance.sourceId,
+    retrieved_at: provenance.retrievedAt,
+    content_hash: await getContentHash(scholarship),
+    eligibility: ELIGIBILITY_LISTS.flatMap(({ kind, key }) => eligibility[key].map(value => ({ kind, value }))),
+    deadlines: deadlines.cycles.map(({ cycle, kind, date, note }) => ({ cycle, kind, due_date: date, note }))
+  };
+}
+
+/**
+ * Hash of what a scholarship offers and requires, for spotting changed listings
+ * when re-importing from a source. Ids, timestamps and provenance are left out,
+ * and text is compared loosely, so the same listing hashes the same wherever it came from.
+ * @param {Object} record - Record in any of the catalog shapes
+ * @returns {Promise<string|null>} - Hex SHA-256, or null without Web Crypto
+ */
+export async function getContentHash(record = {}) {
+  const scholarship = fromCatalogRow(record);
+  const { eligibility, financial, deadlines } = scholarship;
+
+  return sha256(JSON.stringify(canonicalize({
+    title: scholarship.title,
+    provider: scholarship.provider,
+    description: scholarship.description,
+    requirements: scholarship.requirements,
+    application_url: scholarship.application_url,
+    tags: scholarship.tags,
+    eligibility,
+    financial: {
+      min: financial.min,
+      max: financial.max,
+      currency: financial.currency,
+      period: financial.period,
+      fundingType: financial.fundingType,
+      coverage: financial.coverage
+    },
+    deadlines: deadlines.cycles
+  }, { loose: true }) ?? {}));
+}
+
+/**
+ * Cheap catalog fingerprint input: active scholarship count and the latest edit,
+ * read without loading the catalog
+ * @param {Object} client - Supabase client
+ * @returns {Promise<Object>} - `{ count, updatedAt }`
+ */
+export async function getCatalogStamp(client) {
+  const [counted, latest] = await Promise.all([
+    client
+      .from('scholarships')
+      .select('id', { count: 'exact', head: true })
+      .eq('is_active', true),
+    // Postgres sorts NULLs first when descending; one row without updated_at would pin the stamp
+    client
+      .from('scholarships')
+      .select('updated_at')
+      .order('updated_at', { ascending: false, nullsFirst: false })
+      .limit(1)
+  ]);
+
+  if (counted.error) throw counted.error;
+  if (latest.error) throw latest.error;
+  return { count: counted.count ?? 0, updatedAt: latest.data?.[0]?.updated_at ?? null };
+}
+
+// Helper functions
+
+function getEligibility(row) {
+  const nested = isPlainObject(row.eligibility) ? row.eligibility : null;
+  const embedded = Array.isArray(row.eligibility_rows) ? row.eligibility_rows : null;
+
+  const lists = Object.fromEntries(ELIGIBILITY_LISTS.map(({ kind, key, column }) => {
+    if (embedded) {
+      return [key, uniqueList(embedded.filter(item => item.kind === kind).map(item => item.value))];
+    }
+    if (nested && nested[key] !== undefined) return [key, uniqueList(toList(nested[key]))];
+    if (key === 'nationalities') return [key, uniqueList(toList(nested?.nationality))];
+    return [key, uniqueList(toList(column ? row[column] : null))];
+  }));
+
+  // Free-text criteria: the eligibility_criteria column, or a legacy `eligibility` string
+  const criteria = row.eligibility_criteria ?? (typeof row.eligibility === 'string' ? row.eligibility : null);
+  return {
+    ...lists,
+    requirements: nested?.requirements !== undefined
+      ? toRequirementList(nested.requirements)
+      : toRequirementList(criteria ? criteria.split('\n') : [])
+  };
+}
+
+function getFinancial(row) {
+  const nested = isPlainObject(row.financial) ? row.financial : {};
+  const normalized = row.amount_min !== undefined || row.amount_max !== undefined;
+  const money = normalized
+    ? { min: toNumber(row.amount_min), max: toNumber(row.amount_max), currency: row.currency, period: row.amount_period }
+    : getScholarshipAmount(row);
+
+  return {
+    amount: money.max ?? money.min,
+    min: money.min,
+    max: money.max,
+    currency: String(money.currency || nested.currency || DEFAULT_CURRENCY).trim().toUpperCase(),
+    period: money.period ?? nested.period ?? null,
+    fundingType: row.funding_type ?? nested.fundingType ?? null,
+    coverage: uniqueList(toList(row.coverage ?? nested.coverage))
+  };
+}
+
+function getYearlyUsd(row, financial) {
+  if (row.yearly_usd_high !== undefined) {
+    return { low: toNumber(row.yearly_usd_low), high: toNumber(row.yearly_usd_high) };
+  }
+  return getComparableAmount({ financial }, DEFAULT_CURRENCY);
+}
+
+// The application deadline is the latest cycle's, as the database keeps it in `deadline`
+function getDeadlines(row) {
+  let cycles;
+  if (Array.isArray(row.deadline_rows)) {
+    cycles = row.deadline_rows.map(item => toCycle(item, item.due_date));
+  } else if (Array.isArray(row.deadlines?.cycles)) {
+    cycles = row.deadlines.cycles.map(item => toCycle(item, item.date ?? item.due_date));
+  } else {
+    const date = row.deadlines?.application ?? row.deadline;
+    cycles = [toCycle({ kind: DEADLINE_KINDS.APPLICATION }, date)];
+  }
+
+  cycles = cycles
+    .filter(cycle => cycle.date)
+    .sort((a, b) => compareText(a.date, b.date) || compareText(a.kind, b.kind));
+  const applicationDates = cycles.filter(cycle => cycle.kind === DEADLINE_KINDS.APPLICATION).map(cycle => cycle.date);
+
+  return {
+    application: applicationDates.length > 0 ? applicationDates[applicationDates.length - 1] : null,
+    cycles
+  };
+}
+
+function toCycle(item, date) {
+  return {
+    cycle: item.cycle ?? null,
+    kind: Object.values(DEADLINE_KINDS).includes(item.kind) ? item.kind : DEADLINE_KINDS.APPLICATION,
+    date: toIsoDay(date),
+    note: item.note ?? null
+  };
+}
+
+function getProvenance(row) {
+  const nested = isPlainObject(row.provenance) ? row.provenance : {};
+  return {
+    source: row.source_name ?? nested.source ?? null,
+    sourceUrl: row.source_url ?? nested.sourceUrl ?? null,
+    sourceId: row.source_id ?? nested.sourceId ?? null,
+    retrievedAt: row.retrieved_at ?? nested.retrievedAt ?? null
+  };
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function toList(value) {
+  if (Array.isArray(value)) return value.filter(item => typeof item === 'string' && item.trim()).map(item => item.trim());
+  if (typeof value !== 'string') return [];
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// Requirements are sentences, so commas inside them are kept
+function toRequirementList(value) {
+  const items = Array.isArray(value) ? value : [value];
+  return items.filter(item => typeof item === 'string' && item.trim()).map(item => item.trim());
+}
+
+function uniqueList(items) {
+  const seen = new Set();
+  return items.filter(item => {
+    const key = item.toLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+function joinList(items) {
+  return items.length > 0 ? items.join(',') : null;
+}
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+// Other dates ("March 15, 2027", Date objects) are read as the local calendar day;
+// toISOString would shift them a day back east of UTC
+function toIsoDay(value) {
+  if (!value) return null;
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value)) return value.slice(0, 10);
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+function compareText(a, b) {
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+export default {
+  ELIGIBILITY_KINDS,
+  DEADLINE_KINDS,
+  CATALOG_SELECT,
+  fromCatalogRow,
+  mergeCatalogRecord,
+  toCatalogPayload,
+  getContentHash,
+  getCatalogStamp
+};
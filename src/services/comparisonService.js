@@ -0,0 +1,391 @@
+/**
+ * Comparison Service
+ * Keeps the scholarships picked for side-by-side comparison (2–5, across
+ * pages and reloads) and builds the comparison table: normalized amount,
+ * coverage, funding, deadline urgency, eligibility and the match breakdown,
+ * with the rows where the offers differ flagged.
+ */
+
+import { CRITERION_LABELS, getScholarshipDeadline, scoreScholarship } from './matchScoringService.js';
+import { ELIGIBILITY_STATUS, evaluateEligibility } from './eligibilityService.js';
+import { FUNDING_TYPES, getFundingType } from './scholarshipSearchService.js';
+import { getDaysUntilDeadline, getDeadlineUrgency } from './deadlineService.js';
+import {
+  DEFAULT_CURRENCY,
+  convertAmount,
+  estimateCoverage,
+  formatMoneyRange,
+  getComparableAmount,
+  getScholarshipAmount
+} from './moneyService.js';
+
+export const COMPARISON_SECTIONS = {
+  AWARD: 'award',
+  DEADLINE: 'deadline',
+  ELIGIBILITY: 'eligibility',
+  MATCH: 'match'
+};
+
+// What an award can pay for, and how descriptions tend to say so
+export const COVERAGE_ITEMS = [
+  { key: 'tuition', label: 'Tuition', pattern: /\b(tuition|course fees|program fees)\b/i },
+  { key: 'living', label: 'Living stipend', pattern: /\b(stipend|living (allowance|expenses|costs)|monthly allowance|maintenance)\b/i },
+  { key: 'housing', label: 'Accommodation', pattern: /\b(accommodation|housing|room and board|lodging)\b/i },
+  { key: 'travel', label: 'Travel', pattern: /\b(travel|airfare|flights?|return ticket)\b/i },
+  { key: 'insurance', label: 'Health insurance', pattern: /\b(health insurance|medical insurance|insurance)\b/i },
+  { key: 'books', label: 'Books & research', pattern: /\b(books|research (grant|allowance|costs)|study materials)\b/i }
+];
+
+const FUNDING_LABELS = {
+  [FUNDING_TYPES.FULL]: 'Fully funded',
+  [FUNDING_TYPES.PARTIAL]: 'Partially funded'
+};
+
+const URGENCY_LABELS = {
+  critical: 'Critical (≤ 7 days)',
+  high: 'High (≤ 30 days)',
+  medium: 'Medium (≤ 90 days)',
+  low: 'Low',
+  past: 'Deadline passed',
+  varies: 'Varies',
+  unknown: 'Unknown'
+};
+
+const ELIGIBILITY_LABELS = {
+  [ELIGIBILITY_STATUS.ELIGIBLE]: 'Eligible',
+  [ELIGIBILITY_STATUS.NEEDS_VERIFICATION]: 'Needs verification',
+  [ELIGIBILITY_STATUS.INELIGIBLE]: 'Not eligible'
+};
+
+const ELIGIBILITY_RANK = {
+  [ELIGIBILITY_STATUS.ELIGIBLE]: 2,
+  [ELIGIBILITY_STATUS.NEEDS_VERIFICATION]: 1,
+  [ELIGIBILITY_STATUS.INELIGIBLE]: 0
+};
+
+export class ComparisonService {
+  static STORAGE_KEY = 'scholarai_comparison';
+  static UPDATED_EVENT = 'scholarai_comparison_updated';
+  static MIN_ITEMS = 2;
+  static MAX_ITEMS = 5;
+
+  /**
+   * Get the scholarships picked for comparison
+   * @returns {Array<Object>} - Scholarships, in the order they were picked
+   */
+  static getSelection() {
+    try {
+      const storedData = localStorage.getItem(this.STORAGE_KEY);
+      return storedData ? JSON.parse(storedData) : [];
+    } catch (error) {
+      console.error('Error getting comparison selection:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Check whether a scholarship is picked
+   * @param {string|number} scholarshipId - Scholarship ID
+   * @returns {boolean} - Is selected
+   */
+  static isSelected(scholarshipId) {
+    return this.getSelection().some(item => String(item.id) === String(scholarshipId));
+  }
+
+  /**
+   * Pick a scholarship, or unpick it if it already is
+   * @param {Object} scholarship - Scholarship in any of the catalog shapes
+   * @returns {Array<Object>} - Updated selection
+   */
+  static toggle(scholarship) {
+    const selection = this.getSelection();
+    const id = String(scholarship.id);
+
+    if (selection.some(item => String(item.id) === id)) {
+      return this.saveSelection(selection.filter(item => String(item.id) !== id));
+    }
+
+    if (selection.length >= this.MAX_ITEMS) {
+      const error = new Error(`You can compare up to ${this.MAX_ITEMS} scholarships`);
+      error.code = 'comparison_full';
+      throw error;
+    }
+
+    return this.saveSelection([...selection, scholarship]);
+  }
+
+  /**
+   * Unpick a scholarship
+   * @param {string|number} scholarshipId - Scholarship ID
+   * @returns {Array<Object>} - Updated selection
+   */
+  static remove(scholarshipId) {
+    return this.saveSelection(this.getSelection().filter(item => String(item.id) !== String(scholarshipId)));
+  }
+
+  /**
+   * Unpick everything
+   */
+  static clear() {
+    this.saveSelection([]);
+  }
+
+  /**
+   * Build the side-by-side comparison
+   * @param {Array<Object>} scholarships - 2–5 scholarships in any of the catalog shapes
+   * @param {Object} profile - Profile for eligibility and match scores
+   * @param {Object} options - `{ currency, referenceDate }`; amounts are converted to currency
+   * @returns {Object} - `{ currency, generatedAt, columns, rows }`; columns are
+   *   `{ id, title, provider }`, rows are `{ key, section, label, cells, differs, best }` where
+   *   cells are `{ value, display, detail }` per column and best lists the leading columns
+   */
+  static buildComparison(scholarships = [], profile = {}, { currency = DEFAULT_CURRENCY, referenceDate = new Date() } = {}) {
+    if (scholarships.length < this.MIN_ITEMS || scholarships.length > this.MAX_ITEMS) {
+      const error = new Error(`Pick between ${this.MIN_ITEMS} and ${this.MAX_ITEMS} scholarships to compare`);
+      error.code = 'invalid_comparison_size';
+      throw error;
+    }
+
+    const details = scholarships.map(scholarship => ({
+      scholarship,
+      amount: getScholarshipAmount(scholarship),
+      coverage: getCoverageItems(scholarship),
+      eligibility: evaluateEligibility(scholarship, profile, { referenceDate }),
+      match: scoreScholarship(scholarship, profile, { referenceDate })
+    }));
+
+    const rows = [
+      ...buildAwardRows(details, currency),
+      ...buildDeadlineRows(details),
+      ...buildEligibilityRows(details),
+      ...buildMatchRows(details)
+    ].map(row => ({ ...row, differs: hasDifferences(row.cells) }));
+
+    return {
+      currency,
+      generatedAt: new Date().toISOString(),
+      columns: scholarships.map(scholarship => ({
+        id: scholarship.id,
+        title: scholarship.title || scholarship.name || 'Untitled scholarship',
+        provider: scholarship.provider || ''
+      })),
+      rows
+    };
+  }
+
+  /**
+   * Export a comparison
+   * @param {Object} comparison - Result of buildComparison
+   * @param {string} format - 'csv' or 'json'
+   * @returns {string} - Exported data
+   */
+  static exportComparison(comparison, format = 'csv') {
+    if (format === 'json') {
+      return JSON.stringify(comparison, null, 2);
+    }
+
+    if (format === 'csv') {
+      const headers = ['Section', 'Criterion', ...comparison.columns.map(column => column.title), 'Differs'];
+      const rows = comparison.rows.map(row => [
+        row.section,
+        row.label,
+        ...row.cells.map(cell => (cell.detail ? `${cell.display} (${cell.detail})` : cell.display)),
+        row.differs ? 'Yes' : 'No'
+      ]);
+
+      return [headers, ...rows].map(row => row.map(toCsvField).join(',')).join('\n');
+    }
+
+    throw new Error('Unsupported export format');
+  }
+
+  // Helper methods
+  static saveSelection(selection) {
+    try {
+      localStorage.setItem(this.STORAGE_KEY, JSON.stringify(selection));
+      window.dispatchEvent(new CustomEvent(this.UPDATED_EVENT, { detail: selection }));
+    } catch (error) {
+      console.error('Error saving comparison selection:', error);
+    }
+    return selection;
+  }
+}
+
+/**
+ * Find what an award pays for
+ * @param {Object} scholarship - Scholarship in any of the catalog shapes
+ * @returns {Array<string>} - COVERAGE_ITEMS keys mentioned in its coverage, benefits or description
+ */
+export function getCoverageItems(scholarship = {}) {
+  const listed = [scholarship.coverage, scholarship.benefits, scholarship.financial?.coverage, scholarship.financial?.benefits]
+    .flatMap(value => (Array.isArray(value) ? value : value ? [value] : []))
+    .filter(value => typeof value === 'string');
+  const text = [...listed, scholarship.title, scholarship.description].filter(Boolean).join(' ');
+
+  return COVERAGE_ITEMS.filter(item => item.pattern.test(text)).map(item => item.key);
+}
+
+// Helper functions
+
+function buildAwardRows(details, currency) {
+  // Ranked by the yearly amount, so monthly stipends and yearly awards compare fairly
+  const yearly = details.map(({ scholarship }) => getComparableAmount(scholarship, currency).high);
+  const fundingTypes = details.map(({ scholarship }) => getFunding(scholarship));
+  const coverage = details.map(({ scholarship }, i) => estimateCoverage(scholarship, {
+    fullyFunded: fundingTypes[i] === FUNDING_TYPES.FULL
+  }));
+
+  return [
+    {
+      key: 'amount',
+      section: COMPARISON_SECTIONS.AWARD,
+      label: `Award (${currency})`,
+      cells: details.map(({ amount }, i) => ({
+        value: yearly[i] === null ? null : Math.round(yearly[i]),
+        display: formatMoneyRange({
+          ...amount,
+          min: convertAmount(amount.min, amount.currency, currency),
+          max: convertAmount(amount.max, amount.currency, currency),
+          currency
+        }),
+        detail: amount.currency !== currency && amount.amount !== null ? `${formatMoneyRange(amount)} as listed` : null
+      })),
+      best: leaders(yearly, value => value)
+    },
+    {
+      key: 'cost_coverage',
+      section: COMPARISON_SECTIONS.AWARD,
+      label: 'Share of yearly costs',
+      cells: coverage.map(estimate => ({
+        value: estimate ? Math.round(estimate.share * 100) : null,
+        display: estimate ? `~${Math.round(estimate.share * 100)}%` : 'No estimate',
+        detail: estimate ? `of typical tuition and living costs in ${toTitleCase(estimate.country)}` : null
+      })),
+      best: leaders(coverage.map(estimate => (estimate ? estimate.share : null)), share => share)
+    },
+    {
+      key: 'funding',
+      section: COMPARISON_SECTIONS.AWARD,
+      label: 'Funding',
+      cells: fundingTypes.map(type => ({ value: type, display: FUNDING_LABELS[type], detail: null })),
+      best: leaders(fundingTypes, type => (type === FUNDING_TYPES.FULL ? 1 : 0))
+    },
+    ...COVERAGE_ITEMS.map(item => {
+      const covered = details.map(({ coverage }) => coverage.includes(item.key));
+      return {
+        key: `coverage_${item.key}`,
+        section: COMPARISON_SECTIONS.AWARD,
+        label: `Covers ${item.label.toLowerCase()}`,
+        cells: covered.map(value => ({ value, display: value ? 'Yes' : 'Not mentioned', detail: null })),
+        best: leaders(covered, value => (value ? 1 : 0))
+      };
+    }).filter(row => row.cells.some(cell => cell.value))
+  ];
+}
+
+function buildDeadlineRows(details) {
+  const deadlines = details.map(({ scholarship }) => getScholarshipDeadline(scholarship));
+  const days = deadlines.map(({ date }) => (date ? getDaysUntilDeadline(date.toISOString()) : null));
+
+  return [
+    {
+      key: 'deadline',
+      section: COMPARISON_SECTIONS.DEADLINE,
+      label: 'Deadline',
+      cells: deadlines.map(({ deadline, date }, i) => ({
+        value: date ? date.toISOString().slice(0, 10) : deadline,
+        display: date ? date.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' }) : (deadline || 'Not listed'),
+        detail: days[i] === null ? null : days[i] < 0 ? 'passed' : `${days[i]} days left`
+      })),
+      // The most time left to prepare
+      best: leaders(days, value => (value === null || value < 0 ? null : value))
+    },
+    {
+      key: 'urgency',
+      section: COMPARISON_SECTIONS.DEADLINE,
+      label: 'Urgency',
+      cells: deadlines.map(({ deadline, date }) => {
+        const urgency = getDeadlineUrgency(date ? date.toISOString() : deadline);
+        return { value: urgency, display: URGENCY_LABELS[urgency] || urgency, detail: null };
+      }),
+      best: []
+    }
+  ];
+}
+
+function buildEligibilityRows(details) {
+  const statuses = details.map(({ eligibility }) => eligibility.status);
+
+  return [{
+    key: 'eligibility',
+    section: COMPARISON_SECTIONS.ELIGIBILITY,
+    label: 'Eligibility',
+    cells: details.map(({ eligibility }) => ({
+      value: eligibility.status,
+      display: ELIGIBILITY_LABELS[eligibility.status],
+      detail: eligibility.reasons.join('; ') || null
+    })),
+    best: leaders(statuses, status => ELIGIBILITY_RANK[status])
+  }];
+}
+
+function buildMatchRows(details) {
+  const scores = details.map(({ match }) => match.score);
+  const overall = {
+    key: 'match_score',
+    section: COMPARISON_SECTIONS.MATCH,
+    label: 'Match score',
+    cells: scores.map(score => ({ value: score, display: `${score}%`, detail: null })),
+    best: leaders(scores, score => score)
+  };
+
+  const criteria = details[0].match.breakdown.map(({ criterion }) => criterion);
+  return [overall, ...criteria.map(criterion => {
+    const items = details.map(({ match }) => match.breakdown.find(item => item.criterion === criterion));
+    return {
+      key: `match_${criterion}`,
+      section: COMPARISON_SECTIONS.MATCH,
+      label: CRITERION_LABELS[criterion] || criterion,
+      cells: items.map(item => ({
+        value: item ? item.points : null,
+        display: item ? `${item.points}/${item.weight}` : '—',
+        detail: item ? item.reason : null
+      })),
+      best: leaders(items.map(item => (item ? item.points : null)), points => points)
+    };
+  })];
+}
+
+function getFunding(scholarship) {
+  const explicit = scholarship.isFullyFunded ?? scholarship.classification?.isFullyFunded;
+  if (typeof explicit === 'boolean') {
+    return explicit ? FUNDING_TYPES.FULL : FUNDING_TYPES.PARTIAL;
+  }
+  return getFundingType(scholarship);
+}
+
+// Columns sharing the highest rank; none when every column ties or nothing is ranked
+function leaders(values, rank) {
+  const ranks = values.map(value => (value === null || value === undefined ? null : rank(value)));
+  const known = ranks.filter(value => value !== null && value !== undefined);
+  if (known.length === 0) return [];
+
+  const top = Math.max(...known);
+  const best = ranks.map((value, i) => (value === top ? i : -1)).filter(i => i >= 0);
+  return best.length === values.length ? [] : best;
+}
+
+function hasDifferences(cells) {
+  return new Set(cells.map(cell => JSON.stringify(cell.value ?? null))).size > 1;
+}
+
+function toTitleCase(text) {
+  return text.replace(/\b[a-z]/g, letter => letter.toUpperCase());
+}
+
+function toCsvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export default ComparisonService;
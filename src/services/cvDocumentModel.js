@@ -0,0 +1,451 @@
+/**
+ * CV Document Model
+ * Rebuilds reading order, columns and section headings from positioned text
+ * so CV extractors work on sections → lines → spans instead of a flat string
+ */
+
+import { LANGUAGE_DICTIONARIES, detectLanguage, getAllSectionKeywords } from './cvLanguages.js';
+
+/**
+ * Section types recognised in a CV
+ */
+export const SECTION_TYPES = {
+  HEADER: 'header',
+  SUMMARY: 'summary',
+  EDUCATION: 'education',
+  EXPERIENCE: 'experience',
+  SKILLS: 'skills',
+  ACHIEVEMENTS: 'achievements',
+  INTERESTS: 'interests',
+  PROJECTS: 'projects',
+  PUBLICATIONS: 'publications',
+  LANGUAGES: 'languages',
+  REFERENCES: 'references',
+  OTHER: 'other'
+};
+
+/**
+ * Heading keywords per section type in every supported language
+ * (lowercase, whole-word match)
+ */
+export const SECTION_KEYWORDS = getAllSectionKeywords();
+
+// Words that may accompany a keyword in an unstyled heading ("Technical Skills", "Expérience professionnelle")
+const HEADING_QUALIFIERS = new Set(
+  Object.values(LANGUAGE_DICTIONARIES).flatMap(dictionary => dictionary.headingQualifiers)
+);
+
+const KEYWORD_WORDS = new Set(
+  Object.values(SECTION_KEYWORDS).flat().flatMap(keyword => keyword.split(' '))
+);
+
+const MAX_HEADING_WORDS = 4;
+const HEADING_SIZE_RATIO = 1.15;
+const STYLED_HEADING_SIZE_RATIO = 1.3;
+const MIN_GUTTER_WIDTH = 8;
+const MIN_COLUMN_LINES = 5;
+const MAX_SHARED_BASELINE_RATIO = 0.7;
+const HEADER_BAND_RATIO = 0.35;
+
+/**
+ * Build the lines of one PDF page from pdf.js text items
+ * @param {Array} items - `textContent.items` from pdf.js
+ * @param {Object} options - Page metadata
+ * @param {number} options.pageNumber - 1-based page number
+ * @param {number} options.width - Viewport width in PDF units
+ * @param {number} options.height - Viewport height in PDF units
+ * @param {Object} options.styles - `textContent.styles` from pdf.js
+ * @returns {Object} - Page layout `{ number, width, height, columns, lines }`
+ */
+export function buildPageLayout(items, { pageNumber, width, height, styles = {} }) {
+  const spans = items
+    .filter(item => typeof item.str === 'string' && item.str.trim().length > 0)
+    .map(item => toSpan(item, pageNumber, height, styles));
+
+  const split = detectColumnSplit(spans, width, height);
+  let columns = 1;
+  let groups = [spans];
+
+  if (split) {
+    columns = 2;
+    const header = spans.filter(span => span.bbox.y + span.bbox.height <= split.top);
+    const body = spans.filter(span => span.bbox.y + span.bbox.height > split.top);
+    header.forEach(span => { span.column = 0; });
+    const left = body.filter(span => span.bbox.x + span.bbox.width <= split.gutterStart);
+    const right = body.filter(span => span.bbox.x >= split.gutterEnd);
+    left.forEach(span => { span.column = 1; });
+    right.forEach(span => { span.column = 2; });
+    groups = [header, left, right];
+  }
+
+  return {
+    number: pageNumber,
+    width,
+    height,
+    columns,
+    lines: groups.flatMap(group => groupSpansIntoLines(group))
+  };
+}
+
+/**
+ * Assemble page layouts into a sectioned document model
+ * @param {Array} pages - Page layouts from `buildPageLayout`
+ * @param {Object} options - Model options
+ * @param {string} options.source - Where the document came from (e.g. 'pdf', 'text')
+ * @returns {Object} - Document model `{ source, language, pages, sections, bodyFontSize, text }`
+ */
+export function buildDocumentModel(pages, { source = 'pdf' } = {}) {
+  const lines = pages.flatMap(page => page.lines);
+  const bodyFontSize = estimateBodyFontSize(lines);
+  const sections = [];
+  let current = createSection(SECTION_TYPES.HEADER, null);
+  let seenKeywordHeading = false;
+
+  for (const line of lines) {
+    const headingType = detectHeading(line, bodyFontSize, seenKeywordHeading);
+
+    if (headingType) {
+      if (current.heading || current.lines.length > 0) {
+        sections.push(current);
+      }
+      line.isHeading = true;
+      current = createSection(headingType, line);
+      if (headingType !== SECTION_TYPES.OTHER) {
+        seenKeywordHeading = true;
+      }
+      continue;
+    }
+
+    line.isHeading = false;
+    current.lines.push(line);
+  }
+
+  if (current.heading || current.lines.length > 0) {
+    sections.push(current);
+  }
+
+  sections.forEach(section => {
+    section.text = section.lines.map(line => line.text).join('\n');
+  });
+
+  const text = lines.map(line => line.text).join('\n');
+
+  return {
+    source,
+    language: detectLanguage(text).language,
+    pages: pages.map(({ number, width, height, columns }) => ({ number, width, height, columns })),
+    sections,
+    bodyFontSize,
+    text
+  };
+}
+
+/**
+ * Build a document model from plain text (one line per text line)
+ * @param {string} text - Plain text content
+ * @param {Object} options - Model options
+ * @param {string} options.source - Where the text came from
+ * @returns {Object} - Document model
+ */
+export function documentFromText(text, { source = 'text' } = {}) {
+  const lines = (text || '')
+    .split(/\r?\n/)
+    .map(raw => createTextLine([{ text: raw }]))
+    .filter(Boolean);
+
+  return buildDocumentModel([{ number: 1, width: null, height: null, columns: 1, lines }], { source });
+}
+
+/**
+ * Create a line without page geometry, for formats that have no layout (DOCX, ODT, RTF, TXT)
+ * @param {Array} spans - Text runs `{ text, fontSize?, bold? }`
+ * @param {Object} options - Line options
+ * @param {boolean} options.headingStyle - Whether the source marks the line as a heading
+ * @returns {Object|null} - Line, or null when it has no visible text
+ */
+export function createTextLine(spans, { headingStyle = false } = {}) {
+  const normalizedSpans = spans
+    .filter(span => span.text && span.text.length > 0)
+    .map(span => ({
+      text: span.text,
+      page: null,
+      bbox: null,
+      fontSize: span.fontSize || null,
+      fontName: null,
+      bold: Boolean(span.bold)
+    }));
+  const text = normalizedSpans.map(span => span.text).join('').replace(/\s+/g, ' ').trim();
+
+  if (!text) {
+    return null;
+  }
+
+  const visibleSpans = normalizedSpans.filter(span => span.text.trim().length > 0);
+  const sizes = visibleSpans.map(span => span.fontSize).filter(Boolean);
+
+  return {
+    text,
+    page: null,
+    column: null,
+    bbox: null,
+    fontSize: sizes.length > 0 ? Math.max(...sizes) : null,
+    bold: visibleSpans.length > 0 && visibleSpans.every(span => span.bold),
+    headingStyle,
+    spans: normalizedSpans
+  };
+}
+
+/**
+ * Get all sections of a given type
+ * @param {Object} document - Document model
+ * @param {string} type - Section type from SECTION_TYPES
+ * @returns {Array} - Matching sections in reading order
+ */
+export function getSections(document, type) {
+  return (document?.sections || []).filter(section => section.type === type);
+}
+
+/**
+ * Get the combined text of all sections of a given type
+ * @param {Object} document - Document model
+ * @param {string} type - Section type from SECTION_TYPES
+ * @returns {string} - Section text, empty if the section is absent
+ */
+export function getSectionText(document, type) {
+  return getSections(document, type)
+    .map(section => section.text)
+    .filter(Boolean)
+    .join('\n');
+}
+
+/**
+ * Map a heading line to a section type by keyword
+ * @param {string} text - Candidate heading text
+ * @returns {string|null} - Section type or null if not a known heading
+ */
+export function classifyHeading(text) {
+  const normalized = normalizeHeadingText(text);
+  if (!normalized || countWords(normalized) > MAX_HEADING_WORDS) {
+    return null;
+  }
+
+  for (const [type, keywords] of Object.entries(SECTION_KEYWORDS)) {
+    if (keywords.some(keyword => new RegExp(`(^|\\s)${keyword}(\\s|$)`).test(normalized))) {
+      return type;
+    }
+  }
+
+  return null;
+}
+
+// Helper functions
+
+function createSection(type, heading) {
+  return { type, heading, lines: [], text: '' };
+}
+
+function toSpan(item, pageNumber, pageHeight, styles) {
+  const [, , c, d, x, baseline] = item.transform;
+  const fontSize = Math.hypot(c, d) || item.height || 0;
+  const fontFamily = styles[item.fontName]?.fontFamily || '';
+
+  return {
+    text: item.str,
+    page: pageNumber,
+    bbox: {
+      x,
+      y: pageHeight - baseline - fontSize,
+      width: item.width || 0,
+      height: fontSize
+    },
+    baseline,
+    fontSize,
+    fontName: item.fontName || null,
+    bold: /bold|black|heavy|semibold/i.test(`${item.fontName || ''} ${fontFamily}`),
+    column: 0
+  };
+}
+
+/**
+ * Find a vertical gutter separating two independent text flows.
+ * Right-aligned dates share baselines with the left text, so a gutter only
+ * counts when most right-hand lines have no left-hand counterpart.
+ */
+function detectColumnSplit(spans, pageWidth, pageHeight) {
+  if (!pageWidth || !pageHeight || spans.length < MIN_COLUMN_LINES * 2) {
+    return null;
+  }
+
+  const freeRuns = [];
+  let runStart = null;
+  let runTop = 0;
+  const step = 2;
+
+  for (let x = pageWidth * 0.2; x <= pageWidth * 0.8; x += step) {
+    const crossing = spans.filter(span => span.bbox.x < x && span.bbox.x + span.bbox.width > x);
+    const top = crossing.reduce((max, span) => Math.max(max, span.bbox.y + span.bbox.height), 0);
+    // Full-width spans (name, contact line) are allowed only in a header band
+    const below = spans.filter(span => span.bbox.y + span.bbox.height > top);
+    const free = top <= pageHeight * HEADER_BAND_RATIO &&
+      below.filter(span => span.bbox.x + span.bbox.width <= x).length >= MIN_COLUMN_LINES &&
+      below.filter(span => span.bbox.x >= x).length >= MIN_COLUMN_LINES;
+
+    if (free && runStart === null) {
+      runStart = x;
+      runTop = top;
+    } else if (free) {
+      runTop = Math.max(runTop, top);
+    } else if (runStart !== null) {
+      freeRuns.push({ gutterStart: runStart, gutterEnd: x - step, top: runTop });
+      runStart = null;
+    }
+  }
+
+  if (runStart !== null) {
+    freeRuns.push({ gutterStart: runStart, gutterEnd: pageWidth * 0.8, top: runTop });
+  }
+
+  const candidates = freeRuns
+    .filter(run => run.gutterEnd - run.gutterStart >= MIN_GUTTER_WIDTH)
+    .filter(run => isIndependentFlow(spans, run))
+    .sort((a, b) => (b.gutterEnd - b.gutterStart) - (a.gutterEnd - a.gutterStart));
+
+  return candidates[0] || null;
+}
+
+function isIndependentFlow(spans, run) {
+  const body = spans.filter(span => span.bbox.y + span.bbox.height > run.top);
+  const leftBaselines = new Set(body
+    .filter(span => span.bbox.x + span.bbox.width <= run.gutterStart)
+    .map(span => Math.round(span.baseline)));
+  const rightBaselines = new Set(body
+    .filter(span => span.bbox.x >= run.gutterEnd)
+    .map(span => Math.round(span.baseline)));
+
+  if (leftBaselines.size < MIN_COLUMN_LINES || rightBaselines.size < MIN_COLUMN_LINES) {
+    return false;
+  }
+
+  const shared = [...rightBaselines].filter(baseline =>
+    leftBaselines.has(baseline) || leftBaselines.has(baseline - 1) || leftBaselines.has(baseline + 1)
+  ).length;
+
+  return shared / rightBaselines.size <= MAX_SHARED_BASELINE_RATIO;
+}
+
+function groupSpansIntoLines(spans) {
+  const sorted = [...spans].sort((a, b) => b.baseline - a.baseline || a.bbox.x - b.bbox.x);
+  const lines = [];
+
+  for (const span of sorted) {
+    const line = lines[lines.length - 1];
+    const tolerance = Math.max(span.fontSize, line?.fontSize || 0) * 0.5;
+
+    if (line && Math.abs(line.baseline - span.baseline) <= tolerance) {
+      line.spans.push(span);
+      line.fontSize = Math.max(line.fontSize, span.fontSize);
+    } else {
+      lines.push({ baseline: span.baseline, fontSize: span.fontSize, spans: [span] });
+    }
+  }
+
+  return lines.map(finalizeLine);
+}
+
+function finalizeLine({ spans, fontSize }) {
+  const ordered = [...spans].sort((a, b) => a.bbox.x - b.bbox.x);
+  let text = '';
+
+  ordered.forEach((span, index) => {
+    const previous = ordered[index - 1];
+    if (previous) {
+      const gap = span.bbox.x - (previous.bbox.x + previous.bbox.width);
+      const needsSpace = gap > fontSize * 0.15 && !/\s$/.test(text) && !/^\s/.test(span.text);
+      if (needsSpace) text += ' ';
+    }
+    text += span.text;
+  });
+
+  const left = Math.min(...ordered.map(span => span.bbox.x));
+  const top = Math.min(...ordered.map(span => span.bbox.y));
+  const right = Math.max(...ordered.map(span => span.bbox.x + span.bbox.width));
+  const bottom = Math.max(...ordered.map(span => span.bbox.y + span.bbox.height));
+
+  return {
+    text: text.replace(/\s+/g, ' ').trim(),
+    page: ordered[0].page,
+    column: ordered[0].column,
+    bbox: { x: left, y: top, width: right - left, height: bottom - top },
+    fontSize,
+    bold: ordered.every(span => span.bold),
+    spans: ordered.map(({ baseline, column, ...span }) => span)
+  };
+}
+
+function estimateBodyFontSize(lines) {
+  const weights = {};
+
+  lines.forEach(line => {
+    line.spans.forEach(span => {
+      if (!span.fontSize) return;
+      const size = Math.round(span.fontSize * 2) / 2;
+      weights[size] = (weights[size] || 0) + span.text.length;
+    });
+  });
+
+  const [size] = Object.entries(weights).sort(([, a], [, b]) => b - a)[0] || [];
+  return size ? Number(size) : null;
+}
+
+function detectHeading(line, bodyFontSize, seenKeywordHeading) {
+  const text = line.text.trim();
+  if (!text || /:\s*\S/.test(text)) {
+    return null;
+  }
+
+  const hasSize = Boolean(bodyFontSize && line.fontSize);
+  const larger = hasSize && line.fontSize >= bodyFontSize * HEADING_SIZE_RATIO;
+  const allCaps = isAllCaps(text);
+  const styled = larger || line.bold || line.headingStyle || allCaps || text.endsWith(':');
+  const keywordType = classifyHeading(text);
+
+  if (keywordType) {
+    if (styled) return keywordType;
+    // Without font metrics a short keyword-only line is the best signal available;
+    // "at Acme Technologies" must not open a skills section
+    return !hasSize && isKeywordOnly(text) ? keywordType : null;
+  }
+
+  const prominent = line.headingStyle || (hasSize && line.fontSize >= bodyFontSize * STYLED_HEADING_SIZE_RATIO);
+  if (seenKeywordHeading && (prominent || (allCaps && line.bold)) && countWords(text) <= MAX_HEADING_WORDS) {
+    return SECTION_TYPES.OTHER;
+  }
+
+  return null;
+}
+
+function normalizeHeadingText(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/’/g, "'")
+    .replace(/[:：|•\-–—_*#]+/g, ' ')
+    .replace(/&/g, ' and ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function isKeywordOnly(text) {
+  return normalizeHeadingText(text)
+    .split(' ')
+    .every(word => KEYWORD_WORDS.has(word) || HEADING_QUALIFIERS.has(word));
+}
+
+function isAllCaps(text) {
+  // Only letters that have case count, so Arabic headings are never "all caps"
+  const letters = (text.match(/\p{L}/gu) || []).filter(letter => letter.toLowerCase() !== letter.toUpperCase());
+  return letters.length >= 3 && letters.every(letter => letter === letter.toUpperCase());
+}
+
+function countWords(text) {
+  return text.split(/\s+/).filter(Boolean).length;
+}
@@ -0,0 +1,491 @@
+/**
+ * CV Language Dictionaries
+ * Language detection and per-language vocabularies (section headings, degrees,
+ * job titles, dates, labels) used to parse non-English CVs into the same structure
+ */
+
+export const CV_LANGUAGES = {
+  ENGLISH: 'en',
+  FRENCH: 'fr',
+  SPANISH: 'es',
+  PORTUGUESE: 'pt',
+  ARABIC: 'ar'
+};
+
+export const DEFAULT_LANGUAGE = CV_LANGUAGES.ENGLISH;
+
+/**
+ * Vocabulary per language. Section keys match SECTION_TYPES in cvDocumentModel,
+ * skill and interest maps translate local terms to the canonical English names
+ */
+export const LANGUAGE_DICTIONARIES = {
+  [CV_LANGUAGES.ENGLISH]: {
+    name: 'English',
+    stopwords: ['the', 'and', 'of', 'in', 'to', 'with', 'for', 'at', 'my', 'university', 'experience', 'skills', 'education'],
+    sections: {
+      summary: ['summary', 'profile', 'objective', 'about me', 'personal statement'],
+      education: ['education', 'academic background', 'academics', 'qualifications', 'qualification'],
+      experience: ['experience', 'employment', 'work history', 'career history', 'internships'],
+      skills: ['skills', 'competencies', 'technologies', 'technical proficiencies', 'tools'],
+      achievements: ['achievements', 'awards', 'honors', 'honours', 'accomplishments', 'certifications'],
+      interests: ['interests', 'hobbies', 'activities', 'extracurricular', 'volunteering'],
+      projects: ['projects'],
+      publications: ['publications', 'research', 'papers'],
+      languages: ['languages'],
+      references: ['references', 'referees']
+    },
+    headingQualifiers: [
+      'and', 'of', 'my', 'work', 'professional', 'technical', 'relevant', 'key', 'core', 'academic',
+      'teaching', 'volunteer', 'leadership', 'selected', 'additional', 'other', 'personal', 'related',
+      'soft', 'computer', 'programming', 'career', 'industry', 'internship'
+    ],
+    degrees: [],
+    degreeConnectors: [],
+    jobTitles: [],
+    institutions: ['University', 'College', 'Institute', 'School'],
+    companyPrepositions: ['at'],
+    companyLabels: ['Company', 'Organization', 'Employer'],
+    months: {
+      jan: 1, january: 1, feb: 2, february: 2, mar: 3, march: 3, apr: 4, april: 4,
+      may: 5, jun: 6, june: 6, jul: 7, july: 7, aug: 8, august: 8,
+      sep: 9, sept: 9, september: 9, oct: 10, october: 10, nov: 11, november: 11,
+      dec: 12, december: 12,
+      spring: 3, summer: 6, fall: 9, autumn: 9, winter: 1
+    },
+    ongoing: ['present', 'current', 'currently', 'now', 'today', 'ongoing', 'to date', 'in progress'],
+    since: ['since', 'from'],
+    expected: ['expected', 'anticipated', 'exp.'],
+    locationLabels: ['Address', 'Location', 'Based in', 'Located in'],
+    gpaLabels: ['gpa', 'cgpa', 'cumulative gpa', 'grade point average'],
+    skillLabels: ['Skills', 'Technologies', 'Tools', 'Proficient in', 'Experience with', 'Knowledge of'],
+    skills: {},
+    interests: {},
+    achievements: ['Award', 'Prize', 'Recognition', 'Honor', 'Achievement']
+  },
+
+  [CV_LANGUAGES.FRENCH]: {
+    name: 'Français',
+    stopwords: ['le', 'les', 'des', 'et', 'du', 'pour', 'avec', 'une', 'dans', 'au', 'aux', 'sur', 'université', 'expérience', 'compétences'],
+    sections: {
+      summary: ['résumé', 'profil', 'objectif', 'à propos', 'présentation'],
+      education: ['formation', 'formations', 'éducation', 'études', 'parcours académique', 'diplômes', 'cursus'],
+      experience: ['expérience', 'expériences', 'parcours professionnel', 'emplois', 'stages'],
+      skills: ['compétences', 'aptitudes', 'outils', 'informatique'],
+      achievements: ['distinctions', 'prix', 'récompenses', 'réalisations', 'certifications'],
+      interests: ["centres d'intérêt", 'intérêts', 'loisirs', 'activités', 'bénévolat'],
+      projects: ['projets'],
+      publications: ['publications', 'recherche'],
+      languages: ['langues'],
+      references: ['références']
+    },
+    headingQualifiers: [
+      'et', 'de', 'des', 'du', 'mes', 'professionnelle', 'professionnelles', 'académique', 'académiques',
+      'techniques', 'informatiques', 'linguistiques', 'personnelles', 'principales', 'autres', 'extra', 'scolaires'
+    ],
+    degrees: [
+      'Licence professionnelle', 'Licence', 'Maîtrise', 'Mastère', 'Master', 'Doctorat', 'DUT', 'BTS',
+      'DEUG', "Diplôme d'ingénieur", 'Diplôme'
+    ],
+    degreeConnectors: ['en', 'de', "d'", 'ès'],
+    jobTitles: [
+      'Ingénieur', 'Ingénieure', 'Développeur', 'Développeuse', 'Chef de projet', 'Responsable', 'Analyste',
+      'Consultant', 'Consultante', 'Stagiaire', 'Directeur', 'Directrice', 'Assistant', 'Assistante',
+      'Chargé', 'Chargée', 'Technicien', 'Technicienne', 'Coordinateur', 'Coordinatrice', 'Enseignant', 'Chercheur'
+    ],
+    institutions: ['Université', 'École', 'Ecole', 'Institut', 'Faculté', 'Lycée'],
+    companyPrepositions: ['chez'],
+    companyLabels: ['Entreprise', 'Société', 'Employeur'],
+    months: {
+      janvier: 1, janv: 1, février: 2, fevrier: 2, févr: 2, mars: 3, avril: 4, avr: 4, mai: 5, juin: 6,
+      juillet: 7, juil: 7, août: 8, aout: 8, septembre: 9, octobre: 10, novembre: 11, décembre: 12, decembre: 12, déc: 12
+    },
+    ongoing: ['présent', "aujourd'hui", 'actuel', 'actuellement', 'en cours', 'à ce jour'],
+    since: ['depuis', 'dès'],
+    expected: ['prévu', 'prévue', 'prévision'],
+    locationLabels: ['Adresse', 'Localisation', 'Domicile', 'Lieu de résidence'],
+    gpaLabels: ['moyenne générale', 'moyenne'],
+    skillLabels: ['Compétences', 'Outils', 'Technologies', 'Maîtrise de', 'Connaissances en'],
+    skills: {
+      'gestion de projet': 'Project Management',
+      'gestion de projets': 'Project Management',
+      'résolution de problèmes': 'Problem Solving',
+      'apprentissage automatique': 'Machine Learning',
+      'analyse de données': 'Data Analysis',
+      communication: 'Communication',
+      leadership: 'Leadership'
+    },
+    interests: {
+      'intelligence artificielle': 'Artificial Intelligence',
+      'apprentissage automatique': 'Machine Learning',
+      'développement web': 'Web Development',
+      'développement mobile': 'Mobile Development',
+      'science des données': 'Data Science',
+      'cybersécurité': 'Cybersecurity',
+      'informatique en nuage': 'Cloud Computing',
+      recherche: 'Research',
+      innovation: 'Innovation',
+      entrepreneuriat: 'Entrepreneurship',
+      mentorat: 'Mentoring',
+      'logiciel libre': 'Open Source',
+      bénévolat: 'Volunteering',
+      enseignement: 'Teaching'
+    },
+    achievements: ['Prix', 'Bourse', 'Major de promotion', 'Mention très bien', 'Lauréat', 'Lauréate', 'Distinction']
+  },
+
+  [CV_LANGUAGES.SPANISH]: {
+    name: 'Español',
+    stopwords: ['el', 'los', 'las', 'y', 'del', 'con', 'para', 'una', 'por', 'como', 'universidad', 'experiencia', 'habilidades'],
+    sections: {
+      summary: ['resumen', 'perfil', 'objetivo', 'sobre mí', 'extracto'],
+      education: ['educación', 'formación', 'formación académica', 'estudios', 'titulación'],
+      experience: ['experiencia', 'experiencia laboral', 'trayectoria profesional', 'prácticas'],
+      skills: ['habilidades', 'competencias', 'conocimientos', 'herramientas', 'aptitudes'],
+      achievements: ['logros', 'premios', 'reconocimientos', 'certificaciones', 'distinciones'],
+      interests: ['intereses', 'aficiones', 'actividades', 'voluntariado', 'pasatiempos'],
+      projects: ['proyectos'],
+      publications: ['publicaciones', 'investigación'],
+      languages: ['idiomas', 'lenguas'],
+      references: ['referencias']
+    },
+    headingQualifiers: [
+      'y', 'de', 'del', 'mis', 'profesional', 'profesionales', 'académica', 'académico', 'técnicas', 'técnicos',
+      'informáticos', 'personales', 'otros', 'otras', 'laboral', 'complementaria', 'extracurriculares'
+    ],
+    degrees: [
+      'Licenciatura', 'Licenciado', 'Licenciada', 'Grado', 'Graduado', 'Graduada', 'Máster', 'Maestría',
+      'Magíster', 'Doctorado', 'Ingeniería', 'Técnico Superior', 'Diplomatura'
+    ],
+    degreeConnectors: ['en', 'de'],
+    jobTitles: [
+      'Ingeniero', 'Ingeniera', 'Desarrollador', 'Desarrolladora', 'Gerente', 'Jefe', 'Jefa', 'Analista',
+      'Consultor', 'Consultora', 'Coordinador', 'Coordinadora', 'Becario', 'Becaria', 'Pasante', 'Practicante',
+      'Director', 'Directora', 'Asistente', 'Técnico', 'Técnica', 'Investigador', 'Investigadora', 'Profesor', 'Profesora'
+    ],
+    institutions: ['Universidad', 'Escuela', 'Instituto', 'Facultad', 'Colegio'],
+    companyPrepositions: ['en'],
+    companyLabels: ['Empresa', 'Empleador', 'Organización'],
+    months: {
+      enero: 1, febrero: 2, marzo: 3, abril: 4, mayo: 5, junio: 6, julio: 7, agosto: 8,
+      septiembre: 9, setiembre: 9, octubre: 10, noviembre: 11, diciembre: 12, dic: 12
+    },
+    ongoing: ['actualidad', 'presente', 'actual', 'actualmente', 'hoy', 'en curso'],
+    since: ['desde'],
+    expected: ['previsto', 'prevista', 'previsión'],
+    locationLabels: ['Dirección', 'Domicilio', 'Ubicación', 'Residencia'],
+    gpaLabels: ['nota media', 'promedio', 'calificación media'],
+    skillLabels: ['Habilidades', 'Herramientas', 'Tecnologías', 'Conocimientos', 'Dominio de'],
+    skills: {
+      'gestión de proyectos': 'Project Management',
+      'resolución de problemas': 'Problem Solving',
+      'aprendizaje automático': 'Machine Learning',
+      'análisis de datos': 'Data Analysis',
+      comunicación: 'Communication',
+      liderazgo: 'Leadership'
+    },
+    interests: {
+      'inteligencia artificial': 'Artificial Intelligence',
+      'aprendizaje automático': 'Machine Learning',
+      'desarrollo web': 'Web Development',
+      'desarrollo móvil': 'Mobile Development',
+      'ciencia de datos': 'Data Science',
+      ciberseguridad: 'Cybersecurity',
+      'computación en la nube': 'Cloud Computing',
+      investigación: 'Research',
+      innovación: 'Innovation',
+      emprendimiento: 'Entrepreneurship',
+      liderazgo: 'Leadership',
+      mentoría: 'Mentoring',
+      'código abierto': 'Open Source',
+      voluntariado: 'Volunteering',
+      docencia: 'Teaching',
+      enseñanza: 'Teaching'
+    },
+    achievements: ['Premio', 'Beca', 'Matrícula de Honor', 'Mención', 'Primer lugar', 'Ganador', 'Ganadora']
+  },
+
+  [CV_LANGUAGES.PORTUGUESE]: {
+    name: 'Português',
+    stopwords: ['o', 'os', 'e', 'do', 'da', 'dos', 'das', 'em', 'com', 'para', 'uma', 'não', 'na', 'no', 'universidade', 'experiência'],
+    sections: {
+      summary: ['resumo', 'perfil', 'objetivo', 'sobre mim'],
+      education: ['formação', 'formação acadêmica', 'formação académica', 'educação', 'escolaridade', 'habilitações'],
+      experience: ['experiência', 'experiência profissional', 'histórico profissional', 'estágios'],
+      skills: ['competências', 'habilidades', 'conhecimentos', 'ferramentas'],
+      achievements: ['prêmios', 'prémios', 'conquistas', 'realizações', 'certificações', 'distinções'],
+      interests: ['interesses', 'hobbies', 'atividades', 'voluntariado'],
+      projects: ['projetos', 'projectos'],
+      publications: ['publicações', 'pesquisa', 'investigação'],
+      languages: ['idiomas', 'línguas'],
+      references: ['referências']
+    },
+    headingQualifiers: [
+      'e', 'de', 'da', 'do', 'minhas', 'profissional', 'profissionais', 'acadêmica', 'académica', 'técnicas',
+      'técnicos', 'pessoais', 'outras', 'outros', 'complementar', 'extracurriculares'
+    ],
+    degrees: [
+      'Licenciatura', 'Bacharelado', 'Bacharel', 'Mestrado', 'Mestre', 'Doutorado', 'Doutoramento',
+      'Pós-graduação', 'Tecnólogo', 'Engenharia'
+    ],
+    degreeConnectors: ['em', 'de'],
+    jobTitles: [
+      'Engenheiro', 'Engenheira', 'Desenvolvedor', 'Desenvolvedora', 'Programador', 'Programadora', 'Gerente',
+      'Analista', 'Consultor', 'Consultora', 'Coordenador', 'Coordenadora', 'Estagiário', 'Estagiária',
+      'Diretor', 'Diretora', 'Assistente', 'Técnico', 'Técnica', 'Pesquisador', 'Pesquisadora', 'Professor', 'Professora'
+    ],
+    institutions: ['Universidade', 'Faculdade', 'Instituto', 'Escola', 'Centro Universitário'],
+    companyPrepositions: ['na', 'no', 'em'],
+    companyLabels: ['Empresa', 'Empregador', 'Organização'],
+    months: {
+      janeiro: 1, fevereiro: 2, fev: 2, março: 3, marco: 3, abril: 4, maio: 5, junho: 6, julho: 7,
+      agosto: 8, setembro: 9, outubro: 10, novembro: 11, dezembro: 12, dez: 12
+    },
+    ongoing: ['atual', 'atualmente', 'presente', 'hoje', 'em curso', 'o momento'],
+    since: ['desde'],
+    expected: ['previsto', 'prevista', 'previsão'],
+    locationLabels: ['Endereço', 'Morada', 'Localização', 'Residência'],
+    gpaLabels: ['média final', 'média geral', 'média', 'coeficiente de rendimento'],
+    skillLabels: ['Competências', 'Ferramentas', 'Tecnologias', 'Conhecimentos', 'Domínio de'],
+    skills: {
+      'gestão de projetos': 'Project Management',
+      'gerenciamento de projetos': 'Project Management',
+      'resolução de problemas': 'Problem Solving',
+      'aprendizado de máquina': 'Machine Learning',
+      'aprendizagem automática': 'Machine Learning',
+      'análise de dados': 'Data Analysis',
+      comunicação: 'Communication',
+      liderança: 'Leadership'
+    },
+    interests: {
+      'inteligência artificial': 'Artificial Intelligence',
+      'aprendizado de máquina': 'Machine Learning',
+      'desenvolvimento web': 'Web Development',
+      'desenvolvimento mobile': 'Mobile Development',
+      'ciência de dados': 'Data Science',
+      'cibersegurança': 'Cybersecurity',
+      'computação em nuvem': 'Cloud Computing',
+      pesquisa: 'Research',
+      inovação: 'Innovation',
+      empreendedorismo: 'Entrepreneurship',
+      liderança: 'Leadership',
+      mentoria: 'Mentoring',
+      'código aberto': 'Open Source',
+      voluntariado: 'Volunteering',
+      ensino: 'Teaching'
+    },
+    achievements: ['Prêmio', 'Prémio', 'Bolsa', 'Menção honrosa', 'Primeiro lugar', 'Vencedor', 'Vencedora']
+  },
+
+  [CV_LANGUAGES.ARABIC]: {
+    name: 'العربية',
+    stopwords: ['في', 'من', 'على', 'إلى', 'عن', 'مع', 'و', 'جامعة', 'الخبرة', 'المهارات'],
+    sections: {
+      summary: ['الملخص', 'نبذة', 'نبذة عني', 'الهدف', 'الهدف الوظيفي'],
+      education: ['التعليم', 'المؤهلات', 'المؤهلات العلمية', 'المؤهل العلمي', 'التحصيل العلمي', 'الدراسة'],
+      experience: ['الخبرة', 'الخبرات', 'الخبرة العملية', 'الخبرات العملية', 'الخبرة المهنية', 'التدريب'],
+      skills: ['المهارات', 'مهارات', 'المهارات التقنية'],
+      achievements: ['الإنجازات', 'الجوائز', 'الشهادات', 'التكريمات'],
+      interests: ['الاهتمامات', 'الهوايات', 'الأنشطة', 'التطوع'],
+      projects: ['المشاريع'],
+      publications: ['المنشورات', 'الأبحاث'],
+      languages: ['اللغات'],
+      references: ['المراجع', 'المعرفون']
+    },
+    headingQualifiers: ['و', 'العملية', 'العلمية', 'الشخصية', 'التقنية', 'الأخرى', 'المهنية'],
+    degrees: ['بكالوريوس', 'ليسانس', 'ماجستير', 'دكتوراه', 'الدبلوم العالي', 'دبلوم'],
+    degreeConnectors: ['في'],
+    jobTitles: [
+      'مهندس', 'مهندسة', 'مطور', 'مطورة', 'مبرمج', 'مبرمجة', 'مدير', 'مديرة', 'محلل', 'محللة', 'منسق',
+      'منسقة', 'مستشار', 'متدرب', 'متدربة', 'مساعد', 'فني', 'باحث', 'باحثة', 'معلم', 'معلمة', 'أستاذ'
+    ],
+    institutions: ['جامعة', 'كلية', 'معهد', 'أكاديمية'],
+    companyPrepositions: ['لدى'],
+    companyLabels: ['الشركة', 'جهة العمل'],
+    months: {
+      يناير: 1, فبراير: 2, مارس: 3, أبريل: 4, ابريل: 4, مايو: 5, يونيو: 6, يوليو: 7,
+      أغسطس: 8, اغسطس: 8, سبتمبر: 9, أكتوبر: 10, اكتوبر: 10, نوفمبر: 11, ديسمبر: 12
+    },
+    ongoing: ['حتى الآن', 'الآن', 'حاليا', 'حالياً', 'الحاضر'],
+    since: ['منذ'],
+    expected: ['متوقع'],
+    locationLabels: ['العنوان', 'الموقع', 'مكان الإقامة', 'السكن'],
+    gpaLabels: ['المعدل التراكمي', 'المعدل'],
+    skillLabels: ['المهارات', 'الأدوات', 'التقنيات'],
+    skills: {
+      'إدارة المشاريع': 'Project Management',
+      'حل المشكلات': 'Problem Solving',
+      'تعلم الآلة': 'Machine Learning',
+      'التعلم الآلي': 'Machine Learning',
+      'تحليل البيانات': 'Data Analysis',
+      التواصل: 'Communication',
+      القيادة: 'Leadership'
+    },
+    interests: {
+      'الذكاء الاصطناعي': 'Artificial Intelligence',
+      'التعلم الآلي': 'Machine Learning',
+      'تطوير الويب': 'Web Development',
+      'علم البيانات': 'Data Science',
+      'الأمن السيبراني': 'Cybersecurity',
+      'الحوسبة السحابية': 'Cloud Computing',
+      'البحث العلمي': 'Research',
+      الابتكار: 'Innovation',
+      'ريادة الأعمال': 'Entrepreneurship',
+      القيادة: 'Leadership',
+      'العمل التطوعي': 'Volunteering',
+      التطوع: 'Volunteering',
+      التدريس: 'Teaching'
+    },
+    achievements: ['جائزة', 'منحة', 'مرتبة الشرف', 'المركز الأول', 'تكريم', 'شهادة تقدير']
+  }
+};
+
+// Letters that only appear in one of the Latin-script languages
+const DISTINCTIVE_CHARACTERS = {
+  [CV_LANGUAGES.FRENCH]: /[èêëàâùûîïœ]/g,
+  [CV_LANGUAGES.SPANISH]: /[ñ¿¡]/g,
+  [CV_LANGUAGES.PORTUGUESE]: /[ãõ]/g
+};
+
+const ARABIC_LETTER_PATTERN = /[؀-ۿ]/g;
+const LETTER_PATTERN = /\p{L}/gu;
+
+/**
+ * Detect the main language of CV text
+ * @param {string} text - Extracted CV text
+ * @returns {Object} - `{ language, confidence, scores }`
+ */
+export function detectLanguage(text) {
+  const sample = (text || '').slice(0, 5000);
+  const letterCount = (sample.match(LETTER_PATTERN) || []).length;
+
+  if (letterCount === 0) {
+    return { language: DEFAULT_LANGUAGE, confidence: 0, scores: {} };
+  }
+
+  const arabicRatio = (sample.match(ARABIC_LETTER_PATTERN) || []).length / letterCount;
+  if (arabicRatio > 0.3) {
+    return { language: CV_LANGUAGES.ARABIC, confidence: roundScore(Math.min(1, arabicRatio + 0.2)), scores: { ar: arabicRatio } };
+  }
+
+  const words = sample.toLowerCase().split(/[^\p{L}'’]+/u).filter(Boolean);
+  const scores = {};
+
+  for (const [language, dictionary] of Object.entries(LANGUAGE_DICTIONARIES)) {
+    if (language === CV_LANGUAGES.ARABIC) continue;
+
+    const stopwords = new Set(dictionary.stopwords);
+    const stopwordHits = words.filter(word => stopwords.has(word)).length;
+    const characterHits = DISTINCTIVE_CHARACTERS[language]
+      ? (sample.toLowerCase().match(DISTINCTIVE_CHARACTERS[language]) || []).length
+      : 0;
+
+    scores[language] = stopwordHits + characterHits * 2;
+  }
+
+  const ranked = Object.entries(scores).sort(([, a], [, b]) => b - a);
+  const [bestLanguage, bestScore] = ranked[0];
+  const total = ranked.reduce((sum, [, score]) => sum + score, 0);
+
+  if (bestScore === 0) {
+    return { language: DEFAULT_LANGUAGE, confidence: 0, scores };
+  }
+
+  return { language: bestLanguage, confidence: roundScore(bestScore / total), scores };
+}
+
+/**
+ * Get the dictionary for a language, falling back to English
+ * @param {string} language - Language code
+ * @returns {Object} - Language dictionary
+ */
+export function getDictionary(language) {
+  return LANGUAGE_DICTIONARIES[language] || LANGUAGE_DICTIONARIES[DEFAULT_LANGUAGE];
+}
+
+/**
+ * Get the dictionaries to parse a CV with: its own language plus English,
+ * which non-English CVs often mix in for degrees and job titles
+ * @param {string} language - Detected language code
+ * @returns {Array<Object>} - Dictionaries
+ */
+export function getParsingDictionaries(language) {
+  const languages = [...new Set([language || DEFAULT_LANGUAGE, DEFAULT_LANGUAGE])];
+  return languages.map(getDictionary);
+}
+
+/**
+ * Collect one vocabulary list across dictionaries
+ * @param {Array<Object>} dictionaries - Language dictionaries
+ * @param {string} key - Vocabulary key, e.g. 'degrees' or 'ongoing'
+ * @returns {Array<string>} - Unique terms, longest first so alternations prefer full phrases
+ */
+export function collectTerms(dictionaries, key) {
+  const terms = dictionaries.flatMap(dictionary => dictionary[key] || []);
+  return [...new Set(terms)].sort((a, b) => b.length - a.length);
+}
+
+/**
+ * Section heading keywords of every supported language, keyed by section type
+ * @returns {Object} - Section type → lowercase keywords
+ */
+export function getAllSectionKeywords() {
+  const keywords = {};
+
+  for (const dictionary of Object.values(LANGUAGE_DICTIONARIES)) {
+    for (const [type, terms] of Object.entries(dictionary.sections)) {
+      keywords[type] = [...new Set([...(keywords[type] || []), ...terms])];
+    }
+  }
+
+  return keywords;
+}
+
+/**
+ * Month names of every supported language
+ * @returns {Object} - Lowercase month name → month number
+ */
+export function getAllMonths() {
+  return Object.values(LANGUAGE_DICTIONARIES).reduce(
+    (months, dictionary) => ({ ...months, ...dictionary.months }),
+    {}
+  );
+}
+
+/**
+ * Escape a term for use inside a regular expression
+ * @param {string} term - Literal text
+ * @returns {string} - Escaped pattern source
+ */
+export function escapePattern(term) {
+  return term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Build a Unicode-aware alternation that only matches whole words
+ * (`\b` does not work for accented or Arabic letters)
+ * @param {Array<string>} terms - Literal terms
+ * @returns {string} - Pattern source, use with the `u` flag
+ */
+export function wholeWordPattern(terms) {
+  return `(?<![\\p{L}])(?:${terms.map(escapePattern).join('|')})(?![\\p{L}])`;
+}
+
+// Helper functions
+
+function roundScore(score) {
+  return Math.round(score * 100) / 100;
+}
+
+export default {
+  CV_LANGUAGES,
+  DEFAULT_LANGUAGE,
+  LANGUAGE_DICTIONARIES,
+  detectLanguage,
+  getDictionary,
+  getParsingDictionaries,
+  collectTerms,
+  getAllSectionKeywords,
+  getAllMonths,
+  escapePattern,
+  wholeWordPattern
+};
@@ -0,0 +1,118 @@
+/**
+ * CV Parser Worker Service
+ * Parses CVs in a dedicated Web Worker so large files don't block the UI,
+ * falling back to the main thread where workers are unavailable
+ */
+
+import { parseDocument } from './cvParsingPipeline.js';
+
+export class CVParserWorkerService {
+  static worker = null;
+  static pending = new Map();
+  static nextId = 1;
+
+  /**
+   * Read and analyze a CV file, in the parser worker when possible
+   * @param {File} file - Uploaded CV
+   * @param {Object} options - `{ onProgress, ocrLanguages }`, see `parseDocument`
+   * @returns {Promise<Object>} - `{ document, profile }`
+   */
+  static async parse(file, { onProgress, ocrLanguages } = {}) {
+    const worker = this.getWorker();
+
+    if (!worker) {
+      return parseDocument(file, { onProgress, ocrLanguages });
+    }
+
+    try {
+      return await this.parseInWorker(worker, file, { ocrLanguages }, onProgress);
+    } catch (error) {
+      if (!error.workerFailed) {
+        throw error;
+      }
+
+      console.warn('CV parser worker unavailable, parsing on the main thread:', error.message);
+      return parseDocument(file, { onProgress, ocrLanguages });
+    }
+  }
+
+  /**
+   * Check whether parsing can run in a Web Worker
+   * @returns {boolean} - Is supported
+   */
+  static isSupported() {
+    return typeof Worker !== 'undefined';
+  }
+
+  /**
+   * Stop the parser worker and reject any parses still running
+   */
+  static terminate() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+
+    this.rejectPending(new Error('CV parsing was cancelled'));
+  }
+
+  // Helper methods
+  static getWorker() {
+    if (this.worker || !this.isSupported()) {
+      return this.worker;
+    }
+
+    try {
+      this.worker = new Worker(new URL('../workers/cvParser.worker.js', import.meta.url), { type: 'module' });
+      this.worker.onmessage = (event) => this.handleMessage(event.data);
+      this.worker.onerror = (event) => {
+        // The worker script failed to load or crashed: let callers retry on the main thread
+        const error = new Error(event.message || 'CV parser worker failed');
+        error.workerFailed = true;
+        this.worker = null;
+        this.rejectPending(error);
+      };
+    } catch (error) {
+      console.warn('Could not start CV parser worker:', error.message);
+      this.worker = null;
+    }
+
+    return this.worker;
+  }
+
+  static parseInWorker(worker, file, options, onProgress) {
+    const id = this.nextId++;
+
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { resolve, reject, onProgress });
+      worker.postMessage({ id, file, options });
+    });
+  }
+
+  static handleMessage(message) {
+    const request = this.pending.get(message?.id);
+    if (!request) return;
+
+    if (message.type === 'progress') {
+      if (typeof request.onProgress === 'function') {
+        request.onProgress(message.event);
+      }
+      return;
+    }
+
+    this.pending.delete(message.id);
+
+    if (message.type === 'result') {
+      request.resolve({ document: message.document, profile: message.profile });
+    } else {
+      request.reject(new Error(message.message || 'Failed to parse CV'));
+    }
+  }
+
+  static rejectPending(error) {
+    this.pending.forEach(request => request.reject(error));
+    this.pending.clear();
+  }
+}
+
+export default CVParserWorkerService;
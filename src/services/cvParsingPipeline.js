@@ -0,0 +1,37 @@
+/**
+ * CV Parsing Pipeline
+ * Reads a CV into the document model and analyzes it, reporting progress as
+ * it goes. Runs the same way on the main thread and inside the parser worker.
+ */
+
+import DocumentReaderService from './documentReaderService.js';
+import PDFParserService from './pdfParser.js';
+import { PARSING_STAGES, createProgressEvent } from './cvParsingProgress.js';
+
+/**
+ * Read and analyze a CV file on the current thread
+ * @param {File} file - Uploaded CV
+ * @param {Object} options - `{ onProgress, ocrLanguages }`; onProgress is called with progress
+ *   events, ocrLanguages are the CV languages scanned pages are recognized in
+ * @returns {Promise<Object>} - `{ document, profile }`
+ */
+export async function parseDocument(file, { onProgress, ocrLanguages } = {}) {
+  const report = typeof onProgress === 'function' ? onProgress : () => {};
+
+  report(createProgressEvent(PARSING_STAGES.READING));
+  const document = await DocumentReaderService.readDocument(file, { onProgress: report, ocrLanguages });
+
+  if (!document.text || document.text.trim().length === 0) {
+    throw new Error(document.ocr
+      ? 'Your CV appears to be a scan and no text could be recognized. Please upload a clearer scan or a text-based PDF.'
+      : 'Could not extract text from your CV. Please ensure the file contains readable text.');
+  }
+
+  const profile = PDFParserService.analyzeCV(document, { onProgress: report });
+
+  return { document, profile };
+}
+
+export default {
+  parseDocument
+};
@@ -0,0 +1,43 @@
+/**
+ * CV Parsing Progress
+ * Stages of CV parsing and the progress events reported for them, shared by
+ * the readers, the parser and the parser worker
+ */
+
+// Ordered stages with the share of the overall progress bar each one covers
+export const PARSING_STAGES = {
+  READING: { id: 'reading', start: 0, end: 5, message: 'Reading your CV' },
+  PAGES: { id: 'pages', start: 5, end: 45, message: 'Extracting text' },
+  SECTIONS: { id: 'sections', start: 45, end: 55, message: 'Detecting sections' },
+  PERSONAL_INFO: { id: 'personalInfo', start: 55, end: 60, message: 'Extracting personal details' },
+  EDUCATION: { id: 'education', start: 60, end: 66, message: 'Extracting education' },
+  EXPERIENCE: { id: 'experience', start: 66, end: 72, message: 'Extracting experience' },
+  SKILLS: { id: 'skills', start: 72, end: 78, message: 'Extracting skills' },
+  ACHIEVEMENTS: { id: 'achievements', start: 78, end: 81, message: 'Extracting achievements' },
+  INTERESTS: { id: 'interests', start: 81, end: 84, message: 'Extracting interests' },
+  ENHANCING: { id: 'enhancing', start: 84, end: 98, message: 'Enhancing your profile with AI' },
+  COMPLETE: { id: 'complete', start: 100, end: 100, message: 'CV processed' }
+};
+
+/**
+ * Build a progress event for a stage
+ * @param {Object} stage - One of PARSING_STAGES
+ * @param {Object} options - `{ current, total, message }`; current/total give progress within the stage
+ * @returns {Object} - `{ stage, message, progress, current, total }` with progress 0-100
+ */
+export function createProgressEvent(stage, { current = 0, total = 1, message } = {}) {
+  const fraction = total > 0 ? Math.min(Math.max(current / total, 0), 1) : 1;
+
+  return {
+    stage: stage.id,
+    message: message || stage.message,
+    progress: Math.round(stage.start + (stage.end - stage.start) * fraction),
+    current,
+    total
+  };
+}
+
+export default {
+  PARSING_STAGES,
+  createProgressEvent
+};
@@ -1,4 +1,5 @@
 import apiClient from './apiClient';
+import { getComparableAmount } from './moneyService';
 
 /**
  * Deduplication Service
@@ -269,11 +270,10 @@ export const deduplicationUtils = {
   },
 
   /**
-   * Extract numeric amount from string
+   * Extract a comparable amount (yearly, in USD) from an amount string
    */
   extractAmount(amountStr) {
-    const match = amountStr.match(/[\d,]+/);
-    return match ? parseInt(match[0].replace(/,/g, '')) : null;
+    return getComparableAmount({ amount: amountStr }).high;
   },
 
   /**
@@ -0,0 +1,160 @@
+/**
+ * Document Reader Service
+ * Pluggable registry of CV readers (PDF, DOCX, ODT, RTF, TXT) that all
+ * produce the same CV document model
+ */
+
+import pdfReader from './documentReaders/pdfReader.js';
+import docxReader from './documentReaders/docxReader.js';
+import odtReader from './documentReaders/odtReader.js';
+import rtfReader from './documentReaders/rtfReader.js';
+import textReader from './documentReaders/textReader.js';
+
+export class DocumentReaderService {
+  static MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB
+
+  static readers = [pdfReader, docxReader, odtReader, rtfReader, textReader];
+
+  /**
+   * Register a reader, replacing any existing reader with the same id
+   * @param {Object} reader - Reader `{ id, label, mimeTypes, extensions, read(file, options) }`
+   * @returns {boolean} - Success status
+   */
+  static registerReader(reader) {
+    if (!reader?.id || typeof reader.read !== 'function') {
+      throw new Error('Document reader must have an id and a read function');
+    }
+
+    this.readers = [...this.readers.filter(existing => existing.id !== reader.id), reader];
+    return true;
+  }
+
+  /**
+   * Get all registered readers
+   * @returns {Array} - Readers
+   */
+  static getReaders() {
+    return [...this.readers];
+  }
+
+  /**
+   * Find the reader for a file by MIME type, falling back to its extension
+   * (browsers often report an empty type for .odt and .rtf)
+   * @param {File} file - Uploaded file
+   * @returns {Object|null} - Matching reader or null
+   */
+  static getReaderForFile(file) {
+    if (!file) return null;
+
+    const byType = file.type
+      ? this.readers.find(reader => reader.mimeTypes.includes(file.type))
+      : null;
+    if (byType) return byType;
+
+    const extension = this.getExtension(file.name);
+    return this.readers.find(reader => reader.extensions.includes(extension)) || null;
+  }
+
+  /**
+   * Check whether a file can be read
+   * @param {File} file - Uploaded file
+   * @returns {boolean} - Is supported
+   */
+  static isSupportedFile(file) {
+    return this.getReaderForFile(file) !== null;
+  }
+
+  /**
+   * Validate an uploaded CV file
+   * @param {File} file - Uploaded file
+   * @returns {Object} - `{ isValid, error }`
+   */
+  static validateFile(file) {
+    if (!file) {
+      return { isValid: false, error: 'Please select a file to upload' };
+    }
+
+    if (!this.isSupportedFile(file)) {
+      return { isValid: false, error: `Please upload a ${this.getFormatsLabel()} file` };
+    }
+
+    if (file.size > this.MAX_FILE_SIZE) {
+      return { isValid: false, error: 'File size must be less than 10MB' };
+    }
+
+    return { isValid: true, error: null };
+  }
+
+  /**
+   * Read a file into the CV document model using the matching reader
+   * @param {File} file - Uploaded file
+   * @param {Object} options - Passed to the reader, e.g. `{ onProgress }`
+   * @returns {Promise<Object>} - Document model with `format` set to the reader id
+   */
+  static async readDocument(file, options = {}) {
+    const reader = this.getReaderForFile(file);
+
+    if (!reader) {
+      throw new Error(`Unsupported file type. Please upload a ${this.getFormatsLabel()} file`);
+    }
+
+    const document = await reader.read(file, options);
+    return { ...document, format: reader.id };
+  }
+
+  /**
+   * Get all supported MIME types
+   * @returns {Array<string>} - MIME types
+   */
+  static getSupportedMimeTypes() {
+    return [...new Set(this.readers.flatMap(reader => reader.mimeTypes))];
+  }
+
+  /**
+   * Get all supported file extensions
+   * @returns {Array<string>} - Extensions including the leading dot
+   */
+  static getSupportedExtensions() {
+    return [...new Set(this.readers.flatMap(reader => reader.extensions))];
+  }
+
+  /**
+   * Get the `accept` map for react-dropzone
+   * @returns {Object} - MIME type → extensions
+   */
+  static getDropzoneAccept() {
+    return this.readers.reduce((accept, reader) => {
+      reader.mimeTypes.forEach(mimeType => {
+        accept[mimeType] = [...new Set([...(accept[mimeType] || []), ...reader.extensions])];
+      });
+      return accept;
+    }, {});
+  }
+
+  /**
+   * Get the `accept` attribute for file inputs
+   * @returns {string} - Comma-separated extensions and MIME types
+   */
+  static getAcceptAttribute() {
+    return [...this.getSupportedExtensions(), ...this.getSupportedMimeTypes()].join(',');
+  }
+
+  /**
+   * Get a human readable list of supported formats
+   * @returns {string} - e.g. "PDF, DOCX, ODT, RTF or TXT"
+   */
+  static getFormatsLabel() {
+    const labels = this.readers.map(reader => reader.label);
+    return labels.length > 1
+      ? `${labels.slice(0, -1).join(', ')} or ${labels[labels.length - 1]}`
+      : labels[0] || '';
+  }
+
+  // Helper methods
+  static getExtension(fileName = '') {
+    const index = fileName.lastIndexOf('.');
+    return index >= 0 ? fileName.slice(index).toLowerCase() : '';
+  }
+}
+
+export default DocumentReaderService;
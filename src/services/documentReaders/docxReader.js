@@ -0,0 +1,112 @@
+/**
+ * DOCX Document Reader
+ * Reads Word (Office Open XML) CVs into the CV document model
+ */
+
+import { buildDocumentModel, createTextLine } from '../cvDocumentModel.js';
+import { decodeXmlEntities, getXmlAttribute } from './xmlText.js';
+
+const PARAGRAPH_PATTERN = /<w:p[\s>][\s\S]*?<\/w:p>/g;
+const RUN_PATTERN = /<w:r[\s>][\s\S]*?<\/w:r>/g;
+const RUN_CONTENT_PATTERN = /<w:t(?:\s[^>/]*)?>([\s\S]*?)<\/w:t>|<w:tab\/>|<w:(?:br|cr)(?:\s[^>]*)?\/>/g;
+
+export const docxReader = {
+  id: 'docx',
+  label: 'DOCX',
+  mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+  extensions: ['.docx'],
+
+  /**
+   * Read a DOCX file into the CV document model
+   * @param {File} file - DOCX file
+   * @returns {Promise<Object>} - Document model
+   */
+  async read(file) {
+    const { default: JSZip } = await import('jszip');
+    const zip = await JSZip.loadAsync(await file.arrayBuffer());
+    const documentEntry = zip.file('word/document.xml');
+
+    if (!documentEntry) {
+      throw new Error('Not a valid DOCX document');
+    }
+
+    const stylesEntry = zip.file('word/styles.xml');
+    const headingStyleIds = stylesEntry
+      ? getHeadingStyleIds(await stylesEntry.async('string'))
+      : new Set();
+
+    // Page headers often hold the name and contact details, so read them first
+    const headerEntries = zip.file(/^word\/header\d*\.xml$/);
+    const parts = [
+      ...await Promise.all(headerEntries.map(entry => entry.async('string'))),
+      await documentEntry.async('string')
+    ];
+
+    const lines = parts.flatMap(xml => readParagraphs(xml, headingStyleIds));
+
+    return buildDocumentModel([{ number: 1, width: null, height: null, columns: 1, lines }], { source: 'docx' });
+  }
+};
+
+// Helper functions
+
+function getHeadingStyleIds(stylesXml) {
+  const ids = new Set();
+  const stylePattern = /<w:style\s[^>]*w:styleId="([^"]+)"[^>]*>([\s\S]*?)<\/w:style>/g;
+
+  for (const [, styleId, body] of stylesXml.matchAll(stylePattern)) {
+    const nameTag = body.match(/<w:name\s[^>]*\/>/);
+    const name = nameTag ? getXmlAttribute(nameTag[0], 'w:val') || '' : '';
+    if (/^(heading\s*\d|title)$/i.test(name)) {
+      ids.add(styleId);
+    }
+  }
+
+  return ids;
+}
+
+function readParagraphs(xml, headingStyleIds) {
+  const lines = [];
+  const content = xml.replace(/<w:p(?:\s[^>]*)?\/>/g, '');
+
+  for (const [paragraph] of content.matchAll(PARAGRAPH_PATTERN)) {
+    const styleTag = paragraph.match(/<w:pStyle\s[^>]*\/>/);
+    const styleId = styleTag ? getXmlAttribute(styleTag[0], 'w:val') : null;
+    const headingStyle = Boolean(styleId && (headingStyleIds.has(styleId) || /^(heading\d|title)$/i.test(styleId)));
+
+    // A paragraph with soft line breaks becomes several lines
+    let spans = [];
+    for (const [run] of paragraph.matchAll(RUN_PATTERN)) {
+      const { bold, fontSize } = readRunProperties(run);
+
+      for (const [token, text] of run.matchAll(RUN_CONTENT_PATTERN)) {
+        if (text !== undefined) {
+          spans.push({ text: decodeXmlEntities(text), bold, fontSize });
+        } else if (token.startsWith('<w:tab')) {
+          spans.push({ text: '\t', bold, fontSize });
+        } else {
+          lines.push(createTextLine(spans, { headingStyle }));
+          spans = [];
+        }
+      }
+    }
+    lines.push(createTextLine(spans, { headingStyle }));
+  }
+
+  return lines.filter(Boolean);
+}
+
+function readRunProperties(run) {
+  const properties = run.match(/<w:rPr>([\s\S]*?)<\/w:rPr>/)?.[1] || '';
+  const boldTag = properties.match(/<w:b(?:\s[^>]*)?\/>/);
+  const boldValue = boldTag ? getXmlAttribute(boldTag[0], 'w:val') : null;
+  const sizeTag = properties.match(/<w:sz\s[^>]*\/>/);
+  const halfPoints = sizeTag ? parseInt(getXmlAttribute(sizeTag[0], 'w:val'), 10) : NaN;
+
+  return {
+    bold: Boolean(boldTag) && !['0', 'false', 'off'].includes(boldValue),
+    fontSize: Number.isFinite(halfPoints) ? halfPoints / 2 : null
+  };
+}
+
+export default docxReader;
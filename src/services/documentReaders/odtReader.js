@@ -0,0 +1,120 @@
+/**
+ * ODT Document Reader
+ * Reads OpenDocument Text CVs into the CV document model
+ */
+
+import { buildDocumentModel, createTextLine } from '../cvDocumentModel.js';
+import { decodeXmlEntities, getXmlAttribute } from './xmlText.js';
+
+const BLOCK_PATTERN = /<text:(h|p)(\s[^>]*)?>([\s\S]*?)<\/text:\1>/g;
+const SPAN_PATTERN = /<text:span(\s[^>]*)?>([\s\S]*?)<\/text:span>/g;
+
+export const odtReader = {
+  id: 'odt',
+  label: 'ODT',
+  mimeTypes: ['application/vnd.oasis.opendocument.text'],
+  extensions: ['.odt'],
+
+  /**
+   * Read an ODT file into the CV document model
+   * @param {File} file - ODT file
+   * @returns {Promise<Object>} - Document model
+   */
+  async read(file) {
+    const { default: JSZip } = await import('jszip');
+    const zip = await JSZip.loadAsync(await file.arrayBuffer());
+    const contentEntry = zip.file('content.xml');
+
+    if (!contentEntry) {
+      throw new Error('Not a valid ODT document');
+    }
+
+    const stylesEntry = zip.file('styles.xml');
+    const content = (await contentEntry.async('string')).replace(/<text:(?:h|p)(?:\s[^>]*)?\/>/g, '');
+    const styles = {
+      ...(stylesEntry ? readStyles(await stylesEntry.async('string')) : {}),
+      ...readStyles(content)
+    };
+
+    const lines = [];
+    for (const [, tag, attributes = '', body] of content.matchAll(BLOCK_PATTERN)) {
+      const paragraphStyle = styles[getXmlAttribute(attributes, 'text:style-name')] || {};
+      lines.push(...readBlock(body, paragraphStyle, styles, tag === 'h'));
+    }
+
+    return buildDocumentModel([{ number: 1, width: null, height: null, columns: 1, lines }], { source: 'odt' });
+  }
+};
+
+// Helper functions
+
+function readStyles(xml) {
+  const styles = {};
+  const stylePattern = /<style:style\s([^>]*?)(?:\/>|>([\s\S]*?)<\/style:style>)/g;
+
+  for (const [, attributes, body = ''] of xml.matchAll(stylePattern)) {
+    const name = getXmlAttribute(` ${attributes}`, 'style:name');
+    if (!name) continue;
+
+    const textProperties = body.match(/<style:text-properties\s[^>]*\/?>/)?.[0] || '';
+    const weight = getXmlAttribute(textProperties, 'fo:font-weight');
+    const size = parseFloat(getXmlAttribute(textProperties, 'fo:font-size'));
+    const displayName = getXmlAttribute(` ${attributes}`, 'style:display-name') || name;
+
+    styles[name] = {
+      bold: weight === 'bold' || Number(weight) >= 600,
+      fontSize: Number.isFinite(size) ? size : null,
+      heading: /^(heading|title)/i.test(displayName)
+    };
+  }
+
+  return styles;
+}
+
+function readBlock(body, paragraphStyle, styles, isHeadingElement) {
+  const headingStyle = isHeadingElement || Boolean(paragraphStyle.heading);
+  const segments = [];
+  let cursor = 0;
+
+  for (const match of body.matchAll(SPAN_PATTERN)) {
+    if (match.index > cursor) {
+      segments.push({ xml: body.slice(cursor, match.index), style: paragraphStyle });
+    }
+    const spanStyle = styles[getXmlAttribute(match[1] || '', 'text:style-name')] || {};
+    segments.push({ xml: match[2], style: { ...paragraphStyle, ...spanStyle } });
+    cursor = match.index + match[0].length;
+  }
+  if (cursor < body.length) {
+    segments.push({ xml: body.slice(cursor), style: paragraphStyle });
+  }
+
+  // Soft line breaks split a paragraph into several lines
+  const lines = [];
+  let spans = [];
+  for (const { xml, style } of segments) {
+    const pieces = inlineText(xml).split('\n');
+    pieces.forEach((piece, index) => {
+      if (index > 0) {
+        lines.push(createTextLine(spans, { headingStyle }));
+        spans = [];
+      }
+      spans.push({ text: piece, bold: style.bold, fontSize: style.fontSize });
+    });
+  }
+  lines.push(createTextLine(spans, { headingStyle }));
+
+  return lines.filter(Boolean);
+}
+
+function inlineText(xml) {
+  const text = xml
+    .replace(/<text:s(\s[^>]*)?\/>/g, (match, attributes = '') => ' '.repeat(parseInt(getXmlAttribute(attributes, 'text:c'), 10) || 1))
+    .replace(/<text:tab\/>/g, '\t')
+    .replace(/<text:line-break\/>/g, '\n')
+    .replace(/<text:note\b[\s\S]*?<\/text:note>/g, '')
+    .replace(/<[^>]+>/g, '');
+
+  return decodeXmlEntities(text);
+}
+
+export default odtReader;
@@ -0,0 +1,24 @@
+/**
+ * PDF Document Reader
+ * Delegates to PDFParserService for layout-aware extraction
+ */
+
+export const pdfReader = {
+  id: 'pdf',
+  label: 'PDF',
+  mimeTypes: ['application/pdf'],
+  extensions: ['.pdf'],
+
+  /**
+   * Read a PDF file into the CV document model
+   * @param {File} file - PDF file
+   * @param {Object} options - `{ onProgress }` called once per extracted page
+   * @returns {Promise<Object>} - Document model
+   */
+  async read(file, options = {}) {
+    const { default: PDFParserService } = await import('../pdfParser.js');
+    return PDFParserService.extractDocumentFromPDF(file, options);
+  }
+};
+
+export default pdfReader;
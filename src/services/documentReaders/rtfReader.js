@@ -0,0 +1,164 @@
+/**
+ * RTF Document Reader
+ * Reads Rich Text Format CVs into the CV document model
+ */
+
+import { buildDocumentModel, createTextLine } from '../cvDocumentModel.js';
+
+// Destinations whose content is metadata rather than document text
+const SKIPPED_DESTINATIONS = new Set([
+  'fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'object', 'generator',
+  'listtable', 'listoverridetable', 'rsidtbl', 'themedata', 'colorschememapping',
+  'datastore', 'latentstyles', 'xmlnstbl', 'pgdsctbl', 'filetbl', 'revtbl', 'fldinst'
+]);
+
+const TOKEN_PATTERN = /\\([a-z]{1,32})(-?\d{1,10})? ?|\\'([0-9a-f]{2})|\\([^a-z])|([{}])|([^\\{}\r\n]+)|[\r\n]+/gi;
+
+export const rtfReader = {
+  id: 'rtf',
+  label: 'RTF',
+  mimeTypes: ['application/rtf', 'text/rtf'],
+  extensions: ['.rtf'],
+
+  /**
+   * Read an RTF file into the CV document model
+   * @param {File} file - RTF file
+   * @returns {Promise<Object>} - Document model
+   */
+  async read(file) {
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    // RTF is 7-bit ASCII; latin1 keeps every byte intact for the tokenizer
+    const source = new TextDecoder('latin1').decode(bytes);
+
+    if (!source.trimStart().startsWith('{\\rtf')) {
+      throw new Error('Not a valid RTF document');
+    }
+
+    const lines = parseRtf(source);
+    return buildDocumentModel([{ number: 1, width: null, height: null, columns: 1, lines }], { source: 'rtf' });
+  }
+};
+
+// Helper functions
+
+function parseRtf(source) {
+  const codepageDecoder = new TextDecoder('windows-1252');
+  const lines = [];
+  const stack = [];
+  let state = { skip: false, bold: false, fontSize: null, unicodeSkip: 1 };
+  let pendingSkip = 0;
+  let destinationStart = false;
+  let spans = [];
+
+  const emit = (text) => {
+    if (state.skip || !text) return;
+    spans.push({ text, bold: state.bold, fontSize: state.fontSize });
+  };
+  const endLine = () => {
+    lines.push(createTextLine(spans));
+    spans = [];
+  };
+
+  for (const [, word, param, hex, symbol, brace, text] of source.matchAll(TOKEN_PATTERN)) {
+    // Characters following \uN stand in for readers without Unicode support
+    if (pendingSkip > 0 && (hex || text)) {
+      if (hex) {
+        pendingSkip--;
+        continue;
+      }
+      const skipped = Math.min(pendingSkip, text.length);
+      pendingSkip -= skipped;
+      emit(text.slice(skipped));
+      continue;
+    }
+
+    if (brace === '{') {
+      stack.push(state);
+      state = { ...state };
+      destinationStart = true;
+      continue;
+    }
+    if (brace === '}') {
+      state = stack.pop() || state;
+      destinationStart = false;
+      continue;
+    }
+
+    const atDestinationStart = destinationStart;
+    destinationStart = false;
+
+    if (symbol) {
+      if (symbol === '*' && atDestinationStart) {
+        state.skip = true;
+      } else if (symbol === '~') {
+        emit(' ');
+      } else if (symbol === '\\' || symbol === '{' || symbol === '}') {
+        emit(symbol);
+      } else if (symbol === '\n' || symbol === '\r') {
+        endLine();
+      }
+      continue;
+    }
+
+    if (hex) {
+      emit(codepageDecoder.decode(new Uint8Array([parseInt(hex, 16)])));
+      continue;
+    }
+
+    if (word) {
+      const value = param !== undefined ? parseInt(param, 10) : null;
+      if (atDestinationStart && SKIPPED_DESTINATIONS.has(word)) {
+        state.skip = true;
+      }
+      switch (word) {
+        case 'par':
+        case 'line':
+        case 'row':
+        case 'page':
+          if (!state.skip) endLine();
+          break;
+        case 'tab':
+        case 'cell':
+          emit('\t');
+          break;
+        case 'b':
+          state.bold = value !== 0;
+          break;
+        case 'fs':
+          state.fontSize = value ? value / 2 : null;
+          break;
+        case 'plain':
+          state.bold = false;
+          break;
+        case 'uc':
+          state.unicodeSkip = value ?? 1;
+          break;
+        case 'u':
+          emit(String.fromCharCode(value < 0 ? value + 65536 : value));
+          pendingSkip = state.unicodeSkip;
+          break;
+        case 'emdash':
+          emit('—');
+          break;
+        case 'endash':
+          emit('–');
+          break;
+        case 'bullet':
+          emit('•');
+          break;
+        default:
+          break;
+      }
+      continue;
+    }
+
+    if (text) {
+      emit(text);
+    }
+  }
+
+  endLine();
+  return lines.filter(Boolean);
+}
+
+export default rtfReader;
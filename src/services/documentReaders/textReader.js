@@ -0,0 +1,25 @@
+/**
+ * Plain Text Document Reader
+ * Reads .txt CVs and pasted text into the CV document model
+ */
+
+import { documentFromText } from '../cvDocumentModel.js';
+
+export const textReader = {
+  id: 'txt',
+  label: 'TXT',
+  mimeTypes: ['text/plain'],
+  extensions: ['.txt'],
+
+  /**
+   * Read a plain-text file into the CV document model
+   * @param {File} file - Text file
+   * @returns {Promise<Object>} - Document model
+   */
+  async read(file) {
+    const text = await file.text();
+    return documentFromText(text, { source: 'txt' });
+  }
+};
+
+export default textReader;
@@ -0,0 +1,41 @@
+/**
+ * XML text helpers shared by the DOCX, ODT and XLSX readers
+ * Regex based so readers also run where DOMParser is unavailable (e.g. Web Workers)
+ */
+
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' '
+};
+
+/**
+ * Decode XML character and entity references
+ * @param {string} text - Raw XML text content
+ * @returns {string} - Decoded text
+ */
+export function decodeXmlEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const codePoint = entity[1].toLowerCase() === 'x'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      return Number.isFinite(codePoint) ? String.fromCodePoint(codePoint) : match;
+    }
+    return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+/**
+ * Read an attribute value from an XML tag fragment
+ * @param {string} tag - Tag source, e.g. `<w:pStyle w:val="Heading1"/>`
+ * @param {string} name - Qualified attribute name
+ * @returns {string|null} - Attribute value or null
+ */
+export function getXmlAttribute(tag, name) {
+  const match = tag.match(new RegExp(`\\s${name}="([^"]*)"`));
+  return match ? decodeXmlEntities(match[1]) : null;
+}
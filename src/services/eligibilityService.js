@@ -0,0 +1,267 @@
+/**
+ * Eligibility Service
+ * Hard eligibility gates, applied before ranking. Unlike the match score,
+ * a failed gate (wrong nationality, degree level, GPA below the minimum, over
+ * the age limit, deadline passed) rules a scholarship out; a gate we can't
+ * check against the profile leaves it as "needs verification".
+ */
+
+import { getDegreeLevels, getMinimumGpa, getProfileGpa } from './academicNormalizer.js';
+import { getScholarshipDeadline, getScholarshipDegrees, isDeadlineOpen, rankScholarships } from './matchScoringService.js';
+import { UNRESTRICTED_COUNTRIES, normalizeCountry } from './vectorSearchService.js';
+
+export const ELIGIBILITY_STATUS = {
+  ELIGIBLE: 'eligible',
+  INELIGIBLE: 'ineligible',
+  NEEDS_VERIFICATION: 'needs_verification'
+};
+
+export const ELIGIBILITY_GATES = {
+  NATIONALITY: 'nationality',
+  DEGREE: 'degree',
+  GPA: 'gpa',
+  AGE: 'age',
+  DEADLINE: 'deadline'
+};
+
+// Sort order when ineligible scholarships are included
+export const ELIGIBILITY_ORDER = {
+  [ELIGIBILITY_STATUS.ELIGIBLE]: 0,
+  [ELIGIBILITY_STATUS.NEEDS_VERIFICATION]: 1,
+  [ELIGIBILITY_STATUS.INELIGIBLE]: 2
+};
+
+const GATE_PASS = 'pass';
+const GATE_FAIL = 'fail';
+const GATE_UNKNOWN = 'unknown';
+
+// Nationality requirements naming a group rather than a country ("EU countries", "Developing countries")
+const COUNTRY_GROUP_PATTERN = /\b(countries|nations|partners|region|regions|developing|commonwealth|member states|eu|european union|africa|asia|latin america)\b/i;
+
+const OPEN_DEADLINE_PATTERN = /\b(rolling|open|ongoing|year[- ]round)\b/i;
+
+/**
+ * Check a scholarship's hard eligibility constraints against a profile
+ * @param {Object} scholarship - Scholarship in any of the catalog shapes
+ * @param {Object} profile - CV or questionnaire profile
+ * @param {Object} options - `{ referenceDate }` for the deadline and age checks
+ * @returns {Object} - `{ status, reasons, gates }`; gates are `{ gate, status, reason }`,
+ *   reasons are the failed gates' reasons, or the unverifiable ones when none failed
+ */
+export function evaluateEligibility(scholarship, profile = {}, { referenceDate = new Date() } = {}) {
+  const gates = [
+    { gate: ELIGIBILITY_GATES.NATIONALITY, ...checkNationality(scholarship, profile) },
+    { gate: ELIGIBILITY_GATES.DEGREE, ...checkDegree(scholarship, profile) },
+    { gate: ELIGIBILITY_GATES.GPA, ...checkGpa(scholarship, profile) },
+    { gate: ELIGIBILITY_GATES.AGE, ...checkAge(scholarship, profile, referenceDate) },
+    { gate: ELIGIBILITY_GATES.DEADLINE, ...checkDeadline(scholarship, referenceDate) }
+  ];
+
+  const failed = gates.filter(gate => gate.status === GATE_FAIL);
+  const unverified = gates.filter(gate => gate.status === GATE_UNKNOWN);
+
+  if (failed.length > 0) {
+    return { status: ELIGIBILITY_STATUS.INELIGIBLE, reasons: failed.map(gate => gate.reason), gates };
+  }
+  if (unverified.length > 0) {
+    return { status: ELIGIBILITY_STATUS.NEEDS_VERIFICATION, reasons: unverified.map(gate => gate.reason), gates };
+  }
+  return { status: ELIGIBILITY_STATUS.ELIGIBLE, reasons: [], gates };
+}
+
+/**
+ * Gate a list of scholarships
+ * @param {Array<Object>} scholarships - Scholarships in any of the catalog shapes
+ * @param {Object} profile - CV or questionnaire profile
+ * @param {Object} options - `{ includeIneligible, referenceDate }`
+ * @returns {Array<Object>} - Scholarships with `eligibilityStatus` and `eligibilityReasons`;
+ *   ineligible ones are dropped unless `includeIneligible` is set
+ */
+export function applyEligibilityGates(scholarships = [], profile = {}, { includeIneligible = false, referenceDate } = {}) {
+  return scholarships
+    .map(scholarship => {
+      const { status, reasons } = evaluateEligibility(scholarship, profile, { referenceDate });
+      return { ...scholarship, eligibilityStatus: status, eligibilityReasons: reasons };
+    })
+    .filter(scholarship => includeIneligible || scholarship.eligibilityStatus !== ELIGIBILITY_STATUS.INELIGIBLE);
+}
+
+/**
+ * Gate, then rank: eligible scholarships first, then those needing verification,
+ * then (if included) ineligible ones, each group by match score
+ * @param {Array<Object>} scholarships - Scholarships in any of the catalog shapes
+ * @param {Object} profile - CV or questionnaire profile
+ * @param {Object} options - `{ includeIneligible, referenceDate }`
+ * @returns {Array<Object>} - Gated scholarships with their match score and breakdown
+ */
+export function rankEligibleScholarships(scholarships = [], profile = {}, options = {}) {
+  return rankScholarships(applyEligibilityGates(scholarships, profile, options), profile, options)
+    .sort((a, b) => compareEligibility(a.eligibilityStatus, b.eligibilityStatus));
+}
+
+/**
+ * Compare two eligibility statuses for sorting, eligible first
+ * @param {string} a - ELIGIBILITY_STATUS value
+ * @param {string} b - ELIGIBILITY_STATUS value
+ * @returns {number} - Negative if a sorts first
+ */
+export function compareEligibility(a, b) {
+  return (ELIGIBILITY_ORDER[a] ?? ELIGIBILITY_ORDER[ELIGIBILITY_STATUS.NEEDS_VERIFICATION])
+    - (ELIGIBILITY_ORDER[b] ?? ELIGIBILITY_ORDER[ELIGIBILITY_STATUS.NEEDS_VERIFICATION]);
+}
+
+/**
+ * Get the applicant's age
+ * @param {Object} profile - CV or questionnaire profile
+ * @param {Date} referenceDate - Date to compute the age at
+ * @returns {number|null} - Age in whole years, or null if unknown
+ */
+export function getProfileAge(profile = {}, referenceDate = new Date()) {
+  const age = profile.age ?? profile.personalInfo?.age;
+  if (age !== undefined && age !== null && age !== '' && Number.isFinite(Number(age))) {
+    return Number(age);
+  }
+
+  const birthDate = toLocalDate(profile.dateOfBirth ?? profile.personalInfo?.dateOfBirth ?? '');
+  if (Number.isNaN(birthDate.getTime())) return null;
+
+  let years = referenceDate.getFullYear() - birthDate.getFullYear();
+  const hadBirthday = referenceDate.getMonth() > birthDate.getMonth()
+    || (referenceDate.getMonth() === birthDate.getMonth() && referenceDate.getDate() >= birthDate.getDate());
+  if (!hadBirthday) years -= 1;
+
+  return years;
+}
+
+// Helper functions
+
+function checkNationality(scholarship, profile) {
+  const required = toList(scholarship.eligibility?.nationality ?? scholarship.eligibility?.nationalities);
+  const nationality = profile.nationality ?? profile.citizenship ?? profile.personalInfo?.nationality;
+
+  if (required.length === 0 || required.some(value => UNRESTRICTED_COUNTRIES.has(normalizeCountry(value)))) {
+    return pass('Open to all nationalities');
+  }
+  if (!nationality) {
+    return unknown(`Open to ${required.join(', ')} nationals; add your nationality to check`);
+  }
+
+  const held = normalizeCountry(nationality);
+  if (required.some(value => normalizeCountry(value) === held)) {
+    return pass(`Open to ${nationality} nationals`);
+  }
+  if (required.some(value => COUNTRY_GROUP_PATTERN.test(value))) {
+    return unknown(`Open to ${required.join(', ')}; check whether ${nationality} qualifies`);
+  }
+  return fail(`Only open to ${required.join(', ')} nationals`);
+}
+
+function checkDegree(scholarship, profile) {
+  const required = getScholarshipDegrees(scholarship);
+  const levels = [...new Set(required.flatMap(getDegreeLevels))];
+  const profileDegree = getTargetDegree(profile);
+
+  if (required.length === 0 || required.some(level => /\b(any|all)\b/i.test(level))) {
+    return pass('Open to all degree levels');
+  }
+  if (levels.length === 0) {
+    return unknown(`Requires a ${required.join(' or ')}; check that your program qualifies`);
+  }
+  if (!profileDegree) {
+    return unknown(`For ${required.join(', ')} students; add the degree you're pursuing to check`);
+  }
+
+  const profileLevels = getDegreeLevels(profileDegree);
+  if (profileLevels.length === 0) {
+    return unknown(`For ${required.join(', ')} students; check that ${profileDegree} qualifies`);
+  }
+  return profileLevels.some(level => levels.includes(level))
+    ? pass(`Open to ${profileDegree} students`)
+    : fail(`Only for ${required.join(', ')} students`);
+}
+
+function checkGpa(scholarship, profile) {
+  const minimumGpa = getMinimumGpa(scholarship);
+  const profileGpa = getProfileGpa(profile);
+
+  if (minimumGpa === null) {
+    return pass('No minimum GPA');
+  }
+  if (profileGpa === null) {
+    return unknown(`Requires a ${minimumGpa.toFixed(1)} GPA; add yours to check`);
+  }
+  return profileGpa >= minimumGpa
+    ? pass(`Meets the ${minimumGpa.toFixed(1)} GPA minimum`)
+    : fail(`Requires a ${minimumGpa.toFixed(1)} GPA; yours is ${profileGpa.toFixed(2)}`);
+}
+
+function checkAge(scholarship, profile, referenceDate) {
+  const ageLimit = Number(scholarship.eligibility?.ageLimit ?? scholarship.eligibility?.age_max ?? scholarship.ageLimit ?? scholarship.age_max);
+
+  if (!Number.isFinite(ageLimit) || ageLimit <= 0) {
+    return pass('No age limit');
+  }
+
+  const age = getProfileAge(profile, referenceDate);
+  if (age === null) {
+    return unknown(`Applicants must be ${ageLimit} or younger; add your date of birth to check`);
+  }
+  return age <= ageLimit
+    ? pass(`Within the age limit of ${ageLimit}`)
+    : fail(`Applicants must be ${ageLimit} or younger`);
+}
+
+function checkDeadline(scholarship, referenceDate) {
+  const { deadline, date } = getScholarshipDeadline(scholarship);
+
+  if (date) {
+    return isDeadlineOpen(deadline, referenceDate)
+      ? pass('Applications are open')
+      : fail('The application deadline has passed');
+  }
+  if (deadline && OPEN_DEADLINE_PATTERN.test(deadline)) {
+    return pass(`Open deadline: ${deadline}`);
+  }
+  return unknown(deadline ? `Deadline "${deadline}"; confirm it with the provider` : 'No deadline listed; confirm it with the provider');
+}
+
+// The degree being pursued; the one already held says nothing about eligibility
+function getTargetDegree(profile) {
+  return profile.degreeTarget || profile.targetDegree || profile.degreeLevel || null;
+}
+
+// ISO days are read as local midnight; new Date() would read them as UTC midnight,
+// the day before west of UTC
+function toLocalDate(value) {
+  const iso = String(value).match(/^(\d{4})-(\d{2})-(\d{2})/);
+  return iso ? new Date(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3])) : new Date(value);
+}
+
+function toList(value) {
+  if (Array.isArray(value)) return value.filter(item => typeof item === 'string' && item.trim());
+  if (typeof value !== 'string' || !value.trim()) return [];
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function pass(reason) {
+  return { status: GATE_PASS, reason };
+}
+
+function fail(reason) {
+  return { status: GATE_FAIL, reason };
+}
+
+function unknown(reason) {
+  return { status: GATE_UNKNOWN, reason };
+}
+
+export default {
+  ELIGIBILITY_STATUS,
+  ELIGIBILITY_GATES,
+  ELIGIBILITY_ORDER,
+  evaluateEligibility,
+  applyEligibilityGates,
+  rankEligibleScholarships,
+  compareEligibility,
+  getProfileAge
+};
@@ -0,0 +1,47 @@
+/**
+ * Gemini Embedding Provider
+ * Semantic text embeddings from Google's text-embedding model
+ */
+
+import { GoogleGenerativeAI } from '@google/generative-ai';
+
+const MODEL = 'text-embedding-004';
+const BATCH_SIZE = 100; // API limit per batchEmbedContents call
+
+export const geminiEmbedder = {
+  id: 'gemini',
+  label: 'Google Gemini',
+  model: MODEL,
+  dimensions: 768,
+
+  isConfigured() {
+    return Boolean(import.meta.env.VITE_GEMINI_API_KEY);
+  },
+
+  /**
+   * Embed texts
+   * @param {Array<string>} texts - Texts to embed
+   * @param {Object} options - `{ purpose }`: 'document' for indexed scholarships, 'query' for searches
+   * @returns {Promise<Array<Float32Array>>} - Embedding vectors
+   */
+  async embed(texts, { purpose = 'document' } = {}) {
+    const model = new GoogleGenerativeAI(import.meta.env.VITE_GEMINI_API_KEY).getGenerativeModel({ model: MODEL });
+    const taskType = purpose === 'query' ? 'RETRIEVAL_QUERY' : 'RETRIEVAL_DOCUMENT';
+    const vectors = [];
+
+    for (let start = 0; start < texts.length; start += BATCH_SIZE) {
+      const batch = texts.slice(start, start + BATCH_SIZE);
+      const { embeddings } = await model.batchEmbedContents({
+        requests: batch.map(text => ({
+          content: { role: 'user', parts: [{ text: text || ' ' }] },
+          taskType
+        }))
+      });
+      embeddings.forEach(embedding => vectors.push(Float32Array.from(embedding.values)));
+    }
+
+    return vectors;
+  }
+};
+
+export default geminiEmbedder;
@@ -0,0 +1,110 @@
+/**
+ * Local Embedding Provider
+ * Deterministic, offline text embeddings built from hashed word, bigram and
+ * skill-taxonomy features. Used by default and in tests: the same text always
+ * gets the same vector, and synonyms from the skill taxonomy ("ML",
+ * "machine learning") land on the same features.
+ */
+
+import { TAXONOMY_VERSION, expandSkills, extractSkillsFromText } from '../skillTaxonomy.js';
+
+const DIMENSIONS = 512;
+
+// Relative weights of the feature families
+const WORD_WEIGHT = 1;
+const BIGRAM_WEIGHT = 0.5;
+const SKILL_WEIGHT = 2;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'in', 'is', 'it',
+  'its', 'of', 'on', 'or', 'that', 'the', 'their', 'this', 'to', 'with', 'who', 'will', 'your'
+]);
+
+export const localEmbedder = {
+  id: 'local',
+  label: 'Local (offline)',
+  // The taxonomy shapes the vectors, so a new taxonomy needs a new index
+  model: `local-hash-v1+taxonomy-${TAXONOMY_VERSION}`,
+  dimensions: DIMENSIONS,
+
+  isConfigured() {
+    return true;
+  },
+
+  /**
+   * Embed texts
+   * @param {Array<string>} texts - Texts to embed
+   * @returns {Promise<Array<Float32Array>>} - Unit-length vectors (all zeros for empty text)
+   */
+  async embed(texts) {
+    return texts.map(text => embedText(text));
+  }
+};
+
+// Helper functions
+
+function embedText(text = '') {
+  const vector = new Float32Array(DIMENSIONS);
+  const words = tokenize(text);
+
+  const features = new Map();
+  const add = (feature, weight) => features.set(feature, (features.get(feature) || 0) + weight);
+
+  words.forEach((word, index) => {
+    add(`w:${word}`, WORD_WEIGHT);
+    if (index > 0) {
+      add(`b:${words[index - 1]} ${word}`, BIGRAM_WEIGHT);
+    }
+  });
+
+  const skillNames = extractSkillsFromText(text).map(skill => skill.name);
+  expandSkills(skillNames).forEach(id => add(`s:${id}`, SKILL_WEIGHT));
+
+  // Sublinear term frequency, signed hashing to spread collisions
+  features.forEach((weight, feature) => {
+    const hash = fnv1a(feature);
+    const sign = hash & 1 ? -1 : 1;
+    vector[(hash >>> 1) % DIMENSIONS] += sign * (1 + Math.log(weight));
+  });
+
+  return normalize(vector);
+}
+
+function tokenize(text) {
+  return String(text)
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}+#]+/u)
+    .filter(word => word.length > 1 && !STOPWORDS.has(word))
+    .map(stem);
+}
+
+// Just enough stemming to join singular and plural forms
+function stem(word) {
+  if (word.length > 4 && word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+}
+
+function fnv1a(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+function normalize(vector) {
+  let norm = 0;
+  for (let i = 0; i < vector.length; i++) norm += vector[i] * vector[i];
+  norm = Math.sqrt(norm);
+
+  if (norm > 0) {
+    for (let i = 0; i < vector.length; i++) vector[i] /= norm;
+  }
+  return vector;
+}
+
+export default localEmbedder;
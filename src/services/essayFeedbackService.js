@@ -0,0 +1,444 @@
+/**
+ * Essay Feedback Service
+ * Feedback on essay drafts from the configured LLM: scores against a rubric
+ * drawn from the scholarship's description and eligibility, claims the essay
+ * doesn't back up, and parts of the prompt it leaves unanswered. Profile data
+ * only reaches the model after going through the PII scrubber.
+ */
+
+import LLMService from './llmService.js';
+import EssayService from './essayService.js';
+import ApplicationService from './applicationService.js';
+import ProfileService from './profileService.js';
+import { scrubProfilePII } from './piiScrubService.js';
+import { htmlToText, getTextStats, findQuote } from './essayText.js';
+import { EssayFeedbackSchema } from '../lib/schema';
+
+// Values scholarship descriptions commonly ask applicants to demonstrate
+const VALUE_CRITERIA = [
+  {
+    pattern: /\bleader(s|ship)?\b|\binitiative\b/i,
+    criterion: 'Leadership',
+    description: 'Shows times the student led others or took initiative, and what came of it'
+  },
+  {
+    pattern: /\bcommunit(y|ies)\b|\bvolunteer|\bsocial impact\b|\bgive back\b/i,
+    criterion: 'Community impact',
+    description: 'Shows contributions to a community and the difference they made'
+  },
+  {
+    pattern: /\bacademic\b|\bmerit\b|\bexcellen(ce|t)\b|\boutstanding\b|\bgpa\b/i,
+    criterion: 'Academic excellence',
+    description: 'Shows academic achievement and intellectual curiosity'
+  },
+  {
+    pattern: /\binnovat|\bresearch\b|\bentrepreneur/i,
+    criterion: 'Innovation and research',
+    description: 'Shows original work, research or new ideas the student has pursued'
+  },
+  {
+    pattern: /\bfinancial need\b|\bneed-based\b|\blow-income\b|\bhardship\b/i,
+    criterion: 'Financial need',
+    description: 'Explains the student\'s circumstances and how the award would help'
+  },
+  {
+    pattern: /\bdivers(e|ity)\b|\binclusi(on|ve)\b|\bunderrepresented\b|\bfirst-generation\b/i,
+    criterion: 'Diversity and inclusion',
+    description: 'Shows the perspective the student brings and their commitment to inclusion'
+  },
+  {
+    pattern: /\binternational\b|\bglobal\b|\bcross-cultural\b/i,
+    criterion: 'Global perspective',
+    description: 'Shows international experience or how the student will work across cultures'
+  },
+  {
+    pattern: /\bcareer\b|\bgoals?\b|\bambitions?\b/i,
+    criterion: 'Goals and plans',
+    description: 'Lays out clear goals and how the scholarship moves the student towards them'
+  }
+];
+
+const MAX_ELIGIBILITY_CRITERIA = 4;
+
+// A sentence mentioning a length limit is only a requirement if it also asks for something
+const LIMIT_PATTERN = /\d[\d,]*\s*(?:words?|characters?|chars?)\b/i;
+const ASK_PATTERN = /\?|\b(describe|explain|discuss|tell|share|reflect|identify|outline|demonstrate|what|how|why|who|which)\b/i;
+
+// Profile sections that help judge an essay. Contact details are never needed,
+// so they aren't sent even after scrubbing.
+const PROFILE_FIELDS = ['education', 'experience', 'skills', 'achievements', 'interests', 'certifications', 'languages'];
+
+export class EssayFeedbackService {
+  /**
+   * Get feedback on an essay's current content and keep it with the essay
+   * @param {string} essayId - Essay ID
+   * @param {Object} options - `{ includeProfile }`; the profile is scrubbed of PII before it is sent
+   * @returns {Promise<Object>} - Feedback, see createFeedback
+   * @throws {Error} - `code` 'not_found' for an unknown essay, 'empty_essay' with nothing
+   *   written yet, 'not_configured' without an LLM provider, or the LLM error
+   */
+  static async requestFeedback(essayId, { includeProfile = true } = {}) {
+    const essay = EssayService.getEssay(essayId);
+    if (!essay) {
+      const error = new Error('Essay not found');
+      error.code = 'not_found';
+      throw error;
+    }
+
+    const text = htmlToText(essay.content);
+    if (!text) {
+      const error = new Error('Write a draft before asking for feedback');
+      error.code = 'empty_essay';
+      throw error;
+    }
+
+    // Checked up front so the profile isn't sent to the scrubber for nothing
+    if (!LLMService.isAvailable()) {
+      throw notConfiguredError();
+    }
+
+    const application = ApplicationService.getStoredApplications()[essay.applicationId];
+    const scholarship = application?.scholarship || {};
+    const rubric = this.buildRubric(scholarship, essay.prompt);
+    const requirements = this.getPromptRequirements(essay.prompt);
+    const { profile, profileStatus } = includeProfile
+      ? await this.getScrubbedProfile()
+      : { profile: null, profileStatus: 'excluded' };
+
+    let data;
+    try {
+      data = await LLMService.generateJSON(
+        this.buildFeedbackPrompt({ essay, text, scholarship, rubric, requirements, profile }),
+        {
+          feature: 'essay_feedback',
+          schema: EssayFeedbackSchema,
+          temperature: 0.2,
+          validate: (result) => this.validateFeedback(result, { text, rubric, requirements })
+        }
+      );
+    } catch (error) {
+      if (error.code === 'not_configured') {
+        throw notConfiguredError();
+      }
+      console.error('Essay feedback error:', error);
+      throw error;
+    }
+
+    const feedback = this.createFeedback(data, { essay, text, rubric, requirements, profileStatus });
+    EssayService.saveFeedback(essayId, feedback);
+    return feedback;
+  }
+
+  /**
+   * Rubric for an essay: how well it answers its prompt, the values the
+   * scholarship's description asks for, its eligibility criteria, and the use
+   * of evidence
+   * @param {Object} scholarship - Scholarship in any of the catalog shapes
+   * @param {Object} prompt - Essay prompt `{ text }` (optional)
+   * @returns {Array<Object>} - `[{ id, criterion, description, source, weight }]`;
+   *   source is 'prompt', 'value', 'eligibility' or 'writing'
+   */
+  static buildRubric(scholarship = {}, prompt = null) {
+    const criteria = [];
+    const add = (criterion, description, source, weight) => {
+      if (criteria.some(entry => entry.criterion.toLowerCase() === criterion.toLowerCase())) return;
+      criteria.push({ id: `c${criteria.length + 1}`, criterion, description, source, weight });
+    };
+
+    if (prompt?.text) {
+      add('Answers the prompt', `Responds directly and fully to: "${prompt.text}"`, 'prompt', 3);
+    }
+
+    const statedValues = [scholarship.title, scholarship.name, scholarship.description, ...getEligibilityTexts(scholarship)]
+      .filter(value => typeof value === 'string')
+      .join(' ');
+    VALUE_CRITERIA
+      .filter(({ pattern }) => pattern.test(statedValues))
+      .forEach(({ criterion, description }) => add(criterion, description, 'value', 2));
+
+    getEligibilityTexts(scholarship)
+      .slice(0, MAX_ELIGIBILITY_CRITERIA)
+      .forEach(text => add(`Eligibility: ${text}`, `Makes clear the student meets "${text}"`, 'eligibility', 2));
+
+    const fields = getFieldsOfStudy(scholarship);
+    if (fields.length > 0) {
+      add('Fit with field of study', `Connects the student's studies and plans to ${fields.join(', ')}`, 'eligibility', 2);
+    }
+
+    add('Specific evidence', 'Backs claims with concrete examples, numbers or outcomes', 'writing', 2);
+    add('Clarity and structure', 'Reads clearly, with a logical structure and a strong opening and close', 'writing', 1);
+    return criteria;
+  }
+
+  /**
+   * The separate things a prompt asks for, one per sentence or question.
+   * Sentences that only state a length limit are left out; limits are checked
+   * by counting instead.
+   * @param {Object} prompt - Essay prompt `{ text }`
+   * @returns {Array<Object>} - `[{ id, text }]`
+   */
+  static getPromptRequirements(prompt = null) {
+    if (!prompt?.text) return [];
+
+    return prompt.text
+      .split(/(?<=[.?!])\s+|\n|;/)
+      .map(sentence => sentence.trim())
+      .filter(sentence => sentence && (!LIMIT_PATTERN.test(sentence) || ASK_PATTERN.test(sentence)))
+      .map((text, index) => ({ id: `p${index + 1}`, text }));
+  }
+
+  /**
+   * The student's profile with PII scrubbed, limited to PROFILE_FIELDS. When
+   * the scrubber can't be reached, no profile is sent at all.
+   * @returns {Promise<Object>} - `{ profile, profileStatus }`; status is 'included',
+   *   'missing' or 'scrub_failed'
+   */
+  static async getScrubbedProfile() {
+    const stored = ProfileService.getProfile();
+    if (!stored) return { profile: null, profileStatus: 'missing' };
+
+    const profile = PROFILE_FIELDS.reduce((picked, field) => {
+      if (stored[field] !== undefined) picked[field] = stored[field];
+      return picked;
+    }, {});
+
+    try {
+      const result = await scrubProfilePII(profile);
+      if (!result?.scrubbed) {
+        throw new Error('PII scrubber returned no scrubbed profile');
+      }
+      return { profile: result.scrubbed, profileStatus: 'included' };
+    } catch (error) {
+      console.error('Error scrubbing profile for essay feedback:', error);
+      return { profile: null, profileStatus: 'scrub_failed' };
+    }
+  }
+
+  /**
+   * Build the prompt for essay feedback
+   * @param {Object} context - `{ essay, text, scholarship, rubric, requirements, profile }`
+   * @returns {string} - Formatted prompt
+   */
+  static buildFeedbackPrompt({ essay, text, scholarship, rubric, requirements, profile }) {
+    const eligibility = getEligibilityTexts(scholarship);
+
+    return `
+You are an experienced scholarship reviewer. Give honest, specific feedback on the student's essay for the scholarship below.
+
+**SCHOLARSHIP:**
+- Title: ${scholarship.title || scholarship.name || essay.scholarshipTitle || 'Not specified'}
+- Provider: ${scholarship.provider || scholarship.organization || 'Not specified'}
+- Description: ${scholarship.description || 'Not specified'}
+- Eligibility: ${eligibility.length > 0 ? eligibility.join('; ') : 'Not specified'}
+
+**ESSAY PROMPT:**
+${essay.prompt?.text || 'No prompt given; judge the essay as a personal statement for this scholarship.'}
+
+**PROMPT REQUIREMENTS:**
+${requirements.length > 0 ? requirements.map(requirement => `- ${requirement.id}: ${requirement.text}`).join('\n') : '- None listed'}
+
+**RUBRIC:**
+${rubric.map(criterion => `- ${criterion.id}: ${criterion.criterion} (${criterion.description})`).join('\n')}
+
+**STUDENT BACKGROUND (personal details removed):**
+${profile ? JSON.stringify(profile, null, 2) : 'Not available; judge the essay on its own.'}
+
+**ESSAY:**
+"""
+${text}
+"""
+
+**INSTRUCTIONS:**
+1. Score every rubric criterion from 0 to 100, quoting or describing the evidence in the essay and suggesting one improvement
+2. For every prompt requirement, say whether the essay addresses it
+3. List claims the essay makes without supporting them with examples, results or detail. Quote each claim exactly as it appears in the essay
+4. Do not invent facts about the student; use the background only to suggest evidence they could add
+
+**OUTPUT FORMAT (JSON):**
+Return ONLY a valid JSON object with this exact structure:
+
+{
+  "summary": "Two or three sentences on how well the essay fits the scholarship",
+  "strengths": ["Strength 1", "Strength 2"],
+  "rubric": [
+    { "id": "c1", "score": 70, "evidence": "What in the essay supports this score", "suggestion": "How to improve" }
+  ],
+  "promptRequirements": [
+    { "id": "p1", "met": true, "detail": "Where or how the essay addresses it, or what is missing" }
+  ],
+  "unsupportedClaims": [
+    { "quote": "Exact words from the essay", "reason": "Why it needs support", "suggestion": "Evidence that would back it up" }
+  ]
+}
+
+**IMPORTANT:** Return ONLY the JSON object, no additional text or formatting.
+`;
+  }
+
+  /**
+   * Check that feedback covers the rubric and requirements it was given, and
+   * that quoted claims really are in the essay
+   * @param {Object} data - Schema-validated feedback
+   * @param {Object} context - `{ text, rubric, requirements }`
+   * @returns {Array<Object>} - `{ path, message }` issues
+   */
+  static validateFeedback(data, { text, rubric, requirements }) {
+    const issues = [
+      ...checkIds(data.rubric, rubric, 'rubric', 'criterion'),
+      ...checkIds(data.promptRequirements, requirements, 'promptRequirements', 'requirement')
+    ];
+
+    data.unsupportedClaims.forEach((claim, index) => {
+      if (!findQuote(text, claim.quote)) {
+        issues.push({
+          path: `unsupportedClaims[${index}].quote`,
+          message: 'Quote is not in the essay; copy the claim word for word'
+        });
+      }
+    });
+    return issues;
+  }
+
+  /**
+   * Combine the model's answer with the rubric, requirements and length checks
+   * @param {Object} data - Validated model output
+   * @param {Object} context - `{ essay, text, rubric, requirements, profileStatus }`
+   * @returns {Object} - `{ id, createdAt, essayText, words, overallScore, summary, strengths,
+   *   rubric, requirements, unsupportedClaims, profileStatus }`; requirements carry `met` and `detail`
+   */
+  static createFeedback(data, { essay, text, rubric, requirements, profileStatus }) {
+    const scores = new Map(data.rubric.map(entry => [entry.id, entry]));
+    const scoredRubric = rubric.map(criterion => {
+      const { score, evidence = null, suggestion = null } = scores.get(criterion.id);
+      return { ...criterion, score, evidence, suggestion };
+    });
+    const totalWeight = scoredRubric.reduce((sum, criterion) => sum + criterion.weight, 0);
+    const overallScore = Math.round(
+      scoredRubric.reduce((sum, criterion) => sum + criterion.score * criterion.weight, 0) / totalWeight
+    );
+
+    const answers = new Map(data.promptRequirements.map(entry => [entry.id, entry]));
+    const checkedRequirements = [
+      ...requirements.map(requirement => ({
+        ...requirement,
+        source: 'prompt',
+        met: answers.get(requirement.id).met,
+        detail: answers.get(requirement.id).detail || null
+      })),
+      ...this.checkLimits(essay)
+    ];
+
+    return {
+      id: `feedback_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      createdAt: new Date().toISOString(),
+      essayText: text,
+      words: getTextStats(essay.content).words,
+      overallScore,
+      summary: data.summary,
+      strengths: data.strengths,
+      rubric: scoredRubric,
+      requirements: checkedRequirements,
+      unsupportedClaims: data.unsupportedClaims.map(claim => ({ ...claim, suggestion: claim.suggestion || null })),
+      profileStatus
+    };
+  }
+
+  /**
+   * Prompt requirements the feedback found missing
+   * @param {Object} feedback - Feedback
+   * @returns {Array<Object>} - Requirements with `met` false
+   */
+  static getMissedRequirements(feedback) {
+    return (feedback?.requirements || []).filter(requirement => !requirement.met);
+  }
+
+  /**
+   * Whether the essay has changed since the feedback was given
+   * @param {Object} feedback - Feedback
+   * @param {Object} essay - Essay
+   * @returns {boolean} - Stale status
+   */
+  static isStale(feedback, essay) {
+    return !!feedback && !!essay && htmlToText(essay.content) !== feedback.essayText;
+  }
+
+  // Helper methods
+  static checkLimits(essay) {
+    const stats = getTextStats(essay.content, essay.prompt);
+    const checks = [];
+    if (stats.wordLimit) {
+      checks.push({
+        id: 'word_limit',
+        text: `Stay within ${stats.wordLimit} words`,
+        source: 'limit',
+        met: !stats.overWordLimit,
+        detail: `The draft has ${stats.words} words`
+      });
+    }
+    if (stats.charLimit) {
+      checks.push({
+        id: 'char_limit',
+        text: `Stay within ${stats.charLimit} characters`,
+        source: 'limit',
+        met: !stats.overCharLimit,
+        detail: `The draft has ${stats.characters} characters`
+      });
+    }
+    return checks;
+  }
+}
+
+// Helper functions
+
+function notConfiguredError() {
+  const error = new Error('No AI provider is configured, so essay feedback is unavailable');
+  error.code = 'not_configured';
+  return error;
+}
+
+function toList(value) {
+  if (Array.isArray(value)) return value.filter(item => typeof item === 'string' && item.trim()).map(item => item.trim());
+  return typeof value === 'string' && value.trim() ? [value.trim()] : [];
+}
+
+// Catalog records list fields in eligibility.fields and, comma-separated, field_of_study;
+// other shapes use fieldOfStudy
+function getFieldsOfStudy(scholarship) {
+  const seen = new Set();
+  return [scholarship.eligibility?.fields, scholarship.field_of_study, scholarship.eligibility?.fieldOfStudy, scholarship.fieldOfStudy]
+    .flatMap(value => toList(typeof value === 'string' ? value.split(',') : value))
+    .filter(field => !/^(any|all)( fields?)?$/i.test(field))
+    .filter(field => !seen.has(field.toLowerCase()) && seen.add(field.toLowerCase()));
+}
+
+function getEligibilityTexts(scholarship) {
+  return [...new Set([
+    ...toList(scholarship.eligibility),
+    ...toList(scholarship.eligibility?.requirements)
+  ])];
+}
+
+function checkIds(entries, expected, path, label) {
+  const known = new Set(expected.map(entry => entry.id));
+  const seen = new Set();
+  const issues = [];
+
+  if (known.size === 0) {
+    return entries.length > 0 ? [{ path, message: `No ${label}s were given; return an empty list` }] : [];
+  }
+
+  entries.forEach((entry, index) => {
+    if (!known.has(entry.id)) {
+      issues.push({ path: `${path}[${index}].id`, message: `Unknown ${label} "${entry.id}"; use one of ${[...known].join(', ')}` });
+    }
+    seen.add(entry.id);
+  });
+
+  const missing = [...known].filter(id => !seen.has(id));
+  if (missing.length > 0) {
+    issues.push({ path, message: `Include every ${label}; missing ${missing.join(', ')}` });
+  }
+  return issues;
+}
+
+export default EssayFeedbackService;
@@ -0,0 +1,497 @@
+/**
+ * Essay Service
+ * Essays and personal statements written for applications: the prompt they
+ * answer, their content, named versions, feedback on drafts, and a library of
+ * paragraphs that can be reused across applications
+ */
+
+import ApplicationService from './applicationService.js';
+import { CHECKLIST_ITEM_TYPES, CHECKLIST_ITEM_STATUS } from './applicationChecklist.js';
+import {
+  sanitizeEssayHtml,
+  htmlToText,
+  splitParagraphs,
+  getTextStats,
+  extractEssayPrompts,
+  diffTexts
+} from './essayText.js';
+
+export class EssayService {
+  static STORAGE_KEY = 'scholarai_essays';
+  static SNIPPETS_KEY = 'scholarai_essay_snippets';
+  static MAX_VERSIONS = 50;
+  static MAX_FEEDBACK = 10;
+
+  /**
+   * Get essays, most recently edited first
+   * @param {string} applicationId - Only the essays of this application (optional)
+   * @returns {Array<Object>} - Essays
+   */
+  static getEssays(applicationId = null) {
+    return Object.values(this.getStoredEssays())
+      .filter(essay => !applicationId || essay.applicationId === applicationId)
+      .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+  }
+
+  /**
+   * Get a single essay
+   * @param {string} essayId - Essay ID
+   * @returns {Object|null} - Essay
+   */
+  static getEssay(essayId) {
+    return this.getStoredEssays()[essayId] || null;
+  }
+
+  /**
+   * Prompts the application's scholarship asks for that no essay answers yet
+   * @param {string} applicationId - Application ID
+   * @returns {Array<Object>} - `[{ text, wordLimit, charLimit }]`
+   */
+  static getSuggestedPrompts(applicationId) {
+    const application = ApplicationService.getStoredApplications()[applicationId];
+    if (!application) return [];
+
+    const answered = this.getEssays(applicationId).map(essay => essay.prompt?.text?.toLowerCase());
+    return extractEssayPrompts(application.scholarship).filter(prompt => !answered.includes(prompt.text.toLowerCase()));
+  }
+
+  /**
+   * Start an essay for an application. The first essay item on the application's
+   * checklist that is still to do moves to in progress.
+   * @param {string} applicationId - Application ID
+   * @param {Object} fields - `{ title, prompt: { text, wordLimit, charLimit }, content }`
+   * @returns {Object} - The new essay
+   * @throws {Error} - `code` 'not_found' for an unknown application
+   */
+  static createEssay(applicationId, { title = '', prompt = null, content = '' } = {}) {
+    const application = ApplicationService.getStoredApplications()[applicationId];
+    if (!application) {
+      const error = new Error('Application not found');
+      error.code = 'not_found';
+      throw error;
+    }
+
+    const now = new Date().toISOString();
+    const essay = {
+      id: this.generateId('essay'),
+      applicationId,
+      scholarshipId: application.scholarshipId,
+      scholarshipTitle: application.scholarship?.title || application.scholarship?.name || '',
+      title: title.trim() || this.defaultTitle(prompt),
+      prompt: this.normalizePrompt(prompt),
+      content: sanitizeEssayHtml(content),
+      versions: [],
+      feedback: [],
+      lastSavedAt: now,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    const essays = this.getStoredEssays();
+    essays[essay.id] = essay;
+    this.saveEssays(essays);
+
+    this.startChecklistItem(application);
+    this.dispatchEssayEvent('essay_created', essay);
+    return essay;
+  }
+
+  /**
+   * Change an essay's title or prompt
+   * @param {string} essayId - Essay ID
+   * @param {Object} changes - `{ title, prompt }`
+   * @returns {Object} - Updated essay
+   * @throws {Error} - `code` 'not_found' for an unknown essay
+   */
+  static updateEssay(essayId, changes = {}) {
+    return this.updateStoredEssay(essayId, essay => ({
+      ...essay,
+      ...(changes.title !== undefined && { title: changes.title.trim() || essay.title }),
+      ...(changes.prompt !== undefined && { prompt: this.normalizePrompt(changes.prompt) })
+    }));
+  }
+
+  /**
+   * Save an essay's content; used by autosave as well as explicit saves
+   * @param {string} essayId - Essay ID
+   * @param {string} html - Editor HTML
+   * @returns {Object} - Updated essay
+   * @throws {Error} - `code` 'not_found' for an unknown essay
+   */
+  static saveContent(essayId, html) {
+    const essay = this.updateStoredEssay(essayId, current => ({
+      ...current,
+      content: sanitizeEssayHtml(html),
+      lastSavedAt: new Date().toISOString()
+    }));
+    this.dispatchEssayEvent('essay_saved', { id: essay.id, lastSavedAt: essay.lastSavedAt });
+    return essay;
+  }
+
+  /**
+   * Delete an essay with its versions
+   * @param {string} essayId - Essay ID
+   * @returns {boolean} - Whether the essay existed
+   */
+  static deleteEssay(essayId) {
+    const essays = this.getStoredEssays();
+    if (!essays[essayId]) return false;
+
+    delete essays[essayId];
+    this.saveEssays(essays);
+    this.dispatchEssayEvent('essay_deleted', { id: essayId });
+    return true;
+  }
+
+  /**
+   * Word and character counts of an essay, against its prompt's limits
+   * @param {Object} essay - Essay
+   * @returns {Object} - See getTextStats
+   */
+  static getStats(essay) {
+    return getTextStats(essay?.content, essay?.prompt);
+  }
+
+  /**
+   * Keep the current content as a named version. The oldest versions are
+   * dropped past MAX_VERSIONS.
+   * @param {string} essayId - Essay ID
+   * @param {string} name - Version name; defaults to "Version N"
+   * @returns {Object} - `{ id, name, content, words, createdAt }`
+   * @throws {Error} - `code` 'not_found' for an unknown essay
+   */
+  static saveVersion(essayId, name = '') {
+    let version = null;
+    this.updateStoredEssay(essayId, essay => {
+      version = this.createVersion(essay, name.trim() || `Version ${(essay.versions || []).length + 1}`);
+      return { ...essay, versions: [...(essay.versions || []), version].slice(-this.MAX_VERSIONS) };
+    });
+    return version;
+  }
+
+  /**
+   * Go back to a version. The content being replaced is kept as a version first.
+   * @param {string} essayId - Essay ID
+   * @param {string} versionId - Version ID
+   * @returns {Object} - Updated essay
+   * @throws {Error} - `code` 'not_found' for an unknown essay or version
+   */
+  static restoreVersion(essayId, versionId) {
+    return this.updateStoredEssay(essayId, essay => {
+      const version = this.findVersion(essay, versionId);
+      const backup = this.createVersion(essay, `Before restoring "${version.name}"`);
+      return {
+        ...essay,
+        content: version.content,
+        versions: [...(essay.versions || []), backup].slice(-this.MAX_VERSIONS),
+        lastSavedAt: new Date().toISOString()
+      };
+    });
+  }
+
+  /**
+   * Delete a version
+   * @param {string} essayId - Essay ID
+   * @param {string} versionId - Version ID
+   * @returns {Object} - Updated essay
+   * @throws {Error} - `code` 'not_found' for an unknown essay
+   */
+  static deleteVersion(essayId, versionId) {
+    return this.updateStoredEssay(essayId, essay => ({
+      ...essay,
+      versions: (essay.versions || []).filter(version => version.id !== versionId)
+    }));
+  }
+
+  /**
+   * Word-level differences between two versions of an essay
+   * @param {string} essayId - Essay ID
+   * @param {string} fromVersionId - Earlier version
+   * @param {string} toVersionId - Later version; the current content when omitted
+   * @returns {Object} - `{ ops, added, removed }`; see diffTexts
+   * @throws {Error} - `code` 'not_found' for an unknown essay or version
+   */
+  static diffVersions(essayId, fromVersionId, toVersionId = null) {
+    const essay = this.findEssay(essayId);
+    const from = this.findVersion(essay, fromVersionId);
+    const to = toVersionId ? this.findVersion(essay, toVersionId) : essay;
+    return diffTexts(htmlToText(from.content), htmlToText(to.content));
+  }
+
+  /**
+   * Keep feedback on a draft with the essay, newest first. The oldest feedback
+   * is dropped past MAX_FEEDBACK.
+   * @param {string} essayId - Essay ID
+   * @param {Object} feedback - Feedback from EssayFeedbackService
+   * @returns {Object} - Updated essay
+   * @throws {Error} - `code` 'not_found' for an unknown essay
+   */
+  static saveFeedback(essayId, feedback) {
+    return this.updateStoredEssay(essayId, essay => ({
+      ...essay,
+      feedback: [feedback, ...(essay.feedback || [])].slice(0, this.MAX_FEEDBACK)
+    }));
+  }
+
+  /**
+   * Delete a piece of feedback
+   * @param {string} essayId - Essay ID
+   * @param {string} feedbackId - Feedback ID
+   * @returns {Object} - Updated essay
+   * @throws {Error} - `code` 'not_found' for an unknown essay
+   */
+  static deleteFeedback(essayId, feedbackId) {
+    return this.updateStoredEssay(essayId, essay => ({
+      ...essay,
+      feedback: (essay.feedback || []).filter(entry => entry.id !== feedbackId)
+    }));
+  }
+
+  /**
+   * Save a paragraph to the reuse library
+   * @param {Object} fields - `{ title, text, tags, sourceEssayId }`
+   * @returns {Object} - The saved snippet
+   * @throws {Error} - `code` 'invalid_snippet' without text
+   */
+  static saveSnippet({ title = '', text, tags = [], sourceEssayId = null } = {}) {
+    const content = htmlToText(text || '');
+    if (!content) {
+      const error = new Error('Snippet text is required');
+      error.code = 'invalid_snippet';
+      throw error;
+    }
+
+    const snippet = {
+      id: this.generateId('snippet'),
+      title: title.trim() || `${content.slice(0, 40)}${content.length > 40 ? '...' : ''}`,
+      text: content,
+      tags,
+      sourceEssayId,
+      usedIn: [],
+      createdAt: new Date().toISOString()
+    };
+
+    const snippets = this.getSnippets();
+    this.saveSnippets([snippet, ...snippets]);
+    return snippet;
+  }
+
+  /**
+   * Get the saved paragraphs
+   * @returns {Array<Object>} - Snippets, newest first
+   */
+  static getSnippets() {
+    try {
+      const storedData = localStorage.getItem(this.SNIPPETS_KEY);
+      return storedData ? JSON.parse(storedData) : [];
+    } catch (error) {
+      console.error('Error getting essay snippets:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Delete a saved paragraph
+   * @param {string} snippetId - Snippet ID
+   * @returns {boolean} - Whether the snippet existed
+   */
+  static deleteSnippet(snippetId) {
+    const snippets = this.getSnippets();
+    const remaining = snippets.filter(snippet => snippet.id !== snippetId);
+    this.saveSnippets(remaining);
+    return remaining.length !== snippets.length;
+  }
+
+  /**
+   * Record that a saved paragraph was used in an essay
+   * @param {string} snippetId - Snippet ID
+   * @param {string} essayId - Essay it was inserted into
+   */
+  static markSnippetUsed(snippetId, essayId) {
+    this.saveSnippets(this.getSnippets().map(snippet => (snippet.id === snippetId && !snippet.usedIn.includes(essayId)
+      ? { ...snippet, usedIn: [...snippet.usedIn, essayId] }
+      : snippet)));
+  }
+
+  /**
+   * Paragraphs that could be reused in an essay: the saved library, then the
+   * paragraphs of essays written for other applications
+   * @param {string} essayId - Essay being written
+   * @param {Object} options - `{ search }` to filter by text
+   * @returns {Array<Object>} - `[{ id, source: 'library'|'essay', title, text, snippetId, essayId }]`
+   */
+  static getReusableParagraphs(essayId, { search = '' } = {}) {
+    const essay = this.getEssay(essayId);
+    const term = search.trim().toLowerCase();
+    const seen = new Set(splitParagraphs(htmlToText(essay?.content)).map(text => text.toLowerCase()));
+
+    const library = this.getSnippets().map(snippet => ({
+      id: snippet.id,
+      source: 'library',
+      title: snippet.title,
+      text: snippet.text,
+      snippetId: snippet.id,
+      essayId: snippet.sourceEssayId
+    }));
+
+    const fromEssays = this.getEssays()
+      .filter(other => other.id !== essayId && other.applicationId !== essay?.applicationId)
+      .flatMap(other => splitParagraphs(htmlToText(other.content))
+        // One-liners (greetings, headings) aren't worth reusing
+        .filter(text => text.split(/\s+/).length >= 12)
+        .map((text, index) => ({
+          id: `${other.id}_${index}`,
+          source: 'essay',
+          title: `${other.title}${other.scholarshipTitle ? ` (${other.scholarshipTitle})` : ''}`,
+          text,
+          snippetId: null,
+          essayId: other.id
+        })));
+
+    return [...library, ...fromEssays].filter(paragraph => {
+      const key = paragraph.text.toLowerCase();
+      if (seen.has(key) || (term && !key.includes(term) && !paragraph.title.toLowerCase().includes(term))) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
+  /**
+   * Export essays and the paragraph library
+   * @returns {string} - JSON
+   */
+  static exportEssays() {
+    return JSON.stringify({ essays: this.getEssays(), snippets: this.getSnippets() }, null, 2);
+  }
+
+  /**
+   * Import essays and paragraphs exported by exportEssays
+   * @param {string|Object} data - Exported data
+   * @param {boolean} overwrite - Replace essays that already exist (by ID)
+   * @returns {boolean} - Success status
+   */
+  static importEssays(data, overwrite = false) {
+    try {
+      const parsed = typeof data === 'string' ? JSON.parse(data) : data;
+      const essays = this.getStoredEssays();
+
+      (parsed.essays || []).forEach(essay => {
+        if (!essay?.id || (essays[essay.id] && !overwrite)) return;
+        essays[essay.id] = { ...essay, content: sanitizeEssayHtml(essay.content) };
+      });
+      this.saveEssays(essays);
+
+      const snippets = this.getSnippets();
+      const known = new Set(snippets.map(snippet => snippet.id));
+      this.saveSnippets([...snippets, ...(parsed.snippets || []).filter(snippet => snippet?.id && !known.has(snippet.id))]);
+      return true;
+    } catch (error) {
+      console.error('Error importing essays:', error);
+      return false;
+    }
+  }
+
+  // Helper methods
+  static generateId(prefix) {
+    return `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  static defaultTitle(prompt) {
+    const text = prompt?.text?.trim();
+    if (!text) return 'Untitled essay';
+    return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+  }
+
+  static normalizePrompt(prompt) {
+    if (!prompt?.text) return null;
+    const limit = value => (Number.isInteger(Number(value)) && Number(value) > 0 ? Number(value) : null);
+    return { text: prompt.text.trim(), wordLimit: limit(prompt.wordLimit), charLimit: limit(prompt.charLimit) };
+  }
+
+  static createVersion(essay, name) {
+    return {
+      id: this.generateId('version'),
+      name,
+      content: essay.content,
+      words: getTextStats(essay.content).words,
+      createdAt: new Date().toISOString()
+    };
+  }
+
+  static findEssay(essayId) {
+    const essay = this.getEssay(essayId);
+    if (!essay) {
+      const error = new Error('Essay not found');
+      error.code = 'not_found';
+      throw error;
+    }
+    return essay;
+  }
+
+  static findVersion(essay, versionId) {
+    const version = (essay.versions || []).find(entry => entry.id === versionId);
+    if (!version) {
+      const error = new Error('Version not found');
+      error.code = 'not_found';
+      throw error;
+    }
+    return version;
+  }
+
+  static updateStoredEssay(essayId, update) {
+    const essays = this.getStoredEssays();
+    if (!essays[essayId]) {
+      const error = new Error('Essay not found');
+      error.code = 'not_found';
+      throw error;
+    }
+
+    const updated = { ...update(essays[essayId]), updatedAt: new Date().toISOString() };
+    essays[essayId] = updated;
+    this.saveEssays(essays);
+    return updated;
+  }
+
+  static startChecklistItem(application) {
+    try {
+      const item = ApplicationService.getChecklist(application.id).items
+        .find(entry => entry.type === CHECKLIST_ITEM_TYPES.ESSAY && entry.status === CHECKLIST_ITEM_STATUS.TODO);
+      if (item) {
+        ApplicationService.updateChecklistItem(application.id, item.id, { status: CHECKLIST_ITEM_STATUS.IN_PROGRESS });
+      }
+    } catch (error) {
+      console.error('Error updating essay checklist item:', error);
+    }
+  }
+
+  static getStoredEssays() {
+    try {
+      const storedData = localStorage.getItem(this.STORAGE_KEY);
+      return storedData ? JSON.parse(storedData) : {};
+    } catch (error) {
+      console.error('Error getting essays:', error);
+      return {};
+    }
+  }
+
+  static saveEssays(essays) {
+    localStorage.setItem(this.STORAGE_KEY, JSON.stringify(essays));
+  }
+
+  static saveSnippets(snippets) {
+    localStorage.setItem(this.SNIPPETS_KEY, JSON.stringify(snippets));
+  }
+
+  static dispatchEssayEvent(eventType, data) {
+    try {
+      const event = new CustomEvent(`scholarai_${eventType}`, {
+        detail: data
+      });
+      window.dispatchEvent(event);
+    } catch (error) {
+      console.error('Error dispatching essay event:', error);
+    }
+  }
+}
+
+export default EssayService;
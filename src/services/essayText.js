@@ -0,0 +1,301 @@
+/**
+ * Essay Text
+ * Plain functions over essay content: the small HTML subset the essay editor
+ * produces, word and character counts, essay prompts found in scholarship
+ * records, word-level diffs between versions, and passages quoted from an essay.
+ */
+
+// Formatting the editor offers; anything else is dropped when content is saved
+const ALLOWED_TAGS = ['p', 'br', 'div', 'strong', 'b', 'em', 'i', 'u', 'ul', 'ol', 'li', 'h3', 'blockquote'];
+
+const BLOCK_TAGS = /<\/?(p|div|li|h3|blockquote|ul|ol)\b[^>]*>|<br\s*\/?>/gi;
+
+const ENTITIES = { '&nbsp;': ' ', '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': "'" };
+
+// How scholarship texts ask for an essay
+const PROMPT_PATTERN = /\b(essays?|personal statement|statement of purpose|motivation(al)? letter|cover letter|short answer)\b/i;
+
+// Beyond this many word pairs, a changed stretch is shown as replaced whole
+const MAX_WORD_DIFF_CELLS = 4000000;
+
+/**
+ * Reduce editor HTML to the allowed formatting tags, without attributes
+ * @param {string} html - Editor HTML
+ * @returns {string} - Sanitized HTML
+ */
+export function sanitizeEssayHtml(html = '') {
+  return String(html)
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|iframe|object|embed|template)\b[\s\S]*?<\/\1\s*>/gi, '')
+    .replace(/<\/?([a-z][a-z0-9]*)\b[^>]*>/gi, (tag, name) => {
+      const lower = name.toLowerCase();
+      if (!ALLOWED_TAGS.includes(lower)) return '';
+      if (lower === 'br') return '<br>';
+      return tag.startsWith('</') ? `</${lower}>` : `<${lower}>`;
+    });
+}
+
+/**
+ * Plain text of editor HTML, one line per block
+ * @param {string} html - Editor HTML
+ * @returns {string} - Text
+ */
+export function htmlToText(html = '') {
+  return String(html)
+    .replace(BLOCK_TAGS, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&(nbsp|amp|lt|gt|quot|#39);/g, entity => ENTITIES[entity])
+    .replace(/[ \t]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{2,}/g, '\n')
+    .trim();
+}
+
+/**
+ * HTML for plain text, one paragraph per line
+ * @param {string} text - Text
+ * @returns {string} - HTML
+ */
+export function textToHtml(text = '') {
+  return splitParagraphs(text)
+    .map(paragraph => `<p>${paragraph.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')}</p>`)
+    .join('');
+}
+
+/**
+ * Non-empty paragraphs of a text
+ * @param {string} text - Text
+ * @returns {Array<string>} - Paragraphs
+ */
+export function splitParagraphs(text = '') {
+  return String(text).split(/\n+/).map(paragraph => paragraph.trim()).filter(Boolean);
+}
+
+/**
+ * Word and character counts of editor HTML, checked against a prompt's limits
+ * @param {string} html - Editor HTML
+ * @param {Object} prompt - `{ wordLimit, charLimit }`
+ * @returns {Object} - `{ words, characters, paragraphs, wordLimit, charLimit, overWordLimit, overCharLimit }`
+ */
+export function getTextStats(html = '', prompt = {}) {
+  const text = htmlToText(html);
+  const words = text ? text.split(/\s+/).filter(Boolean).length : 0;
+  // Counted the way application portals usually do: line breaks don't count
+  const characters = text.replace(/\n/g, '').length;
+  const wordLimit = prompt?.wordLimit || null;
+  const charLimit = prompt?.charLimit || null;
+
+  return {
+    words,
+    characters,
+    paragraphs: splitParagraphs(text).length,
+    wordLimit,
+    charLimit,
+    overWordLimit: !!wordLimit && words > wordLimit,
+    overCharLimit: !!charLimit && characters > charLimit
+  };
+}
+
+/**
+ * Essay prompts a scholarship asks for, with any word or character limits
+ * stated alongside them
+ * @param {Object} scholarship - Scholarship in any of the catalog shapes
+ * @returns {Array<Object>} - `[{ text, wordLimit, charLimit }]`
+ */
+export function extractEssayPrompts(scholarship = {}) {
+  const explicit = [scholarship.essayPrompts, scholarship.application?.essayPrompts, scholarship.application?.essays]
+    .flat()
+    .filter(Boolean)
+    .map(prompt => (typeof prompt === 'string' ? { text: prompt } : { text: prompt.text || prompt.prompt || prompt.question, ...prompt }))
+    .filter(prompt => prompt.text);
+
+  const sentences = [
+    scholarship.application?.requirements,
+    scholarship.requirements,
+    scholarship.eligibility?.requirements,
+    scholarship.description
+  ]
+    .flat()
+    .filter(value => typeof value === 'string')
+    .flatMap(value => value.split(/(?<=[.?!])\s+|\n|;/))
+    .map(sentence => sentence.trim())
+    .filter(sentence => PROMPT_PATTERN.test(sentence));
+
+  const seen = new Set();
+  return [...explicit, ...sentences.map(text => ({ text }))]
+    .map(prompt => ({
+      text: prompt.text.trim(),
+      wordLimit: prompt.wordLimit ?? parseLimit(prompt.text, 'words'),
+      charLimit: prompt.charLimit ?? parseLimit(prompt.text, 'characters')
+    }))
+    .filter(prompt => {
+      const key = prompt.text.toLowerCase();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+/**
+ * Word-level differences between two texts. Only the stretch between the
+ * unchanged start and end is compared word by word; if that is still too long,
+ * it is shown as replaced whole.
+ * @param {string} before - Earlier text
+ * @param {string} after - Later text
+ * @returns {Object} - `{ ops: [{ type: 'equal'|'insert'|'delete', text }], added, removed }`;
+ *   added and removed count words
+ */
+export function diffTexts(before = '', after = '') {
+  const beforeTokens = tokenize(before);
+  const afterTokens = tokenize(after);
+
+  let start = 0;
+  while (start < beforeTokens.length && start < afterTokens.length &&
+         normalizeToken(beforeTokens[start]) === normalizeToken(afterTokens[start])) {
+    start++;
+  }
+  let end = 0;
+  while (end < beforeTokens.length - start && end < afterTokens.length - start &&
+         normalizeToken(beforeTokens[beforeTokens.length - 1 - end]) === normalizeToken(afterTokens[afterTokens.length - 1 - end])) {
+    end++;
+  }
+
+  const removedTokens = beforeTokens.slice(start, beforeTokens.length - end);
+  const addedTokens = afterTokens.slice(start, afterTokens.length - end);
+  const changed = removedTokens.length * addedTokens.length > MAX_WORD_DIFF_CELLS
+    ? [...removedTokens.map(text => ({ type: 'delete', text })), ...addedTokens.map(text => ({ type: 'insert', text }))]
+    : diffTokens(removedTokens, addedTokens);
+
+  const ops = mergeOps([
+    ...afterTokens.slice(0, start).map(text => ({ type: 'equal', text })),
+    ...changed,
+    ...afterTokens.slice(afterTokens.length - end).map(text => ({ type: 'equal', text }))
+  ]);
+  const countWords = type => ops
+    .filter(op => op.type === type)
+    .reduce((sum, op) => sum + op.text.split(/\s+/).filter(Boolean).length, 0);
+
+  return { ops, added: countWords('insert'), removed: countWords('delete') };
+}
+
+/**
+ * Where a quoted passage occurs in a text, ignoring case and differences in whitespace
+ * @param {string} text - Text to search
+ * @param {string} quote - Quoted passage
+ * @returns {Object|null} - `{ start, end }` offsets into the text
+ */
+export function findQuote(text = '', quote = '') {
+  const words = String(quote).trim().replace(/^["'\u201c\u2018]+|["'\u201d\u2019]+$/g, '').split(/\s+/).filter(Boolean);
+  if (words.length === 0) return null;
+
+  const pattern = new RegExp(words.map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('\\s+'), 'i');
+  const match = String(text).match(pattern);
+  return match ? { start: match.index, end: match.index + match[0].length } : null;
+}
+
+/**
+ * Split a text into segments, marking those that are one of the quoted passages
+ * @param {string} text - Text
+ * @param {Array<string>} quotes - Quoted passages; ones not found in the text are skipped
+ * @returns {Array<Object>} - `[{ text, quoteIndex }]`; quoteIndex is null outside quotes
+ */
+export function highlightQuotes(text = '', quotes = []) {
+  const ranges = quotes
+    .map((quote, quoteIndex) => ({ ...findQuote(text, quote), quoteIndex }))
+    .filter(range => range.start !== undefined)
+    .sort((a, b) => a.start - b.start);
+
+  const segments = [];
+  let position = 0;
+  ranges.forEach(range => {
+    // Overlapping quotes: the earlier one keeps the shared text
+    if (range.start < position) return;
+    if (range.start > position) segments.push({ text: text.slice(position, range.start), quoteIndex: null });
+    segments.push({ text: text.slice(range.start, range.end), quoteIndex: range.quoteIndex });
+    position = range.end;
+  });
+  if (position < text.length) segments.push({ text: text.slice(position), quoteIndex: null });
+  return segments;
+}
+
+// Helper functions
+
+function parseLimit(text, unit) {
+  const pattern = unit === 'words'
+    ? /(\d[\d,]*)\s*(?:-\s*\d[\d,]*\s*)?words?\b/i
+    : /(\d[\d,]*)\s*(?:characters?|chars?)\b/i;
+  const match = String(text).match(pattern);
+  if (!match) return null;
+
+  // "between 300 and 500 words" / "300-500 words": the upper bound is the limit
+  const range = String(text).match(unit === 'words'
+    ? /(\d[\d,]*)\s*(?:-|to|and)\s*(\d[\d,]*)\s*words?\b/i
+    : /(\d[\d,]*)\s*(?:-|to|and)\s*(\d[\d,]*)\s*(?:characters?|chars?)\b/i);
+  const value = parseInt((range ? range[2] : match[1]).replace(/,/g, ''), 10);
+  return Number.isFinite(value) && value > 0 ? value : null;
+}
+
+// Words with their trailing whitespace, so joined ops reproduce the text
+function tokenize(text) {
+  return String(text).match(/\S+\s*/g) || [];
+}
+
+function diffTokens(before, after) {
+  const rows = before.length + 1;
+  const columns = after.length + 1;
+  const lengths = new Uint32Array(rows * columns);
+
+  for (let i = before.length - 1; i >= 0; i--) {
+    for (let j = after.length - 1; j >= 0; j--) {
+      lengths[i * columns + j] = normalizeToken(before[i]) === normalizeToken(after[j])
+        ? lengths[(i + 1) * columns + j + 1] + 1
+        : Math.max(lengths[(i + 1) * columns + j], lengths[i * columns + j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < before.length && j < after.length) {
+    if (normalizeToken(before[i]) === normalizeToken(after[j])) {
+      ops.push({ type: 'equal', text: after[j] });
+      i++;
+      j++;
+    } else if (lengths[(i + 1) * columns + j] >= lengths[i * columns + j + 1]) {
+      ops.push({ type: 'delete', text: before[i++] });
+    } else {
+      ops.push({ type: 'insert', text: after[j++] });
+    }
+  }
+  while (i < before.length) ops.push({ type: 'delete', text: before[i++] });
+  while (j < after.length) ops.push({ type: 'insert', text: after[j++] });
+  return ops;
+}
+
+function normalizeToken(token) {
+  return token.trim();
+}
+
+function mergeOps(ops) {
+  return ops.reduce((merged, op) => {
+    const last = merged[merged.length - 1];
+    if (last && last.type === op.type) {
+      last.text += op.text;
+    } else {
+      merged.push({ ...op });
+    }
+    return merged;
+  }, []);
+}
+
+export default {
+  sanitizeEssayHtml,
+  htmlToText,
+  textToHtml,
+  splitParagraphs,
+  getTextStats,
+  extractEssayPrompts,
+  diffTexts,
+  findQuote,
+  highlightQuotes
+};
@@ -1,11 +1,6 @@
-// 🤖 Google Gemini AI Service
-import { GoogleGenerativeAI } from '@google/generative-ai';
-
-// Initialize Gemini AI
-const genAI = new GoogleGenerativeAI(import.meta.env.VITE_GEMINI_API_KEY);
-
-// Get the Gemini Pro model
-const model = genAI.getGenerativeModel({ model: 'gemini-pro' });
+// 🤖 AI Scholarship Service (Gemini by default, any provider configured in LLMService)
+import LLMService, { validateResponse } from './llmService.js';
+import { LLMScholarshipSchema, LLMScholarshipListSchema } from '../lib/schema';
 
 // Scholarship matching service
 export class GeminiScholarshipService {
@@ -19,14 +14,20 @@ export class GeminiScholarshipService {
     try {
       const prompt = this.buildScholarshipPrompt(profile, filters);
       
-      const result = await model.generateContent(prompt);
-      const response = await result.response;
-      const text = response.text();
+      const scholarships = await LLMService.generateJSON(prompt, {
+        feature: 'scholarship_search',
+        json: 'array',
+        schema: LLMScholarshipListSchema
+      });
       
-      // Parse the AI response into structured scholarship data
-      return this.parseScholarshipResponse(text);
+      return this.normalizeScholarships(scholarships);
     } catch (error) {
-      console.error('Gemini API Error:', error);
+      // Still invalid after repair attempts: keep whatever entries are usable
+      if (error.code === 'invalid_output' || error.code === 'invalid_json') {
+        return this.salvageScholarships(error.data);
+      }
+      
+      console.error('LLM API Error:', error);
       throw new Error(`Failed to generate scholarship matches: ${error.message}`);
     }
   }
@@ -90,7 +91,7 @@ Return ONLY a valid JSON array with this exact structure:
     "title": "Scholarship Name",
     "provider": "Organization/University Name",
     "amount": "$X,XXX - $XX,XXX" or "Full Tuition" or "Living Expenses Covered",
-    "deadline": "YYYY-MM-DD",
+    "deadline": "YYYY-MM-DD" or "varies",
     "country": "Target Country",
     "degreeLevel": "Bachelor's/Master's/PhD",
     "fieldOfStudy": ["Field1", "Field2"],
@@ -106,56 +107,58 @@ Return ONLY a valid JSON array with this exact structure:
   }
 
   /**
-   * Parse AI response into structured scholarship data
+   * Parse AI response into structured scholarship data. Entries that fail
+   * the schema are logged and dropped rather than patched with made-up values.
    * @param {string} response - Raw AI response
    * @returns {Array} - Parsed scholarship array
    */
   static parseScholarshipResponse(response) {
-    try {
-      // Clean the response to extract JSON
-      let cleanResponse = response.trim();
-      
-      // Remove markdown code blocks if present
-      cleanResponse = cleanResponse.replace(/```json\n?/g, '').replace(/```\n?/g, '');
-      
-      // Find JSON array in the response
-      const jsonMatch = cleanResponse.match(/\[[\s\S]*\]/);
-      if (!jsonMatch) {
-        throw new Error('No valid JSON array found in response');
-      }
-      
-      const scholarships = JSON.parse(jsonMatch[0]);
-      
-      // Validate and enhance scholarship data
-      return scholarships.map((scholarship, index) => ({
-        id: scholarship.id || `scholarship_${Date.now()}_${index}`,
-        title: scholarship.title || 'Unnamed Scholarship',
-        provider: scholarship.provider || 'Unknown Provider',
-        amount: scholarship.amount || 'Amount not specified',
-        deadline: scholarship.deadline || '2024-12-31',
-        country: scholarship.country || 'International',
-        degreeLevel: scholarship.degreeLevel || 'All Levels',
-        fieldOfStudy: Array.isArray(scholarship.fieldOfStudy) 
-          ? scholarship.fieldOfStudy 
-          : [scholarship.fieldOfStudy || 'All Fields'],
-        eligibility: Array.isArray(scholarship.eligibility) 
-          ? scholarship.eligibility 
-          : ['General eligibility requirements apply'],
-        description: scholarship.description || 'No description available',
-        applicationUrl: scholarship.applicationUrl || '#',
-        matchScore: scholarship.matchScore || Math.floor(Math.random() * 20) + 70,
-        generatedAt: new Date().toISOString()
-      }));
-    } catch (error) {
-      console.error('Failed to parse scholarship response:', error);
-      
-      // Return fallback scholarships if parsing fails
+    const result = validateResponse(response, { json: 'array', schema: LLMScholarshipListSchema });
+
+    if (result.success) {
+      return this.normalizeScholarships(result.data);
+    }
+
+    console.warn('Scholarship response failed validation:', result.issues.map(issue => `${issue.path}: ${issue.message}`));
+    return this.salvageScholarships(result.data);
+  }
+
+  /**
+   * Keep the entries of an invalid response that pass the schema on their own
+   * @param {*} data - Parsed response, if it was JSON at all
+   * @returns {Array} - Valid scholarships, or the fallback list when none are valid
+   */
+  static salvageScholarships(data) {
+    const valid = (Array.isArray(data) ? data : [])
+      .map(item => LLMScholarshipSchema.safeParse(item))
+      .filter(parsed => parsed.success)
+      .map(parsed => parsed.data);
+
+    if (valid.length === 0) {
       return this.getFallbackScholarships();
     }
+
+    console.warn(`Kept ${valid.length} of ${data.length} scholarships from an invalid response`);
+    return this.normalizeScholarships(valid);
   }
 
   /**
-   * Get fallback scholarships when AI fails
+   * Shape validated scholarships for the UI
+   * @param {Array} scholarships - Entries that passed `LLMScholarshipSchema`
+   * @returns {Array} - Scholarship array
+   */
+  static normalizeScholarships(scholarships) {
+    return scholarships.map((scholarship, index) => ({
+      ...scholarship,
+      id: scholarship.id || `scholarship_${Date.now()}_${index}`,
+      applicationUrl: scholarship.applicationUrl || '#',
+      generatedAt: new Date().toISOString()
+    }));
+  }
+
+  /**
+   * Get fallback scholarships when AI fails. These are not scored against
+   * the profile, so matchScore is null rather than a made-up number.
    * @returns {Array} - Fallback scholarship data
    */
   static getFallbackScholarships() {
@@ -172,7 +175,7 @@ Return ONLY a valid JSON array with this exact structure:
         eligibility: ['3.5+ GPA', 'International students', 'Academic excellence'],
         description: 'Merit-based scholarship for outstanding international students pursuing graduate studies.',
         applicationUrl: '#',
-        matchScore: 75,
+        matchScore: null,
         generatedAt: new Date().toISOString()
       },
       {
@@ -187,33 +190,18 @@ Return ONLY a valid JSON array with this exact structure:
         eligibility: ['Leadership experience', 'Community involvement', 'Academic merit'],
         description: 'Comprehensive scholarship program for future leaders in various fields.',
         applicationUrl: '#',
-        matchScore: 80,
+        matchScore: null,
         generatedAt: new Date().toISOString()
       }
     ];
   }
 
   /**
-   * Test Gemini API connection
+   * Test the configured LLM provider connection
    * @returns {Promise<Object>} - Connection test result
    */
   static async testConnection() {
-    try {
-      const result = await model.generateContent('Hello, please respond with "Gemini API is working!"');
-      const response = await result.response;
-      const text = response.text();
-      
-      return {
-        success: true,
-        message: 'Gemini API connection successful',
-        response: text
-      };
-    } catch (error) {
-      return {
-        success: false,
-        message: `Gemini API connection failed: ${error.message}`
-      };
-    }
+    return LLMService.testConnection();
   }
 }
 
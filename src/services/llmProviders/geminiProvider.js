@@ -0,0 +1,68 @@
+/**
+ * Google Gemini LLM Provider
+ * Sends prompts to Gemini models through the Google Generative AI SDK
+ */
+
+import { GoogleGenerativeAI } from '@google/generative-ai';
+
+const clients = new Map();
+
+export const geminiProvider = {
+  id: 'gemini',
+  label: 'Google Gemini',
+  defaultModel: 'gemini-1.5-flash',
+  models: ['gemini-1.5-flash', 'gemini-1.5-pro', 'gemini-pro'],
+
+  /**
+   * Check whether an API key is available
+   * @param {Object} config - Provider configuration from LLMService
+   * @returns {boolean} - Is configured
+   */
+  isConfigured(config = {}) {
+    return Boolean(config.apiKey);
+  },
+
+  /**
+   * Generate a completion
+   * @param {Object} request - `{ prompt, system, model, temperature, maxTokens, json, signal, timeout, config }`
+   * @returns {Promise<Object>} - `{ text, model, usage }`; usage is null when not reported
+   */
+  async generate({ prompt, system, model, temperature, maxTokens, json, signal, timeout, config }) {
+    const generativeModel = getClient(config.apiKey).getGenerativeModel({
+      model,
+      ...(system ? { systemInstruction: system } : {}),
+      generationConfig: {
+        ...(temperature !== undefined ? { temperature } : {}),
+        ...(maxTokens ? { maxOutputTokens: maxTokens } : {}),
+        ...(json ? { responseMimeType: 'application/json' } : {})
+      }
+    });
+
+    const result = await generativeModel.generateContent(prompt, { signal, timeout });
+    const response = result.response;
+    const usage = response.usageMetadata;
+
+    return {
+      text: response.text(),
+      model,
+      usage: usage
+        ? {
+          promptTokens: usage.promptTokenCount || 0,
+          completionTokens: usage.candidatesTokenCount || 0,
+          totalTokens: usage.totalTokenCount || 0
+        }
+        : null
+    };
+  }
+};
+
+// Helper functions
+
+function getClient(apiKey) {
+  if (!clients.has(apiKey)) {
+    clients.set(apiKey, new GoogleGenerativeAI(apiKey));
+  }
+  return clients.get(apiKey);
+}
+
+export default geminiProvider;
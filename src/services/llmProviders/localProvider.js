@@ -0,0 +1,55 @@
+/**
+ * Local LLM Provider
+ * Deterministic, offline provider for development, demos and tests. Answers
+ * come from a responder function or a table keyed by feature, so callers can
+ * be exercised without network access or API keys.
+ */
+
+/**
+ * Create a local provider
+ * @param {Object} options - `{ id, responses }`; responses is a function receiving the
+ *   request and returning text (or a value to serialize), or an object keyed by feature
+ * @returns {Object} - LLM provider
+ */
+export function createLocalProvider({ id = 'local', responses = null } = {}) {
+  const calls = [];
+
+  return {
+    id,
+    label: 'Local (offline)',
+    defaultModel: 'local-deterministic',
+    models: ['local-deterministic'],
+    calls,
+
+    isConfigured() {
+      return true;
+    },
+
+    async generate(request) {
+      calls.push(request);
+
+      const answer = typeof responses === 'function'
+        ? await responses(request)
+        : responses && request.feature in responses
+        ? responses[request.feature]
+        : defaultResponse(request);
+      const text = typeof answer === 'string' ? answer : JSON.stringify(answer);
+
+      // Usage is left to LLMService's estimate so accounting stays deterministic
+      return { text, model: request.model, usage: null };
+    }
+  };
+}
+
+// Helper functions
+
+// Empty JSON keeps callers on their own fallbacks instead of inventing data
+function defaultResponse({ json, prompt }) {
+  if (json === 'array') return '[]';
+  if (json) return '{}';
+  return `Local provider received ${prompt.length} characters.`;
+}
+
+export const localProvider = createLocalProvider();
+
+export default localProvider;
@@ -0,0 +1,73 @@
+/**
+ * OpenAI-Compatible LLM Provider
+ * Sends prompts to any server implementing the OpenAI chat completions API
+ * (OpenAI, Azure-style proxies, Ollama, LM Studio, vLLM, ...)
+ */
+
+export const openAICompatibleProvider = {
+  id: 'openai',
+  label: 'OpenAI-compatible',
+  defaultModel: 'gpt-4o-mini',
+  models: ['gpt-4o-mini', 'gpt-4o', 'gpt-4.1-mini'],
+
+  /**
+   * Check whether the provider can be called. Self-hosted servers usually
+   * need no key, so a custom base URL is enough.
+   * @param {Object} config - Provider configuration from LLMService
+   * @returns {boolean} - Is configured
+   */
+  isConfigured(config = {}) {
+    return Boolean(config.apiKey || config.customBaseUrl);
+  },
+
+  /**
+   * Generate a completion
+   * @param {Object} request - `{ prompt, system, model, temperature, maxTokens, json, signal, config }`
+   * @returns {Promise<Object>} - `{ text, model, usage }`; usage is null when not reported
+   */
+  async generate({ prompt, system, model, temperature, maxTokens, json, signal, config }) {
+    const response = await fetch(`${config.baseUrl.replace(/\/+$/, '')}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(config.apiKey ? { Authorization: `Bearer ${config.apiKey}` } : {})
+      },
+      body: JSON.stringify({
+        model,
+        messages: [
+          ...(system ? [{ role: 'system', content: system }] : []),
+          { role: 'user', content: prompt }
+        ],
+        ...(temperature !== undefined ? { temperature } : {}),
+        ...(maxTokens ? { max_tokens: maxTokens } : {}),
+        // JSON mode only accepts objects, so array prompts stay in text mode
+        ...(json === 'object' ? { response_format: { type: 'json_object' } } : {})
+      }),
+      signal
+    });
+
+    if (!response.ok) {
+      const details = await response.text().catch(() => '');
+      const error = new Error(`LLM request failed with status ${response.status}${details ? `: ${details.slice(0, 200)}` : ''}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    const data = await response.json();
+    const usage = data.usage;
+
+    return {
+      text: data.choices?.[0]?.message?.content || '',
+      model: data.model || model,
+      usage: usage
+        ? {
+          promptTokens: usage.prompt_tokens || 0,
+          completionTokens: usage.completion_tokens || 0,
+          totalTokens: usage.total_tokens || 0
+        }
+        : null
+    };
+  }
+};
+
+export default openAICompatibleProvider;
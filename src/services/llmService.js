@@ -0,0 +1,505 @@
+/**
+ * LLM Service
+ * Single entry point for every language-model call. Resolves the provider and
+ * model from advanced settings, enforces request timeouts and retries, and
+ * keeps a running tally of token usage per model and feature.
+ */
+
+import SettingsService from './settingsService.js';
+import geminiProvider from './llmProviders/geminiProvider.js';
+import openAICompatibleProvider from './llmProviders/openAICompatibleProvider.js';
+import localProvider from './llmProviders/localProvider.js';
+
+export const LLM_PROVIDERS = {
+  GEMINI: geminiProvider.id,
+  OPENAI: openAICompatibleProvider.id,
+  LOCAL: localProvider.id
+};
+
+export const DEFAULT_LLM_PROVIDER = LLM_PROVIDERS.GEMINI;
+
+const DEFAULT_OPENAI_BASE_URL = 'https://api.openai.com/v1';
+
+// Rough characters-per-token ratio used when a provider reports no usage
+const CHARS_PER_TOKEN = 4;
+
+const RETRY_BASE_DELAY = 500; // milliseconds
+
+// Limits on how much of a failed response is echoed back when re-prompting
+const MAX_REPAIR_ECHO_CHARS = 6000;
+const MAX_REPORTED_ISSUES = 10;
+
+export class LLMService {
+  static USAGE_KEY = 'scholarai_llm_usage';
+  static providers = new Map([geminiProvider, openAICompatibleProvider, localProvider].map(provider => [provider.id, provider]));
+  static overrideProvider = null;
+
+  /**
+   * Register a provider adapter
+   * @param {Object} provider - `{ id, label, defaultModel, models, isConfigured, generate }`
+   */
+  static registerProvider(provider) {
+    if (!provider?.id || typeof provider.generate !== 'function') {
+      throw new Error('LLM providers need an id and a generate function');
+    }
+    this.providers.set(provider.id, provider);
+  }
+
+  /**
+   * Route every call to the given provider regardless of settings, e.g. a
+   * local provider in tests. Pass null to go back to the configured provider.
+   * @param {Object|null} provider - Provider adapter
+   */
+  static useProvider(provider) {
+    if (provider) {
+      this.registerProvider(provider);
+    }
+    this.overrideProvider = provider ? provider.id : null;
+  }
+
+  /**
+   * List registered providers for settings screens
+   * @returns {Array<Object>} - `{ id, label, defaultModel, models, configured }`
+   */
+  static getProviders() {
+    return Array.from(this.providers.values()).map(provider => ({
+      id: provider.id,
+      label: provider.label || provider.id,
+      defaultModel: provider.defaultModel,
+      models: provider.models || [provider.defaultModel],
+      configured: provider.isConfigured(this.getProviderConfig(provider.id))
+    }));
+  }
+
+  /**
+   * Provider used when settings don't choose one: VITE_LLM_PROVIDER, else Gemini
+   * @returns {string} - Provider ID
+   */
+  static getDefaultProviderId() {
+    const envProvider = import.meta.env.VITE_LLM_PROVIDER;
+    return envProvider && this.providers.has(envProvider) ? envProvider : DEFAULT_LLM_PROVIDER;
+  }
+
+  /**
+   * Resolve the active provider, model and request limits
+   * @returns {Object} - `{ provider, model, timeout, maxRetries, repairAttempts, providerConfig }`
+   */
+  static getConfig() {
+    const advanced = SettingsService.getSetting('advanced', {}) || {};
+    const requestedId = this.overrideProvider || advanced.llmProvider || this.getDefaultProviderId();
+    const provider = this.providers.get(requestedId) || this.providers.get(DEFAULT_LLM_PROVIDER);
+
+    // A model chosen for another provider would be rejected, so only honour it here
+    const model = !this.overrideProvider && advanced.llmModel && provider.id === (advanced.llmProvider || this.getDefaultProviderId())
+      ? advanced.llmModel
+      : provider.defaultModel;
+
+    return {
+      provider,
+      model,
+      timeout: advanced.apiTimeout || 30000,
+      maxRetries: Number.isInteger(advanced.maxRetries) ? advanced.maxRetries : 2,
+      repairAttempts: Number.isInteger(advanced.llmRepairAttempts) ? advanced.llmRepairAttempts : 2,
+      providerConfig: this.getProviderConfig(provider.id, advanced)
+    };
+  }
+
+  /**
+   * Check whether the active provider can be called
+   * @returns {boolean} - Is available
+   */
+  static isAvailable() {
+    const { provider, providerConfig } = this.getConfig();
+    return provider.isConfigured(providerConfig);
+  }
+
+  /**
+   * Generate text
+   * @param {string} prompt - User prompt
+   * @param {Object} options - `{ feature, system, model, temperature, maxTokens, json, timeout, retries }`;
+   *   feature labels the call for usage accounting, json ('object' | 'array') asks for JSON output
+   * @returns {Promise<Object>} - `{ text, provider, model, usage, durationMs }`
+   */
+  static async generate(prompt, options = {}) {
+    const config = this.getConfig();
+    const { provider, providerConfig } = config;
+    const feature = options.feature || 'general';
+    const model = options.model || config.model;
+    const timeout = options.timeout || config.timeout;
+    const retries = options.retries ?? config.maxRetries;
+
+    if (!provider.isConfigured(providerConfig)) {
+      throw createLLMError(`${provider.label || provider.id} is not configured`, { code: 'not_configured' });
+    }
+
+    const request = {
+      prompt,
+      system: options.system,
+      model,
+      temperature: options.temperature,
+      maxTokens: options.maxTokens,
+      json: options.json,
+      feature,
+      config: providerConfig
+    };
+    const startedAt = Date.now();
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const result = await this.callWithTimeout(provider, request, timeout);
+        const usage = result.usage || estimateUsage(prompt, options.system, result.text);
+
+        this.recordUsage({ provider: provider.id, model: result.model || model, feature, usage, estimated: !result.usage });
+
+        return {
+          text: result.text || '',
+          provider: provider.id,
+          model: result.model || model,
+          usage,
+          durationMs: Date.now() - startedAt
+        };
+      } catch (error) {
+        if (!isRetryable(error) || attempt >= retries) {
+          this.recordFailure({ provider: provider.id, model, feature });
+          throw error;
+        }
+
+        console.warn(`LLM request failed (attempt ${attempt + 1} of ${retries + 1}), retrying:`, error.message);
+        await delay(RETRY_BASE_DELAY * 2 ** attempt);
+      }
+    }
+  }
+
+  /**
+   * Generate, parse and validate a JSON response. Markdown fences and text
+   * around the JSON are stripped before parsing. Responses that are not JSON,
+   * fail the schema or fail `validate` are logged and re-prompted with the
+   * problems found, up to `repairAttempts` times.
+   * @param {string} prompt - User prompt
+   * @param {Object} options - Same as `generate`, plus `{ schema, validate, repairAttempts }`;
+   *   schema is a zod schema, validate receives the parsed data and returns extra
+   *   `{ path, message }` issues (e.g. unknown IDs); json defaults to 'object'
+   * @returns {Promise<*>} - Parsed (and schema-transformed) JSON value
+   * @throws {Error} - With `code` 'invalid_json' or 'invalid_output', `issues` and the last `data`
+   */
+  static async generateJSON(prompt, options = {}) {
+    const { schema, validate, repairAttempts, ...generateOptions } = options;
+    const json = options.json || 'object';
+    const feature = options.feature || 'general';
+    const maxRepairs = repairAttempts ?? this.getConfig().repairAttempts;
+    let currentPrompt = prompt;
+
+    for (let attempt = 0; ; attempt++) {
+      const { text } = await this.generate(currentPrompt, { ...generateOptions, json });
+      const result = validateResponse(text, { json, schema, validate });
+
+      if (result.success) {
+        return result.data;
+      }
+
+      console.warn(
+        `LLM output for "${feature}" failed validation (attempt ${attempt + 1} of ${maxRepairs + 1}):`,
+        result.issues.map(issue => `${issue.path}: ${issue.message}`)
+      );
+      this.recordInvalidResponse({ feature });
+
+      if (attempt >= maxRepairs) {
+        const error = createLLMError(`LLM response failed validation: ${summarizeIssues(result.issues)}`, { code: result.code });
+        error.issues = result.issues;
+        error.data = result.data;
+        throw error;
+      }
+
+      currentPrompt = buildRepairPrompt(prompt, text, result.issues);
+    }
+  }
+
+  /**
+   * Send a tiny prompt to check the active provider
+   * @returns {Promise<Object>} - `{ success, message, provider, model, response }`
+   */
+  static async testConnection() {
+    const { provider, model } = this.getConfig();
+    const label = provider.label || provider.id;
+
+    try {
+      const { text } = await this.generate('Reply with the words "connection ok".', {
+        feature: 'connection_test',
+        maxTokens: 20,
+        retries: 0
+      });
+
+      return {
+        success: true,
+        message: `${label} connection successful`,
+        provider: provider.id,
+        model,
+        response: text
+      };
+    } catch (error) {
+      return {
+        success: false,
+        message: `${label} connection failed: ${error.message}`,
+        provider: provider.id,
+        model
+      };
+    }
+  }
+
+  /**
+   * Get accumulated token usage
+   * @returns {Object} - `{ totals, byModel, byFeature, since, updatedAt }`
+   */
+  static getUsage() {
+    try {
+      const stored = typeof localStorage !== 'undefined' ? localStorage.getItem(this.USAGE_KEY) : null;
+      return stored ? JSON.parse(stored) : createEmptyUsage();
+    } catch (error) {
+      console.error('Error loading LLM usage:', error);
+      return createEmptyUsage();
+    }
+  }
+
+  /**
+   * Clear accumulated token usage
+   * @returns {boolean} - Success status
+   */
+  static resetUsage() {
+    try {
+      if (typeof localStorage !== 'undefined') {
+        localStorage.removeItem(this.USAGE_KEY);
+      }
+      return true;
+    } catch (error) {
+      console.error('Error resetting LLM usage:', error);
+      return false;
+    }
+  }
+
+  // Helper methods
+  static getProviderConfig(providerId, advanced = SettingsService.getSetting('advanced', {}) || {}) {
+    const env = import.meta.env;
+
+    switch (providerId) {
+      case LLM_PROVIDERS.GEMINI:
+        return { apiKey: env.VITE_GEMINI_API_KEY || '' };
+      case LLM_PROVIDERS.OPENAI: {
+        const customBaseUrl = advanced.llmBaseUrl || env.VITE_OPENAI_BASE_URL || '';
+        return {
+          apiKey: env.VITE_OPENAI_API_KEY || '',
+          baseUrl: customBaseUrl || DEFAULT_OPENAI_BASE_URL,
+          customBaseUrl
+        };
+      }
+      default:
+        return {};
+    }
+  }
+
+  static async callWithTimeout(provider, request, timeout) {
+    const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    let timer;
+
+    // Providers that ignore the abort signal are still cut off by the race
+    const timedOut = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        controller?.abort();
+        reject(createLLMError(`LLM request timed out after ${Math.round(timeout / 1000)}s`, { code: 'timeout', retryable: true }));
+      }, timeout);
+    });
+
+    try {
+      return await Promise.race([
+        provider.generate({ ...request, signal: controller?.signal, timeout }),
+        timedOut
+      ]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  static recordUsage({ provider, model, feature, usage, estimated }) {
+    this.updateUsage(stats => {
+      const add = (bucket) => {
+        bucket.requests += 1;
+        bucket.promptTokens += usage.promptTokens;
+        bucket.completionTokens += usage.completionTokens;
+        bucket.totalTokens += usage.totalTokens;
+        if (estimated) bucket.estimatedRequests += 1;
+      };
+
+      add(stats.totals);
+      add(stats.byModel[`${provider}:${model}`] ||= createUsageBucket());
+      add(stats.byFeature[feature] ||= createUsageBucket());
+    });
+  }
+
+  static recordFailure({ provider, model, feature }) {
+    this.updateUsage(stats => {
+      stats.totals.failures += 1;
+      (stats.byModel[`${provider}:${model}`] ||= createUsageBucket()).failures += 1;
+      (stats.byFeature[feature] ||= createUsageBucket()).failures += 1;
+    });
+  }
+
+  static recordInvalidResponse({ feature }) {
+    this.updateUsage(stats => {
+      stats.totals.invalidResponses = (stats.totals.invalidResponses || 0) + 1;
+      const bucket = stats.byFeature[feature] ||= createUsageBucket();
+      bucket.invalidResponses = (bucket.invalidResponses || 0) + 1;
+    });
+  }
+
+  static updateUsage(update) {
+    try {
+      if (typeof localStorage === 'undefined') return;
+
+      const stats = this.getUsage();
+      update(stats);
+      stats.updatedAt = new Date().toISOString();
+      localStorage.setItem(this.USAGE_KEY, JSON.stringify(stats));
+    } catch (error) {
+      console.error('Error saving LLM usage:', error);
+    }
+  }
+}
+
+// Helper functions
+
+/**
+ * Extract and parse JSON from a model response
+ * @param {string} text - Raw response text
+ * @param {string} shape - 'object' or 'array'
+ * @returns {*} - Parsed value
+ */
+export function parseJSONResponse(text, shape = 'object') {
+  const cleaned = (text || '').replace(/```(?:json)?\s*/gi, '').replace(/```/g, '').trim();
+
+  try {
+    return JSON.parse(cleaned);
+  } catch {
+    // Fall back to the outermost object or array when the model added prose
+    const match = shape === 'array' ? cleaned.match(/\[[\s\S]*\]/) : cleaned.match(/\{[\s\S]*\}/);
+
+    try {
+      if (match) return JSON.parse(match[0]);
+    } catch {
+      // Reported below
+    }
+
+    throw createLLMError('LLM response was not valid JSON', { code: 'invalid_json' });
+  }
+}
+
+/**
+ * Parse a model response and check it against a schema and extra rules
+ * @param {string} text - Raw response text
+ * @param {Object} options - `{ json, schema, validate }`, see `LLMService.generateJSON`
+ * @returns {Object} - `{ success, data, issues, code }`; issues are `{ path, message }`
+ */
+export function validateResponse(text, { json = 'object', schema = null, validate = null } = {}) {
+  let data;
+  try {
+    data = parseJSONResponse(text, json);
+  } catch {
+    return {
+      success: false,
+      data: null,
+      code: 'invalid_json',
+      issues: [{ path: '(root)', message: `Response was not valid JSON; expected a JSON ${json}` }]
+    };
+  }
+
+  if (schema) {
+    const parsed = schema.safeParse(data);
+    if (!parsed.success) {
+      return {
+        success: false,
+        data,
+        code: 'invalid_output',
+        issues: parsed.error.issues.map(issue => ({ path: formatIssuePath(issue.path), message: issue.message }))
+      };
+    }
+    data = parsed.data;
+  }
+
+  const extraIssues = typeof validate === 'function' ? validate(data) || [] : [];
+  if (extraIssues.length > 0) {
+    return { success: false, data, code: 'invalid_output', issues: extraIssues };
+  }
+
+  return { success: true, data, issues: [], code: null };
+}
+
+function formatIssuePath(path = []) {
+  const formatted = path
+    .map(segment => (typeof segment === 'number' ? `[${segment}]` : `.${String(segment)}`))
+    .join('')
+    .replace(/^\./, '');
+  return formatted || '(root)';
+}
+
+function summarizeIssues(issues) {
+  const shown = issues.slice(0, MAX_REPORTED_ISSUES).map(issue => `${issue.path} (${issue.message})`);
+  const more = issues.length - shown.length;
+  return shown.join('; ') + (more > 0 ? `; and ${more} more` : '');
+}
+
+// The original prompt is repeated because providers keep no conversation state
+function buildRepairPrompt(prompt, previousText, issues) {
+  const previous = previousText.length > MAX_REPAIR_ECHO_CHARS
+    ? `${previousText.slice(0, MAX_REPAIR_ECHO_CHARS)}\n...(truncated)`
+    : previousText;
+
+  return `${prompt}
+
+Your previous answer could not be used because it did not match the required JSON format:
+${issues.slice(0, MAX_REPORTED_ISSUES * 2).map(issue => `- ${issue.path}: ${issue.message}`).join('\n')}
+
+Previous answer:
+${previous}
+
+Return the complete corrected JSON only, with no additional text. Do not invent values just to satisfy the format.`;
+}
+
+function createLLMError(message, { code, retryable = false }) {
+  const error = new Error(message);
+  error.code = code;
+  error.retryable = retryable;
+  return error;
+}
+
+function isRetryable(error) {
+  if (error.retryable !== undefined) return error.retryable;
+  if (error.name === 'AbortError') return false;
+
+  // Rate limits, server errors and network failures are worth another try
+  const status = error.status;
+  return status === 429 || status >= 500 || (error instanceof TypeError && /fetch|network/i.test(error.message));
+}
+
+function estimateUsage(prompt, system, text) {
+  const promptTokens = Math.ceil(((prompt || '').length + (system || '').length) / CHARS_PER_TOKEN);
+  const completionTokens = Math.ceil((text || '').length / CHARS_PER_TOKEN);
+  return { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens };
+}
+
+function createUsageBucket() {
+  return { requests: 0, failures: 0, invalidResponses: 0, estimatedRequests: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+}
+
+function createEmptyUsage() {
+  return {
+    totals: createUsageBucket(),
+    byModel: {},
+    byFeature: {},
+    since: new Date().toISOString(),
+    updatedAt: null
+  };
+}
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+export default LLMService;
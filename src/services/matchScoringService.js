@@ -0,0 +1,393 @@
+/**
+ * Match Scoring Service
+ * The one scoring engine for scholarship matches. Scores a scholarship
+ * against a profile criterion by criterion and returns the breakdown behind
+ * the number, so the UI can explain why something matched and what's missing.
+ */
+
+import SettingsService from './settingsService.js';
+import { getDegreeLevels, getMinimumGpa, getProfileGpa } from './academicNormalizer.js';
+import { matchSkills } from './skillTaxonomy.js';
+import VectorSearchService, { UNRESTRICTED_COUNTRIES, normalizeCountry } from './vectorSearchService.js';
+
+export const MATCH_CRITERIA = {
+  FIELD: 'field',
+  SKILLS: 'skills',
+  DEGREE: 'degree',
+  GPA: 'gpa',
+  LOCATION: 'location',
+  DEADLINE: 'deadline'
+};
+
+export const CRITERION_STATUS = {
+  PASS: 'pass',
+  FAIL: 'fail',
+  UNKNOWN: 'unknown'
+};
+
+// Relative weights; they needn't add up to 100
+export const DEFAULT_MATCH_WEIGHTS = {
+  [MATCH_CRITERIA.FIELD]: 30,
+  [MATCH_CRITERIA.SKILLS]: 20,
+  [MATCH_CRITERIA.DEGREE]: 20,
+  [MATCH_CRITERIA.GPA]: 15,
+  [MATCH_CRITERIA.LOCATION]: 10,
+  [MATCH_CRITERIA.DEADLINE]: 5
+};
+
+export const CRITERION_LABELS = {
+  [MATCH_CRITERIA.FIELD]: 'Field of study',
+  [MATCH_CRITERIA.SKILLS]: 'Skills',
+  [MATCH_CRITERIA.DEGREE]: 'Degree level',
+  [MATCH_CRITERIA.GPA]: 'GPA',
+  [MATCH_CRITERIA.LOCATION]: 'Location',
+  [MATCH_CRITERIA.DEADLINE]: 'Deadline'
+};
+
+// Credit for a criterion we can't check either way: neither rewarded nor ruled out
+const UNKNOWN_CREDIT = 0.5;
+
+const OPEN_FIELDS = /^(any|all|all fields|any field|open|general)$/i;
+
+const RELATED_FIELDS = {
+  'computer science': ['software engineering', 'information technology', 'data science', 'artificial intelligence', 'computer engineering'],
+  'engineering': ['computer engineering', 'electrical engineering', 'mechanical engineering', 'civil engineering'],
+  'business': ['management', 'finance', 'marketing', 'economics', 'accounting'],
+  'science': ['biology', 'chemistry', 'physics', 'mathematics'],
+  'stem': ['science', 'technology', 'engineering', 'mathematics', 'math', 'computer', 'data', 'physics', 'chemistry', 'biology', 'statistics'],
+  'technology': ['computer', 'software', 'information technology', 'data science', 'engineering'],
+  'arts': ['design', 'media', 'communications', 'literature', 'fine arts', 'music']
+};
+
+/**
+ * Score a scholarship against a profile
+ * @param {Object} scholarship - Scholarship in any of the catalog shapes
+ * @param {Object} profile - CV or questionnaire profile
+ * @param {Object} options - `{ weights, referenceDate }`; weights default to the search settings
+ * @returns {Object} - `{ score, breakdown, matched, missing }`. Each breakdown item is
+ *   `{ criterion, label, weight, status, credit, points, scholarshipValue, profileValue, matchedValue, reason }`;
+ *   matched and missing are the reasons of passing and failing/unknown criteria
+ */
+export function scoreScholarship(scholarship, profile = {}, { weights = getMatchWeights(), referenceDate = new Date() } = {}) {
+  const evaluations = {
+    [MATCH_CRITERIA.FIELD]: () => evaluateField(scholarship, profile),
+    [MATCH_CRITERIA.SKILLS]: () => evaluateSkills(scholarship, profile),
+    [MATCH_CRITERIA.DEGREE]: () => evaluateDegree(scholarship, profile),
+    [MATCH_CRITERIA.GPA]: () => evaluateGpa(scholarship, profile),
+    [MATCH_CRITERIA.LOCATION]: () => evaluateLocation(scholarship, profile),
+    [MATCH_CRITERIA.DEADLINE]: () => evaluateDeadline(scholarship, referenceDate)
+  };
+
+  const breakdown = Object.entries(evaluations)
+    .filter(([criterion]) => (weights[criterion] || 0) > 0)
+    .map(([criterion, evaluate]) => {
+      const result = evaluate();
+      const weight = weights[criterion];
+      const credit = result.status === CRITERION_STATUS.UNKNOWN ? UNKNOWN_CREDIT : result.credit;
+
+      return {
+        criterion,
+        label: CRITERION_LABELS[criterion],
+        weight,
+        status: result.status,
+        credit,
+        points: Math.round(weight * credit * 10) / 10,
+        scholarshipValue: result.scholarshipValue ?? null,
+        profileValue: result.profileValue ?? null,
+        matchedValue: result.matchedValue ?? null,
+        reason: result.reason
+      };
+    });
+
+  const totalWeight = breakdown.reduce((sum, item) => sum + item.weight, 0);
+  const earned = breakdown.reduce((sum, item) => sum + item.weight * item.credit, 0);
+
+  return {
+    score: totalWeight > 0 ? Math.round((earned / totalWeight) * 100) : 0,
+    breakdown,
+    matched: breakdown.filter(item => item.status === CRITERION_STATUS.PASS).map(item => item.reason),
+    missing: breakdown.filter(item => item.status !== CRITERION_STATUS.PASS).map(item => item.reason)
+  };
+}
+
+/**
+ * Score a list of scholarships and sort them best first
+ * @param {Array<Object>} scholarships - Scholarships in any of the catalog shapes
+ * @param {Object} profile - CV or questionnaire profile
+ * @param {Object} options - See `scoreScholarship`
+ * @returns {Array<Object>} - Scholarships with `matchScore` and `matchBreakdown`
+ *   (`{ breakdown, matched, missing }`)
+ */
+export function rankScholarships(scholarships = [], profile = {}, options = {}) {
+  const weights = options.weights || getMatchWeights();
+
+  return scholarships
+    .map(scholarship => {
+      const { score, breakdown, matched, missing } = scoreScholarship(scholarship, profile, { ...options, weights });
+      return { ...scholarship, matchScore: score, matchBreakdown: { breakdown, matched, missing } };
+    })
+    .sort((a, b) => b.matchScore - a.matchScore);
+}
+
+/**
+ * Get the configured criterion weights
+ * @returns {Object} - Weight per MATCH_CRITERIA value
+ */
+export function getMatchWeights() {
+  const configured = SettingsService.getSetting('search.matchWeights', {}) || {};
+  return Object.fromEntries(Object.entries(DEFAULT_MATCH_WEIGHTS).map(([criterion, weight]) => {
+    const value = configured[criterion];
+    return [criterion, typeof value === 'number' && value >= 0 ? value : weight];
+  }));
+}
+
+/**
+ * Get the degree levels a scholarship names, as written
+ * @param {Object} scholarship - Scholarship in any of the catalog shapes
+ * @returns {Array<string>} - e.g. ["Master's", 'PhD']; empty if none are stated
+ */
+export function getScholarshipDegrees(scholarship) {
+  return toList(
+    scholarship.eligibility?.degrees
+    ?? scholarship.eligibility?.degreeLevel
+    ?? scholarship.academic_level
+    ?? scholarship.degreeLevel
+    ?? scholarship.level
+    ?? scholarship.degree
+  ).flatMap(level => level.split('/')).map(level => level.trim()).filter(Boolean);
+}
+
+/**
+ * Get a scholarship's application deadline
+ * @param {Object} scholarship - Scholarship in any of the catalog shapes
+ * @returns {Object} - `{ deadline, date }`: the deadline as written, and a Date or null if it isn't a date
+ */
+export function getScholarshipDeadline(scholarship) {
+  const deadline = scholarship.deadlines?.application ?? scholarship.deadline ?? null;
+  const date = deadline ? new Date(deadline) : null;
+  return { deadline, date: date && !Number.isNaN(date.getTime()) ? date : null };
+}
+
+/**
+ * Check whether a deadline is still open; applications stay open through the whole
+ * deadline day, in the applicant's time zone
+ * @param {string|Date} deadline - Deadline as written ("2027-03-15", "March 15, 2027") or a Date
+ * @param {Date} referenceDate - Now
+ * @returns {boolean} - Whether the deadline has not passed
+ */
+export function isDeadlineOpen(deadline, referenceDate = new Date()) {
+  return toLocalDay(referenceDate) <= toDeadlineDay(deadline);
+}
+
+// Helper functions
+
+function evaluateField(scholarship, profile) {
+  const required = toList(scholarship.field_of_study ?? scholarship.fieldOfStudy ?? scholarship.eligibility?.fields ?? scholarship.eligibility?.fieldOfStudy)
+    .flatMap(field => field.split('/'))
+    .map(field => field.trim())
+    .filter(Boolean);
+  const held = getProfileFields(profile);
+
+  if (required.length === 0) {
+    return unknown('The scholarship does not list a field of study');
+  }
+  if (required.some(field => OPEN_FIELDS.test(field))) {
+    return pass('Open to all fields of study', { scholarshipValue: required.join(', ') });
+  }
+  if (held.length === 0) {
+    return unknown(`Add your field of study to check it against ${required.join(', ')}`, { scholarshipValue: required.join(', ') });
+  }
+
+  for (const field of required) {
+    const requiredText = field.toLowerCase();
+    const match = held.find(value => {
+      const heldText = value.toLowerCase();
+      return heldText.includes(requiredText) || requiredText.includes(heldText) || areRelatedFields(heldText, requiredText);
+    });
+
+    if (match) {
+      return pass(`Your field (${match}) fits ${field}`, {
+        scholarshipValue: required.join(', '),
+        profileValue: held.join(', '),
+        matchedValue: field
+      });
+    }
+  }
+
+  return fail(`Looks for ${required.join(', ')}`, { scholarshipValue: required.join(', '), profileValue: held.join(', ') });
+}
+
+function evaluateSkills(scholarship, profile) {
+  const tags = toList(scholarship.tags);
+  const skills = (profile.skills || []).filter(skill => typeof skill === 'string');
+  const { matched, missing } = matchSkills(skills, tags);
+
+  // Only tags that name a skill count; "diversity" or "google" aren't requirements
+  const skillMissing = missing.filter(item => item.skillId);
+  const relevant = matched.length + skillMissing.length;
+
+  if (relevant === 0) {
+    return unknown('No specific skills listed');
+  }
+  if (skills.length === 0) {
+    return unknown(`Add your skills to check them against ${skillMissing.map(item => item.requirement).join(', ')}`, {
+      scholarshipValue: skillMissing.map(item => item.requirement).join(', ')
+    });
+  }
+
+  const scholarshipValue = [...matched, ...skillMissing].map(item => item.requirement).join(', ');
+  const profileValue = skills.join(', ');
+
+  if (matched.length === 0) {
+    return fail(`Missing skills: ${skillMissing.map(item => item.requirement).join(', ')}`, { scholarshipValue, profileValue });
+  }
+
+  const matchedValue = matched.map(item => item.requirement).join(', ');
+  return {
+    status: CRITERION_STATUS.PASS,
+    credit: matched.length / relevant,
+    scholarshipValue,
+    profileValue,
+    matchedValue,
+    reason: skillMissing.length > 0
+      ? `Your skills cover ${matchedValue}; missing ${skillMissing.map(item => item.requirement).join(', ')}`
+      : `Your skills cover ${matchedValue}`
+  };
+}
+
+function evaluateDegree(scholarship, profile) {
+  const rawLevels = getScholarshipDegrees(scholarship);
+  const scholarshipValue = rawLevels.join(', ') || null;
+  const levels = [...new Set(rawLevels.flatMap(getDegreeLevels))];
+  const profileDegree = VectorSearchService.getProfileFilters(profile).degree;
+  const profileLevels = profileDegree ? getDegreeLevels(profileDegree) : [];
+
+  if (rawLevels.length > 0 && levels.length === 0 && rawLevels.some(level => /\b(any|all)\b/i.test(level))) {
+    return pass('Open to all degree levels', { scholarshipValue });
+  }
+  if (levels.length === 0) {
+    return unknown('The scholarship does not state a degree level', { scholarshipValue });
+  }
+  if (profileLevels.length === 0) {
+    return unknown(`Add the degree you're pursuing to check it against ${scholarshipValue}`, { scholarshipValue });
+  }
+
+  const matchedLevel = profileLevels.find(level => levels.includes(level));
+  return matchedLevel
+    ? pass(`Offered for ${profileDegree}`, { scholarshipValue, profileValue: profileDegree, matchedValue: matchedLevel })
+    : fail(`For ${scholarshipValue} students, not ${profileDegree}`, { scholarshipValue, profileValue: profileDegree });
+}
+
+function evaluateGpa(scholarship, profile) {
+  const minimumGpa = getMinimumGpa(scholarship);
+  const profileGpa = getProfileGpa(profile);
+
+  if (minimumGpa === null) {
+    return pass('No minimum GPA required');
+  }
+  if (profileGpa === null) {
+    return unknown(`Requires a ${minimumGpa.toFixed(1)} GPA; add yours to check`, { scholarshipValue: minimumGpa });
+  }
+
+  return profileGpa >= minimumGpa
+    ? pass(`Your GPA (${profileGpa.toFixed(2)}) meets the ${minimumGpa.toFixed(1)} minimum`, { scholarshipValue: minimumGpa, profileValue: profileGpa, matchedValue: minimumGpa })
+    : fail(`Requires a ${minimumGpa.toFixed(1)} GPA; yours is ${profileGpa.toFixed(2)}`, { scholarshipValue: minimumGpa, profileValue: profileGpa });
+}
+
+function evaluateLocation(scholarship, profile) {
+  const locations = toList(scholarship.eligibility?.countries ?? scholarship.eligibility?.nationality ?? scholarship.country ?? scholarship.location);
+  const scholarshipValue = locations.join(', ') || null;
+  const normalized = locations.map(normalizeCountry);
+  const profileLocations = [
+    ...VectorSearchService.getProfileFilters(profile).countries,
+    profile.country,
+    profile.nationality,
+    profile.location,
+    profile.personalInfo?.location
+  ].filter(value => typeof value === 'string' && value.trim());
+
+  if (locations.length === 0) {
+    return unknown('The scholarship does not state a location', { scholarshipValue });
+  }
+  if (normalized.some(location => UNRESTRICTED_COUNTRIES.has(location))) {
+    return pass('Open to students from any country', { scholarshipValue });
+  }
+  if (profileLocations.length === 0) {
+    return unknown(`Add your nationality or target countries to check against ${scholarshipValue}`, { scholarshipValue });
+  }
+
+  // Profile locations may be "Cairo, Egypt", so look for each country inside them
+  const held = profileLocations.map(normalizeCountry);
+  const matchIndex = normalized.findIndex(country => held.some(value => value === country || value.includes(country)));
+
+  return matchIndex >= 0
+    ? pass(`Available in ${locations[matchIndex]}`, { scholarshipValue, profileValue: profileLocations.join(', '), matchedValue: locations[matchIndex] })
+    : fail(`Limited to ${scholarshipValue}`, { scholarshipValue, profileValue: profileLocations.join(', ') });
+}
+
+function evaluateDeadline(scholarship, referenceDate) {
+  const { deadline, date } = getScholarshipDeadline(scholarship);
+
+  if (!date) {
+    return unknown(deadline ? `Deadline: ${deadline}` : 'No deadline listed', { scholarshipValue: deadline || null });
+  }
+
+  return isDeadlineOpen(deadline, referenceDate)
+    ? pass('Applications are open', { scholarshipValue: deadline })
+    : fail('The application deadline has passed', { scholarshipValue: deadline });
+}
+
+function getProfileFields(profile) {
+  const education = (profile.education || []).flatMap(entry => [entry.field, entry.fieldOfStudy, entry.degree]);
+  return [profile.fieldOfStudy, profile.field, profile.major, ...education]
+    .filter(value => typeof value === 'string' && value.trim())
+    .map(value => value.trim());
+}
+
+function areRelatedFields(field1, field2) {
+  return Object.entries(RELATED_FIELDS).some(([category, related]) => (
+    (field1.includes(category) && related.some(item => field2.includes(item))) ||
+    (field2.includes(category) && related.some(item => field1.includes(item)))
+  ));
+}
+
+function toLocalDay(date) {
+  const day = new Date(date);
+  return `${day.getFullYear()}-${String(day.getMonth() + 1).padStart(2, '0')}-${String(day.getDate()).padStart(2, '0')}`;
+}
+
+// An ISO deadline is already a calendar day; new Date() would read it as UTC midnight
+function toDeadlineDay(deadline) {
+  return typeof deadline === 'string' && /^\d{4}-\d{2}-\d{2}/.test(deadline) ? deadline.slice(0, 10) : toLocalDay(deadline);
+}
+
+function toList(value) {
+  if (Array.isArray(value)) return value.filter(item => typeof item === 'string' && item.trim());
+  if (typeof value !== 'string') return [];
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function pass(reason, values = {}) {
+  return { status: CRITERION_STATUS.PASS, credit: 1, reason, ...values };
+}
+
+function fail(reason, values = {}) {
+  return { status: CRITERION_STATUS.FAIL, credit: 0, reason, ...values };
+}
+
+function unknown(reason, values = {}) {
+  return { status: CRITERION_STATUS.UNKNOWN, credit: UNKNOWN_CREDIT, reason, ...values };
+}
+
+export default {
+  MATCH_CRITERIA,
+  CRITERION_STATUS,
+  DEFAULT_MATCH_WEIGHTS,
+  CRITERION_LABELS,
+  scoreScholarship,
+  rankScholarships,
+  getMatchWeights,
+  getScholarshipDegrees,
+  getScholarshipDeadline,
+  isDeadlineOpen
+};
@@ -0,0 +1,414 @@
+/**
+ * Money Service
+ * Parses award amounts written as free text ("Up to $50,000", "$2,500 - $15,000",
+ * "€1,200 per month", "1.500 € pro Monat") into `{ min, max, currency, period }`, converts them with
+ * the locally configured exchange rates, and estimates how much of a destination
+ * country's typical cost of attendance an award covers.
+ */
+
+import SettingsService from './settingsService.js';
+import { normalizeCountry } from './vectorSearchService.js';
+
+export const DEFAULT_CURRENCY = 'USD';
+
+// ISO 4217 "no currency": amounts in a currency we don't know, which are never converted
+export const UNKNOWN_CURRENCY = 'XXX';
+
+export const MONEY_PERIODS = {
+  ONCE: 'once',
+  YEAR: 'year',
+  SEMESTER: 'semester',
+  MONTH: 'month',
+  WEEK: 'week'
+};
+
+// Built-in units of each currency per US dollar; approximate, for comparison only.
+// Settings (search.exchangeRates) override individual rates.
+export const EXCHANGE_RATES = {
+  USD: 1,
+  EUR: 0.92,
+  GBP: 0.79,
+  CAD: 1.36,
+  AUD: 1.52,
+  NZD: 1.65,
+  CHF: 0.88,
+  JPY: 150,
+  CNY: 7.2,
+  INR: 83,
+  KRW: 1330,
+  SGD: 1.34,
+  HKD: 7.8,
+  SEK: 10.5,
+  NOK: 10.6,
+  DKK: 6.9,
+  AED: 3.67,
+  SAR: 3.75,
+  ZAR: 18.5,
+  BRL: 5.0,
+  MXN: 17.0,
+  TRY: 32,
+  MYR: 4.7
+};
+
+// Typical yearly cost for an international student, in USD, by destination country
+export const COST_OF_ATTENDANCE = {
+  'united states': { tuition: 28000, living: 16000 },
+  'united kingdom': { tuition: 22000, living: 15000 },
+  'canada': { tuition: 25000, living: 13000 },
+  'australia': { tuition: 27000, living: 17000 },
+  'new zealand': { tuition: 25000, living: 15000 },
+  'ireland': { tuition: 20000, living: 14000 },
+  'germany': { tuition: 1500, living: 12000 },
+  'france': { tuition: 4000, living: 12000 },
+  'netherlands': { tuition: 16000, living: 14000 },
+  'sweden': { tuition: 15000, living: 11000 },
+  'switzerland': { tuition: 2000, living: 24000 },
+  'italy': { tuition: 3000, living: 11000 },
+  'spain': { tuition: 4000, living: 11000 },
+  'japan': { tuition: 6000, living: 11000 },
+  'south korea': { tuition: 7000, living: 10000 },
+  'china': { tuition: 4500, living: 7000 },
+  'singapore': { tuition: 25000, living: 14000 },
+  'united arab emirates': { tuition: 20000, living: 15000 }
+};
+
+const PERIODS_PER_YEAR = {
+  [MONEY_PERIODS.YEAR]: 1,
+  [MONEY_PERIODS.SEMESTER]: 2,
+  [MONEY_PERIODS.MONTH]: 12,
+  [MONEY_PERIODS.WEEK]: 52
+};
+
+const PERIOD_PATTERNS = [
+  [MONEY_PERIODS.MONTH, /\b(per|a|each|every)\s+month\b|\/\s*(mo|month)\b|\bmonthly\b|\b(pro\s+monat|monatlich|par\s+mois|mensuel(le)?|al\s+mes|mensual|mensais|mensal)\b/i],
+  [MONEY_PERIODS.WEEK, /\b(per|a|each|every)\s+week\b|\/\s*(wk|week)\b|\bweekly\b/i],
+  [MONEY_PERIODS.SEMESTER, /\b(per|a|each|every)\s+(semester|term)\b|\/\s*(semester|term)\b/i],
+  [MONEY_PERIODS.YEAR, /\b(per|a|each|every)\s+(year|annum)\b|\/\s*(yr|year)\b|\b(annual|annually|yearly|p\.a\.)/i],
+  [MONEY_PERIODS.ONCE, /\b(one[- ]time|one[- ]off|lump[- ]sum|in total|total of)\b/i]
+];
+
+const UP_TO_PATTERN = /\b(up to|upto|maximum( of)?|max\.?|as much as|not exceeding)\s*$/i;
+const AT_LEAST_PATTERN = /\b(at least|minimum( of)?|min\.?|from|starting at|over|more than)\s*$/i;
+const RANGE_SEPARATOR_PATTERN = /^\s*(-|–|—|to|and)\s*$/i;
+
+// Checked in order, so "US$" and "CA$" win over "$"
+const CURRENCY_SYMBOLS = [
+  ['US$', 'USD'],
+  ['CA$', 'CAD'],
+  ['C$', 'CAD'],
+  ['A$', 'AUD'],
+  ['AU$', 'AUD'],
+  ['NZ$', 'NZD'],
+  ['S$', 'SGD'],
+  ['HK$', 'HKD'],
+  ['R$', 'BRL'],
+  ['€', 'EUR'],
+  ['£', 'GBP'],
+  ['¥', 'JPY'],
+  ['₹', 'INR'],
+  ['₩', 'KRW'],
+  ['$', 'USD']
+];
+
+const CURRENCY_CODE_PATTERN = new RegExp(`\\b(${Object.keys(EXCHANGE_RATES).join('|')})\\b`, 'i');
+
+// Signs of a currency we have no rate for: another currency symbol, an ISO-style
+// code next to a figure ("PKR 50,000", "50000 NGN"), or a common abbreviation ("Rs. 50,000")
+const OTHER_CURRENCY_PATTERN = /\p{Sc}|\b[A-Z]{3}\s*\d|\d\s*[A-Z]{3}\b|\b([Rr][sp]|[Kk]r|[Kk]sh|zł|lei)\.?\s*\d/u;
+
+/**
+ * Get the exchange rates in use: the built-in table with any configured overrides
+ * @returns {Object} - Units of each currency per US dollar, by ISO code
+ */
+export function getExchangeRates() {
+  const configured = SettingsService.getSetting('search.exchangeRates', {}) || {};
+  const overrides = Object.entries(configured)
+    .filter(([code, rate]) => /^[A-Z]{3}$/.test(code) && typeof rate === 'number' && rate > 0);
+  return { ...EXCHANGE_RATES, ...Object.fromEntries(overrides), [DEFAULT_CURRENCY]: 1 };
+}
+
+/**
+ * Convert an amount between currencies
+ * @param {number} amount - Amount in the source currency
+ * @param {string} from - ISO currency code of the amount
+ * @param {string} to - ISO currency code to convert to
+ * @param {Object} rates - Units per US dollar; defaults to getExchangeRates()
+ * @returns {number|null} - Converted amount, or null for an unknown currency
+ */
+export function convertAmount(amount, from = DEFAULT_CURRENCY, to = DEFAULT_CURRENCY, rates = getExchangeRates()) {
+  if (typeof amount !== 'number' || !Number.isFinite(amount)) return null;
+
+  const fromCode = String(from).toUpperCase();
+  const toCode = String(to).toUpperCase();
+  if (fromCode === UNKNOWN_CURRENCY || toCode === UNKNOWN_CURRENCY) return null;
+
+  const fromRate = rates[fromCode];
+  const toRate = rates[toCode];
+  if (!fromRate || !toRate) return null;
+
+  return (amount / fromRate) * toRate;
+}
+
+/**
+ * Find the currency an amount is written in
+ * @param {string} text - Amount text, e.g. "€12,000" or "15000 GBP"
+ * @returns {string|null} - ISO currency code, or null if none is stated
+ */
+export function detectCurrency(text) {
+  if (typeof text !== 'string' || !text) return null;
+
+  const code = text.match(CURRENCY_CODE_PATTERN);
+  if (code) return code[1].toUpperCase();
+
+  const symbol = CURRENCY_SYMBOLS.find(([sign]) => text.includes(sign));
+  return symbol ? symbol[1] : null;
+}
+
+/**
+ * Find how often an amount is paid
+ * @param {string} text - Amount text, e.g. "$1,200 per month"
+ * @returns {string|null} - MONEY_PERIODS value, or null if none is stated
+ */
+export function detectPeriod(text) {
+  if (typeof text !== 'string' || !text) return null;
+  const period = PERIOD_PATTERNS.find(([, pattern]) => pattern.test(text));
+  return period ? period[0] : null;
+}
+
+/**
+ * Parse an amount
+ * @param {string|number} value - Amount text ("Up to $50,000", "$2,500 - $15,000") or a number
+ * @param {Object} options - `{ currency, period }` to use when the text doesn't state them
+ * @returns {Object} - `{ min, max, currency, period }`. "Up to X" has no min and "at least X"
+ *   no max; both are null when no figure is stated. period is a MONEY_PERIODS value or null.
+ *   currency is UNKNOWN_CURRENCY when the text is in a currency without an exchange rate
+ */
+export function parseMoney(value, { currency = null, period = null } = {}) {
+  if (typeof value === 'number') {
+    const amount = Number.isFinite(value) ? value : null;
+    return { min: amount, max: amount, currency: (currency || DEFAULT_CURRENCY).toUpperCase(), period };
+  }
+
+  const text = typeof value === 'string' ? value : '';
+  const money = {
+    min: null,
+    max: null,
+    currency: (detectCurrency(text) || currency || (OTHER_CURRENCY_PATTERN.test(text) ? UNKNOWN_CURRENCY : DEFAULT_CURRENCY)).toUpperCase(),
+    period: detectPeriod(text) || period
+  };
+
+  const figures = extractFigures(text);
+  if (figures.length === 0) return money;
+
+  const [first, second] = figures;
+  const before = text.slice(0, first.index);
+
+  if (second && RANGE_SEPARATOR_PATTERN.test(stripCurrency(text.slice(first.end, second.index)))) {
+    money.min = Math.min(first.value, second.value);
+    money.max = Math.max(first.value, second.value);
+  } else if (UP_TO_PATTERN.test(stripCurrency(before))) {
+    money.max = Math.max(...figures.map(figure => figure.value));
+  } else if (AT_LEAST_PATTERN.test(stripCurrency(before)) || /^\s*\+/.test(text.slice(first.end))) {
+    money.min = first.value;
+  } else {
+    // Several figures without a range ("$10,000 plus $2,000 travel"): the largest is the award
+    money.min = money.max = Math.max(...figures.map(figure => figure.value));
+  }
+
+  return money;
+}
+
+/**
+ * Get a scholarship's award amount
+ * @param {Object} scholarship - Scholarship in any of the catalog shapes
+ * @returns {Object} - `{ amount, min, max, currency, period, text }`; amount is the most the
+ *   award pays (null if no figure is stated), currency falls back to USD
+ */
+export function getScholarshipAmount(scholarship = {}) {
+  // Normalized catalog records (see catalogMapper) carry the parsed bounds already
+  const financial = scholarship.financial || {};
+  if (typeof financial.min === 'number' || typeof financial.max === 'number') {
+    const money = {
+      min: financial.min ?? null,
+      max: financial.max ?? null,
+      currency: (financial.currency || DEFAULT_CURRENCY).toUpperCase(),
+      period: financial.period ?? null
+    };
+    return { amount: money.max ?? money.min, ...money, text: formatMoneyRange(money) };
+  }
+
+  const value = scholarship.amount ?? scholarship.financial?.amount ?? scholarship.award_amount;
+  const money = parseMoney(value, {
+    currency: scholarship.currency ?? scholarship.financial?.currency,
+    period: scholarship.amount_period ?? scholarship.financial?.period
+  });
+
+  return {
+    amount: money.max ?? money.min,
+    ...money,
+    text: value === null || value === undefined ? '' : String(value)
+  };
+}
+
+/**
+ * Scale an amount to a year
+ * @param {number} amount - Amount paid each period
+ * @param {string} period - MONEY_PERIODS value; one-off and unstated amounts are left as they are
+ * @returns {number|null} - Yearly amount
+ */
+export function toAnnualAmount(amount, period) {
+  if (typeof amount !== 'number' || !Number.isFinite(amount)) return null;
+  return amount * (PERIODS_PER_YEAR[period] || 1);
+}
+
+/**
+ * Get one number to sort and filter scholarships by amount
+ * @param {Object} scholarship - Scholarship in any of the catalog shapes
+ * @param {string} currency - ISO currency code to express it in
+ * @returns {Object} - `{ low, high }` yearly amounts; "up to X" and "at least X" give X for both,
+ *   both are null when no figure is stated
+ */
+export function getComparableAmount(scholarship = {}, currency = DEFAULT_CURRENCY) {
+  const money = getScholarshipAmount(scholarship);
+  const rates = getExchangeRates();
+  const convert = (amount) => convertAmount(toAnnualAmount(amount, money.period), money.currency, currency, rates);
+
+  const high = convert(money.max ?? money.min);
+  const low = convert(money.min ?? money.max);
+  return { low, high };
+}
+
+/**
+ * Get a scholarship's destination country
+ * @param {Object} scholarship - Scholarship in any of the catalog shapes
+ * @returns {string|null} - Normalized country name, e.g. 'united kingdom'
+ */
+export function getDestinationCountry(scholarship = {}) {
+  const value = scholarship.destination ?? scholarship.country ?? scholarship.location;
+  const first = Array.isArray(value) ? value[0] : typeof value === 'string' ? value.split(',')[0] : null;
+  return first && first.trim() ? normalizeCountry(first) : null;
+}
+
+/**
+ * Estimate what share of a year's tuition and living costs an award covers
+ * @param {Object} scholarship - Scholarship in any of the catalog shapes
+ * @param {Object} options - `{ country, fullyFunded }`; country defaults to the scholarship's
+ *   destination, fullyFunded counts an award without a stated amount as covering everything
+ * @returns {Object|null} - `{ country, annualAward, annualCost, tuition, living, share, basis }` in USD;
+ *   share is 0–1 and basis is 'amount' or 'full_funding'. null when the country has no cost
+ *   estimate, or the award has neither an amount nor full funding
+ */
+export function estimateCoverage(scholarship = {}, { country = getDestinationCountry(scholarship), fullyFunded = false } = {}) {
+  const cost = country ? COST_OF_ATTENDANCE[normalizeCountry(country)] : null;
+  if (!cost) return null;
+
+  const annualCost = cost.tuition + cost.living;
+  const estimate = {
+    country: normalizeCountry(country),
+    annualCost,
+    tuition: cost.tuition,
+    living: cost.living
+  };
+
+  const { high } = getComparableAmount(scholarship, DEFAULT_CURRENCY);
+  if (high !== null) {
+    return { ...estimate, annualAward: Math.round(high), share: Math.min(1, high / annualCost), basis: 'amount' };
+  }
+  if (fullyFunded) {
+    return { ...estimate, annualAward: null, share: 1, basis: 'full_funding' };
+  }
+  return null;
+}
+
+/**
+ * Format an amount for display
+ * @param {number} amount - Amount
+ * @param {string} currency - ISO currency code
+ * @returns {string} - e.g. "$12,000", "€9,200"
+ */
+export function formatMoney(amount, currency = DEFAULT_CURRENCY) {
+  if (typeof amount !== 'number' || !Number.isFinite(amount)) return 'Not specified';
+  if (currency === UNKNOWN_CURRENCY) return Math.round(amount).toLocaleString('en-US');
+
+  try {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency,
+      maximumFractionDigits: 0
+    }).format(amount);
+  } catch (error) {
+    return `${Math.round(amount).toLocaleString('en-US')} ${currency}`;
+  }
+}
+
+/**
+ * Format a parsed amount for display
+ * @param {Object} money - Result of parseMoney
+ * @returns {string} - e.g. "$2,500 – $15,000", "Up to €50,000 / year"
+ */
+export function formatMoneyRange({ min, max, currency = DEFAULT_CURRENCY, period = null } = {}) {
+  let text;
+  if (min === null && max === null) return 'Not specified';
+  if (min === null) text = `Up to ${formatMoney(max, currency)}`;
+  else if (max === null) text = `${formatMoney(min, currency)}+`;
+  else if (min === max) text = formatMoney(min, currency);
+  else text = `${formatMoney(min, currency)} – ${formatMoney(max, currency)}`;
+
+  return PERIODS_PER_YEAR[period] ? `${text} / ${period}` : text;
+}
+
+// Helper functions
+
+// "12,500", "1.500", "10 000", "12.5k", "1.2 million" -> `{ value, index, end }`
+function extractFigures(text) {
+  const figures = [];
+  const pattern = /(?<![\d.,])(\d{1,3}(?:,\d{3})+(?:\.\d+)?|\d{1,3}(?:\.\d{3})+(?:,\d+)?|\d{1,3}(?:[ \u00a0\u202f]\d{3})+(?:[.,]\d+)?|\d+(?:[.,]\d+)?)(?![\d.,]\d)\s*(k|thousand|m|million)?\b/gi;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    let value = toFigureValue(match[1]);
+    const unit = (match[2] || '').toLowerCase();
+    if (unit === 'k' || unit === 'thousand') value *= 1000;
+    if (unit === 'm' || unit === 'million') value *= 1000000;
+    // Percentages ("50% of tuition") aren't amounts
+    if (Number.isFinite(value) && text[match.index + match[0].length] !== '%') {
+      figures.push({ value, index: match.index, end: match.index + match[0].length });
+    }
+  }
+
+  return figures;
+}
+
+// Thousands are grouped with commas ("1,500.50"), dots ("1.500,50") or spaces ("1 500");
+// a lone dot or comma followed by other than three digits is the decimal point
+function toFigureValue(figure) {
+  const compact = figure.replace(/[ \u00a0\u202f]/g, '');
+  if (/^\d{1,3}(?:\.\d{3})+(?:,\d+)?$/.test(compact)) return parseFloat(compact.replace(/\./g, '').replace(',', '.'));
+  if (/^\d{1,3}(?:,\d{3})+(?:\.\d+)?$/.test(compact)) return parseFloat(compact.replace(/,/g, ''));
+  return parseFloat(compact.replace(',', '.'));
+}
+
+function stripCurrency(text) {
+  const withoutSymbols = CURRENCY_SYMBOLS.reduce((result, [sign]) => result.split(sign).join(''), text);
+  return withoutSymbols.replace(new RegExp(CURRENCY_CODE_PATTERN.source, 'gi'), '').trimEnd();
+}
+
+export default {
+  DEFAULT_CURRENCY,
+  UNKNOWN_CURRENCY,
+  MONEY_PERIODS,
+  EXCHANGE_RATES,
+  COST_OF_ATTENDANCE,
+  getExchangeRates,
+  convertAmount,
+  detectCurrency,
+  detectPeriod,
+  parseMoney,
+  getScholarshipAmount,
+  toAnnualAmount,
+  getComparableAmount,
+  getDestinationCountry,
+  estimateCoverage,
+  formatMoney,
+  formatMoneyRange
+};
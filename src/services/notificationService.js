@@ -40,6 +40,7 @@ export class NotificationService {
    */
   static TYPES = {
     DEADLINE_REMINDER: 'deadline_reminder',
+    RECOMMENDATION_OVERDUE: 'recommendation_overdue',
     APPLICATION_UPDATE: 'application_update',
     NEW_SCHOLARSHIP: 'new_scholarship',
     PROFILE_INCOMPLETE: 'profile_incomplete',
@@ -117,7 +118,7 @@ export class NotificationService {
       };
 
       // Store notification
-      const notifications = this.getNotifications();
+      const notifications = this.getStoredNotifications();
       notifications[notificationId] = notification;
       this.saveNotifications(notifications);
 
@@ -394,11 +395,54 @@ export class NotificationService {
         // Mark reminder as sent
         ApplicationService.markReminderSent(reminder.id);
       });
+
+      this.checkForOverdueRecommendations();
     } catch (error) {
       console.error('Error checking for reminders:', error);
     }
   }
 
+  /**
+   * Create a notification for each recommendation letter that has gone past its
+   * due date, once per due date
+   * @returns {number} - Number of notifications created
+   */
+  static checkForOverdueRecommendations() {
+    try {
+      if (!this.getSettings().deadlineReminders) return 0;
+
+      const overdue = ApplicationService.getOverdueRecommendations()
+        .filter(({ recommender, dueDate }) => recommender.overdueNotifiedFor !== dueDate);
+
+      overdue.forEach(({ applicationId, scholarshipTitle, recommender, dueDate, daysOverdue }) => {
+        const priority = daysOverdue >= 7 ? this.PRIORITY.URGENT : this.PRIORITY.HIGH;
+
+        this.createNotification({
+          type: this.TYPES.RECOMMENDATION_OVERDUE,
+          title: 'Recommendation Letter Overdue',
+          message: `${recommender.name}'s letter for ${scholarshipTitle} was due ${daysOverdue === 0 ? 'today' : `${daysOverdue} day${daysOverdue === 1 ? '' : 's'} ago`}`,
+          priority,
+          actionUrl: '/applications',
+          actionText: 'Follow Up',
+          data: {
+            applicationId,
+            recommenderId: recommender.id,
+            dueDate,
+            daysOverdue
+          },
+          showBrowserNotification: true
+        });
+
+        ApplicationService.markRecommendationOverdueNotified(applicationId, recommender.id, dueDate);
+      });
+
+      return overdue.length;
+    } catch (error) {
+      console.error('Error checking for overdue recommendations:', error);
+      return 0;
+    }
+  }
+
   /**
    * Create profile completion reminder
    * @param {Object} profileValidation - Profile validation results
@@ -427,9 +471,36 @@ export class NotificationService {
    * Create new scholarship notification
    * @param {Array} scholarships - New scholarships
    * @param {Object} userProfile - User profile for matching
+   * @param {Object} options - `{ savedSearch }` when the scholarships are new results of a
+   *   saved search; those are all reported, not only the high matches
    */
-  static createNewScholarshipNotification(scholarships, userProfile) {
+  static createNewScholarshipNotification(scholarships, userProfile, { savedSearch = null } = {}) {
     if (!scholarships || scholarships.length === 0) return;
+    if (!this.getSettings().newScholarshipAlerts) return;
+
+    if (savedSearch) {
+      const [topMatch] = [...scholarships].sort((a, b) => (b.matchScore || 0) - (a.matchScore || 0));
+      const message = scholarships.length === 1
+        ? `New match for "${savedSearch.name}": ${topMatch.title}`
+        : `${scholarships.length} new matches for "${savedSearch.name}"`;
+
+      this.createNotification({
+        type: this.TYPES.NEW_SCHOLARSHIP,
+        title: 'New Saved Search Matches',
+        message,
+        priority: this.PRIORITY.HIGH,
+        actionUrl: `/scholarships?savedSearch=${encodeURIComponent(savedSearch.id)}`,
+        actionText: 'View Matches',
+        data: {
+          savedSearchId: savedSearch.id,
+          scholarshipCount: scholarships.length,
+          scholarshipIds: scholarships.map(scholarship => scholarship.id),
+          topMatch: { id: topMatch.id, title: topMatch.title, matchScore: topMatch.matchScore }
+        },
+        showBrowserNotification: true
+      });
+      return;
+    }
 
     const highMatchScholarships = scholarships.filter(s => s.matchScore >= 80);
     
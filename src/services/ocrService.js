@@ -0,0 +1,276 @@
+/**
+ * OCR Service
+ * Recognizes text on scanned, image-only PDF pages with an in-browser OCR
+ * engine and reports per-page confidence so low-quality scans can be flagged
+ */
+
+import { createWorker } from 'tesseract.js';
+import tesseractWorkerUrl from 'tesseract.js/dist/worker.min.js?url';
+import { CV_LANGUAGES, DEFAULT_LANGUAGE, LANGUAGE_DICTIONARIES } from './cvLanguages.js';
+
+// Tesseract language data for each supported CV language
+export const OCR_LANGUAGES = {
+  [CV_LANGUAGES.ENGLISH]: 'eng',
+  [CV_LANGUAGES.FRENCH]: 'fra',
+  [CV_LANGUAGES.SPANISH]: 'spa',
+  [CV_LANGUAGES.PORTUGUESE]: 'por',
+  [CV_LANGUAGES.ARABIC]: 'ara'
+};
+
+// Tesseract confidences are 0-100; below this a page is likely misread
+export const LOW_OCR_CONFIDENCE = 60;
+
+// Pages with fewer text-layer characters than this are treated as scanned
+const MIN_TEXT_LAYER_CHARS = 20;
+
+// Render scale for OCR (1 = 72 DPI, 3 ≈ 216 DPI)
+const OCR_RENDER_SCALE = 3;
+
+/**
+ * Canvas factory for pdf.js when rendering inside a Web Worker, where the
+ * default factory has no `document` to create canvases with
+ */
+export class OffscreenCanvasFactory {
+  constructor({ enableHWA = false } = {}) {
+    this.enableHWA = enableHWA;
+  }
+
+  create(width, height) {
+    const canvas = new OffscreenCanvas(width, height);
+    return { canvas, context: canvas.getContext('2d', { willReadFrequently: !this.enableHWA }) };
+  }
+
+  reset(canvasAndContext, width, height) {
+    canvasAndContext.canvas.width = width;
+    canvasAndContext.canvas.height = height;
+  }
+
+  destroy(canvasAndContext) {
+    canvasAndContext.canvas.width = 0;
+    canvasAndContext.canvas.height = 0;
+    canvasAndContext.canvas = null;
+    canvasAndContext.context = null;
+  }
+}
+
+export class OCRService {
+  static worker = null;
+  static workerLanguages = null;
+  static progressListener = null;
+
+  /**
+   * Check whether a page's text layer is empty (scanned or image-only page)
+   * @param {Array} items - pdf.js text content items
+   * @returns {boolean} - True when the page needs OCR
+   */
+  static needsOcr(items = []) {
+    const characters = items.reduce((count, item) => count + (item.str || '').replace(/\s/g, '').length, 0);
+    return characters < MIN_TEXT_LAYER_CHARS;
+  }
+
+  /**
+   * Check whether OCR can run in this environment
+   * @returns {boolean} - Is supported
+   */
+  static isSupported() {
+    return typeof Worker !== 'undefined' &&
+      (typeof OffscreenCanvas !== 'undefined' || typeof document !== 'undefined');
+  }
+
+  /**
+   * Map CV language codes to Tesseract language data, English first
+   * @param {Array<string>|string} languages - CV language codes, e.g. ['fr']
+   * @returns {Array<string>} - Tesseract codes, e.g. ['eng', 'fra']
+   */
+  static getTesseractLanguages(languages = [DEFAULT_LANGUAGE]) {
+    const requested = Array.isArray(languages) ? languages : [languages];
+    const codes = requested.map(language => OCR_LANGUAGES[language]).filter(Boolean);
+    return [...new Set([OCR_LANGUAGES[DEFAULT_LANGUAGE], ...codes])];
+  }
+
+  /**
+   * Languages offered for OCR
+   * @returns {Array<Object>} - `{ code, name }`
+   */
+  static getAvailableLanguages() {
+    return Object.keys(OCR_LANGUAGES).map(code => ({ code, name: LANGUAGE_DICTIONARIES[code].name }));
+  }
+
+  /**
+   * Render a pdf.js page and recognize its text
+   * @param {Object} page - pdf.js page proxy
+   * @param {Object} options - `{ pageNumber, languages, onProgress }`; onProgress receives 0-1
+   * @returns {Promise<Object>} - `{ layout, result }`: a page layout for the document
+   *   model and `{ page, confidence, words, lowQuality }`
+   */
+  static async recognizePage(page, { pageNumber, languages, onProgress } = {}) {
+    const viewport = page.getViewport({ scale: 1 });
+    const renderViewport = page.getViewport({ scale: OCR_RENDER_SCALE });
+    const canvas = createCanvas(renderViewport.width, renderViewport.height);
+
+    await page.render({ canvasContext: canvas.getContext('2d'), viewport: renderViewport }).promise;
+
+    const worker = await this.getWorker(this.getTesseractLanguages(languages));
+    this.progressListener = onProgress;
+
+    try {
+      const { data } = await worker.recognize(canvas, {}, { text: true, blocks: true });
+      const lines = (data.blocks || [])
+        .flatMap(block => block.paragraphs)
+        .flatMap(paragraph => paragraph.lines)
+        .map(line => toLayoutLine(line, pageNumber, OCR_RENDER_SCALE))
+        .filter(Boolean);
+      const words = lines.reduce((count, line) => count + line.spans.length, 0);
+      const confidence = Math.round(data.confidence || 0);
+
+      return {
+        layout: {
+          number: pageNumber,
+          width: viewport.width,
+          height: viewport.height,
+          columns: 1,
+          lines
+        },
+        result: {
+          page: pageNumber,
+          confidence,
+          words,
+          lowQuality: confidence < LOW_OCR_CONFIDENCE
+        }
+      };
+    } finally {
+      this.progressListener = null;
+      releaseCanvas(canvas);
+    }
+  }
+
+  /**
+   * Summarize per-page OCR results for the upload flow
+   * @param {Array<Object>} pages - Results from `recognizePage`
+   * @param {Array<string>} languages - CV language codes used
+   * @returns {Object|null} - `{ used, languages, pages, averageConfidence, lowQuality, message }`
+   */
+  static summarize(pages, languages) {
+    if (!pages || pages.length === 0) {
+      return null;
+    }
+
+    // Weight by word count so a near-empty back page doesn't drag the average down
+    const totalWords = pages.reduce((count, page) => count + page.words, 0);
+    const averageConfidence = totalWords > 0
+      ? Math.round(pages.reduce((sum, page) => sum + page.confidence * page.words, 0) / totalWords)
+      : 0;
+    const lowQuality = totalWords === 0 || averageConfidence < LOW_OCR_CONFIDENCE;
+    const lowPages = pages.filter(page => page.lowQuality).map(page => page.page);
+
+    return {
+      used: true,
+      languages: this.getTesseractLanguages(languages),
+      pages,
+      averageConfidence,
+      lowQuality,
+      message: lowQuality
+        ? `Your CV looks like a scan and its text could not be read reliably (${averageConfidence}% confidence). Please check the extracted details or upload a clearer scan or a text-based PDF.`
+        : lowPages.length > 0
+        ? `Your CV was read with OCR. Page${lowPages.length > 1 ? 's' : ''} ${lowPages.join(', ')} had low scan quality, so please check the extracted details.`
+        : `Your CV was read with OCR (${averageConfidence}% confidence).`
+    };
+  }
+
+  /**
+   * Stop the OCR engine and free its memory
+   * @returns {Promise<void>}
+   */
+  static async terminate() {
+    if (this.worker) {
+      const worker = this.worker;
+      this.worker = null;
+      this.workerLanguages = null;
+      await worker.terminate();
+    }
+  }
+
+  // Helper methods
+  static async getWorker(tesseractLanguages) {
+    const key = tesseractLanguages.join('+');
+
+    if (this.worker && this.workerLanguages === key) {
+      return this.worker;
+    }
+
+    await this.terminate();
+
+    // The worker script is bundled; the engine core and language data come from the
+    // CDN unless VITE_OCR_CORE_PATH / VITE_OCR_LANG_PATH point at self-hosted copies
+    this.worker = await createWorker(tesseractLanguages, undefined, {
+      workerPath: tesseractWorkerUrl,
+      workerBlobURL: false,
+      ...(import.meta.env.VITE_OCR_CORE_PATH ? { corePath: import.meta.env.VITE_OCR_CORE_PATH } : {}),
+      ...(import.meta.env.VITE_OCR_LANG_PATH ? { langPath: import.meta.env.VITE_OCR_LANG_PATH } : {}),
+      logger: (message) => {
+        if (message.status === 'recognizing text' && typeof this.progressListener === 'function') {
+          this.progressListener(message.progress);
+        }
+      }
+    });
+    this.workerLanguages = key;
+
+    return this.worker;
+  }
+}
+
+// Helper functions
+
+function createCanvas(width, height) {
+  if (typeof OffscreenCanvas !== 'undefined') {
+    return new OffscreenCanvas(Math.ceil(width), Math.ceil(height));
+  }
+
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.ceil(width);
+  canvas.height = Math.ceil(height);
+  return canvas;
+}
+
+function releaseCanvas(canvas) {
+  canvas.width = 0;
+  canvas.height = 0;
+}
+
+// Tesseract keeps lines in reading order (including right-to-left scripts), so
+// lines are built directly instead of re-sorting words by x position
+function toLayoutLine(line, pageNumber, scale) {
+  const text = (line.text || '').replace(/\s+/g, ' ').trim();
+  if (!text) {
+    return null;
+  }
+
+  const toBox = ({ x0, y0, x1, y1 }) => ({
+    x: x0 / scale,
+    y: y0 / scale,
+    width: (x1 - x0) / scale,
+    height: (y1 - y0) / scale
+  });
+  const bbox = toBox(line.bbox);
+  const fontSize = line.rowAttributes?.row_height ? line.rowAttributes.row_height / scale : bbox.height;
+
+  return {
+    text,
+    page: pageNumber,
+    column: 0,
+    bbox,
+    fontSize,
+    bold: false,
+    ocrConfidence: Math.round(line.confidence || 0),
+    spans: (line.words || []).map(word => ({
+      text: word.text,
+      page: pageNumber,
+      bbox: toBox(word.bbox),
+      fontSize,
+      fontName: null,
+      bold: false
+    }))
+  };
+}
+
+export default OCRService;
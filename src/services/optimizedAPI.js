@@ -9,95 +9,53 @@
  */
 
 import { supabase } from './supabase.js';
-import geminiService from './geminiService.js';
+import LLMService from './llmService.js';
+import { MatchRefinementSchema } from '../lib/schema';
+import VectorSearchService, { DEFAULT_CANDIDATE_LIMIT } from './vectorSearchService.js';
+import { getMatchWeights, scoreScholarship } from './matchScoringService.js';
+import { ELIGIBILITY_STATUS, compareEligibility, evaluateEligibility } from './eligibilityService.js';
+import ResultCacheService, { EMPTY_RESULT_TTL_HOURS } from './resultCacheService.js';
+import { TAXONOMY_VERSION } from './skillTaxonomy.js';
+import { CATALOG_SELECT, fromCatalogRow, getCatalogStamp } from './catalogMapper.js';
 
-// Mock services for now - will be implemented in Phase 3.1B
-class MockVectorSearchService {
-  static async findCandidateScholarships(profile, limit = 100) {
-    // Simulate vector search with basic filtering
+/**
+ * Candidate retrieval: loads the active catalog and asks the vector index for
+ * the scholarships closest to the profile
+ */
+class CandidateSearchService {
+  static async loadCatalog() {
     const { data, error } = await supabase
       .from('scholarships')
-      .select('*')
-      .eq('is_active', true)
-      .limit(limit);
+      .select(CATALOG_SELECT)
+      .eq('is_active', true);
     
     if (error) throw error;
-    return data || [];
-  }
-  
-  static profileToSearchText(profile) {
-    const searchParts = [
-      profile.fieldOfStudy || '',
-      profile.degree || '',
-      profile.country || '',
-      profile.targetCountry || '',
-      (profile.skills || []).join(' '),
-      (profile.interests || []).join(' '),
-      profile.careerGoals || ''
-    ].filter(Boolean);
-    
-    return searchParts.join(' ');
-  }
-}
-
-class MockCacheService {
-  static generateProfileHash(profile) {
-    // Simple hash function for profile caching
-    const relevantFields = {
-      degree: profile.degree,
-      field: profile.fieldOfStudy,
-      country: profile.country,
-      gpa: profile.gpa ? Math.floor(profile.gpa * 10) / 10 : null,
-      graduationYear: profile.graduationYear,
-      targetCountries: profile.targetCountries?.sort()
-    };
-    
-    const str = JSON.stringify(relevantFields);
-    let hash = 0;
-    for (let i = 0; i < str.length; i++) {
-      const char = str.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash;
-    }
-    return Math.abs(hash).toString(16);
+    return (data || []).map(fromCatalogRow);
   }
   
-  static async getCachedResults(profileHash) {
-    // Mock cache check - will implement with Redis/Supabase
-    const cacheKey = `scholarship_results_${profileHash}`;
-    const cached = localStorage.getItem(cacheKey);
-    
-    if (cached) {
-      const data = JSON.parse(cached);
-      if (data.expiresAt > Date.now()) {
-        return data.results;
-      }
-      localStorage.removeItem(cacheKey);
-    }
-    
-    return null;
+  /**
+   * Cheap catalog fingerprint input: active scholarship count and the latest edit,
+   * read without loading the catalog
+   * @returns {Promise<Object>} - `{ count, updatedAt }`
+   */
+  static async getCatalogStamp() {
+    return getCatalogStamp(supabase);
   }
   
-  static async cacheResults(profileHash, profileData, results, ttlHours = 24) {
-    // Mock cache storage
-    const cacheKey = `scholarship_results_${profileHash}`;
-    const expiresAt = Date.now() + (ttlHours * 60 * 60 * 1000);
-    
-    localStorage.setItem(cacheKey, JSON.stringify({
-      results,
-      expiresAt,
-      profileData
-    }));
-    
-    return true;
+  static async findCandidateScholarships(profile, catalog, limit = DEFAULT_CANDIDATE_LIMIT, filters = {}) {
+    return VectorSearchService.findCandidateScholarships(profile, catalog, {
+      limit,
+      filters: { ...VectorSearchService.getProfileFilters(profile), ...pickSearchFilters(filters) }
+    });
   }
 }
 
 class EnhancedGeminiService {
   /**
-   * Refine scholarship candidates using optimized Gemini prompts
+   * Refine scholarship candidates using optimized LLM prompts
+   * With `includeIneligible`, the model is told to keep scholarships the student may not qualify for
    */
-  static async refineScholarshipMatches(profile, candidates, limit = 25) {
+  static async refineScholarshipMatches(profile, candidates, limit = 25, { includeIneligible = false } = {}) {
     try {
       if (candidates.length === 0) {
         return {
@@ -107,26 +65,36 @@ class EnhancedGeminiService {
         };
       }
       
-      // Use existing geminiService with optimized prompt
-      const prompt = this.buildRefinementPrompt(profile, candidates, limit);
-      const response = await geminiService.generateContent(prompt);
-      
-      // Parse the response
-      let parsedResponse;
-      try {
-        // Try to extract JSON from response
-        const jsonMatch = response.match(/```json\s*([\s\S]*?)\s*```/);
-        if (jsonMatch) {
-          parsedResponse = JSON.parse(jsonMatch[1]);
-        } else {
-          parsedResponse = JSON.parse(response);
-        }
-      } catch (parseError) {
-        console.warn('Failed to parse Gemini response, using fallback:', parseError);
+      if (!LLMService.isAvailable()) {
         return this.fallbackRanking(profile, candidates, limit);
       }
       
-      return parsedResponse;
+      // Route the optimized prompt through the configured LLM provider
+      const prompt = this.buildRefinementPrompt(profile, candidates, limit, { includeIneligible });
+      
+      const candidateIds = new Set(candidates.slice(0, 50).map(candidate => String(candidate.id)));
+      
+      // Falls through to the fallback ranking below if still invalid after repairs
+      const refined = await LLMService.generateJSON(prompt, {
+        feature: 'match_refinement',
+        schema: MatchRefinementSchema,
+        // Only scholarships that were actually sent may be ranked
+        validate: (data) => data.matches
+          .map((match, index) => candidateIds.has(match.scholarship_id)
+            ? null
+            : { path: `matches[${index}].scholarship_id`, message: `Unknown scholarship id "${match.scholarship_id}"` })
+          .filter(Boolean)
+      });
+      
+      // Explain every ranked match with the scoring engine's breakdown
+      const byId = new Map(candidates.map(candidate => [String(candidate.id), candidate]));
+      return {
+        ...refined,
+        matches: refined.matches.map(match => {
+          const { breakdown, missing } = scoreScholarship(byId.get(match.scholarship_id), profile);
+          return { ...match, missing_reasons: missing, match_breakdown: breakdown };
+        })
+      };
       
     } catch (error) {
       console.error('Gemini refinement failed:', error);
@@ -137,7 +105,7 @@ class EnhancedGeminiService {
   /**
    * Build optimized prompt for scholarship refinement
    */
-  static buildRefinementPrompt(profile, candidates, limit) {
+  static buildRefinementPrompt(profile, candidates, limit, { includeIneligible = false } = {}) {
     // Limit candidates to prevent token overflow
     const limitedCandidates = candidates.slice(0, 50);
     
@@ -195,59 +163,31 @@ RETURN EXACTLY THIS JSON STRUCTURE:
 }
 \`\`\`
 
-Focus on quality over quantity. Only include scholarships the student is likely eligible for.`;
+Focus on quality over quantity. ${includeIneligible
+  ? 'Do not leave out scholarships the student may not be eligible for: rank them lower and set eligibility_status to "conditional" or "ineligible".'
+  : 'Only include scholarships the student is likely eligible for.'}`;
   }
   
   /**
-   * Fallback ranking when Gemini fails
+   * Fallback ranking when Gemini fails, scored by the match scoring engine
    */
   static fallbackRanking(profile, candidates, limit) {
+    const weights = getMatchWeights();
     const scored = candidates.map(scholarship => {
-      let score = 0;
-      const reasons = [];
-      
-      // Field alignment (30 points)
-      if (scholarship.eligibility?.fields?.includes(profile.fieldOfStudy)) {
-        score += 30;
-        reasons.push('Field alignment');
-      }
-      
-      // Degree level match (25 points)
-      if (scholarship.eligibility?.degrees?.includes(profile.degree)) {
-        score += 25;
-        reasons.push('Degree level match');
-      }
-      
-      // Country eligibility (20 points)
-      if (scholarship.eligibility?.countries?.includes(profile.country)) {
-        score += 20;
-        reasons.push('Country eligibility');
-      }
-      
-      // GPA requirement (15 points)
-      if (!scholarship.eligibility?.gpa_min || profile.gpa >= scholarship.eligibility.gpa_min) {
-        score += 15;
-        reasons.push('GPA requirement met');
-      }
-      
-      // Deadline check (10 points)
-      const deadline = new Date(scholarship.deadlines?.application);
-      if (deadline > new Date()) {
-        score += 10;
-        reasons.push('Application deadline open');
-      }
+      const { score, breakdown, matched, missing } = scoreScholarship(scholarship, profile, { weights });
       
       return {
         scholarship_id: scholarship.id,
         name: scholarship.name,
         provider: scholarship.provider,
         match_score: score,
-        match_reasons: reasons,
-        eligibility_status: score > 50 ? 'eligible' : 'conditional',
+        match_reasons: matched,
+        missing_reasons: missing,
+        match_breakdown: breakdown,
         deadline: scholarship.deadlines?.application,
         amount: scholarship.financial?.amount,
         currency: scholarship.financial?.currency || 'USD',
-        application_url: scholarship.source_url,
+        application_url: scholarship.application_url ?? scholarship.source_url,
         key_requirements: scholarship.application?.requirements || []
       };
     });
@@ -269,16 +209,19 @@ export class OptimizedScholarSeekerAPI {
   /**
    * Find scholarships with optimized pipeline
    * Phase 3.1 Implementation: Vector Search + Gemini Refinement + Caching
+   * Scholarships failing a hard eligibility gate are dropped unless `includeIneligible` is set;
+   * every match carries `eligibility_status` and `eligibility_reasons`
    */
-  static async findScholarshipsOptimized(profile, filters = {}) {
+  static async findScholarshipsOptimized(profile, filters = {}, { includeIneligible = false } = {}) {
     try {
       const startTime = Date.now();
       
-      // Step 1: Generate profile hash for caching
-      const profileHash = MockCacheService.generateProfileHash(profile);
+      // Step 1: Fingerprint the catalog; results computed against an older one are invalid
+      const catalogVersion = await ResultCacheService.getCatalogVersion(await CandidateSearchService.getCatalogStamp());
       
       // Step 2: Check cache first
-      const cachedResults = await MockCacheService.getCachedResults(profileHash);
+      const cacheKey = await ResultCacheService.createKey(profile, getCacheContext(filters, includeIneligible));
+      const cachedResults = await ResultCacheService.get(cacheKey, { catalogVersion });
       if (cachedResults) {
         return {
           ...cachedResults,
@@ -287,13 +230,22 @@ export class OptimizedScholarSeekerAPI {
         };
       }
       
-      // Step 3: Vector search for candidates (mock implementation)
+      // Step 3: Vector search for candidates
       console.log('🔍 Searching for candidate scholarships...');
-      const candidates = await MockVectorSearchService.findCandidateScholarships(
-        profile, 
-        100 // Get top 100 candidates
+      const catalog = await CandidateSearchService.loadCatalog();
+      const retrieved = await CandidateSearchService.findCandidateScholarships(
+        profile,
+        catalog,
+        DEFAULT_CANDIDATE_LIMIT, // Get top 100 candidates
+        filters
       );
       
+      // Hard eligibility gates before ranking, so ineligible scholarships never outrank eligible ones
+      const eligibilityById = new Map(retrieved.map(candidate => [String(candidate.id), evaluateEligibility(candidate, profile)]));
+      const candidates = retrieved.filter(candidate => (
+        includeIneligible || eligibilityById.get(String(candidate.id)).status !== ELIGIBILITY_STATUS.INELIGIBLE
+      ));
+      
       if (candidates.length === 0) {
         const result = {
           success: true,
@@ -306,7 +258,7 @@ export class OptimizedScholarSeekerAPI {
         };
         
         // Cache empty results too
-        await MockCacheService.cacheResults(profileHash, profile, result, 6); // 6 hour TTL for empty results
+        await ResultCacheService.set(cacheKey, result, { catalogVersion, ttlHours: EMPTY_RESULT_TTL_HOURS });
         return result;
       }
       
@@ -315,12 +267,20 @@ export class OptimizedScholarSeekerAPI {
       const refinedResults = await EnhancedGeminiService.refineScholarshipMatches(
         profile,
         candidates,
-        25 // Return top 25 matches
+        25, // Return top 25 matches
+        { includeIneligible }
       );
       
+      const scholarships = (refinedResults.matches || [])
+        .map(match => {
+          const eligibility = eligibilityById.get(String(match.scholarship_id));
+          return { ...match, eligibility_status: eligibility.status, eligibility_reasons: eligibility.reasons };
+        })
+        .sort((a, b) => compareEligibility(a.eligibility_status, b.eligibility_status));
+      
       const result = {
         success: true,
-        scholarships: refinedResults.matches || [],
+        scholarships,
         totalFound: refinedResults.matches?.length || 0,
         totalAnalyzed: refinedResults.total_analyzed || candidates.length,
         processingTime: Date.now() - startTime,
@@ -334,7 +294,7 @@ export class OptimizedScholarSeekerAPI {
       };
       
       // Step 5: Cache the results
-      await MockCacheService.cacheResults(profileHash, profile, result);
+      await ResultCacheService.set(cacheKey, result, { catalogVersion });
       
       return result;
       
@@ -349,12 +309,13 @@ export class OptimizedScholarSeekerAPI {
    */
   static async getScholarshipStats() {
     try {
-      const { data, error } = await supabase
+      const { data: rows, error } = await supabase
         .from('scholarships')
-        .select('provider, financial, deadlines, tags, eligibility')
+        .select(CATALOG_SELECT)
         .eq('is_active', true);
         
       if (error) throw error;
+      const data = rows.map(fromCatalogRow);
       
       const stats = {
         total: data.length,
@@ -422,30 +383,15 @@ export class OptimizedScholarSeekerAPI {
   }
   
   /**
-   * Clear expired cache entries
+   * Clear expired cache entries, and entries computed against an older catalog
+   * @returns {Promise<number>} - Number of entries removed
    */
   static async clearExpiredCache() {
     try {
-      // Mock implementation - clear localStorage cache
-      const keys = Object.keys(localStorage);
-      const scholarshipKeys = keys.filter(key => key.startsWith('scholarship_results_'));
+      const catalogVersion = await ResultCacheService.getCatalogVersion(await CandidateSearchService.getCatalogStamp());
+      const cleared = await ResultCacheService.prune({ catalogVersion });
       
-      let cleared = 0;
-      scholarshipKeys.forEach(key => {
-        try {
-          const data = JSON.parse(localStorage.getItem(key));
-          if (data.expiresAt <= Date.now()) {
-            localStorage.removeItem(key);
-            cleared++;
-          }
-        } catch (e) {
-          // Invalid data, remove it
-          localStorage.removeItem(key);
-          cleared++;
-        }
-      });
-      
-      console.log(`Cleared ${cleared} expired cache entries`);
+      console.log(`Cleared ${cleared} stale cache entries`);
       return cleared;
     } catch (error) {
       console.error('Cache cleanup failed:', error);
@@ -454,4 +400,37 @@ export class OptimizedScholarSeekerAPI {
   }
 }
 
+// Helper functions
+
+// Everything besides the profile that changes the ranked results
+function getCacheContext(filters, includeIneligible) {
+  const { provider, model } = LLMService.getConfig();
+  
+  return {
+    filters,
+    includeIneligible,
+    weights: getMatchWeights(),
+    ranker: LLMService.isAvailable() ? `${provider.id}:${model}` : 'fallback',
+    embeddings: VectorSearchService.getProvider().model,
+    taxonomy: TAXONOMY_VERSION
+  };
+}
+
+// Explicit search preferences override the filters derived from the profile
+function pickSearchFilters(filters = {}) {
+  const picked = {};
+  
+  if (filters.degree || filters.degreeLevel) {
+    picked.degree = filters.degree || filters.degreeLevel;
+  }
+  if (filters.countries?.length > 0 || filters.country) {
+    picked.countries = filters.countries?.length > 0 ? filters.countries : [filters.country];
+  }
+  if (filters.deadlineAfter) {
+    picked.deadlineAfter = filters.deadlineAfter;
+  }
+  
+  return picked;
+}
+
 export default OptimizedScholarSeekerAPI;
\ No newline at end of file
@@ -4,36 +4,133 @@
  */
 
 import * as pdfjsLib from 'pdfjs-dist';
+import pdfWorkerUrl from 'pdfjs-dist/build/pdf.worker.min.mjs?url';
+import {
+  SECTION_TYPES,
+  buildPageLayout,
+  buildDocumentModel,
+  documentFromText,
+  getSectionText
+} from './cvDocumentModel.js';
+import { FIELD_SOURCES, annotateProfile } from './profileProvenanceService.js';
+import { parseDateRange, parseGpa } from './academicNormalizer.js';
+import {
+  LANGUAGE_DICTIONARIES,
+  collectTerms,
+  getAllMonths,
+  escapePattern,
+  getParsingDictionaries,
+  wholeWordPattern
+} from './cvLanguages.js';
+import { PARSING_STAGES, createProgressEvent } from './cvParsingProgress.js';
+import { extractSkillsFromText, normalizeSkill } from './skillTaxonomy.js';
+import OCRService, { OffscreenCanvasFactory } from './ocrService.js';
 
-// Configure PDF.js worker
-pdfjsLib.GlobalWorkerOptions.workerSrc = `//cdnjs.cloudflare.com/ajax/libs/pdf.js/${pdfjsLib.version}/pdf.worker.min.js`;
+// Serve the PDF.js worker from the app bundle so parsing works offline and under a strict CSP
+pdfjsLib.GlobalWorkerOptions.workerSrc = pdfWorkerUrl;
+
+// Base confidence of each regex extractor, adjusted by where the value was found
+const REGEX_CONFIDENCE = {
+  'personalInfo.name': 0.6,
+  'personalInfo.email': 0.95,
+  'personalInfo.phone': 0.75,
+  'personalInfo.location': 0.5,
+  education: 0.6,
+  experience: 0.5,
+  skills: 0.65,
+  achievements: 0.55,
+  interests: 0.5
+};
+
+// Section each field is expected to come from
+const FIELD_SECTIONS = {
+  'personalInfo.name': SECTION_TYPES.HEADER,
+  'personalInfo.location': SECTION_TYPES.HEADER,
+  education: SECTION_TYPES.EDUCATION,
+  experience: SECTION_TYPES.EXPERIENCE,
+  skills: SECTION_TYPES.SKILLS,
+  achievements: SECTION_TYPES.ACHIEVEMENTS,
+  interests: SECTION_TYPES.INTERESTS
+};
+
+// Vocabulary shared by all languages (dates, labels and names are recognised regardless of CV language)
+const ALL_DICTIONARIES = Object.values(LANGUAGE_DICTIONARIES);
+const MONTH_PATTERN = wholeWordPattern(Object.keys(getAllMonths()).sort((a, b) => b.length - a.length));
+const ONGOING_PATTERN = wholeWordPattern(collectTerms(ALL_DICTIONARIES, 'ongoing'));
+const NAME_WORD = "\\p{Lu}[\\p{Ll}'’]+(?:-\\p{Lu}?[\\p{Ll}'’]+)*";
+const NAME_PARTICLES = 'de|da|do|dos|das|del|della|di|du|la|le|van|von|der|bin|ibn|ben|al|el';
+const LATIN_NAME_PATTERN = new RegExp(`^(${NAME_WORD}(?:[ \\t]+(?:(?:${NAME_PARTICLES})[ \\t]+)*${NAME_WORD}){1,3})`, 'mu');
+const ARABIC_NAME_PATTERN = /^(\p{Script=Arabic}+(?:[ \t]+\p{Script=Arabic}+){1,3})[ \t]*$/mu;
+
+// Per-language extraction patterns, built once per language
+const languagePatternCache = new Map();
 
 export class PDFParserService {
   /**
-   * Extract text from PDF file
+   * Extract a layout-aware document model from PDF file
    * @param {File} pdfFile - PDF file to parse
-   * @returns {Promise<string>} - Extracted text content
+   * @param {Object} options - Extraction options
+   * @param {Function} options.onProgress - Called with "page N of M" progress events
+   * @param {Array<string>} options.ocrLanguages - CV languages to OCR scanned pages in (English is always included)
+   * @returns {Promise<Object>} - Document model (sections → lines → spans with page/bbox),
+   *   with `ocr` set to per-page confidence when scanned pages were recognized
    */
-  static async extractTextFromPDF(pdfFile) {
+  static async extractDocumentFromPDF(pdfFile, { onProgress, ocrLanguages } = {}) {
+    const report = typeof onProgress === 'function' ? onProgress : () => {};
+
     try {
       const arrayBuffer = await pdfFile.arrayBuffer();
-      const pdf = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
+      const pdf = await pdfjsLib.getDocument({ data: arrayBuffer, ...getRenderingOptions() }).promise;
       
-      let fullText = '';
+      const pages = [];
+      const ocrResults = [];
       
-      // Extract text from each page
-      for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
-        const page = await pdf.getPage(pageNum);
-        const textContent = await page.getTextContent();
-        
-        const pageText = textContent.items
-          .map(item => item.str)
-          .join(' ');
-        
-        fullText += pageText + '\n';
+      try {
+        // Rebuild lines and columns from item coordinates on each page
+        for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
+          const page = await pdf.getPage(pageNum);
+          const viewport = page.getViewport({ scale: 1 });
+          const textContent = await page.getTextContent();
+          
+          // Scanned pages have no text layer: recognize the rendered image instead
+          if (OCRService.needsOcr(textContent.items) && OCRService.isSupported()) {
+            const { layout, result } = await OCRService.recognizePage(page, {
+              pageNumber: pageNum,
+              languages: ocrLanguages,
+              onProgress: (fraction) => report(createProgressEvent(PARSING_STAGES.PAGES, {
+                current: pageNum - 1 + fraction,
+                total: pdf.numPages,
+                message: `Reading scanned page ${pageNum} of ${pdf.numPages}`
+              }))
+            });
+            pages.push(layout);
+            ocrResults.push(result);
+          } else {
+            pages.push(buildPageLayout(textContent.items, {
+              pageNumber: pageNum,
+              width: viewport.width,
+              height: viewport.height,
+              styles: textContent.styles
+            }));
+          }
+
+          report(createProgressEvent(PARSING_STAGES.PAGES, {
+            current: pageNum,
+            total: pdf.numPages,
+            message: `Extracting page ${pageNum} of ${pdf.numPages}`
+          }));
+        }
+      } finally {
+        if (ocrResults.length > 0) {
+          await OCRService.terminate();
+        }
       }
       
-      return fullText.trim();
+      report(createProgressEvent(PARSING_STAGES.SECTIONS));
+      return {
+        ...buildDocumentModel(pages, { source: 'pdf' }),
+        ocr: OCRService.summarize(ocrResults, ocrLanguages)
+      };
     } catch (error) {
       console.error('PDF extraction error:', error);
       throw new Error(`Failed to extract text from PDF: ${error.message}`);
@@ -41,55 +138,132 @@ export class PDFParserService {
   }
 
   /**
-   * Analyze and structure CV text using advanced parsing
-   * @param {string} text - Raw text from PDF
-   * @returns {Object} - Structured CV data
+   * Extract text from PDF file
+   * @param {File} pdfFile - PDF file to parse
+   * @returns {Promise<string>} - Extracted text content, one layout line per line
+   */
+  static async extractTextFromPDF(pdfFile) {
+    const document = await this.extractDocumentFromPDF(pdfFile);
+    return document.text;
+  }
+
+  /**
+   * Analyze and structure CV using advanced parsing
+   * @param {Object|string} input - Document model, or raw text for plain-text CVs
+   * @param {Object} options - `{ onProgress }` called as each part of the CV is extracted
+   * @returns {Object} - Structured CV data with per-field `provenance`
    */
-  static analyzeCV(text) {
-    const sections = {
-      personalInfo: this.extractPersonalInfo(text),
-      education: this.extractEducation(text),
-      experience: this.extractExperience(text),
-      skills: this.extractSkills(text),
-      achievements: this.extractAchievements(text),
-      interests: this.extractInterests(text)
-    };
+  static analyzeCV(input, { onProgress } = {}) {
+    const document = typeof input === 'string' ? documentFromText(input) : input;
+    const report = typeof onProgress === 'function' ? onProgress : () => {};
+    const extractors = [
+      ['personalInfo', PARSING_STAGES.PERSONAL_INFO, () => this.extractPersonalInfo(document)],
+      ['education', PARSING_STAGES.EDUCATION, () => this.extractEducation(document)],
+      ['experience', PARSING_STAGES.EXPERIENCE, () => this.extractExperience(document)],
+      ['skills', PARSING_STAGES.SKILLS, () => this.extractSkills(document)],
+      ['achievements', PARSING_STAGES.ACHIEVEMENTS, () => this.extractAchievements(document)],
+      ['interests', PARSING_STAGES.INTERESTS, () => this.extractInterests(document)]
+    ];
+
+    const sections = {};
+    for (const [field, stage, extract] of extractors) {
+      report(createProgressEvent(stage));
+      sections[field] = extract();
+    }
     
-    return sections;
+    return annotateProfile(sections, {
+      source: FIELD_SOURCES.REGEX,
+      document,
+      scoreField: (field, value, span) => this.scoreField(document, field, span)
+    });
   }
 
   /**
-   * Extract personal information from CV text
-   * @param {string} text - CV text
+   * Score a regex-extracted value: values found inside the section they belong
+   * to are more trustworthy than matches from a full-text fallback
+   * @param {Object} document - CV document model
+   * @param {string} field - Field path, e.g. 'personalInfo.name' or 'skills'
+   * @param {Object|null} span - Where the value was found
+   * @returns {number} - Confidence between 0 and 1
+   */
+  static scoreField(document, field, span) {
+    let confidence = REGEX_CONFIDENCE[field] ?? 0.5;
+    const expectedSection = FIELD_SECTIONS[field];
+
+    if (!span) return confidence - 0.2;
+    if (!expectedSection) return confidence;
+
+    if (span.section === expectedSection) {
+      confidence += 0.2;
+    } else if (!getSectionText(document, expectedSection)) {
+      confidence -= 0.1; // No such section, value came from the whole CV
+    }
+
+    return confidence;
+  }
+
+  /**
+   * Extract personal information from CV document
+   * @param {Object} document - CV document model
    * @returns {Object} - Personal information
    */
-  static extractPersonalInfo(text) {
+  static extractPersonalInfo(document) {
+    const text = document.text;
+    const headerText = getSectionText(document, SECTION_TYPES.HEADER);
     const emailRegex = /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Z|a-z]{2,}\b/g;
     const phoneRegex = /(?:\+?1[-. ]?)?\(?([0-9]{3})\)?[-. ]?([0-9]{3})[-. ]?([0-9]{4})/g;
-    const nameRegex = /^([A-Z][a-z]+ [A-Z][a-z]+)/m;
+    const internationalPhoneRegex = /\+\d{1,3}[\s.-]?(?:\(?\d{1,4}\)?[\s.-]?){2,5}\d{2,4}/g;
     
     const emails = text.match(emailRegex) || [];
-    const phones = text.match(phoneRegex) || [];
-    const names = text.match(nameRegex) || [];
+    const phones = text.match(internationalPhoneRegex) || text.match(phoneRegex) || [];
+    const names = (headerText || text).match(LATIN_NAME_PATTERN) || (headerText || text).match(ARABIC_NAME_PATTERN) || [];
+    const headerLocation = this.extractLocation(headerText);
     
     return {
-      name: names[0] || 'Not specified',
+      name: this.extractNameFromHeader(document) || names[1] || 'Not specified',
       email: emails[0] || 'Not specified',
-      phone: phones[0] || 'Not specified',
-      location: this.extractLocation(text)
+      phone: phones[0] ? phones[0].trim() : 'Not specified',
+      location: headerLocation !== 'Not specified' ? headerLocation : this.extractLocation(text)
     };
   }
 
+  /**
+   * Pick the candidate's name from the header block: the most prominent
+   * short line that carries no contact details
+   * @param {Object} document - CV document model
+   * @returns {string|null} - Name or null if none looks like a name
+   */
+  static extractNameFromHeader(document) {
+    const header = document.sections.find(section => section.type === SECTION_TYPES.HEADER);
+    if (!header) return null;
+
+    const candidates = header.lines
+      .slice(0, 5)
+      .filter(line => {
+        const words = line.text.split(/\s+/);
+        return words.length >= 2 && words.length <= 4 && !/[@\d/|:]/.test(line.text);
+      });
+
+    if (candidates.length === 0) return null;
+
+    const [best] = [...candidates].sort((a, b) => (b.fontSize || 0) - (a.fontSize || 0));
+    return best.text;
+  }
+
   /**
    * Extract location from CV text
    * @param {string} text - CV text
    * @returns {string} - Location
    */
   static extractLocation(text) {
+    if (!text) return 'Not specified';
+
+    const place = `\\p{Lu}\\p{Ll}+(?:(?:[ -]| (?:${NAME_PARTICLES}) )\\p{Lu}\\p{Ll}+)*`;
     const locationPatterns = [
-      /(?:Address|Location|Based in|Located in)[:\s]+([^\n]+)/i,
-      /([A-Z][a-z]+,\s*[A-Z]{2})/g,
-      /([A-Z][a-z]+,\s*[A-Z][a-z]+)/g
+      new RegExp(`${wholeWordPattern(collectTerms(ALL_DICTIONARIES, 'locationLabels'))}[:\\s]+([^\\n]+)`, 'iu'),
+      new RegExp(`(${place},\\s*\\p{Lu}{2})(?![\\p{L}])`, 'gu'),
+      new RegExp(`(${place},\\s*${place})`, 'gu'),
+      /(\p{Script=Arabic}+(?: \p{Script=Arabic}+)? ?[،,] ?\p{Script=Arabic}+(?: \p{Script=Arabic}+)?)/gu
     ];
     
     for (const pattern of locationPatterns) {
@@ -104,26 +278,40 @@ export class PDFParserService {
 
   /**
    * Extract education information
-   * @param {string} text - CV text
+   * @param {Object} document - CV document model
    * @returns {Array} - Education entries
    */
-  static extractEducation(text) {
-    const educationSection = this.extractSection(text, ['education', 'academic', 'qualification']);
+  static extractEducation(document) {
+    const educationSection = this.extractSection(document, SECTION_TYPES.EDUCATION);
+    // Local degree names first so "Master en ..." keeps its French connector out of the field
     const degreePatterns = [
+      ...this.getLanguagePatterns(document.language).degrees,
       /(?:Bachelor|Master|PhD|Doctorate|Associate|Certificate)\s+(?:of\s+)?(?:Science|Arts|Engineering|Business|Medicine)?\s*(?:in\s+)?([^\n,]+)/gi,
-      /(?:B\.?[AS]|M\.?[AS]|Ph\.?D|MBA)\s*(?:in\s+)?([^\n,]+)/gi
+      /\b(?:B\.?[AS]c?|M\.?[AS]c?|Ph\.?D|MBA)\b\.?\s*(?:in\s+)?([^\n,]+)/g
     ];
     
     const education = [];
+    const matchedRanges = [];
     
     for (const pattern of degreePatterns) {
       const matches = educationSection.matchAll(pattern);
       for (const match of matches) {
+        // Later patterns may hit inside a degree already matched above
+        const end = match.index + match[0].length;
+        if (matchedRanges.some(([start, stop]) => match.index < stop && end > start)) continue;
+        matchedRanges.push([match.index, end]);
+
+        const year = this.extractYear(educationSection, match.index);
+        const gpa = this.extractGpa(educationSection, match.index);
+
         education.push({
-          degree: match[0],
-          field: match[1] || 'Not specified',
+          degree: match[0].trim(),
+          field: match[1]?.trim() || 'Not specified',
           institution: this.extractInstitution(educationSection, match.index),
-          year: this.extractYear(educationSection, match.index)
+          year,
+          period: parseDateRange(year),
+          gpa: gpa ? gpa.raw : null,
+          gpaNormalized: gpa
         });
       }
     }
@@ -132,31 +320,43 @@ export class PDFParserService {
       degree: 'Not specified',
       field: 'Not specified',
       institution: 'Not specified',
-      year: 'Not specified'
+      year: 'Not specified',
+      period: parseDateRange(''),
+      gpa: null,
+      gpaNormalized: null
     }];
   }
 
   /**
    * Extract work experience
-   * @param {string} text - CV text
+   * @param {Object} document - CV document model
    * @returns {Array} - Experience entries
    */
-  static extractExperience(text) {
-    const experienceSection = this.extractSection(text, ['experience', 'work', 'employment', 'career']);
+  static extractExperience(document) {
+    const experienceSection = this.extractSection(document, SECTION_TYPES.EXPERIENCE);
     const jobTitlePatterns = [
       /(?:^|\n)([A-Z][^\n]*(?:Engineer|Developer|Manager|Analyst|Specialist|Coordinator|Assistant|Director|Lead|Senior|Junior)[^\n]*)/gm,
-      /(?:Position|Role|Title)[:\s]+([^\n]+)/gi
+      /(?:Position|Role|Title)[:\s]+([^\n]+)/gi,
+      ...this.getLanguagePatterns(document.language).jobTitles
     ];
     
     const experience = [];
+    const seenTitles = new Set();
     
     for (const pattern of jobTitlePatterns) {
       const matches = experienceSection.matchAll(pattern);
       for (const match of matches) {
+        const title = match[1].trim();
+        if (seenTitles.has(title)) continue;
+        seenTitles.add(title);
+
+        const duration = this.extractDuration(experienceSection, match.index);
+
         experience.push({
-          title: match[1].trim(),
+          title,
           company: this.extractCompany(experienceSection, match.index),
-          duration: this.extractDuration(experienceSection, match.index),
+          duration,
+          period: parseDateRange(duration),
           description: this.extractJobDescription(experienceSection, match.index)
         });
       }
@@ -166,48 +366,33 @@ export class PDFParserService {
   }
 
   /**
-   * Extract skills from CV text
-   * @param {string} text - CV text
+   * Extract skills from CV document
+   * @param {Object} document - CV document model
    * @returns {Array} - Skills array
    */
-  static extractSkills(text) {
-    const skillsSection = this.extractSection(text, ['skills', 'technical', 'competencies', 'technologies']);
-    
-    const commonSkills = [
-      // Programming languages
-      'JavaScript', 'Python', 'Java', 'C++', 'C#', 'PHP', 'Ruby', 'Go', 'Rust', 'Swift',
-      // Web technologies
-      'React', 'Angular', 'Vue', 'Node.js', 'Express', 'HTML', 'CSS', 'TypeScript',
-      // Databases
-      'MySQL', 'PostgreSQL', 'MongoDB', 'Redis', 'SQLite',
-      // Cloud & DevOps
-      'AWS', 'Azure', 'Docker', 'Kubernetes', 'Git', 'Jenkins',
-      // Data Science
-      'Machine Learning', 'Data Analysis', 'TensorFlow', 'PyTorch', 'Pandas', 'NumPy',
-      // Other
-      'Project Management', 'Leadership', 'Communication', 'Problem Solving'
-    ];
+  static extractSkills(document) {
+    const skillsSection = this.extractSection(document, SECTION_TYPES.SKILLS);
     
-    const foundSkills = [];
     const textLower = skillsSection.toLowerCase();
-    
-    for (const skill of commonSkills) {
-      if (textLower.includes(skill.toLowerCase())) {
+
+    // Taxonomy skills and their aliases ("JS", "Postgres"), reported by canonical name
+    const foundSkills = extractSkillsFromText(skillsSection).map(skill => skill.name);
+
+    // Local-language skill names map to the same canonical names
+    for (const [term, skill] of this.getLanguagePatterns(document.language).skillTerms) {
+      if (textLower.includes(term)) {
         foundSkills.push(skill);
       }
     }
     
     // Extract additional skills using patterns
-    const skillPatterns = [
-      /(?:Skills|Technologies|Tools)[:\s]*([^\n]+)/gi,
-      /(?:Proficient in|Experience with|Knowledge of)[:\s]*([^\n]+)/gi
-    ];
+    const skillPatterns = this.getLanguagePatterns(document.language).skillLabels;
     
     for (const pattern of skillPatterns) {
       const matches = skillsSection.matchAll(pattern);
       for (const match of matches) {
-        const skills = match[1].split(/[,;|]/).map(s => s.trim()).filter(s => s.length > 2);
-        foundSkills.push(...skills.slice(0, 3)); // Limit additional skills
+        const skills = match[1].split(/[,;|،]/).map(s => s.trim()).filter(s => s.length > 2);
+        foundSkills.push(...skills.slice(0, 3).map(normalizeSkill)); // Limit additional skills
       }
     }
     
@@ -215,15 +400,15 @@ export class PDFParserService {
   }
 
   /**
-   * Extract achievements from CV text
-   * @param {string} text - CV text
+   * Extract achievements from CV document
+   * @param {Object} document - CV document model
    * @returns {Array} - Achievements array
    */
-  static extractAchievements(text) {
-    const achievementSection = this.extractSection(text, ['achievements', 'awards', 'honors', 'accomplishments']);
+  static extractAchievements(document) {
+    const achievementSection = this.extractSection(document, SECTION_TYPES.ACHIEVEMENTS);
     
     const achievementPatterns = [
-      /(?:Award|Prize|Recognition|Honor|Achievement)[:\s]*([^\n]+)/gi,
+      ...this.getLanguagePatterns(document.language).achievements,
       /(?:Dean's List|Magna Cum Laude|Summa Cum Laude|Cum Laude)/gi,
       /(?:First Place|Winner|Champion|Top \d+)/gi
     ];
@@ -241,12 +426,12 @@ export class PDFParserService {
   }
 
   /**
-   * Extract interests from CV text
-   * @param {string} text - CV text
+   * Extract interests from CV document
+   * @param {Object} document - CV document model
    * @returns {Array} - Interests array
    */
-  static extractInterests(text) {
-    const interestsSection = this.extractSection(text, ['interests', 'hobbies', 'activities', 'personal']);
+  static extractInterests(document) {
+    const interestsSection = this.extractSection(document, SECTION_TYPES.INTERESTS);
     
     const commonInterests = [
       'Machine Learning', 'Artificial Intelligence', 'Web Development', 'Mobile Development',
@@ -263,35 +448,77 @@ export class PDFParserService {
         foundInterests.push(interest);
       }
     }
+
+    for (const [term, interest] of this.getLanguagePatterns(document.language).interestTerms) {
+      if (textLower.includes(term)) {
+        foundInterests.push(interest);
+      }
+    }
     
-    return foundInterests.slice(0, 8); // Limit interests
+    return [...new Set(foundInterests)].slice(0, 8); // Limit interests
   }
 
-  // Helper methods
-  static extractSection(text, keywords) {
-    for (const keyword of keywords) {
-      const regex = new RegExp(`(${keyword}[^\n]*\n[\s\S]*?)(?=\n[A-Z][^\n]*:|$)`, 'i');
-      const match = text.match(regex);
-      if (match) {
-        return match[1];
-      }
+  /**
+   * Get the extraction patterns for a CV language (plus English)
+   * @param {string} language - Detected CV language code
+   * @returns {Object} - Regexes and term maps used by the extract* methods
+   */
+  static getLanguagePatterns(language) {
+    if (languagePatternCache.has(language)) {
+      return languagePatternCache.get(language);
     }
-    return text; // Return full text if no section found
+
+    const dictionaries = getParsingDictionaries(language);
+    const degreeTerms = collectTerms(dictionaries, 'degrees');
+    const connectors = collectTerms(dictionaries, 'degreeConnectors')
+      .map(connector => connector.endsWith("'") ? escapePattern(connector) : `${escapePattern(connector)}\\s+`);
+    const jobTitles = collectTerms(dictionaries, 'jobTitles');
+    const achievementTerms = collectTerms(dictionaries, 'achievements').map(escapePattern);
+
+    const patterns = {
+      degrees: degreeTerms.length > 0
+        ? [new RegExp(`${wholeWordPattern(degreeTerms)}\\s*(?:${connectors.join('|')})?([^\\n,،]*)`, 'giu')]
+        : [],
+      jobTitles: jobTitles.length > 0
+        ? [new RegExp(`(?:^|\\n)([^\\n]*${wholeWordPattern(jobTitles)}[^\\n]*)`, 'giu')]
+        : [],
+      skillLabels: [new RegExp(`${wholeWordPattern(collectTerms(dictionaries, 'skillLabels'))}[:\\s]*([^\\n]+)`, 'giu')],
+      achievements: [new RegExp(`(?<![\\p{L}])(?:${achievementTerms.join('|')})[:\\s]*([^\\n]+)`, 'giu')],
+      skillTerms: dictionaries.flatMap(dictionary => Object.entries(dictionary.skills)),
+      interestTerms: dictionaries.flatMap(dictionary => Object.entries(dictionary.interests))
+    };
+
+    languagePatternCache.set(language, patterns);
+    return patterns;
+  }
+
+  // Helper methods
+  static extractSection(document, type) {
+    const sectionText = getSectionText(document, type);
+    return sectionText || document.text; // Return full text if no section found
   }
 
   static extractInstitution(text, position) {
     const beforeText = text.substring(Math.max(0, position - 200), position);
     const afterText = text.substring(position, position + 200);
+    const lineStart = text.lastIndexOf('\n', position) + 1;
+    const lineEnd = text.indexOf('\n', position);
+    const degreeLine = text.substring(lineStart, lineEnd === -1 ? text.length : lineEnd);
     
+    const localInstitutions = wholeWordPattern(collectTerms(ALL_DICTIONARIES, 'institutions'));
     const institutionPatterns = [
       /(?:University|College|Institute|School)\s+of\s+[A-Z][^\n,]*/gi,
-      /[A-Z][^\n,]*(?:University|College|Institute|School)/gi
+      /[A-Z][^\n,]*(?:University|College|Institute|School)/gi,
+      new RegExp(`${localInstitutions}[^\\n,،]*`, 'giu')
     ];
     
-    for (const pattern of institutionPatterns) {
-      const match = (beforeText + afterText).match(pattern);
-      if (match) {
-        return match[0];
+    // An institution named on the degree line beats one from a neighbouring entry
+    for (const surroundingText of [degreeLine, beforeText + afterText]) {
+      for (const pattern of institutionPatterns) {
+        const match = surroundingText.match(pattern);
+        if (match) {
+          return match[0].trim();
+        }
       }
     }
     
@@ -299,7 +526,18 @@ export class PDFParserService {
   }
 
   static extractYear(text, position) {
-    const surroundingText = text.substring(Math.max(0, position - 100), position + 100);
+    // Prefer a period written on the degree line itself over nearby entries
+    const lineStart = text.lastIndexOf('\n', position) + 1;
+    const lineEnd = text.indexOf('\n', position);
+    const degreeLine = text.substring(lineStart, lineEnd === -1 ? text.length : lineEnd);
+    const surroundingText = /\b(19|20)\d{2}\b/.test(degreeLine)
+      ? degreeLine
+      : text.substring(Math.max(0, position - 100), position + 100);
+    const ongoingMatch = surroundingText.match(new RegExp(`\\b(?:19|20)\\d{2}\\s*[-–]\\s*${ONGOING_PATTERN}`, 'iu'));
+    if (ongoingMatch) {
+      return ongoingMatch[0];
+    }
+
     const yearPattern = /\b(19|20)\d{2}\b/g;
     const years = surroundingText.match(yearPattern);
     
@@ -310,11 +548,19 @@ export class PDFParserService {
     return 'Not specified';
   }
 
+  static extractGpa(text, position) {
+    // Grades are written on the degree line or the few lines below it
+    const entryText = text.substring(position).split('\n').slice(0, 3).join('\n');
+    return parseGpa(entryText);
+  }
+
   static extractCompany(text, position) {
     const surroundingText = text.substring(Math.max(0, position - 100), position + 200);
+    const lineEnd = text.indexOf('\n', position);
+    const titleLine = text.substring(position, lineEnd === -1 ? text.length : lineEnd);
     const companyPatterns = [
-      /(?:at|@)\s+([A-Z][^\n,]*(?:Inc|LLC|Corp|Company|Ltd|Technologies|Systems|Solutions))/gi,
-      /(?:Company|Organization|Employer)[:\s]+([^\n]+)/gi
+      /(?:at|@)\s+([A-Z][^\n,]*(?:Inc|LLC|Corp|Company|Ltd|Technologies|Systems|Solutions|S\.A\.|SARL|SAS|Ltda|S\.L\.|GmbH))/i,
+      new RegExp(`${wholeWordPattern(collectTerms(ALL_DICTIONARIES, 'companyLabels'))}[:\\s]+([^\\n]+)`, 'iu')
     ];
     
     for (const pattern of companyPatterns) {
@@ -324,15 +570,27 @@ export class PDFParserService {
       }
     }
     
+    // Prepositions like "en" or "na" are too common to trust anywhere but the
+    // title line or the start of a line, and only before a proper name
+    const prepositions = wholeWordPattern(collectTerms(ALL_DICTIONARIES, 'companyPrepositions').filter(term => term !== 'at'));
+    const prepositionPattern = `${prepositions}\\s+((?:\\p{Lu}|\\p{Script=Arabic})[^\\n,،|]*)`;
+    const prepositionMatch = titleLine.match(new RegExp(prepositionPattern, 'u')) ||
+      surroundingText.match(new RegExp(`(?:^|\\n)[ \\t]*${prepositionPattern}`, 'u'));
+    if (prepositionMatch) {
+      return prepositionMatch[1].trim();
+    }
+    
     return 'Not specified';
   }
 
   static extractDuration(text, position) {
     const surroundingText = text.substring(Math.max(0, position - 100), position + 100);
+    const monthYear = `${MONTH_PATTERN}\\.?\\s+(?:de\\s+)?(?:19|20)\\d{2}`;
     const durationPatterns = [
-      /\b(\d{1,2})\s+(?:years?|months?)\b/gi,
-      /\b(19|20)\d{2}\s*[-–]\s*(19|20)\d{2}\b/g,
-      /\b(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)\w*\s+(19|20)\d{2}\s*[-–]\s*(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)\w*\s+(19|20)\d{2}\b/gi
+      new RegExp(`${monthYear}\\s*[-–]\\s*(?:${monthYear}|${ONGOING_PATTERN})`, 'giu'),
+      new RegExp(`\\b(?:0?[1-9]|1[0-2])[/.](?:19|20)\\d{2}\\s*[-–]\\s*(?:(?:0?[1-9]|1[0-2])[/.](?:19|20)\\d{2}|${ONGOING_PATTERN})`, 'giu'),
+      new RegExp(`\\b(?:19|20)\\d{2}\\s*[-–]\\s*(?:(?:19|20)\\d{2}\\b|${ONGOING_PATTERN})`, 'giu'),
+      /\b(\d{1,2})\s+(?:years?|months?|ans?|mois|años|meses|anos|سنوات|سنة|أشهر|شهر)(?!\p{L})/giu
     ];
     
     for (const pattern of durationPatterns) {
@@ -356,4 +614,16 @@ export class PDFParserService {
   }
 }
 
+// Helper functions
+
+// Inside a Web Worker there is no DOM: render pages to OffscreenCanvas and
+// draw glyphs as paths instead of loading fonts through `document.fonts`
+function getRenderingOptions() {
+  if (typeof document !== 'undefined' || typeof OffscreenCanvas === 'undefined') {
+    return {};
+  }
+
+  return { CanvasFactory: OffscreenCanvasFactory, disableFontFace: true };
+}
+
 export default PDFParserService;
\ No newline at end of file
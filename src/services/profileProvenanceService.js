@@ -0,0 +1,451 @@
+/**
+ * Profile Provenance Service
+ * Tracks confidence, source and CV text span for every extracted profile field
+ * and merges profiles from several sources without losing that information
+ */
+
+export const FIELD_SOURCES = {
+  REGEX: 'regex',
+  GEMINI: 'gemini',
+  USER: 'user'
+};
+
+export const LOW_CONFIDENCE_THRESHOLD = 0.6;
+
+const PERSONAL_FIELDS = ['name', 'email', 'phone', 'location'];
+const ENTRY_FIELDS = {
+  education: ['degree', 'institution'],
+  experience: ['title', 'company']
+};
+const LIST_FIELDS = ['skills', 'achievements', 'interests'];
+const LIST_LIMITS = { skills: 20, achievements: 10, interests: 8 };
+
+// Confidence for values whose source gives no score of its own
+const DEFAULT_CONFIDENCE = {
+  [FIELD_SOURCES.REGEX]: 0.6,
+  [FIELD_SOURCES.GEMINI]: 0.75,
+  [FIELD_SOURCES.USER]: 1
+};
+// Gemini values that cannot be found in the CV text may be paraphrased or invented
+const UNLOCATED_PENALTY = 0.35;
+// Two independent sources agreeing on a list value
+const AGREEMENT_BONUS = 0.1;
+
+/**
+ * Build the provenance key for a profile value
+ * @param {string} field - 'personalInfo.name', 'education', 'skills', ...
+ * @param {*} value - Field value (entry object for education/experience)
+ * @returns {string} - Provenance key
+ */
+export function getFieldKey(field, value) {
+  if (field.startsWith('personalInfo.')) {
+    return field;
+  }
+
+  if (ENTRY_FIELDS[field]) {
+    const parts = ENTRY_FIELDS[field].map(part => normalizeValue(value?.[part]));
+    return `${field}:${parts.join('|')}`;
+  }
+
+  return `${field}:${normalizeValue(value)}`;
+}
+
+/**
+ * Create the provenance record for one field
+ * @param {Object} meta - `{ source, confidence, span, confirmed }`
+ * @returns {Object} - Field provenance
+ */
+export function createFieldMeta({ source, confidence, span = null, confirmed = false }) {
+  return {
+    source,
+    confidence: roundConfidence(confidence ?? DEFAULT_CONFIDENCE[source] ?? 0.5),
+    span,
+    confirmed,
+    updatedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Find where a value appears in the CV
+ * @param {Object} document - CV document model
+ * @param {string|Array<string>} candidates - Text(s) to look for, first match wins
+ * @returns {Object|null} - `{ text, start, end, line, page, bbox, section }` or null
+ */
+export function locateSpan(document, candidates) {
+  const fullText = document?.text || '';
+  const haystack = fullText.toLowerCase();
+
+  for (const candidate of [].concat(candidates)) {
+    const needle = typeof candidate === 'string' ? candidate.trim() : '';
+    if (needle.length < 2) continue;
+
+    const start = haystack.indexOf(needle.toLowerCase());
+    if (start === -1) continue;
+
+    const span = {
+      text: fullText.slice(start, start + needle.length),
+      start,
+      end: start + needle.length,
+      line: null,
+      page: null,
+      bbox: null,
+      section: null
+    };
+
+    for (const section of document.sections || []) {
+      const line = section.lines.find(item => item.text.toLowerCase().includes(needle.toLowerCase()));
+      if (line) {
+        span.line = line.text;
+        span.page = line.page ?? null;
+        span.bbox = line.bbox ?? null;
+        span.section = section.type;
+        break;
+      }
+    }
+
+    return span;
+  }
+
+  return null;
+}
+
+/**
+ * Attach provenance to every extracted value of a profile
+ * @param {Object} profile - Profile with personalInfo, education, experience and list fields
+ * @param {Object} options - `{ source, document, scoreField(field, value, span) }`
+ * @returns {Object} - Profile with a `provenance` map
+ */
+export function annotateProfile(profile, { source, document = null, scoreField = null } = {}) {
+  const provenance = {};
+
+  forEachField(profile, (field, value, key) => {
+    const span = document ? locateSpan(document, getSpanCandidates(field, value)) : null;
+    let confidence = scoreField ? scoreField(field, value, span) : DEFAULT_CONFIDENCE[source];
+    if (!scoreField && document && !span && source !== FIELD_SOURCES.USER) {
+      confidence -= UNLOCATED_PENALTY;
+    }
+
+    provenance[key] = createFieldMeta({ source, confidence, span });
+  });
+
+  return { ...profile, provenance };
+}
+
+/**
+ * Merge annotated profiles field by field. User-confirmed values always win,
+ * otherwise the value with the highest confidence is kept. Other top-level
+ * fields carry no provenance; they are taken from the first profile that has them.
+ * @param {Array<Object>} profiles - Annotated profiles
+ * @returns {Object} - Merged profile with combined provenance
+ */
+export function mergeProfiles(profiles) {
+  const candidates = profiles.filter(Boolean);
+  const merged = { personalInfo: {}, provenance: {} };
+
+  // Personal information: best value per field
+  for (const name of PERSONAL_FIELDS) {
+    const key = `personalInfo.${name}`;
+    let best = null;
+
+    for (const profile of candidates) {
+      const value = profile.personalInfo?.[name];
+      if (!hasValue(value)) continue;
+
+      const meta = getMeta(profile, key);
+      if (!best || outranks(meta, best.meta)) {
+        best = { value, meta };
+      }
+    }
+
+    merged.personalInfo[name] = best ? best.value : 'Not specified';
+    if (best?.meta) merged.provenance[key] = best.meta;
+  }
+
+  // Education and experience: the most trusted source's entries plus any confirmed entries
+  for (const field of Object.keys(ENTRY_FIELDS)) {
+    const sources = candidates
+      .map(profile => ({ profile, entries: (profile[field] || []).filter(entry => hasEntryValue(field, entry)) }))
+      .filter(({ entries }) => entries.length > 0);
+
+    const preferred = sources.reduce((best, current) => (
+      !best || averageConfidence(current.profile, field, current.entries) > averageConfidence(best.profile, field, best.entries)
+        ? current
+        : best
+    ), null);
+
+    const entries = new Map();
+    for (const { profile, entries: sourceEntries } of sources) {
+      for (const entry of sourceEntries) {
+        const key = getFieldKey(field, entry);
+        const meta = getMeta(profile, key);
+        const existing = entries.get(key);
+
+        if (profile !== preferred.profile && !meta?.confirmed) continue;
+        if (existing && !outranks(meta, existing.meta)) continue;
+        entries.set(key, { entry, meta });
+      }
+    }
+
+    merged[field] = [...entries.values()].map(({ entry }) => entry);
+    entries.forEach(({ meta }, key) => {
+      if (meta) merged.provenance[key] = meta;
+    });
+  }
+
+  // Lists: union, ranked by confidence, confirmed values never dropped
+  for (const field of LIST_FIELDS) {
+    const values = new Map();
+
+    for (const profile of candidates) {
+      for (const value of profile[field] || []) {
+        if (!hasValue(value)) continue;
+
+        const key = getFieldKey(field, value);
+        const meta = getMeta(profile, key);
+        const existing = values.get(key);
+
+        if (!existing) {
+          values.set(key, { value, meta, sources: new Set([meta?.source]) });
+          continue;
+        }
+
+        existing.sources.add(meta?.source);
+        if (outranks(meta, existing.meta)) {
+          existing.value = value;
+          existing.meta = meta;
+        }
+      }
+    }
+
+    const ranked = [...values.entries()]
+      .map(([key, item]) => {
+        const agreed = item.meta && !item.meta.confirmed && item.sources.size > 1;
+        const meta = agreed
+          ? { ...item.meta, confidence: roundConfidence(Math.min(0.99, item.meta.confidence + AGREEMENT_BONUS)) }
+          : item.meta;
+        return { key, value: item.value, meta };
+      })
+      .sort((a, b) => rank(b.meta) - rank(a.meta));
+
+    const confirmedCount = ranked.filter(item => item.meta?.confirmed).length;
+    const kept = ranked.slice(0, Math.max(LIST_LIMITS[field], confirmedCount));
+
+    merged[field] = kept.map(item => item.value);
+    kept.forEach(({ key, meta }) => {
+      if (meta) merged.provenance[key] = meta;
+    });
+  }
+
+  // Anything else (metadata, extra sections from a parser) passes through
+  const knownFields = new Set(['personalInfo', 'provenance', ...Object.keys(ENTRY_FIELDS), ...LIST_FIELDS]);
+  for (const profile of candidates) {
+    for (const [field, value] of Object.entries(profile)) {
+      if (knownFields.has(field) || field in merged || !hasAnyValue(value)) continue;
+      merged[field] = value;
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * Reduce a profile to its user-confirmed values so they can be carried
+ * into a freshly parsed profile
+ * @param {Object} profile - Stored profile
+ * @returns {Object|null} - Profile with only confirmed values, or null if none
+ */
+export function pickConfirmedFields(profile) {
+  if (!profile?.provenance) return null;
+
+  const isConfirmed = (key) => Boolean(profile.provenance[key]?.confirmed);
+  const confirmed = { personalInfo: {}, provenance: {} };
+
+  for (const name of PERSONAL_FIELDS) {
+    if (isConfirmed(`personalInfo.${name}`)) {
+      confirmed.personalInfo[name] = profile.personalInfo?.[name];
+    }
+  }
+  for (const field of [...Object.keys(ENTRY_FIELDS), ...LIST_FIELDS]) {
+    confirmed[field] = (profile[field] || []).filter(value => isConfirmed(getFieldKey(field, value)));
+  }
+
+  Object.entries(profile.provenance).forEach(([key, meta]) => {
+    if (meta?.confirmed) confirmed.provenance[key] = meta;
+  });
+
+  return Object.keys(confirmed.provenance).length > 0 ? confirmed : null;
+}
+
+/**
+ * Record manual edits: changed or added values become confirmed user values
+ * and provenance for removed values is dropped
+ * @param {Object} previous - Profile before the edit
+ * @param {Object} updated - Profile after the edit
+ * @returns {Object} - Updated profile with provenance
+ */
+export function applyUserEdits(previous, updated) {
+  const previousProvenance = previous?.provenance || {};
+  const provenance = {};
+
+  forEachField(updated, (field, value, key) => {
+    const before = previousProvenance[key];
+    const unchanged = field.startsWith('personalInfo.')
+      ? previous?.personalInfo?.[field.split('.')[1]] === value
+      : Boolean(before);
+
+    provenance[key] = unchanged && before
+      ? before
+      : createFieldMeta({ source: FIELD_SOURCES.USER, confidence: 1, confirmed: true });
+  });
+
+  return { ...updated, provenance };
+}
+
+/**
+ * Mark a field as reviewed and confirmed by the user
+ * @param {Object} profile - Profile
+ * @param {string} key - Provenance key
+ * @returns {Object} - Profile with the field confirmed
+ */
+export function confirmField(profile, key) {
+  const meta = profile?.provenance?.[key] || createFieldMeta({ source: FIELD_SOURCES.USER, confidence: 1 });
+
+  return {
+    ...profile,
+    provenance: {
+      ...(profile?.provenance || {}),
+      [key]: { ...meta, confidence: 1, confirmed: true, updatedAt: new Date().toISOString() }
+    }
+  };
+}
+
+/**
+ * Get the provenance for a profile value
+ * @param {Object} profile - Profile
+ * @param {string} field - 'personalInfo.name', 'education', 'skills', ...
+ * @param {*} value - Field value
+ * @returns {Object|null} - Field provenance
+ */
+export function getFieldMeta(profile, field, value) {
+  return getMeta(profile, getFieldKey(field, value));
+}
+
+/**
+ * Check whether a field should be reviewed by the user
+ * @param {Object|null} meta - Field provenance
+ * @param {number} threshold - Confidence threshold
+ * @returns {boolean} - Needs review
+ */
+export function isLowConfidence(meta, threshold = LOW_CONFIDENCE_THRESHOLD) {
+  return Boolean(meta) && !meta.confirmed && meta.confidence < threshold;
+}
+
+/**
+ * List the unconfirmed fields below the confidence threshold
+ * @param {Object} profile - Profile
+ * @param {number} threshold - Confidence threshold
+ * @returns {Array<Object>} - `{ key, field, value, label, meta }` sorted by confidence
+ */
+export function getLowConfidenceFields(profile, threshold = LOW_CONFIDENCE_THRESHOLD) {
+  const fields = [];
+
+  forEachField(profile, (field, value, key) => {
+    const meta = getMeta(profile, key);
+    if (isLowConfidence(meta, threshold)) {
+      fields.push({ key, field, value, label: getValueLabel(field, value), meta });
+    }
+  });
+
+  return fields.sort((a, b) => a.meta.confidence - b.meta.confidence);
+}
+
+// Helper functions
+
+function forEachField(profile, callback) {
+  if (!profile) return;
+
+  for (const name of PERSONAL_FIELDS) {
+    const value = profile.personalInfo?.[name];
+    if (hasValue(value)) callback(`personalInfo.${name}`, value, `personalInfo.${name}`);
+  }
+  for (const field of Object.keys(ENTRY_FIELDS)) {
+    (profile[field] || [])
+      .filter(entry => hasEntryValue(field, entry))
+      .forEach(entry => callback(field, entry, getFieldKey(field, entry)));
+  }
+  for (const field of LIST_FIELDS) {
+    (profile[field] || [])
+      .filter(hasValue)
+      .forEach(value => callback(field, value, getFieldKey(field, value)));
+  }
+}
+
+function getSpanCandidates(field, value) {
+  if (ENTRY_FIELDS[field]) {
+    return ENTRY_FIELDS[field].map(part => value?.[part]);
+  }
+  return [value];
+}
+
+function getValueLabel(field, value) {
+  if (ENTRY_FIELDS[field]) {
+    return ENTRY_FIELDS[field].map(part => value?.[part]).filter(hasValue).join(' — ');
+  }
+  return String(value);
+}
+
+function getMeta(profile, key) {
+  return profile?.provenance?.[key] || null;
+}
+
+function outranks(meta, other) {
+  return rank(meta) > rank(other);
+}
+
+function rank(meta) {
+  if (!meta) return 0;
+  return meta.confirmed ? 2 : meta.confidence;
+}
+
+function averageConfidence(profile, field, entries) {
+  const scores = entries.map(entry => rank(getMeta(profile, getFieldKey(field, entry))));
+  return scores.reduce((sum, score) => sum + score, 0) / scores.length;
+}
+
+function hasValue(value) {
+  return typeof value === 'string' && value.trim() !== '' && value !== 'Not specified';
+}
+
+function hasAnyValue(value) {
+  if (typeof value === 'string') return hasValue(value);
+  if (Array.isArray(value)) return value.length > 0;
+  return value !== null && value !== undefined;
+}
+
+function hasEntryValue(field, entry) {
+  return Boolean(entry) && ENTRY_FIELDS[field].some(part => hasValue(entry[part]));
+}
+
+function normalizeValue(value) {
+  return typeof value === 'string' ? value.toLowerCase().replace(/\s+/g, ' ').trim() : '';
+}
+
+function roundConfidence(confidence) {
+  return Math.round(Math.max(0, Math.min(1, confidence)) * 100) / 100;
+}
+
+export default {
+  FIELD_SOURCES,
+  LOW_CONFIDENCE_THRESHOLD,
+  getFieldKey,
+  createFieldMeta,
+  locateSpan,
+  annotateProfile,
+  mergeProfiles,
+  pickConfirmedFields,
+  applyUserEdits,
+  confirmField,
+  getFieldMeta,
+  isLowConfidence,
+  getLowConfidenceFields
+};
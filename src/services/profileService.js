@@ -3,6 +3,8 @@
  * Handles CV profile data storage, retrieval, and management
  */
 
+import { applyUserEdits, confirmField, getLowConfidenceFields } from './profileProvenanceService.js';
+
 export class ProfileService {
   static STORAGE_KEY = 'scholarai_user_profile';
   static TEMP_STORAGE_KEY = 'scholarai_temp_profiles';
@@ -171,7 +173,8 @@ export class ProfileService {
   }
 
   /**
-   * Update user profile
+   * Update user profile. Edited values are recorded as user-confirmed so
+   * later CV uploads never overwrite them
    * @param {Object} profileUpdates - Profile updates
    * @param {string} profileId - Profile ID (optional)
    * @returns {boolean} - Success status
@@ -183,11 +186,11 @@ export class ProfileService {
         throw new Error('Profile not found');
       }
 
-      const updatedProfile = {
+      const updatedProfile = applyUserEdits(currentProfile, {
         ...currentProfile,
         ...profileUpdates,
         updatedAt: new Date().toISOString()
-      };
+      });
 
       this.storeProfile(updatedProfile);
       return true;
@@ -197,6 +200,36 @@ export class ProfileService {
     }
   }
 
+  /**
+   * Confirm an extracted field as correct without editing it
+   * @param {string} fieldKey - Provenance key, e.g. 'personalInfo.name' or 'skills:python'
+   * @returns {boolean} - Success status
+   */
+  static confirmProfileField(fieldKey) {
+    try {
+      const currentProfile = this.getProfile();
+      if (!currentProfile) {
+        throw new Error('Profile not found');
+      }
+
+      this.storeProfile(confirmField(currentProfile, fieldKey));
+      return true;
+    } catch (error) {
+      console.error('Error confirming profile field:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get extracted fields that should be reviewed by the user
+   * @param {string} profileId - Profile ID (optional)
+   * @returns {Array} - Low-confidence fields, least confident first
+   */
+  static getFieldsNeedingReview(profileId = null) {
+    const profile = this.getProfile(profileId);
+    return profile ? getLowConfidenceFields(profile) : [];
+  }
+
   /**
    * Delete user profile
    * @param {string} profileId - Profile ID (optional)
@@ -312,6 +345,11 @@ export class ProfileService {
       });
     }
 
+    const lowConfidenceFields = getLowConfidenceFields(profile);
+    if (lowConfidenceFields.length > 0) {
+      warnings.push(`${lowConfidenceFields.length} extracted field(s) have low confidence and should be reviewed`);
+    }
+
     return {
       isValid: errors.length === 0,
       errors,
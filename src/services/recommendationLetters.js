@@ -0,0 +1,228 @@
+/**
+ * Recommendation Letters
+ * The people asked to write letters for an application, where each request
+ * stands (not yet asked, requested, reminded, received or declined), when the
+ * letter is due, and the email used to ask for it.
+ */
+
+export const RECOMMENDATION_STATUS = {
+  NOT_REQUESTED: 'not_requested',
+  REQUESTED: 'requested',
+  REMINDED: 'reminded',
+  RECEIVED: 'received',
+  DECLINED: 'declined'
+};
+
+export const RECOMMENDATION_STATUS_LABELS = {
+  [RECOMMENDATION_STATUS.NOT_REQUESTED]: 'Not requested',
+  [RECOMMENDATION_STATUS.REQUESTED]: 'Requested',
+  [RECOMMENDATION_STATUS.REMINDED]: 'Reminded',
+  [RECOMMENDATION_STATUS.RECEIVED]: 'Received',
+  [RECOMMENDATION_STATUS.DECLINED]: 'Declined'
+};
+
+// Statuses a recommender can move to from each status; a reminder can be sent more than once
+const NEXT_STATUSES = {
+  [RECOMMENDATION_STATUS.NOT_REQUESTED]: [RECOMMENDATION_STATUS.REQUESTED, RECOMMENDATION_STATUS.DECLINED],
+  [RECOMMENDATION_STATUS.REQUESTED]: [RECOMMENDATION_STATUS.REMINDED, RECOMMENDATION_STATUS.RECEIVED, RECOMMENDATION_STATUS.DECLINED],
+  [RECOMMENDATION_STATUS.REMINDED]: [RECOMMENDATION_STATUS.REMINDED, RECOMMENDATION_STATUS.RECEIVED, RECOMMENDATION_STATUS.DECLINED],
+  [RECOMMENDATION_STATUS.RECEIVED]: [],
+  [RECOMMENDATION_STATUS.DECLINED]: [RECOMMENDATION_STATUS.NOT_REQUESTED]
+};
+
+// Referees need about two weeks, so letters are due that long before the application deadline
+const LETTER_LEAD_DAYS = 14;
+
+/**
+ * Create a recommender record
+ * @param {Object} fields - `{ name, email, relationship, dueDate, checklistItemId, notes }`
+ * @returns {Object} - `{ id, name, email, relationship, status, dueDate, checklistItemId, requestedAt,
+ *   reminders, receivedAt, notes, createdAt, updatedAt }`
+ * @throws {Error} - `code` 'invalid_recommender' without a name
+ */
+export function createRecommender({ name, email = '', relationship = '', dueDate = null, checklistItemId = null, notes = '' } = {}) {
+  if (!name || !name.trim()) {
+    const error = new Error('Recommender name is required');
+    error.code = 'invalid_recommender';
+    throw error;
+  }
+
+  const now = new Date().toISOString();
+  return {
+    id: `rec_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    name: name.trim(),
+    email: email.trim(),
+    relationship: relationship.trim(),
+    status: RECOMMENDATION_STATUS.NOT_REQUESTED,
+    dueDate,
+    checklistItemId,
+    requestedAt: null,
+    reminders: [],
+    receivedAt: null,
+    notes,
+    createdAt: now,
+    updatedAt: now
+  };
+}
+
+/**
+ * Statuses a recommender can move to next
+ * @param {Object} recommender - Recommender
+ * @returns {Array<string>} - RECOMMENDATION_STATUS values
+ */
+export function getNextStatuses(recommender) {
+  return NEXT_STATUSES[recommender.status] || [];
+}
+
+/**
+ * Apply a status change, stamping when the letter was requested, chased or received
+ * @param {Object} recommender - Recommender
+ * @param {string} status - RECOMMENDATION_STATUS value
+ * @param {Date} now - Current time
+ * @returns {Object} - Updated recommender
+ * @throws {Error} - `code` 'invalid_transition' when the status can't follow the current one
+ */
+export function applyRecommendationStatus(recommender, status, now = new Date()) {
+  if (!getNextStatuses(recommender).includes(status)) {
+    const error = new Error(
+      `Cannot go from ${RECOMMENDATION_STATUS_LABELS[recommender.status] || recommender.status} to ${RECOMMENDATION_STATUS_LABELS[status] || status}`
+    );
+    error.code = 'invalid_transition';
+    throw error;
+  }
+
+  const at = now.toISOString();
+  const updated = { ...recommender, status, updatedAt: at };
+  if (status === RECOMMENDATION_STATUS.REQUESTED) updated.requestedAt = at;
+  if (status === RECOMMENDATION_STATUS.REMINDED) updated.reminders = [...(recommender.reminders || []), at];
+  if (status === RECOMMENDATION_STATUS.RECEIVED) updated.receivedAt = at;
+  return updated;
+}
+
+/**
+ * When a letter is due: the recommender's own due date, else that of the checklist
+ * item it covers, else two weeks before the application deadline
+ * @param {Object} recommender - Recommender
+ * @param {Object} application - Application the letter is for
+ * @returns {string|null} - Date as YYYY-MM-DD
+ */
+export function getLetterDueDate(recommender, application = {}) {
+  if (recommender.dueDate) return recommender.dueDate;
+
+  const item = (application.checklist?.items || []).find(entry => entry.id === recommender.checklistItemId);
+  if (item?.dueDate) return item.dueDate;
+
+  const deadline = application.timeline?.deadline ? toLocalDate(application.timeline.deadline) : null;
+  if (!deadline || Number.isNaN(deadline.getTime())) return null;
+  deadline.setDate(deadline.getDate() - LETTER_LEAD_DAYS);
+  return toLocalDay(deadline);
+}
+
+/**
+ * Whether a letter that hasn't arrived is past its due date
+ * @param {Object} recommender - Recommender
+ * @param {Object} application - Application the letter is for
+ * @param {Date} now - Current time
+ * @returns {boolean} - Overdue status
+ */
+export function isLetterOverdue(recommender, application, now = new Date()) {
+  if (recommender.status === RECOMMENDATION_STATUS.RECEIVED || recommender.status === RECOMMENDATION_STATUS.DECLINED) {
+    return false;
+  }
+
+  const dueDate = getLetterDueDate(recommender, application);
+  if (!dueDate) return false;
+
+  // Compared as calendar days; new Date('YYYY-MM-DD') is UTC midnight, the day before west of UTC
+  return String(dueDate).slice(0, 10) < toLocalDay(now);
+}
+
+/**
+ * Draft the email asking a recommender for a letter
+ * @param {Object} recommender - Recommender
+ * @param {Object} application - Application the letter is for
+ * @param {Object} options - `{ studentName }`; a placeholder is used without one
+ * @returns {Object} - `{ to, subject, body, mailto }`
+ */
+export function buildRequestEmail(recommender, application = {}, { studentName = '' } = {}) {
+  const scholarship = application.scholarship || {};
+  const title = scholarship.title || scholarship.name || 'a scholarship';
+  const provider = scholarship.provider || scholarship.organization || '';
+  const dueDate = getLetterDueDate(recommender, application);
+  const sender = studentName || '[Your name]';
+  const isReminder = recommender.status === RECOMMENDATION_STATUS.REQUESTED || recommender.status === RECOMMENDATION_STATUS.REMINDED;
+
+  const subject = isReminder
+    ? `Reminder: recommendation letter for ${title}`
+    : `Recommendation letter request: ${title}`;
+
+  const details = [
+    `Scholarship: ${title}${provider ? ` (${provider})` : ''}`,
+    scholarship.amount ? `Award: ${typeof scholarship.amount === 'number' ? `$${scholarship.amount.toLocaleString()}` : scholarship.amount}` : null,
+    dueDate ? `Letter needed by: ${formatDate(dueDate)}` : null,
+    application.timeline?.deadline ? `Application deadline: ${formatDate(application.timeline.deadline)}` : null,
+    scholarship.link || scholarship.url ? `Details: ${scholarship.link || scholarship.url}` : null
+  ].filter(Boolean);
+
+  const opening = isReminder
+    ? `I wanted to follow up on my request for a recommendation letter for the ${title}.`
+    : `I am applying for the ${title} and would be grateful if you would write a letter of recommendation in support of my application.`;
+
+  const closing = isReminder
+    ? 'If you have already sent it, thank you, and please ignore this message.'
+    : 'I am happy to send my CV, transcripts or anything else that would help. Please let me know if you are able to write the letter.';
+
+  const body = [
+    `Dear ${recommender.name},`,
+    '',
+    opening,
+    relationshipLine(recommender),
+    '',
+    ...details,
+    '',
+    closing,
+    '',
+    'Thank you for your time and support.',
+    '',
+    'Best regards,',
+    sender
+  ].filter(line => line !== null).join('\n');
+
+  const mailto = `mailto:${encodeURIComponent(recommender.email || '')}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
+  return { to: recommender.email || '', subject, body, mailto };
+}
+
+// Helper functions
+
+function relationshipLine(recommender) {
+  if (!recommender.relationship || recommender.status !== RECOMMENDATION_STATUS.NOT_REQUESTED) return null;
+  return `As my ${recommender.relationship}, you know my work well.`;
+}
+
+// ISO days are read as local midnight, like other date text, so day arithmetic stays on the calendar
+function toLocalDate(value) {
+  const iso = String(value).match(/^(\d{4})-(\d{2})-(\d{2})/);
+  return iso ? new Date(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3])) : new Date(value);
+}
+
+function toLocalDay(date) {
+  const day = new Date(date);
+  return `${day.getFullYear()}-${String(day.getMonth() + 1).padStart(2, '0')}-${String(day.getDate()).padStart(2, '0')}`;
+}
+
+function formatDate(date) {
+  const parsed = new Date(date);
+  if (Number.isNaN(parsed.getTime())) return String(date);
+  return parsed.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' });
+}
+
+export default {
+  RECOMMENDATION_STATUS,
+  RECOMMENDATION_STATUS_LABELS,
+  createRecommender,
+  getNextStatuses,
+  applyRecommendationStatus,
+  getLetterDueDate,
+  isLetterOverdue,
+  buildRequestEmail
+};
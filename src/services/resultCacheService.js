@@ -0,0 +1,287 @@
+/**
+ * Result Cache Service
+ * Caches match results per profile. Keys are the SHA-256 of the canonicalized
+ * profile plus whatever else shaped the results (filters, weights, ranker);
+ * entries remember the catalog fingerprint they were computed against and
+ * are dropped as soon as the catalog changes, with the TTL only as a
+ * backstop. Storage is pluggable: IndexedDB in the browser, a Supabase
+ * table server-side, memory elsewhere.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import SettingsService from './settingsService.js';
+import { createIndexedDBCacheBackend } from './cacheBackends/indexedDBBackend.js';
+import { createMemoryCacheBackend } from './cacheBackends/memoryBackend.js';
+import { createSupabaseCacheBackend } from './cacheBackends/supabaseBackend.js';
+
+export const RESULT_CACHE_TTL_HOURS = 24;
+export const EMPTY_RESULT_TTL_HOURS = 6;
+
+// Bump when cached results change shape
+const CACHE_VERSION = 1;
+
+// Bookkeeping fields that don't affect matching
+const IGNORED_PROFILE_KEYS = new Set(['id', 'profileId', 'createdAt', 'updatedAt', 'lastUpdated', 'provenance']);
+
+// Entries written by the old localStorage cache
+const LEGACY_KEY_PREFIX = 'scholarship_results_';
+
+export class ResultCacheService {
+  static backends = new Map([createIndexedDBCacheBackend(), createMemoryCacheBackend()].map(backend => [backend.id, backend]));
+  static overrideBackend = null;
+
+  /**
+   * Register a cache backend
+   * @param {Object} backend - `{ id, label, isAvailable, get, set, delete, prune, clear }`
+   */
+  static registerBackend(backend) {
+    const methods = ['isAvailable', 'get', 'set', 'delete', 'prune', 'clear'];
+    if (!backend?.id || methods.some(method => typeof backend[method] !== 'function')) {
+      throw new Error(`Cache backends need an id and ${methods.join(', ')} functions`);
+    }
+    this.backends.set(backend.id, backend);
+  }
+
+  /**
+   * Use the given backend, e.g. the Supabase one server-side or a memory one
+   * in tests. Pass null to go back to the default.
+   * @param {Object|null} backend - Cache backend
+   */
+  static useBackend(backend) {
+    if (backend) {
+      this.registerBackend(backend);
+    }
+    this.overrideBackend = backend ? backend.id : null;
+  }
+
+  /**
+   * Resolve the active backend: the override if usable, else IndexedDB when
+   * the environment has it, else memory
+   * @returns {Object} - Cache backend
+   */
+  static getBackend() {
+    const override = this.overrideBackend && this.backends.get(this.overrideBackend);
+    if (override?.isAvailable()) return override;
+
+    const browserBackend = this.backends.get('indexeddb');
+    return browserBackend?.isAvailable() ? browserBackend : this.backends.get('memory');
+  }
+
+  /**
+   * Check whether result caching is switched on in settings
+   * @returns {boolean} - Is enabled
+   */
+  static isEnabled() {
+    return SettingsService.getSetting('performance.enableCaching', true) !== false;
+  }
+
+  /**
+   * Build the cache key for a profile
+   * @param {Object} profile - CV or questionnaire profile
+   * @param {Object} context - Anything else the results depend on (filters, options, ranker)
+   * @returns {Promise<string|null>} - Hex SHA-256, or null where hashing isn't available
+   */
+  static async createKey(profile = {}, context = {}) {
+    return sha256(JSON.stringify(canonicalize({
+      version: CACHE_VERSION,
+      profile: canonicalizeProfile(profile),
+      context
+    }, { loose: true }) ?? {}));
+  }
+
+  /**
+   * Fingerprint the scholarship catalog from its active count and latest
+   * edit, so checking the cache never needs the catalog itself. Adding,
+   * removing or editing a scholarship changes one or the other.
+   * @param {Object} stamp - `{ count, updatedAt }` of the catalog the results are computed from
+   * @returns {Promise<string|null>} - Hex SHA-256, or null where hashing isn't available
+   */
+  static async getCatalogVersion({ count = 0, updatedAt = null } = {}) {
+    return sha256(JSON.stringify({ count, updatedAt: canonicalize(updatedAt) ?? null }));
+  }
+
+  /**
+   * Read cached results
+   * @param {string|null} key - Key from createKey
+   * @param {Object} options - `{ catalogVersion }` of the current catalog
+   * @returns {Promise<Object|null>} - Results, or null on a miss, an expired entry or a changed catalog
+   */
+  static async get(key, { catalogVersion = null } = {}) {
+    if (!key || !this.isEnabled()) return null;
+
+    const backend = this.getBackend();
+    try {
+      const entry = await backend.get(key);
+      if (!entry) return null;
+
+      if (entry.expiresAt <= Date.now() || entry.catalogVersion !== catalogVersion) {
+        await backend.delete(key);
+        return null;
+      }
+      return entry.results;
+    } catch (error) {
+      console.warn(`Result cache read failed (${backend.id}):`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Store results
+   * @param {string|null} key - Key from createKey
+   * @param {Object} results - Results to cache
+   * @param {Object} options - `{ catalogVersion, ttlHours }`
+   * @returns {Promise<boolean>} - Whether the results were stored
+   */
+  static async set(key, results, { catalogVersion = null, ttlHours = RESULT_CACHE_TTL_HOURS } = {}) {
+    if (!key || !this.isEnabled()) return false;
+
+    const backend = this.getBackend();
+    const createdAt = Date.now();
+    try {
+      await backend.set({
+        key,
+        results,
+        catalogVersion,
+        createdAt,
+        expiresAt: createdAt + ttlHours * 60 * 60 * 1000
+      });
+      return true;
+    } catch (error) {
+      console.warn(`Result cache write failed (${backend.id}):`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Remove expired entries, and entries for an older catalog when its current version is given
+   * @param {Object} options - `{ catalogVersion }`
+   * @returns {Promise<number>} - Number of entries removed
+   */
+  static async prune({ catalogVersion = null } = {}) {
+    const backend = this.getBackend();
+    try {
+      const removed = await backend.prune({ now: Date.now(), catalogVersion });
+      return removed + clearLegacyEntries();
+    } catch (error) {
+      console.error(`Result cache cleanup failed (${backend.id}):`, error);
+      return 0;
+    }
+  }
+
+  /**
+   * Drop every cached result
+   * @returns {Promise<void>}
+   */
+  static async clear() {
+    const backend = this.getBackend();
+    try {
+      await backend.clear();
+      clearLegacyEntries();
+    } catch (error) {
+      console.error(`Result cache clear failed (${backend.id}):`, error);
+    }
+  }
+}
+
+/**
+ * Canonical form of a value for hashing: object keys sorted, empty values
+ * dropped. Loose mode also trims, collapses whitespace and lowercases text,
+ * and treats lists of plain values as sets, so cosmetic profile differences
+ * share a key.
+ * @param {*} value - Value to canonicalize
+ * @param {Object} options - `{ loose }`
+ * @returns {*} - Canonical value, or undefined if empty
+ */
+export function canonicalize(value, { loose = false } = {}) {
+  if (value === null || value === undefined) return undefined;
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? undefined : value.toISOString();
+
+  if (typeof value === 'string') {
+    const text = loose ? value.trim().replace(/\s+/g, ' ').toLowerCase() : value;
+    return text === '' ? undefined : text;
+  }
+  if (typeof value === 'number') return Number.isFinite(value) ? value : undefined;
+  if (typeof value === 'boolean') return value;
+
+  if (Array.isArray(value)) {
+    const items = value.map(item => canonicalize(item, { loose })).filter(item => item !== undefined);
+    if (items.length === 0) return undefined;
+    return loose && items.every(isPlainValue)
+      ? [...new Set(items)].sort((a, b) => compareText(sortToken(a), sortToken(b)))
+      : items;
+  }
+
+  if (typeof value === 'object') {
+    const entries = Object.keys(value)
+      .sort()
+      .map(key => [key, canonicalize(value[key], { loose })])
+      .filter(([, item]) => item !== undefined);
+    return entries.length > 0 ? Object.fromEntries(entries) : undefined;
+  }
+
+  return undefined;
+}
+
+/**
+ * Canonical form of a profile, without bookkeeping fields
+ * @param {Object} profile - CV or questionnaire profile
+ * @returns {Object} - Canonical profile
+ */
+export function canonicalizeProfile(profile = {}) {
+  const relevant = Object.fromEntries(Object.entries(profile || {}).filter(([key]) => !IGNORED_PROFILE_KEYS.has(key)));
+  return canonicalize(relevant, { loose: true }) ?? {};
+}
+
+/**
+ * SHA-256 of a string
+ * @param {string} text - Text to hash
+ * @returns {Promise<string|null>} - Hex digest, or null without Web Crypto (e.g. plain-HTTP origins)
+ */
+export async function sha256(text) {
+  const subtle = globalThis.crypto?.subtle;
+  if (!subtle) return null;
+
+  const digest = await subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Server-side with the service key, share results through the profile_cache table
+const serviceClient = createServiceClient();
+if (serviceClient) {
+  ResultCacheService.useBackend(createSupabaseCacheBackend(serviceClient));
+}
+
+// Helper functions
+
+// profile_cache has row-level security and no policies, so only the service key can use it
+function createServiceClient() {
+  const env = typeof process !== 'undefined' ? process.env : null;
+  if (!env?.SUPABASE_URL || !env?.SUPABASE_SERVICE_KEY) return null;
+
+  return createClient(env.SUPABASE_URL, env.SUPABASE_SERVICE_KEY, {
+    auth: { persistSession: false }
+  });
+}
+
+function isPlainValue(value) {
+  return ['string', 'number', 'boolean'].includes(typeof value);
+}
+
+function sortToken(value) {
+  return `${typeof value}:${value}`;
+}
+
+// Code-unit order, so browser and server agree on keys whatever their locale
+function compareText(a, b) {
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+function clearLegacyEntries() {
+  if (typeof localStorage === 'undefined') return 0;
+
+  const keys = Object.keys(localStorage).filter(key => key.startsWith(LEGACY_KEY_PREFIX));
+  keys.forEach(key => localStorage.removeItem(key));
+  return keys.length;
+}
+
+export default ResultCacheService;
@@ -0,0 +1,333 @@
+/**
+ * Saved Search Service
+ * Named catalog searches (query, facet selections, sort) kept per user. Each
+ * one remembers the scholarships it has already shown; re-running it on its
+ * schedule, or whenever the catalog changes, turns anything new into a
+ * notification.
+ */
+
+import SupabaseService, { CATALOG_UPDATED_EVENT } from './supabaseService.js';
+import ProfileService from './profileService.js';
+import NotificationService from './notificationService.js';
+import ScholarshipSearchService, { MAX_PAGE_SIZE, SEARCH_SORTS } from './scholarshipSearchService.js';
+import { rankEligibleScholarships } from './eligibilityService.js';
+
+export class SavedSearchService {
+  static STORAGE_KEY = 'scholarai_saved_searches';
+  static CHECK_INTERVAL = 60 * 60 * 1000; // 1 hour
+  static MAX_RESULTS = 500;
+  static MAX_SEEN_IDS = 1000;
+
+  /**
+   * How often a search re-runs on its own; every search with alerts on also
+   * re-runs when the catalog changes
+   */
+  static FREQUENCIES = {
+    CATALOG_CHANGES: 'catalog_changes',
+    DAILY: 'daily',
+    WEEKLY: 'weekly'
+  };
+
+  static FREQUENCY_INTERVALS = {
+    daily: 24 * 60 * 60 * 1000,
+    weekly: 7 * 24 * 60 * 60 * 1000
+  };
+
+  /**
+   * Get a user's saved searches
+   * @param {string} userId - User ID
+   * @returns {Array<Object>} - Saved searches, newest first
+   */
+  static getSavedSearches(userId) {
+    return Object.values(this.getUserState(userId).searches)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  /**
+   * Get one saved search
+   * @param {string} userId - User ID
+   * @param {string} searchId - Saved search ID
+   * @returns {Object|null} - Saved search
+   */
+  static getSavedSearch(userId, searchId) {
+    return this.getUserState(userId).searches[searchId] || null;
+  }
+
+  /**
+   * Save a search. The scholarships it matches now count as seen, so only
+   * later additions raise alerts.
+   * @param {string} userId - User ID
+   * @param {Object} search - `{ name, query, filters, sortBy, includeIneligible, frequency, alertsEnabled }`;
+   *   filters are facet selections (`{ country, degree, field, fundingType, amount, deadline }`)
+   * @returns {Promise<Object>} - Saved search
+   */
+  static async saveSearch(userId, {
+    name,
+    query = '',
+    filters = {},
+    sortBy = SEARCH_SORTS.DEADLINE,
+    includeIneligible = false,
+    frequency = this.FREQUENCIES.DAILY,
+    alertsEnabled = true
+  }) {
+    if (!userId) {
+      throw new Error('Sign in to save searches');
+    }
+    if (!name || !name.trim()) {
+      throw new Error('Saved searches need a name');
+    }
+    if (!Object.values(this.FREQUENCIES).includes(frequency)) {
+      throw new Error(`Unknown alert frequency "${frequency}"`);
+    }
+
+    const now = new Date().toISOString();
+    const search = {
+      id: this.generateSearchId(),
+      name: name.trim(),
+      query: query.trim(),
+      filters: { ...filters },
+      sortBy,
+      includeIneligible,
+      frequency,
+      alertsEnabled,
+      seenIds: [],
+      resultCount: 0,
+      lastNewCount: 0,
+      lastRunAt: null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    const results = await this.collectResults(search);
+    search.seenIds = results.map(scholarship => String(scholarship.id)).slice(0, this.MAX_SEEN_IDS);
+    search.resultCount = results.length;
+    search.lastRunAt = now;
+
+    this.updateUserState(userId, state => {
+      state.searches[search.id] = search;
+    });
+    return search;
+  }
+
+  /**
+   * Update a saved search's name, criteria or alert options
+   * @param {string} userId - User ID
+   * @param {string} searchId - Saved search ID
+   * @param {Object} updates - Fields to change
+   * @returns {Object|null} - Updated search, or null if it doesn't exist
+   */
+  static updateSearch(userId, searchId, updates = {}) {
+    if (updates.frequency && !Object.values(this.FREQUENCIES).includes(updates.frequency)) {
+      throw new Error(`Unknown alert frequency "${updates.frequency}"`);
+    }
+
+    let updated = null;
+    this.updateUserState(userId, state => {
+      const existing = state.searches[searchId];
+      if (!existing) return;
+
+      // History is only ever written by runs
+      const { id, seenIds, createdAt, lastRunAt, ...editable } = updates;
+      updated = { ...existing, ...editable, updatedAt: new Date().toISOString() };
+      state.searches[searchId] = updated;
+    });
+    return updated;
+  }
+
+  /**
+   * Delete a saved search
+   * @param {string} userId - User ID
+   * @param {string} searchId - Saved search ID
+   * @returns {boolean} - Whether it existed
+   */
+  static deleteSearch(userId, searchId) {
+    let deleted = false;
+    this.updateUserState(userId, state => {
+      deleted = Boolean(state.searches[searchId]);
+      delete state.searches[searchId];
+    });
+    return deleted;
+  }
+
+  /**
+   * Re-run a saved search and notify about scholarships it hasn't shown before
+   * @param {string} userId - User ID
+   * @param {string} searchId - Saved search ID
+   * @param {Object} options - `{ profile, notify }`
+   * @returns {Promise<Object>} - `{ search, newMatches }`
+   */
+  static async runSearch(userId, searchId, { profile = ProfileService.getProfile() || {}, notify = true } = {}) {
+    const search = this.getSavedSearch(userId, searchId);
+    if (!search) {
+      throw new Error(`Saved search ${searchId} not found`);
+    }
+
+    const results = await this.collectResults(search, profile);
+    const seen = new Set(search.seenIds);
+    const newMatches = results.filter(scholarship => !seen.has(String(scholarship.id)));
+
+    // Current results first, so a long-lived search forgets the oldest ids it has dropped
+    const currentIds = results.map(scholarship => String(scholarship.id));
+    const currentSet = new Set(currentIds);
+    const seenIds = [...currentIds, ...search.seenIds.filter(id => !currentSet.has(id))].slice(0, this.MAX_SEEN_IDS);
+
+    const updated = {
+      ...search,
+      seenIds,
+      resultCount: results.length,
+      lastNewCount: newMatches.length,
+      lastRunAt: new Date().toISOString()
+    };
+    this.updateUserState(userId, state => {
+      if (state.searches[searchId]) {
+        state.searches[searchId] = updated;
+      }
+    });
+
+    if (notify && search.alertsEnabled && newMatches.length > 0) {
+      NotificationService.createNewScholarshipNotification(newMatches, profile, { savedSearch: updated });
+    }
+
+    return { search: updated, newMatches };
+  }
+
+  /**
+   * Re-run the searches that are due; all of them with alerts on when the catalog has changed
+   * @param {string} userId - User ID
+   * @param {Object} options - `{ profile, force }`; force runs every search with alerts on
+   * @returns {Promise<Array<Object>>} - `{ search, newMatches }` for each search run
+   */
+  static async runDueSearches(userId, { profile, force = false } = {}) {
+    const searches = this.getSavedSearches(userId).filter(search => search.alertsEnabled);
+    if (searches.length === 0) return [];
+
+    const signature = await this.getCatalogSignature();
+    const catalogChanged = signature !== this.getUserState(userId).catalogSignature;
+    const now = Date.now();
+
+    const due = searches.filter(search => force || catalogChanged || this.isDue(search, now));
+    const runs = [];
+    for (const search of due) {
+      try {
+        runs.push(await this.runSearch(userId, search.id, { profile }));
+      } catch (error) {
+        console.error(`Error running saved search "${search.name}":`, error);
+      }
+    }
+
+    this.updateUserState(userId, state => {
+      state.catalogSignature = signature;
+    });
+    return runs;
+  }
+
+  /**
+   * Start re-running a user's saved searches on their schedule and whenever
+   * this client changes the catalog
+   * @param {string} userId - User ID
+   * @returns {Function} - Stops the alert service
+   */
+  static startAlertService(userId) {
+    if (!userId) return () => {};
+
+    const check = (force = false) => {
+      this.runDueSearches(userId, { force }).catch(error => {
+        console.error('Error checking saved searches:', error);
+      });
+    };
+    const onCatalogUpdated = () => check(true);
+
+    const interval = setInterval(() => check(), this.CHECK_INTERVAL);
+    window.addEventListener(CATALOG_UPDATED_EVENT, onCatalogUpdated);
+
+    // Initial check
+    check();
+
+    return () => {
+      clearInterval(interval);
+      window.removeEventListener(CATALOG_UPDATED_EVENT, onCatalogUpdated);
+    };
+  }
+
+  /**
+   * Check whether a search's schedule says it should run again
+   * @param {Object} search - Saved search
+   * @param {number} now - Current time in ms
+   * @returns {boolean} - Is due
+   */
+  static isDue(search, now = Date.now()) {
+    const interval = this.FREQUENCY_INTERVALS[search.frequency];
+    if (!interval) return false;
+    return !search.lastRunAt || now - new Date(search.lastRunAt).getTime() >= interval;
+  }
+
+  /**
+   * Cheap catalog fingerprint: the number of active scholarships and the
+   * latest edit. Changes whenever scholarships are added, removed or edited.
+   * @returns {Promise<string>} - Signature
+   */
+  static async getCatalogSignature() {
+    const { count, updatedAt } = await SupabaseService.getCatalogStamp();
+    return `${count}:${updatedAt ?? ''}`;
+  }
+
+  /**
+   * Run a search's query and filters across pages
+   * @param {Object} search - Saved search
+   * @param {Object} profile - Profile for the eligibility gates and match scores
+   * @returns {Promise<Array<Object>>} - Matching scholarships, up to MAX_RESULTS
+   */
+  static async collectResults(search, profile = ProfileService.getProfile() || {}) {
+    const results = [];
+    let cursor = null;
+
+    do {
+      const page = await SupabaseService.searchCatalog({
+        query: search.query,
+        filters: ScholarshipSearchService.getSelectionFilters(search.filters),
+        sortBy: search.sortBy,
+        limit: MAX_PAGE_SIZE,
+        cursor
+      });
+      results.push(...page.results);
+      cursor = page.nextCursor;
+    } while (cursor && results.length < this.MAX_RESULTS);
+
+    return rankEligibleScholarships(results.slice(0, this.MAX_RESULTS), profile, {
+      includeIneligible: search.includeIneligible
+    });
+  }
+
+  // Helper methods
+  static generateSearchId() {
+    return `search_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  static getUserState(userId) {
+    try {
+      const storedData = localStorage.getItem(this.STORAGE_KEY);
+      const state = storedData ? JSON.parse(storedData) : {};
+      return { searches: {}, catalogSignature: null, ...state[userId] };
+    } catch (error) {
+      console.error('Error getting saved searches:', error);
+      return { searches: {}, catalogSignature: null };
+    }
+  }
+
+  static updateUserState(userId, update) {
+    try {
+      const storedData = localStorage.getItem(this.STORAGE_KEY);
+      const state = storedData ? JSON.parse(storedData) : {};
+      const userState = { searches: {}, catalogSignature: null, ...state[userId] };
+
+      update(userState);
+      state[userId] = userState;
+      localStorage.setItem(this.STORAGE_KEY, JSON.stringify(state));
+    } catch (error) {
+      console.error('Error saving saved searches:', error);
+      throw new Error('Failed to save searches');
+    }
+  }
+}
+
+export default SavedSearchService;
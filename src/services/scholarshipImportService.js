@@ -0,0 +1,767 @@
+/**
+ * Scholarship Import Service
+ * Bulk import of scholarship tables (CSV, JSON, XLSX) into the catalog, and
+ * export back out with the same column mapping. An import runs as a dry run
+ * first: every row is mapped onto the catalog record, validated, has its
+ * degrees and fields canonicalized, funding classified and deadlines parsed,
+ * and is checked against the existing catalog for duplicates. Nothing is
+ * written until the admin commits the report.
+ */
+
+import SupabaseService from './supabaseService.js';
+import { DEADLINE_KINDS, fromCatalogRow, getContentHash, mergeCatalogRecord } from './catalogMapper.js';
+import { readCatalogFile, writeCatalogFile } from './catalogFileFormats.js';
+import { DEGREE_LEVELS, getDegreeLevels } from './academicNormalizer.js';
+import { batchCanonicalizeDegreeField } from './canonicalizationService.js';
+import { batchClassifyFunding, extractFundingKeywords } from './fundingService.js';
+import { batchParseDeadlines, extractDeadlineKeywords, isValidDeadlineFormat } from './deadlineService.js';
+import { isValidUrl, validateScholarship } from './scholarshipService.js';
+import { deduplicationUtils } from './deduplicationService.js';
+import { FUNDING_TYPES } from './scholarshipSearchService.js';
+import { ScholarshipSchema } from '../lib/schema';
+
+export const IMPORT_ROW_STATUS = {
+  CREATE: 'create',
+  UPDATE: 'update',
+  UNCHANGED: 'unchanged',
+  DUPLICATE: 'duplicate',
+  INVALID: 'invalid'
+};
+
+/**
+ * What to do with a row that looks like an existing scholarship from another source
+ */
+export const DUPLICATE_ACTIONS = {
+  SKIP: 'skip',
+  UPDATE: 'update'
+};
+
+/**
+ * Catalog fields a column can be mapped to. `get` reads the field back out of
+ * a catalog record for export, in the form the importer reads it in.
+ */
+export const IMPORT_FIELDS = [
+  { key: 'title', label: 'Title', required: true, aliases: ['name', 'scholarship', 'scholarship name', 'program'], get: record => record.title },
+  { key: 'provider', label: 'Provider', aliases: ['organization', 'organisation', 'sponsor', 'funder', 'university'], get: record => record.provider },
+  { key: 'description', label: 'Description', aliases: ['summary', 'details', 'about'], get: record => record.description },
+  { key: 'amount', label: 'Amount', aliases: ['award', 'award amount', 'value', 'funding amount', 'financial.amount'], get: record => formatAmount(record.financial) },
+  { key: 'currency', label: 'Currency', aliases: ['financial.currency'], get: record => record.financial.currency },
+  { key: 'amount_period', label: 'Amount period', aliases: ['period', 'per', 'frequency', 'financial.period'], get: record => record.financial.period },
+  { key: 'funding_type', label: 'Funding type', aliases: ['funding', 'fully funded', 'funded', 'financial.fundingtype'], get: record => record.financial.fundingType },
+  { key: 'coverage', label: 'Coverage', list: true, aliases: ['covers', 'benefits', 'financial.coverage'], get: record => record.financial.coverage },
+  { key: 'countries', label: 'Countries', list: true, aliases: ['country', 'location', 'destination', 'host country', 'eligibility.countries'], get: record => record.eligibility.countries },
+  { key: 'degrees', label: 'Degrees', list: true, aliases: ['degree', 'degree level', 'academic level', 'level', 'study level', 'eligibility.degrees'], get: record => record.eligibility.degrees },
+  { key: 'fields', label: 'Fields of study', list: true, aliases: ['field', 'field of study', 'subject', 'subjects', 'discipline', 'major', 'eligibility.fields'], get: record => record.eligibility.fields },
+  { key: 'nationalities', label: 'Nationalities', list: true, aliases: ['nationality', 'citizenship', 'eligible nationalities', 'eligibility.nationalities'], get: record => record.eligibility.nationalities },
+  { key: 'eligibility_criteria', label: 'Eligibility', aliases: ['eligibility criteria', 'criteria', 'who can apply', 'eligibility.requirements'], get: record => record.eligibility.requirements.join('\n') },
+  { key: 'requirements', label: 'Application requirements', aliases: ['requirements', 'documents', 'required documents', 'application.requirements'], get: record => record.requirements },
+  { key: 'deadline', label: 'Deadline', aliases: ['deadlines', 'due date', 'closing date', 'application deadline', 'deadlines.application'], get: record => formatDeadlines(record.deadlines) },
+  { key: 'cycle', label: 'Cycle', aliases: ['intake', 'academic year', 'round'], get: record => getSingleCycle(record.deadlines) },
+  { key: 'application_url', label: 'Application URL', aliases: ['url', 'link', 'apply url', 'website', 'application.url'], get: record => record.application_url },
+  { key: 'contact_email', label: 'Contact email', aliases: ['email', 'contact'], get: record => record.contact_email },
+  { key: 'tags', label: 'Tags', list: true, aliases: ['keywords', 'labels'], get: record => record.tags },
+  { key: 'source_id', label: 'Source ID', aliases: ['external id', 'reference', 'provenance.sourceid'], get: record => record.provenance.sourceId },
+  { key: 'source_url', label: 'Source URL', aliases: ['source', 'source link', 'provenance.sourceurl'], get: record => record.provenance.sourceUrl }
+];
+
+const FIELDS_BY_KEY = Object.fromEntries(IMPORT_FIELDS.map(field => [field.key, field]));
+
+const DEGREE_LABELS = {
+  [DEGREE_LEVELS.BACHELOR]: 'Bachelor',
+  [DEGREE_LEVELS.MASTER]: 'Master',
+  [DEGREE_LEVELS.PHD]: 'PhD'
+};
+
+// Label words in a deadline cell ("Early: 1 Dec 2024") and the deadline kind they mean
+const DEADLINE_KIND_PATTERNS = [
+  { kind: DEADLINE_KINDS.EARLY, pattern: /\bearly\b/i },
+  { kind: DEADLINE_KINDS.PRIORITY, pattern: /\bpriority\b/i },
+  { kind: DEADLINE_KINDS.DOCUMENTS, pattern: /\b(documents?|transcripts?|references?|letters?)\b/i },
+  { kind: DEADLINE_KINDS.INTERVIEW, pattern: /\binterviews?\b/i },
+  { kind: DEADLINE_KINDS.DECISION, pattern: /\b(decisions?|results?|notification)\b/i }
+];
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const NO_FIXED_DEADLINE_PATTERN = /\b(varies|rolling|ongoing|continuous|open|year[- ]round|tba|tbc)\b/i;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const SIMILARITY_THRESHOLD = 0.85;
+const VALIDATION_CONCURRENCY = 4;
+const MAX_REPORT_NOTICES = 10;
+
+export class ScholarshipImportService {
+  static STORAGE_KEY = 'scholarai_import_mapping';
+
+  /**
+   * Read an uploaded file into a table
+   * @param {File} file - CSV, JSON or XLSX file
+   * @returns {Promise<Object>} - `{ format, columns, rows }`, see catalogFileFormats
+   */
+  static async readFile(file) {
+    return readCatalogFile(file);
+  }
+
+  /**
+   * Suggest a field for each column: the admin's earlier choice for the same
+   * header if there is one, otherwise a field whose name or alias matches
+   * @param {Array<string>} columns - Column names
+   * @returns {Object} - Mapping of column name to IMPORT_FIELDS key ('' to skip the column)
+   */
+  static suggestMapping(columns) {
+    const { headers } = this.getSavedMappings();
+    const used = new Set();
+
+    return Object.fromEntries(columns.map(column => {
+      const header = normalizeHeader(column);
+      const savedKey = headers[header];
+      const field = savedKey !== undefined && (savedKey === '' || FIELDS_BY_KEY[savedKey])
+        ? FIELDS_BY_KEY[savedKey]
+        : IMPORT_FIELDS.find(item => [item.key, item.label, ...item.aliases].some(name => normalizeHeader(name) === header));
+
+      if (!field || used.has(field.key)) return [column, ''];
+      used.add(field.key);
+      return [column, field.key];
+    }));
+  }
+
+  /**
+   * Remember the admin's mapping so the next file with the same headers maps itself
+   * @param {Object} mapping - Mapping of column name to field key
+   */
+  static saveMapping(mapping) {
+    try {
+      const saved = this.getSavedMappings();
+      Object.entries(mapping).forEach(([column, key]) => {
+        saved.headers[normalizeHeader(column)] = key || '';
+        if (key) saved.columns[key] = column;
+      });
+      localStorage.setItem(this.STORAGE_KEY, JSON.stringify(saved));
+    } catch (error) {
+      console.error('Error saving import mapping:', error);
+    }
+  }
+
+  /**
+   * Problems that stop a mapping from being used
+   * @param {Object} mapping - Mapping of column name to field key
+   * @returns {Array<string>} - Messages; empty when the mapping is usable
+   */
+  static getMappingProblems(mapping) {
+    const problems = [];
+    const counts = Object.values(mapping).filter(Boolean).reduce((acc, key) => {
+      acc[key] = (acc[key] || 0) + 1;
+      return acc;
+    }, {});
+
+    IMPORT_FIELDS.filter(field => field.required && !counts[field.key]).forEach(field => {
+      problems.push(`Map a column to ${field.label}`);
+    });
+    Object.entries(counts).filter(([, count]) => count > 1).forEach(([key]) => {
+      problems.push(`${FIELDS_BY_KEY[key]?.label || key} is mapped from more than one column`);
+    });
+
+    return problems;
+  }
+
+  /**
+   * Build the dry-run report for a table. Nothing is written.
+   * @param {Object} table - `{ columns, rows }`
+   * @param {Object} mapping - Mapping of column name to field key
+   * @param {Object} options - `{ sourceName, duplicates, catalog }`. sourceName tags the
+   *   imported scholarships' provenance, and with the Source ID column lets a re-import
+   *   update them in place; duplicates is a DUPLICATE_ACTIONS value for rows that look like
+   *   an existing scholarship; catalog defaults to the whole catalog
+   * @returns {Promise<Object>} - `{ sourceName, duplicates, rows, summary, notices }`; each row is
+   *   `{ row, status, title, record, errors, warnings, match }`
+   */
+  static async buildDryRun(table, mapping, { sourceName = 'import', duplicates = DUPLICATE_ACTIONS.SKIP, catalog = null } = {}) {
+    const problems = this.getMappingProblems(mapping);
+    if (problems.length > 0) {
+      const error = new Error(problems.join('. '));
+      error.code = 'invalid_mapping';
+      throw error;
+    }
+
+    const notices = [];
+    const retrievedAt = new Date().toISOString();
+    const rows = table.rows.map((values, index) => ({
+      row: index + 2, // Line in the file, after the header
+      values: getMappedValues(values, mapping),
+      errors: [],
+      warnings: [],
+      draft: null
+    }));
+
+    rows.forEach(row => {
+      row.draft = buildDraft(row, { sourceName, retrievedAt });
+    });
+
+    await canonicalizeDegreesAndFields(rows, notices);
+    await classifyFunding(rows, notices);
+    await parseDeadlines(rows, notices);
+    rows.forEach(checkRow);
+    await validateRows(rows, sourceName, notices);
+
+    const existing = catalog || await SupabaseService.getAllScholarships();
+    const reportRows = await matchRows(rows, existing, { sourceName, duplicates });
+
+    return {
+      sourceName,
+      duplicates,
+      createdAt: retrievedAt,
+      rows: reportRows,
+      summary: summarize(reportRows),
+      notices: notices.slice(0, MAX_REPORT_NOTICES)
+    };
+  }
+
+  /**
+   * Write the new and changed rows of a dry-run report
+   * @param {Object} report - Report from buildDryRun
+   * @returns {Promise<Object>} - `{ created, updated, failed }`; failed is `[{ row, title, error }]`
+   */
+  static async commitImport(report) {
+    const rows = report.rows.filter(row => row.status === IMPORT_ROW_STATUS.CREATE || row.status === IMPORT_ROW_STATUS.UPDATE);
+    const { saved, failed } = await SupabaseService.saveScholarships(rows.map(row => row.record));
+
+    const savedRows = rows.filter((row, index) => !failed.some(item => item.index === index));
+    return {
+      created: savedRows.filter(row => row.status === IMPORT_ROW_STATUS.CREATE).length,
+      updated: savedRows.filter(row => row.status === IMPORT_ROW_STATUS.UPDATE).length,
+      saved,
+      failed: failed.map(item => ({ row: rows[item.index].row, title: rows[item.index].title, error: item.error }))
+    };
+  }
+
+  /**
+   * Export scholarships with the saved column mapping, so the file imports straight back
+   * @param {Array<Object>} scholarships - Catalog records
+   * @param {string} format - 'csv', 'json' or 'xlsx'
+   * @returns {Promise<Object>} - `{ blob, fileName }`
+   */
+  static async exportCatalog(scholarships, format = 'csv') {
+    const table = this.toExportTable(scholarships);
+    const blob = await writeCatalogFile(table, format);
+    const date = new Date().toISOString().split('T')[0];
+    return { blob, fileName: `scholarships-${date}.${format}` };
+  }
+
+  /**
+   * Lay scholarships out as a table, one column per import field. Columns are
+   * named as in the last file the admin mapped, or by the field label.
+   * @param {Array<Object>} scholarships - Catalog records
+   * @returns {Object} - `{ columns, rows }`
+   */
+  static toExportTable(scholarships) {
+    const saved = this.getSavedMappings();
+    const columns = IMPORT_FIELDS.map(field => saved.columns[field.key] || field.label);
+
+    const rows = scholarships.map(scholarship => {
+      const record = fromCatalogRow(scholarship);
+      return Object.fromEntries(IMPORT_FIELDS.map((field, index) => {
+        const value = field.get(record);
+        return [columns[index], Array.isArray(value) ? value.join('; ') : value ?? ''];
+      }));
+    });
+
+    return { columns, rows };
+  }
+
+  /**
+   * Get remembered column choices
+   * @returns {Object} - `{ headers, columns }`: normalized header to field key ('' for
+   *   skipped columns), and field key to the column name last mapped onto it
+   */
+  static getSavedMappings() {
+    try {
+      const storedData = localStorage.getItem(this.STORAGE_KEY);
+      const saved = storedData ? JSON.parse(storedData) : {};
+      return { headers: saved.headers || {}, columns: saved.columns || {} };
+    } catch (error) {
+      console.error('Error loading import mapping:', error);
+      return { headers: {}, columns: {} };
+    }
+  }
+}
+
+// Helper functions
+
+function normalizeHeader(name) {
+  return String(name ?? '').toLowerCase().replace(/[^a-z0-9.]/g, '');
+}
+
+function getMappedValues(values, mapping) {
+  return Object.entries(mapping).reduce((mapped, [column, key]) => {
+    if (key && FIELDS_BY_KEY[key]) mapped[key] = values[column];
+    return mapped;
+  }, {});
+}
+
+// Empty cells leave the field alone, so a re-import never blanks out data the file doesn't carry
+function isBlank(value) {
+  return value === null || value === undefined || (typeof value === 'string' && value.trim() === '')
+    || (Array.isArray(value) && value.length === 0);
+}
+
+function toText(value) {
+  if (isBlank(value)) return null;
+  return Array.isArray(value) ? value.join('; ') : String(value).trim();
+}
+
+// Lists are split on semicolons, pipes or line breaks, or commas when there are none of those
+function toImportList(value) {
+  if (isBlank(value)) return [];
+  if (Array.isArray(value)) return value.map(item => String(item).trim()).filter(Boolean);
+  const text = String(value);
+  const separator = /[;|\n]/.test(text) ? /[;|\n]/ : /,/;
+  return text.split(separator).map(item => item.trim()).filter(Boolean);
+}
+
+// The update a row makes to the catalog: only the fields its mapped cells fill in
+function buildDraft({ values, warnings }, { sourceName, retrievedAt }) {
+  const draft = {};
+
+  ['title', 'provider', 'description', 'requirements', 'eligibility_criteria', 'application_url', 'contact_email']
+    .forEach(key => {
+      const text = toText(values[key]);
+      if (text !== null) draft[key] = text;
+    });
+
+  const amount = toText(values.amount);
+  if (amount !== null) {
+    draft.amount = amount;
+    if (!isBlank(values.currency)) draft.currency = toText(values.currency).toUpperCase();
+    if (!isBlank(values.amount_period)) draft.amount_period = toText(values.amount_period).toLowerCase();
+  }
+
+  if (!isBlank(values.funding_type)) {
+    const fundingType = toFundingType(values.funding_type);
+    if (fundingType) {
+      draft.funding_type = fundingType;
+    } else {
+      warnings.push(`Funding type "${toText(values.funding_type)}" not recognized; expected full or partial`);
+    }
+  }
+
+  const eligibility = {};
+  ['countries', 'fields', 'nationalities'].forEach(key => {
+    const items = toImportList(values[key]);
+    if (items.length > 0) eligibility[key] = items;
+  });
+  if (Object.keys(eligibility).length > 0) draft.eligibility = eligibility;
+
+  const coverage = toImportList(values.coverage);
+  if (coverage.length > 0) draft.financial = { coverage };
+
+  const tags = toImportList(values.tags);
+  if (tags.length > 0) draft.tags = tags;
+
+  draft.provenance = {
+    source: sourceName,
+    sourceId: toText(values.source_id),
+    sourceUrl: toText(values.source_url),
+    retrievedAt
+  };
+
+  return draft;
+}
+
+function toFundingType(value) {
+  const text = String(value).trim().toLowerCase();
+  if (/^(full|fully|fully funded|full funding|yes|true|y|1)$/.test(text)) return FUNDING_TYPES.FULL;
+  if (/^(partial|partially|partially funded|partial funding|no|false|n|0)$/.test(text)) return FUNDING_TYPES.PARTIAL;
+  return null;
+}
+
+// Degrees the local rules recognize become Bachelor/Master/PhD; the rest, and all
+// fields of study, go to the canonicalization API in one batch
+async function canonicalizeDegreesAndFields(rows, notices) {
+  const inputs = [];
+
+  rows.forEach(row => {
+    const degrees = [];
+    toImportList(row.values.degrees).forEach(text => {
+      const levels = getDegreeLevels(text);
+      if (levels.length > 0) {
+        degrees.push(...levels.map(level => DEGREE_LABELS[level]));
+      } else if (!/\b(any|all)\b/i.test(text)) {
+        inputs.push({ row, kind: 'degree', index: degrees.length, input: { degreeTarget: text, field: null } });
+        degrees.push(text);
+      }
+    });
+    if (!isBlank(row.values.degrees)) {
+      // An explicit "Any" clears the degree restriction
+      row.draft.eligibility = { ...row.draft.eligibility, degrees };
+    }
+
+    (row.draft.eligibility?.fields || []).forEach((field, index) => {
+      inputs.push({ row, kind: 'field', index, input: { degreeTarget: null, field } });
+    });
+  });
+
+  if (inputs.length === 0) return;
+
+  let outputs;
+  try {
+    outputs = await batchCanonicalizeDegreeField(inputs.map(item => item.input));
+  } catch (error) {
+    notices.push(`Degree and field canonicalization is unavailable (${error.message}); values are kept as written`);
+    inputs.filter(item => item.kind === 'degree').forEach(({ row, input }) => {
+      row.warnings.push(`Degree "${input.degreeTarget}" not recognized`);
+    });
+    return;
+  }
+
+  inputs.forEach(({ row, kind, index, input }, position) => {
+    const output = outputs?.[position] || {};
+    if (kind === 'field') {
+      if (output.field) row.draft.eligibility.fields[index] = output.field;
+    } else if (output.degreeTarget) {
+      row.draft.eligibility.degrees[index] = output.degreeTarget;
+    } else {
+      row.warnings.push(`Degree "${input.degreeTarget}" not recognized`);
+    }
+  });
+
+  rows.forEach(row => {
+    if (!row.draft.eligibility) return;
+    ['degrees', 'fields'].forEach(key => {
+      if (row.draft.eligibility[key]) row.draft.eligibility[key] = [...new Set(row.draft.eligibility[key])];
+    });
+  });
+}
+
+// Rows without a funding column are classified from their wording: keywords first,
+// then the funding classification API for rows the keywords can't settle
+async function classifyFunding(rows, notices) {
+  const unresolved = [];
+
+  rows.filter(row => !row.draft.funding_type).forEach(row => {
+    const text = {
+      name: row.draft.title || '',
+      eligibility: row.draft.eligibility_criteria || '',
+      description: [row.draft.description, ...(row.draft.financial?.coverage || [])].filter(Boolean).join('. ')
+    };
+    const keywords = extractFundingKeywords(text);
+
+    if (keywords.hasFullFundingIndicators || keywords.hasPartialFundingIndicators) {
+      row.draft.funding_type = keywords.keywordBasedPrediction ? FUNDING_TYPES.FULL : FUNDING_TYPES.PARTIAL;
+    } else if (text.description || text.eligibility) {
+      unresolved.push({ row, text });
+    }
+  });
+
+  if (unresolved.length === 0) return;
+
+  try {
+    const response = await batchClassifyFunding(unresolved.map(item => item.text));
+    const results = response?.data?.results || [];
+    unresolved.forEach(({ row }, index) => {
+      const isFullyFunded = results[index]?.classification?.isFullyFunded;
+      if (typeof isFullyFunded === 'boolean') {
+        row.draft.funding_type = isFullyFunded ? FUNDING_TYPES.FULL : FUNDING_TYPES.PARTIAL;
+      }
+    });
+  } catch (error) {
+    notices.push(`Funding classification is unavailable (${error.message}); ${unresolved.length} row(s) left unclassified`);
+  }
+}
+
+// Deadline cells may hold several dates ("Early: 1 Dec 2024; 15 Jan 2025"). Dates the
+// local rules can't read go to the deadline parsing API in one batch.
+async function parseDeadlines(rows, notices) {
+  const unresolved = [];
+
+  rows.forEach(row => {
+    if (isBlank(row.values.deadline)) return;
+
+    const cycle = toText(row.values.cycle);
+    const parts = typeof row.values.deadline === 'number'
+      ? [row.values.deadline]
+      : toImportList(row.values.deadline);
+    const cycles = [];
+
+    parts.forEach(part => {
+      const text = String(part);
+      const kind = DEADLINE_KIND_PATTERNS.find(item => item.pattern.test(text))?.kind || DEADLINE_KINDS.APPLICATION;
+      const parsed = parseLocalDate(part);
+
+      if (parsed.date) {
+        if (parsed.ambiguous) row.warnings.push(`Deadline "${text}" is ambiguous; read as day/month`);
+        cycles.push({ cycle, kind, date: parsed.date, note: null });
+      } else if (NO_FIXED_DEADLINE_PATTERN.test(text)) {
+        row.warnings.push(`No fixed deadline ("${text}")`);
+      } else if (extractDeadlineKeywords(text).length > 0 || /\d/.test(text)) {
+        const entry = { cycle, kind, date: null, note: null };
+        cycles.push(entry);
+        unresolved.push({ row, text, entry });
+      } else {
+        row.warnings.push(`Deadline "${text}" not recognized`);
+      }
+    });
+
+    row.draft.deadlines = { cycles };
+  });
+
+  if (unresolved.length > 0) {
+    try {
+      const response = await batchParseDeadlines(unresolved.map(item => item.text));
+      const results = response?.results || [];
+      unresolved.forEach(({ entry }, index) => {
+        const deadline = results[index]?.success ? results[index].result?.deadline : null;
+        if (deadline && deadline !== 'varies' && isValidDeadlineFormat(deadline)) entry.date = deadline;
+      });
+    } catch (error) {
+      notices.push(`Deadline parsing is unavailable (${error.message}); dates in other formats were skipped`);
+    }
+
+    unresolved.filter(({ entry }) => !entry.date).forEach(({ row, text }) => {
+      row.warnings.push(`Deadline "${text}" not recognized`);
+    });
+  }
+
+  rows.filter(row => row.draft.deadlines).forEach(row => {
+    row.draft.deadlines.cycles = row.draft.deadlines.cycles.filter(entry => entry.date);
+  });
+}
+
+function parseLocalDate(value) {
+  // Spreadsheet dates arrive as day serials (days since 1899-12-30)
+  if (typeof value === 'number' || /^\d{5}(\.\d+)?$/.test(String(value).trim())) {
+    const serial = Number(value);
+    if (serial > 20000 && serial < 80000) {
+      return { date: new Date(Date.UTC(1899, 11, 30) + Math.floor(serial) * 86400000).toISOString().split('T')[0] };
+    }
+    return {};
+  }
+
+  const text = String(value).toLowerCase();
+  let match = text.match(/(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (match) return toDate(match[1], match[2], match[3]);
+
+  match = text.match(/(\d{1,2})(?:st|nd|rd|th)?\s+(?:of\s+)?([a-z]{3,9})\.?,?\s+(\d{4})/);
+  if (match && getMonth(match[2])) return toDate(match[3], getMonth(match[2]), match[1]);
+
+  match = text.match(/([a-z]{3,9})\.?\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})/);
+  if (match && getMonth(match[1])) return toDate(match[3], getMonth(match[1]), match[2]);
+
+  match = text.match(/(\d{1,2})[/.](\d{1,2})[/.](\d{4})/);
+  if (match) {
+    const [first, second] = [Number(match[1]), Number(match[2])];
+    if (first > 12) return toDate(match[3], second, first);
+    if (second > 12) return toDate(match[3], first, second);
+    return { ...toDate(match[3], second, first), ambiguous: first !== second };
+  }
+
+  return {};
+}
+
+function getMonth(name) {
+  const index = MONTH_NAMES.indexOf(name.slice(0, 3));
+  return index >= 0 ? index + 1 : null;
+}
+
+function toDate(year, month, day) {
+  const date = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+  return isValidDeadlineFormat(date) ? { date } : {};
+}
+
+function checkRow({ draft, errors, warnings }) {
+  if (!draft.title) errors.push('Title is required');
+  if (draft.application_url && !isValidUrl(draft.application_url)) errors.push(`Application URL "${draft.application_url}" is not a valid URL`);
+  if (draft.provenance.sourceUrl && !isValidUrl(draft.provenance.sourceUrl)) errors.push(`Source URL "${draft.provenance.sourceUrl}" is not a valid URL`);
+  if (draft.contact_email && !EMAIL_PATTERN.test(draft.contact_email)) errors.push(`Contact email "${draft.contact_email}" is not a valid email address`);
+
+  if (draft.amount) {
+    const { financial } = mergeCatalogRecord({}, draft);
+    if (financial.min === null && financial.max === null) warnings.push(`Amount "${draft.amount}" has no number in it`);
+  }
+}
+
+// Rows that pass the local checks are validated against the scholarship schema by the
+// validation API; if it can't be reached, against the same schema locally
+async function validateRows(rows, sourceName, notices) {
+  let remoteAvailable = true;
+
+  await mapWithConcurrency(rows.filter(row => row.errors.length === 0), VALIDATION_CONCURRENCY, async row => {
+    const scholarship = toValidationShape(row, sourceName);
+
+    if (remoteAvailable) {
+      try {
+        const result = await validateScholarship(scholarship);
+        if (!result.valid) row.errors.push(...toMessages(result.errors));
+        return;
+      } catch (error) {
+        if (!(error instanceof TypeError)) {
+          row.errors.push(error.message);
+          return;
+        }
+        if (remoteAvailable) notices.push('Scholarship validation API is unavailable; rows were checked against the schema locally');
+        remoteAvailable = false;
+      }
+    }
+
+    const result = ScholarshipSchema.safeParse(scholarship);
+    if (!result.success) {
+      row.errors.push(...result.error.issues.map(issue => `${issue.path.join('.') || 'scholarship'}: ${issue.message}`));
+    }
+  });
+}
+
+function toValidationShape({ row, draft }, sourceName) {
+  const record = mergeCatalogRecord({}, draft);
+  const { countries, degrees, requirements } = record.eligibility;
+
+  return {
+    id: record.provenance.sourceId || `row-${row}`,
+    name: record.title,
+    country: countries.join(', ') || 'Any',
+    degree: degrees.length === 1 && Object.values(DEGREE_LABELS).includes(degrees[0]) ? degrees[0] : 'Any',
+    eligibility: (requirements.join(' ') || record.description || '').slice(0, 180),
+    deadline: record.deadlines.application || 'varies',
+    link: record.application_url || undefined,
+    source: sourceName,
+    fitScore: 0
+  };
+}
+
+function toMessages(errors) {
+  const items = Array.isArray(errors) ? errors : errors ? [errors] : ['Invalid scholarship'];
+  return items.map(item => {
+    if (typeof item === 'string') return item;
+    const path = Array.isArray(item?.path) ? item.path.join('.') : item?.path;
+    return path ? `${path}: ${item.message}` : item?.message || JSON.stringify(item);
+  });
+}
+
+async function mapWithConcurrency(items, concurrency, task) {
+  let next = 0;
+  const workers = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+    while (next < items.length) {
+      const item = items[next++];
+      await task(item);
+    }
+  });
+  await Promise.all(workers);
+}
+
+// Rows are matched to the catalog (and to earlier rows of the same file) by
+// source ID, then by content hash, then by title/provider/amount/deadline similarity
+async function matchRows(rows, catalog, { sourceName, duplicates }) {
+  const existing = await Promise.all(catalog.map(async scholarship => {
+    const record = fromCatalogRow(scholarship);
+    return { record, hash: record.content_hash || await getContentHash(record) };
+  }));
+  const seen = [];
+  const reportRows = [];
+
+  for (const row of rows) {
+    const base = { row: row.row, title: row.draft.title || '', errors: row.errors, warnings: row.warnings, match: null };
+
+    if (row.errors.length > 0) {
+      reportRows.push({ ...base, status: IMPORT_ROW_STATUS.INVALID, record: null });
+      continue;
+    }
+
+    const record = mergeCatalogRecord({}, row.draft);
+    const hash = await getContentHash(record);
+    const sourceId = row.draft.provenance.sourceId;
+
+    const earlier = seen.find(item => (sourceId && item.sourceId === sourceId) || item.hash === hash)
+      || findSimilar(record, seen);
+    if (earlier) {
+      reportRows.push({ ...base, status: IMPORT_ROW_STATUS.DUPLICATE, record: null, match: { row: earlier.row, title: earlier.record.title, score: earlier.score ?? 1 } });
+      continue;
+    }
+    seen.push({ row: row.row, record, hash, sourceId });
+
+    const bySource = sourceId
+      ? existing.find(item => item.record.provenance.source === sourceName && item.record.provenance.sourceId === sourceId)
+      : null;
+    const byHash = bySource ? null : existing.find(item => item.hash === hash);
+    const similar = bySource || byHash ? null : findSimilar(record, existing);
+    const match = bySource || byHash || similar;
+
+    if (!match) {
+      reportRows.push({ ...base, status: IMPORT_ROW_STATUS.CREATE, record });
+      continue;
+    }
+
+    const matchInfo = { id: match.record.id, title: match.record.title, score: similar ? similar.score : 1 };
+
+    if (byHash) {
+      reportRows.push({ ...base, status: IMPORT_ROW_STATUS.UNCHANGED, record: null, match: matchInfo });
+      continue;
+    }
+    if (similar && duplicates !== DUPLICATE_ACTIONS.UPDATE) {
+      reportRows.push({ ...base, status: IMPORT_ROW_STATUS.DUPLICATE, record: null, match: matchInfo });
+      continue;
+    }
+
+    const updated = mergeCatalogRecord(match.record, {
+      ...row.draft,
+      provenance: mergeProvenance(match.record.provenance, row.draft.provenance)
+    });
+    const unchanged = await getContentHash(updated) === match.hash;
+    reportRows.push({
+      ...base,
+      status: unchanged ? IMPORT_ROW_STATUS.UNCHANGED : IMPORT_ROW_STATUS.UPDATE,
+      record: unchanged ? null : updated,
+      match: matchInfo
+    });
+  }
+
+  return reportRows;
+}
+
+function findSimilar(record, candidates) {
+  const target = toSimilarityShape(record);
+  let best = null;
+
+  candidates.forEach(candidate => {
+    const score = deduplicationUtils.calculateSimilarity(target, toSimilarityShape(candidate.record));
+    if (score >= SIMILARITY_THRESHOLD && (!best || score > best.score)) best = { ...candidate, score };
+  });
+
+  return best;
+}
+
+function toSimilarityShape(record) {
+  return {
+    title: record.title,
+    organization: record.provider,
+    amount: record.amount !== null && record.amount !== undefined ? String(record.amount) : null,
+    deadline: record.deadline
+  };
+}
+
+function mergeProvenance(current, incoming) {
+  return Object.fromEntries(Object.entries({ ...current, ...incoming }).map(([key, value]) => [key, value ?? current[key] ?? null]));
+}
+
+function summarize(rows) {
+  const summary = { total: rows.length };
+  Object.values(IMPORT_ROW_STATUS).forEach(status => {
+    summary[status] = rows.filter(row => row.status === status).length;
+  });
+  return summary;
+}
+
+function formatAmount(financial) {
+  const { min, max } = financial;
+  if (min === null && max === null) return null;
+  if (min !== null && max !== null && min !== max) return `${min} - ${max}`;
+  return max ?? min;
+}
+
+// "2025-03-01; early: 2024-12-01", which the deadline parser reads back
+function formatDeadlines(deadlines) {
+  const items = deadlines.cycles.map(({ kind, date }) => (kind === DEADLINE_KINDS.APPLICATION ? date : `${kind}: ${date}`));
+  return items.length > 0 ? items.join('; ') : null;
+}
+
+function getSingleCycle(deadlines) {
+  const cycles = [...new Set(deadlines.cycles.map(entry => entry.cycle).filter(Boolean))];
+  return cycles.length === 1 ? cycles[0] : null;
+}
+
+export default ScholarshipImportService;
@@ -0,0 +1,512 @@
+/**
+ * Scholarship Search Service
+ * Faceted full-text search over the scholarship catalog with cursor pagination.
+ * Against Supabase, filtering, sorting and paging run in the database and only
+ * one page of scholarships is loaded; the total and facet counts are computed by
+ * the `search_catalog_facets` database function (migrations/004_catalog_facets.js).
+ * Without Supabase the same search runs in memory over a given catalog, with the
+ * same matching rules.
+ */
+
+import { DEGREE_LEVELS } from './academicNormalizer.js';
+import { CATALOG_SELECT, fromCatalogRow } from './catalogMapper.js';
+
+export const SEARCH_SORTS = {
+  DEADLINE: 'deadline',
+  AMOUNT: 'amount',
+  NEWEST: 'newest'
+};
+
+export const FUNDING_TYPES = {
+  FULL: 'full',
+  PARTIAL: 'partial'
+};
+
+export const DEFAULT_PAGE_SIZE = 20;
+export const MAX_PAGE_SIZE = 100;
+
+export const AMOUNT_BUCKETS = [
+  { value: 'under_10k', label: 'Under $10,000', min: null, max: 9999.99 },
+  { value: '10k_50k', label: '$10,000 – $50,000', min: 10000, max: 50000 },
+  { value: 'over_50k', label: 'Over $50,000', min: 50000.01, max: null }
+];
+
+export const DEADLINE_WINDOWS = [
+  { value: '30d', label: 'Next 30 days', days: 30 },
+  { value: '90d', label: 'Next 3 months', days: 90 },
+  { value: '365d', label: 'Next 12 months', days: 365 }
+];
+
+const DEGREE_LABELS = {
+  [DEGREE_LEVELS.BACHELOR]: "Bachelor's",
+  [DEGREE_LEVELS.MASTER]: "Master's",
+  [DEGREE_LEVELS.PHD]: 'PhD'
+};
+
+const FUNDING_LABELS = {
+  [FUNDING_TYPES.FULL]: 'Full funding',
+  [FUNDING_TYPES.PARTIAL]: 'Partial funding'
+};
+
+// Columns searched by the text query
+const SEARCH_COLUMNS = ['title', 'description', 'provider', 'field_of_study', 'tags'];
+
+// Amounts sort by their yearly value in USD (see fromCatalogRow), whatever currency and period they are written in
+const SORT_KEYS = {
+  [SEARCH_SORTS.DEADLINE]: { column: 'deadline', ascending: true },
+  [SEARCH_SORTS.AMOUNT]: { column: 'yearly_usd_high', ascending: false },
+  [SEARCH_SORTS.NEWEST]: { column: 'created_at', ascending: false }
+};
+
+// Patterns are shared by Postgres (imatch) and JavaScript, so they stick to the
+// syntax both understand. "(^|[^r])graduate" keeps "undergraduate" out of graduate levels.
+const DEGREE_PATTERNS = {
+  [DEGREE_LEVELS.BACHELOR]: 'bachelor|undergrad',
+  [DEGREE_LEVELS.MASTER]: 'master|mba|(^|[^r])graduate',
+  [DEGREE_LEVELS.PHD]: 'ph[.]?d|doctor|(^|[^r])graduate'
+};
+const OPEN_DEGREE_PATTERN = '(^|[^a-z])(any|all)([^a-z]|$)';
+const FULL_FUNDING_PATTERN = 'fully[ -]funded|full[ -](tuition|funding|scholarship|ride)|all expenses|tuition and living';
+
+export class ScholarshipSearchService {
+  /**
+   * Search the scholarship catalog
+   * @param {Object} params - `{ query, filters, sortBy, cursor, limit }`. filters are
+   *   `{ countries, degrees, fields, fundingTypes, minAmount, maxAmount, deadlineFrom, deadlineTo }`;
+   *   list filters match any of their values, and all filters must match
+   * @param {Object} source - `{ client }` to search the Supabase scholarships table,
+   *   or `{ catalog }` to search an array of catalog records (see fromCatalogRow) in memory
+   * @returns {Promise<Object>} - `{ results, total, nextCursor, facets }`; pass nextCursor back
+   *   for the next page (null on the last one). Each facet lists `{ value, label, count }` with
+   *   the counts each value would give, all other filters applied
+   */
+  static async search(params = {}, { client = null, catalog = [] } = {}) {
+    return client ? this.searchRemote(client, params) : this.searchCatalog(catalog, params);
+  }
+
+  /**
+   * Search an in-memory catalog
+   * @param {Array<Object>} catalog - Scholarships
+   * @param {Object} params - See `search`
+   * @returns {Object} - See `search`
+   */
+  static searchCatalog(catalog = [], params = {}) {
+    const search = normalizeParams(params);
+    const queryMatches = catalog.filter(scholarship => matchesQuery(scholarship, search.terms));
+    const matches = queryMatches
+      .filter(scholarship => matchesFilters(scholarship, search.filters))
+      .sort((a, b) => compareForSort(a, b, search.sortBy));
+
+    const remaining = search.cursor
+      ? matches.filter(scholarship => compareForSort(scholarship, cursorRow(search.cursor, search.sortBy), search.sortBy) > 0)
+      : matches;
+
+    return buildResponse(remaining.slice(0, search.limit + 1), search, {
+      total: matches.length,
+      facets: countFacets(queryMatches, search.filters)
+    });
+  }
+
+  /**
+   * Search the Supabase scholarships table
+   * @param {Object} client - Supabase client
+   * @param {Object} params - See `search`
+   * @returns {Promise<Object>} - See `search`
+   */
+  static async searchRemote(client, params = {}) {
+    const search = normalizeParams(params);
+    const sortKey = SORT_KEYS[search.sortBy];
+
+    const groups = [...getQueryGroups(search.terms), ...getFilterGroups(search.filters)];
+    if (search.cursor) {
+      groups.push(getCursorGroup(search.cursor, sortKey));
+    }
+
+    let pageQuery = applyOrGroups(client.from('scholarships').select(CATALOG_SELECT), groups);
+    pageQuery = applyRangeFilters(pageQuery, search.filters)
+      .order(sortKey.column, { ascending: sortKey.ascending, nullsFirst: false })
+      .order('id', { ascending: true })
+      .limit(search.limit + 1);
+
+    const facetQuery = client.rpc('search_catalog_facets', { params: getFacetParams(search) });
+
+    const [page, facetCounts] = await Promise.all([pageQuery, facetQuery]);
+    if (page.error) throw page.error;
+    if (facetCounts.error) throw facetCounts.error;
+
+    return buildResponse((page.data || []).map(fromCatalogRow), search, {
+      total: facetCounts.data?.total ?? 0,
+      facets: fromFacetCounts(facetCounts.data || {})
+    });
+  }
+
+  /**
+   * Turn one-value-per-facet selections, as the catalog page and saved searches
+   * keep them, into search filters
+   * @param {Object} selection - `{ country, degree, field, fundingType, amount, deadline }`
+   * @param {Date} referenceDate - Today, for the deadline window
+   * @returns {Object} - Filters for `search`
+   */
+  static getSelectionFilters(selection = {}, referenceDate = new Date()) {
+    return {
+      countries: selection.country ? [selection.country] : [],
+      degrees: selection.degree ? [selection.degree] : [],
+      fields: selection.field ? [selection.field] : [],
+      fundingTypes: selection.fundingType ? [selection.fundingType] : [],
+      ...this.getAmountRange(selection.amount),
+      ...this.getDeadlineWindow(selection.deadline, referenceDate)
+    };
+  }
+
+  /**
+   * Turn a deadline window into filter dates
+   * @param {string} value - DEADLINE_WINDOWS value
+   * @param {Date} referenceDate - Today
+   * @returns {Object} - `{ deadlineFrom, deadlineTo }`, empty for an unknown window
+   */
+  static getDeadlineWindow(value, referenceDate = new Date()) {
+    const deadlineWindow = DEADLINE_WINDOWS.find(item => item.value === value);
+    if (!deadlineWindow) return {};
+
+    const end = new Date(referenceDate);
+    end.setDate(end.getDate() + deadlineWindow.days);
+    return { deadlineFrom: toIsoDay(referenceDate), deadlineTo: toIsoDay(end) };
+  }
+
+  /**
+   * Turn an amount bucket into filter amounts
+   * @param {string} value - AMOUNT_BUCKETS value
+   * @returns {Object} - `{ minAmount, maxAmount }`, empty for an unknown bucket
+   */
+  static getAmountRange(value) {
+    const bucket = AMOUNT_BUCKETS.find(item => item.value === value);
+    return bucket ? { minAmount: bucket.min, maxAmount: bucket.max } : {};
+  }
+}
+
+/**
+ * Classify a scholarship's funding
+ * @param {Object} scholarship - Scholarship in any of the catalog shapes
+ * @returns {string} - FUNDING_TYPES value
+ */
+export function getFundingType(scholarship) {
+  const explicit = scholarship.funding_type ?? scholarship.fundingType;
+  if (Object.values(FUNDING_TYPES).includes(explicit)) return explicit;
+
+  const text = `${scholarship.title || ''} ${scholarship.description || ''}`;
+  return new RegExp(FULL_FUNDING_PATTERN, 'i').test(text) ? FUNDING_TYPES.FULL : FUNDING_TYPES.PARTIAL;
+}
+
+// Helper functions
+
+function normalizeParams(params) {
+  const filters = params.filters || {};
+  const sortBy = SORT_KEYS[params.sortBy] ? params.sortBy : SEARCH_SORTS.DEADLINE;
+  const limit = Math.min(Math.max(parseInt(params.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+  return {
+    terms: tokenizeQuery(params.query),
+    filters: {
+      countries: toList(filters.countries),
+      degrees: toList(filters.degrees).filter(level => DEGREE_PATTERNS[level]),
+      fields: toList(filters.fields),
+      fundingTypes: toList(filters.fundingTypes).filter(type => FUNDING_LABELS[type]),
+      minAmount: toNumber(filters.minAmount),
+      maxAmount: toNumber(filters.maxAmount),
+      deadlineFrom: filters.deadlineFrom || null,
+      deadlineTo: filters.deadlineTo || null
+    },
+    sortBy,
+    limit,
+    cursor: params.cursor ? decodeCursor(params.cursor, sortBy) : null
+  };
+}
+
+function buildResponse(rows, search, { total, facets }) {
+  const results = rows.slice(0, search.limit);
+  const last = results[results.length - 1];
+
+  return {
+    results,
+    total,
+    nextCursor: rows.length > search.limit && last ? encodeCursor(last, search.sortBy) : null,
+    facets
+  };
+}
+
+// Filtering in memory; search_catalog_facets applies the same rules in SQL
+
+function matchesQuery(scholarship, terms) {
+  if (terms.length === 0) return true;
+  const text = SEARCH_COLUMNS.map(column => scholarship[column] ?? '').join(' ').toLowerCase();
+  return terms.every(term => text.includes(term.toLowerCase()));
+}
+
+function matchesFilters(scholarship, filters, except = null) {
+  return Object.entries(FILTER_MATCHERS).every(([facet, matches]) => facet === except || matches(scholarship, filters));
+}
+
+const FILTER_MATCHERS = {
+  country: (scholarship, { countries }) => countries.length === 0
+    || countries.some(country => includesText(scholarship.location, country)),
+  degree: (scholarship, { degrees }) => degrees.length === 0
+    || isOpenDegree(scholarship)
+    || degrees.some(level => new RegExp(DEGREE_PATTERNS[level], 'i').test(scholarship.academic_level || '')),
+  field: (scholarship, { fields }) => fields.length === 0
+    || fields.some(field => includesText(scholarship.field_of_study, field)),
+  fundingType: (scholarship, { fundingTypes }) => fundingTypes.length === 0
+    || fundingTypes.includes(getFundingType(scholarship)),
+  // Yearly USD amounts; a range ("$2,500 - $15,000") matches the bounds it overlaps
+  amount: (scholarship, { minAmount, maxAmount }) => {
+    if (minAmount === null && maxAmount === null) return true;
+    const high = scholarship.yearly_usd_high ?? null;
+    const low = scholarship.yearly_usd_low ?? high;
+    return high !== null
+      && (minAmount === null || high >= minAmount)
+      && (maxAmount === null || low <= maxAmount);
+  },
+  deadline: (scholarship, { deadlineFrom, deadlineTo }) => {
+    if (!deadlineFrom && !deadlineTo) return true;
+    const deadline = scholarship.deadline ? String(scholarship.deadline).slice(0, 10) : null;
+    return deadline !== null
+      && (!deadlineFrom || deadline >= deadlineFrom)
+      && (!deadlineTo || deadline <= deadlineTo);
+  }
+};
+
+function isOpenDegree(scholarship) {
+  return !scholarship.academic_level || new RegExp(OPEN_DEGREE_PATTERN, 'i').test(scholarship.academic_level);
+}
+
+function countFacets(rows, filters) {
+  const rowsFor = (facet) => rows.filter(scholarship => matchesFilters(scholarship, filters, facet));
+
+  return {
+    country: countValues(rowsFor('country'), scholarship => toList(scholarship.location), country => ({ countries: [country] }), FILTER_MATCHERS.country),
+    field: countValues(rowsFor('field'), scholarship => toList(scholarship.field_of_study), field => ({ fields: [field] }), FILTER_MATCHERS.field),
+    degree: Object.values(DEGREE_LEVELS).map(level => ({
+      value: level,
+      label: DEGREE_LABELS[level],
+      count: rowsFor('degree').filter(scholarship => FILTER_MATCHERS.degree(scholarship, { degrees: [level] })).length
+    })),
+    fundingType: Object.values(FUNDING_TYPES).map(type => ({
+      value: type,
+      label: FUNDING_LABELS[type],
+      count: rowsFor('fundingType').filter(scholarship => getFundingType(scholarship) === type).length
+    })),
+    amount: AMOUNT_BUCKETS.map(({ value, label, min, max }) => ({
+      value,
+      label,
+      count: rowsFor('amount').filter(scholarship => FILTER_MATCHERS.amount(scholarship, { minAmount: min, maxAmount: max })).length
+    })),
+    deadline: DEADLINE_WINDOWS.map(({ value, label }) => ({
+      value,
+      label,
+      count: rowsFor('deadline').filter(scholarship => FILTER_MATCHERS.deadline(scholarship, ScholarshipSearchService.getDeadlineWindow(value))).length
+    }))
+  };
+}
+
+// A value counts every scholarship its filter would match
+function countValues(rows, getValues, toFilter, matches) {
+  const labels = new Map();
+  rows.forEach(scholarship => getValues(scholarship).forEach(value => {
+    const key = value.toLowerCase();
+    if (!labels.has(key)) labels.set(key, value);
+  }));
+
+  return [...labels.values()]
+    .map(value => ({
+      value,
+      label: value,
+      count: rows.filter(scholarship => matches(scholarship, toFilter(value))).length
+    }))
+    .sort((a, b) => b.count - a.count || a.label.localeCompare(b.label));
+}
+
+// Arguments of search_catalog_facets: the search, plus the patterns, buckets and
+// windows defined here, so the database counts with the same rules
+function getFacetParams({ terms, filters }) {
+  return {
+    terms,
+    filters,
+    degreePatterns: DEGREE_PATTERNS,
+    openDegreePattern: OPEN_DEGREE_PATTERN,
+    fullFundingPattern: FULL_FUNDING_PATTERN,
+    amountBuckets: AMOUNT_BUCKETS.map(({ value, min, max }) => ({ value, min, max })),
+    deadlineWindows: DEADLINE_WINDOWS.map(({ value }) => {
+      const { deadlineFrom, deadlineTo } = ScholarshipSearchService.getDeadlineWindow(value);
+      return { value, from: deadlineFrom, to: deadlineTo };
+    })
+  };
+}
+
+// search_catalog_facets' `{ facet: [{ value, count }] }` in the shape countFacets returns
+function fromFacetCounts(counts) {
+  const countOf = (facet, value) => (counts[facet] || []).find(item => item.value === value)?.count ?? 0;
+  const listValues = (facet) => (counts[facet] || [])
+    .map(({ value, count }) => ({ value, label: value, count }))
+    .sort((a, b) => b.count - a.count || a.label.localeCompare(b.label));
+
+  return {
+    country: listValues('country'),
+    field: listValues('field'),
+    degree: Object.values(DEGREE_LEVELS).map(level => ({ value: level, label: DEGREE_LABELS[level], count: countOf('degree', level) })),
+    fundingType: Object.values(FUNDING_TYPES).map(type => ({ value: type, label: FUNDING_LABELS[type], count: countOf('fundingType', type) })),
+    amount: AMOUNT_BUCKETS.map(({ value, label }) => ({ value, label, count: countOf('amount', value) })),
+    deadline: DEADLINE_WINDOWS.map(({ value, label }) => ({ value, label, count: countOf('deadline', value) }))
+  };
+}
+
+// Sorting and cursors: sort column (nulls last), then id
+
+function compareForSort(a, b, sortBy) {
+  const { ascending } = SORT_KEYS[sortBy];
+  const aValue = getSortValue(a, sortBy);
+  const bValue = getSortValue(b, sortBy);
+
+  if (aValue === null || bValue === null) {
+    if (aValue !== bValue) return aValue === null ? 1 : -1;
+  } else {
+    const order = compareValues(aValue, bValue);
+    if (order !== 0) return ascending ? order : -order;
+  }
+  return compareValues(a.id, b.id);
+}
+
+// Plain code-unit order, like Postgres on ISO dates and UUIDs
+function compareValues(a, b) {
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  const aText = String(a);
+  const bText = String(b);
+  return aText < bText ? -1 : aText > bText ? 1 : 0;
+}
+
+function getSortValue(scholarship, sortBy) {
+  return scholarship[SORT_KEYS[sortBy].column] ?? null;
+}
+
+function cursorRow(cursor, sortBy) {
+  return { [SORT_KEYS[sortBy].column]: cursor.value, id: cursor.id };
+}
+
+function encodeCursor(scholarship, sortBy) {
+  return btoa(JSON.stringify({ sortBy, value: getSortValue(scholarship, sortBy), id: scholarship.id }));
+}
+
+function decodeCursor(cursor, sortBy) {
+  try {
+    const decoded = JSON.parse(atob(cursor));
+    if (decoded.sortBy !== sortBy || decoded.id === undefined) throw new Error('cursor mismatch');
+    return decoded;
+  } catch (decodeError) {
+    const error = new Error('Invalid search cursor; start again from the first page');
+    error.code = 'invalid_cursor';
+    error.cause = decodeError;
+    throw error;
+  }
+}
+
+// PostgREST filters. Each group is a list of alternatives; all groups must match.
+
+function getQueryGroups(terms) {
+  return terms.map(term => SEARCH_COLUMNS.map(column => `${column}.ilike.${quote(`%${term}%`)}`));
+}
+
+function getFilterGroups({ countries, degrees, fields, fundingTypes }) {
+  const groups = [];
+
+  if (countries.length > 0) {
+    groups.push(countries.map(country => `location.ilike.${quote(`%${country}%`)}`));
+  }
+  if (fields.length > 0) {
+    groups.push(fields.map(field => `field_of_study.ilike.${quote(`%${field}%`)}`));
+  }
+  if (degrees.length > 0) {
+    groups.push([
+      'academic_level.is.null',
+      'academic_level.eq.""',
+      `academic_level.imatch.${quote(OPEN_DEGREE_PATTERN)}`,
+      ...degrees.map(level => `academic_level.imatch.${quote(DEGREE_PATTERNS[level])}`)
+    ]);
+  }
+  // A stated funding_type wins; otherwise the title and description decide, as in getFundingType
+  if (fundingTypes.length === 1) {
+    const pattern = quote(FULL_FUNDING_PATTERN);
+    if (fundingTypes[0] === FUNDING_TYPES.FULL) {
+      groups.push([
+        `funding_type.eq.${FUNDING_TYPES.FULL}`,
+        `and(funding_type.is.null,or(title.imatch.${pattern},description.imatch.${pattern}))`
+      ]);
+    } else {
+      groups.push([
+        `funding_type.eq.${FUNDING_TYPES.PARTIAL}`,
+        `and(funding_type.is.null,title.not.imatch.${pattern},or(description.is.null,description.not.imatch.${pattern}))`
+      ]);
+    }
+  }
+
+  return groups;
+}
+
+function getCursorGroup(cursor, { column, ascending }) {
+  const after = `id.gt.${quote(cursor.id)}`;
+  if (cursor.value === null) {
+    return [`and(${column}.is.null,${after})`];
+  }
+
+  const value = quote(cursor.value);
+  return [`${column}.${ascending ? 'gt' : 'lt'}.${value}`, `${column}.is.null`, `and(${column}.eq.${value},${after})`];
+}
+
+function applyOrGroups(query, groups) {
+  if (groups.length === 0) return query;
+  if (groups.length === 1) return query.or(groups[0].join(','));
+  return query.or(`and(${groups.map(group => `or(${group.join(',')})`).join(',')})`);
+}
+
+function applyRangeFilters(query, { minAmount, maxAmount, deadlineFrom, deadlineTo }) {
+  let filtered = query;
+  // The same bounds as FILTER_MATCHERS.amount
+  if (minAmount !== null) filtered = filtered.gte('yearly_usd_high', minAmount);
+  if (maxAmount !== null) filtered = filtered.lte('yearly_usd_low', maxAmount);
+  if (deadlineFrom) filtered = filtered.gte('deadline', deadlineFrom);
+  if (deadlineTo) filtered = filtered.lte('deadline', deadlineTo);
+  return filtered;
+}
+
+// Double-quoted PostgREST values may hold commas and parentheses, but not quotes or backslashes
+function quote(value) {
+  return `"${String(value).replace(/["\\]/g, '')}"`;
+}
+
+function tokenizeQuery(query) {
+  return String(query || '')
+    .replace(/[%_*"\\,()]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+function includesText(value, search) {
+  return String(value || '').toLowerCase().includes(String(search).toLowerCase());
+}
+
+function toList(value) {
+  if (Array.isArray(value)) return value.filter(item => typeof item === 'string' && item.trim()).map(item => item.trim());
+  if (typeof value !== 'string') return [];
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+// The local calendar day; toISOString would give the UTC one, a day off away from UTC
+function toIsoDay(date) {
+  const day = new Date(date);
+  return `${day.getFullYear()}-${String(day.getMonth() + 1).padStart(2, '0')}-${String(day.getDate()).padStart(2, '0')}`;
+}
+
+export default ScholarshipSearchService;
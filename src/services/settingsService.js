@@ -72,7 +72,18 @@ export class SettingsService {
       autoApplyFilters: false,
       saveSearchHistory: true,
       showMatchScores: true,
-      highlightKeywords: true
+      highlightKeywords: true,
+      // Relative weight of each match criterion; 0 leaves a criterion out
+      matchWeights: {
+        field: 30,
+        skills: 20,
+        degree: 20,
+        gpa: 15,
+        location: 10,
+        deadline: 5
+      },
+      // Units per US dollar overriding the built-in exchange rates, e.g. { EUR: 0.9 }
+      exchangeRates: {}
     },
     
     // Applications
@@ -119,7 +130,12 @@ export class SettingsService {
       experimentalFeatures: false,
       apiTimeout: 30000, // milliseconds
       maxRetries: 3,
-      logLevel: 'info' // 'debug', 'info', 'warn', 'error'
+      logLevel: 'info', // 'debug', 'info', 'warn', 'error'
+      llmProvider: '', // 'gemini', 'openai', 'local'; empty uses VITE_LLM_PROVIDER, else Gemini
+      llmModel: '', // empty uses the provider's default model
+      llmBaseUrl: '', // OpenAI-compatible server, e.g. 'http://localhost:11434/v1'
+      llmRepairAttempts: 2, // re-prompts when a response fails schema validation
+      embeddingProvider: 'local' // 'local', 'gemini'; vectors for scholarship search
     }
   };
 
@@ -475,6 +491,49 @@ export class SettingsService {
           validated.advanced.apiTimeout = 30000; // 30 seconds default
         }
       }
+
+      // Validate autosave interval (seconds)
+      if (validated.applications && validated.applications.autoSaveInterval !== undefined) {
+        const interval = validated.applications.autoSaveInterval;
+        if (typeof interval !== 'number' || interval < 5 || interval > 600) {
+          validated.applications.autoSaveInterval = 30;
+        }
+      }
+
+      // Validate LLM provider settings
+      if (validated.advanced) {
+        if (!['', 'gemini', 'openai', 'local'].includes(validated.advanced.llmProvider)) {
+          validated.advanced.llmProvider = '';
+        }
+        if (typeof validated.advanced.llmModel !== 'string') {
+          validated.advanced.llmModel = '';
+        }
+        if (typeof validated.advanced.llmBaseUrl !== 'string' ||
+            (validated.advanced.llmBaseUrl && !/^https?:\/\//i.test(validated.advanced.llmBaseUrl))) {
+          validated.advanced.llmBaseUrl = '';
+        }
+        if (!['local', 'gemini'].includes(validated.advanced.embeddingProvider)) {
+          validated.advanced.embeddingProvider = 'local';
+        }
+        const repairAttempts = validated.advanced.llmRepairAttempts;
+        if (!Number.isInteger(repairAttempts) || repairAttempts < 0 || repairAttempts > 5) {
+          validated.advanced.llmRepairAttempts = 2;
+        }
+      }
+
+      // Validate match weights
+      if (validated.search && validated.search.matchWeights) {
+        const weights = Object.entries(validated.search.matchWeights)
+          .filter(([, weight]) => typeof weight === 'number' && weight >= 0 && weight <= 100);
+        validated.search.matchWeights = Object.fromEntries(weights);
+      }
+
+      // Validate exchange rates
+      if (validated.search && validated.search.exchangeRates) {
+        const rates = Object.entries(validated.search.exchangeRates)
+          .filter(([code, rate]) => /^[A-Z]{3}$/.test(code) && typeof rate === 'number' && rate > 0);
+        validated.search.exchangeRates = Object.fromEntries(rates);
+      }
       
       return validated;
     } catch (error) {
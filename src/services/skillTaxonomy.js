@@ -0,0 +1,338 @@
+/**
+ * Skill Taxonomy
+ * Versioned catalogue of skills with canonical IDs, aliases and parent
+ * categories, so "JS" matches "JavaScript" and "PyTorch" counts toward
+ * "Machine Learning" in both CV extraction and match scoring
+ */
+
+import { escapePattern } from './cvLanguages.js';
+
+// Bump when skills, aliases or parents change so cached matches can be invalidated
+export const TAXONOMY_VERSION = '1.0.0';
+
+export const SKILL_TYPES = {
+  CATEGORY: 'category', // Broad area, matched in requirements but not extracted from CV text
+  SKILL: 'skill'
+};
+
+// `parents` point to broader skills or categories; `caseSensitive` skills are
+// only recognised in CV text with their exact spelling ("Go", "R")
+export const SKILL_TAXONOMY = [
+  // Categories
+  { id: 'stem', name: 'STEM', type: SKILL_TYPES.CATEGORY, aliases: ['science technology engineering mathematics'], parents: [] },
+  { id: 'technology', name: 'Technology', type: SKILL_TYPES.CATEGORY, aliases: ['tech', 'information technology', 'it'], parents: ['stem'] },
+  { id: 'computer-science', name: 'Computer Science', type: SKILL_TYPES.CATEGORY, aliases: ['cs', 'computing', 'informatics'], parents: ['technology'] },
+  { id: 'software-engineering', name: 'Software Engineering', type: SKILL_TYPES.CATEGORY, aliases: ['software development', 'software engineer'], parents: ['computer-science'] },
+  { id: 'programming', name: 'Programming', type: SKILL_TYPES.CATEGORY, aliases: ['coding', 'programming languages'], parents: ['software-engineering'] },
+  { id: 'web-development', name: 'Web Development', type: SKILL_TYPES.CATEGORY, aliases: ['web dev', 'frontend', 'front end', 'backend', 'back end', 'full stack'], parents: ['software-engineering'] },
+  { id: 'mobile-development', name: 'Mobile Development', type: SKILL_TYPES.CATEGORY, aliases: ['mobile', 'ios development', 'android development'], parents: ['software-engineering'] },
+  { id: 'databases', name: 'Databases', type: SKILL_TYPES.CATEGORY, aliases: ['database', 'data management'], parents: ['computer-science'] },
+  { id: 'cloud-computing', name: 'Cloud Computing', type: SKILL_TYPES.CATEGORY, aliases: ['cloud'], parents: ['technology'] },
+  { id: 'artificial-intelligence', name: 'Artificial Intelligence', type: SKILL_TYPES.CATEGORY, aliases: ['ai'], parents: ['computer-science'] },
+  { id: 'engineering', name: 'Engineering', type: SKILL_TYPES.CATEGORY, aliases: [], parents: ['stem'] },
+  { id: 'mathematics', name: 'Mathematics', type: SKILL_TYPES.CATEGORY, aliases: ['math', 'maths'], parents: ['stem'] },
+  { id: 'business', name: 'Business', type: SKILL_TYPES.CATEGORY, aliases: ['business administration'], parents: [] },
+  { id: 'management', name: 'Management', type: SKILL_TYPES.CATEGORY, aliases: [], parents: ['business'] },
+  { id: 'soft-skills', name: 'Soft Skills', type: SKILL_TYPES.CATEGORY, aliases: ['interpersonal skills'], parents: [] },
+
+  // Programming languages
+  { id: 'javascript', name: 'JavaScript', type: SKILL_TYPES.SKILL, aliases: ['js', 'ecmascript', 'es6'], parents: ['programming', 'web-development'] },
+  { id: 'typescript', name: 'TypeScript', type: SKILL_TYPES.SKILL, aliases: ['ts'], parents: ['javascript'] },
+  { id: 'python', name: 'Python', type: SKILL_TYPES.SKILL, aliases: ['python3', 'py'], parents: ['programming'] },
+  { id: 'java', name: 'Java', type: SKILL_TYPES.SKILL, aliases: [], parents: ['programming'] },
+  { id: 'cpp', name: 'C++', type: SKILL_TYPES.SKILL, aliases: ['cpp'], parents: ['programming'] },
+  { id: 'csharp', name: 'C#', type: SKILL_TYPES.SKILL, aliases: ['c sharp', 'csharp'], parents: ['programming'] },
+  { id: 'php', name: 'PHP', type: SKILL_TYPES.SKILL, aliases: [], parents: ['programming', 'web-development'] },
+  { id: 'ruby', name: 'Ruby', type: SKILL_TYPES.SKILL, aliases: [], parents: ['programming'] },
+  { id: 'go', name: 'Go', type: SKILL_TYPES.SKILL, aliases: ['golang'], parents: ['programming'], caseSensitive: true },
+  { id: 'rust', name: 'Rust', type: SKILL_TYPES.SKILL, aliases: [], parents: ['programming'] },
+  { id: 'swift', name: 'Swift', type: SKILL_TYPES.SKILL, aliases: [], parents: ['programming', 'mobile-development'] },
+  { id: 'kotlin', name: 'Kotlin', type: SKILL_TYPES.SKILL, aliases: [], parents: ['programming', 'mobile-development'] },
+  { id: 'r', name: 'R', type: SKILL_TYPES.SKILL, aliases: ['rstats'], parents: ['programming', 'statistics'], caseSensitive: true },
+  { id: 'sql', name: 'SQL', type: SKILL_TYPES.SKILL, aliases: [], parents: ['databases'] },
+
+  // Web technologies
+  { id: 'html', name: 'HTML', type: SKILL_TYPES.SKILL, aliases: ['html5'], parents: ['web-development'] },
+  { id: 'css', name: 'CSS', type: SKILL_TYPES.SKILL, aliases: ['css3'], parents: ['web-development'] },
+  { id: 'react', name: 'React', type: SKILL_TYPES.SKILL, aliases: ['react.js', 'reactjs'], parents: ['javascript'] },
+  { id: 'angular', name: 'Angular', type: SKILL_TYPES.SKILL, aliases: ['angularjs'], parents: ['typescript'] },
+  { id: 'vue', name: 'Vue', type: SKILL_TYPES.SKILL, aliases: ['vue.js', 'vuejs'], parents: ['javascript'] },
+  { id: 'nodejs', name: 'Node.js', type: SKILL_TYPES.SKILL, aliases: ['node', 'nodejs'], parents: ['javascript'] },
+  { id: 'express', name: 'Express', type: SKILL_TYPES.SKILL, aliases: ['express.js', 'expressjs'], parents: ['nodejs'] },
+  { id: 'django', name: 'Django', type: SKILL_TYPES.SKILL, aliases: [], parents: ['python', 'web-development'] },
+  { id: 'flask', name: 'Flask', type: SKILL_TYPES.SKILL, aliases: [], parents: ['python', 'web-development'] },
+
+  // Databases
+  { id: 'mysql', name: 'MySQL', type: SKILL_TYPES.SKILL, aliases: [], parents: ['sql'] },
+  { id: 'postgresql', name: 'PostgreSQL', type: SKILL_TYPES.SKILL, aliases: ['postgres'], parents: ['sql'] },
+  { id: 'sqlite', name: 'SQLite', type: SKILL_TYPES.SKILL, aliases: [], parents: ['sql'] },
+  { id: 'mongodb', name: 'MongoDB', type: SKILL_TYPES.SKILL, aliases: ['mongo'], parents: ['databases'] },
+  { id: 'redis', name: 'Redis', type: SKILL_TYPES.SKILL, aliases: [], parents: ['databases'] },
+
+  // Cloud & DevOps
+  { id: 'aws', name: 'AWS', type: SKILL_TYPES.SKILL, aliases: ['amazon web services'], parents: ['cloud-computing'] },
+  { id: 'azure', name: 'Azure', type: SKILL_TYPES.SKILL, aliases: ['microsoft azure'], parents: ['cloud-computing'] },
+  { id: 'gcp', name: 'Google Cloud', type: SKILL_TYPES.SKILL, aliases: ['gcp', 'google cloud platform'], parents: ['cloud-computing'] },
+  { id: 'devops', name: 'DevOps', type: SKILL_TYPES.SKILL, aliases: ['ci/cd'], parents: ['software-engineering', 'cloud-computing'] },
+  { id: 'docker', name: 'Docker', type: SKILL_TYPES.SKILL, aliases: [], parents: ['devops'] },
+  { id: 'kubernetes', name: 'Kubernetes', type: SKILL_TYPES.SKILL, aliases: ['k8s'], parents: ['devops'] },
+  { id: 'jenkins', name: 'Jenkins', type: SKILL_TYPES.SKILL, aliases: [], parents: ['devops'] },
+  { id: 'git', name: 'Git', type: SKILL_TYPES.SKILL, aliases: ['github', 'gitlab'], parents: ['software-engineering'] },
+
+  // Data science & AI
+  { id: 'data-science', name: 'Data Science', type: SKILL_TYPES.SKILL, aliases: [], parents: ['computer-science'] },
+  { id: 'data-analysis', name: 'Data Analysis', type: SKILL_TYPES.SKILL, aliases: ['data analytics', 'analytics'], parents: ['data-science'] },
+  { id: 'statistics', name: 'Statistics', type: SKILL_TYPES.SKILL, aliases: ['statistical analysis'], parents: ['mathematics', 'data-science'] },
+  { id: 'machine-learning', name: 'Machine Learning', type: SKILL_TYPES.SKILL, aliases: ['ml'], parents: ['artificial-intelligence', 'data-science'] },
+  { id: 'deep-learning', name: 'Deep Learning', type: SKILL_TYPES.SKILL, aliases: ['neural networks'], parents: ['machine-learning'] },
+  { id: 'nlp', name: 'Natural Language Processing', type: SKILL_TYPES.SKILL, aliases: ['nlp'], parents: ['artificial-intelligence'] },
+  { id: 'computer-vision', name: 'Computer Vision', type: SKILL_TYPES.SKILL, aliases: [], parents: ['artificial-intelligence'] },
+  { id: 'tensorflow', name: 'TensorFlow', type: SKILL_TYPES.SKILL, aliases: [], parents: ['deep-learning', 'python'] },
+  { id: 'pytorch', name: 'PyTorch', type: SKILL_TYPES.SKILL, aliases: ['torch'], parents: ['deep-learning', 'python'] },
+  { id: 'keras', name: 'Keras', type: SKILL_TYPES.SKILL, aliases: [], parents: ['deep-learning', 'python'] },
+  { id: 'scikit-learn', name: 'scikit-learn', type: SKILL_TYPES.SKILL, aliases: ['sklearn', 'scikit learn'], parents: ['machine-learning', 'python'] },
+  { id: 'pandas', name: 'Pandas', type: SKILL_TYPES.SKILL, aliases: [], parents: ['data-analysis', 'python'] },
+  { id: 'numpy', name: 'NumPy', type: SKILL_TYPES.SKILL, aliases: [], parents: ['data-analysis', 'python'] },
+  { id: 'excel', name: 'Excel', type: SKILL_TYPES.SKILL, aliases: ['microsoft excel', 'ms excel'], parents: ['data-analysis'] },
+  { id: 'tableau', name: 'Tableau', type: SKILL_TYPES.SKILL, aliases: [], parents: ['data-analysis'] },
+  { id: 'power-bi', name: 'Power BI', type: SKILL_TYPES.SKILL, aliases: ['powerbi'], parents: ['data-analysis'] },
+
+  // Professional skills
+  { id: 'project-management', name: 'Project Management', type: SKILL_TYPES.SKILL, aliases: ['project manager'], parents: ['management'] },
+  { id: 'leadership', name: 'Leadership', type: SKILL_TYPES.SKILL, aliases: ['team leadership', 'team lead'], parents: ['soft-skills', 'management'] },
+  { id: 'communication', name: 'Communication', type: SKILL_TYPES.SKILL, aliases: ['communication skills', 'public speaking'], parents: ['soft-skills'] },
+  { id: 'problem-solving', name: 'Problem Solving', type: SKILL_TYPES.SKILL, aliases: ['problem-solving', 'critical thinking'], parents: ['soft-skills'] },
+  { id: 'teamwork', name: 'Teamwork', type: SKILL_TYPES.SKILL, aliases: ['collaboration', 'team work'], parents: ['soft-skills'] }
+];
+
+const SKILLS_BY_ID = new Map(SKILL_TAXONOMY.map(skill => [skill.id, skill]));
+const SKILLS_BY_TERM = buildTermIndex(SKILL_TAXONOMY);
+const ancestorCache = new Map();
+let textPatterns = null;
+
+/**
+ * Get a skill by canonical ID
+ * @param {string} id - Canonical skill ID, e.g. 'javascript'
+ * @returns {Object|null} - Taxonomy entry
+ */
+export function getSkill(id) {
+  return SKILLS_BY_ID.get(id) || null;
+}
+
+/**
+ * Find the taxonomy entry for a free-text skill, tag or alias
+ * @param {string} term - e.g. 'JS', 'computer-science', 'Node.js'
+ * @returns {Object|null} - Taxonomy entry or null when unknown
+ */
+export function findSkill(term) {
+  if (typeof term !== 'string') return null;
+  return SKILLS_BY_TERM.get(normalizeTerm(term)) || null;
+}
+
+/**
+ * Get the canonical name for a skill, keeping unknown skills as written
+ * @param {string} term - Free-text skill
+ * @returns {string} - Canonical name, e.g. 'JS' → 'JavaScript'
+ */
+export function normalizeSkill(term) {
+  return findSkill(term)?.name || (typeof term === 'string' ? term.trim() : '');
+}
+
+/**
+ * Get all broader skills and categories of a skill
+ * @param {string} id - Canonical skill ID
+ * @returns {Array<string>} - Ancestor IDs, nearest first
+ */
+export function getAncestors(id) {
+  if (ancestorCache.has(id)) {
+    return ancestorCache.get(id);
+  }
+
+  const ancestors = [];
+  const queue = [...(getSkill(id)?.parents || [])];
+
+  while (queue.length > 0) {
+    const parentId = queue.shift();
+    if (ancestors.includes(parentId) || parentId === id) continue;
+
+    ancestors.push(parentId);
+    queue.push(...(getSkill(parentId)?.parents || []));
+  }
+
+  ancestorCache.set(id, ancestors);
+  return ancestors;
+}
+
+/**
+ * Get all narrower skills of a skill or category
+ * @param {string} id - Canonical skill ID
+ * @returns {Array<string>} - Descendant IDs
+ */
+export function getDescendants(id) {
+  return SKILL_TAXONOMY
+    .filter(skill => getAncestors(skill.id).includes(id))
+    .map(skill => skill.id);
+}
+
+/**
+ * Check whether a skill is, or falls under, another skill
+ * @param {string} term - Skill held, e.g. 'PyTorch'
+ * @param {string} ancestorTerm - Broader skill, e.g. 'machine learning'
+ * @returns {boolean} - True when the skills match or the second is an ancestor
+ */
+export function isSkillOf(term, ancestorTerm) {
+  const skill = findSkill(term);
+  const ancestor = findSkill(ancestorTerm);
+
+  if (!skill || !ancestor) {
+    return normalizeTerm(term) === normalizeTerm(ancestorTerm);
+  }
+
+  return skill.id === ancestor.id || getAncestors(skill.id).includes(ancestor.id);
+}
+
+/**
+ * Expand skills to canonical IDs plus every ancestor
+ * @param {Array<string>} terms - Free-text skills
+ * @returns {Set<string>} - Canonical IDs
+ */
+export function expandSkills(terms = []) {
+  const expanded = new Set();
+
+  for (const term of terms) {
+    const skill = findSkill(term);
+    if (!skill) continue;
+
+    expanded.add(skill.id);
+    getAncestors(skill.id).forEach(id => expanded.add(id));
+  }
+
+  return expanded;
+}
+
+/**
+ * Find taxonomy skills mentioned in free text
+ * @param {string} text - CV section text
+ * @returns {Array<Object>} - `{ id, name, term, index }` in order of first mention
+ */
+export function extractSkillsFromText(text = '') {
+  const found = new Map();
+
+  for (const pattern of getTextPatterns()) {
+    for (const match of text.matchAll(pattern)) {
+      const skill = findSkill(match[0]);
+      if (skill && (!found.has(skill.id) || found.get(skill.id).index > match.index)) {
+        found.set(skill.id, { id: skill.id, name: skill.name, term: match[0], index: match.index });
+      }
+    }
+  }
+
+  return [...found.values()].sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Match a profile's skills against required skills or tags. A requirement is
+ * met when the profile holds that skill or any narrower one; requirements not
+ * in the taxonomy only match the same text.
+ * @param {Array<string>} skills - Profile skills
+ * @param {Array<string>} requirements - Required skills or scholarship tags
+ * @returns {Object} - `{ matched: [{ requirement, skillId, via }], missing: [{ requirement, skillId }] }`
+ */
+export function matchSkills(skills = [], requirements = []) {
+  const held = skills.filter(skill => typeof skill === 'string' && skill.trim());
+  const matched = [];
+  const missing = [];
+
+  for (const requirement of requirements) {
+    if (typeof requirement !== 'string' || !requirement.trim()) continue;
+
+    const skill = findSkill(requirement);
+    const via = held.filter(term => isSkillOf(term, requirement));
+
+    if (via.length > 0) {
+      matched.push({ requirement: requirement.trim(), skillId: skill?.id || null, via });
+    } else {
+      missing.push({ requirement: requirement.trim(), skillId: skill?.id || null });
+    }
+  }
+
+  return { matched, missing };
+}
+
+/**
+ * Get taxonomy metadata
+ * @returns {Object} - `{ version, skillCount, categoryCount }`
+ */
+export function getTaxonomyInfo() {
+  return {
+    version: TAXONOMY_VERSION,
+    skillCount: SKILL_TAXONOMY.filter(skill => skill.type === SKILL_TYPES.SKILL).length,
+    categoryCount: SKILL_TAXONOMY.filter(skill => skill.type === SKILL_TYPES.CATEGORY).length
+  };
+}
+
+// Helper functions
+
+function normalizeTerm(term) {
+  return term
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[_-]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .replace(/[.,;:]+$/, '')
+    .trim();
+}
+
+function buildTermIndex(skills) {
+  const index = new Map();
+
+  for (const skill of skills) {
+    for (const term of [skill.id, skill.name, ...skill.aliases]) {
+      const key = normalizeTerm(term);
+      if (!index.has(key)) {
+        index.set(key, skill);
+      }
+    }
+  }
+
+  return index;
+}
+
+// Categories are left out: words like "Engineering" or "Business" in CV text
+// rarely name a skill the candidate holds
+function getTextPatterns() {
+  if (textPatterns) return textPatterns;
+
+  const extractable = SKILL_TAXONOMY.filter(skill => skill.type === SKILL_TYPES.SKILL);
+  const toPattern = (terms, flags) => {
+    const alternation = [...new Set(terms)]
+      .sort((a, b) => b.length - a.length)
+      .map(term => escapePattern(term).replace(/ /g, '[\\s-]+'))
+      .join('|');
+    return new RegExp(`(?<![\\p{L}\\d])(?:${alternation})(?![\\p{L}\\d])`, flags);
+  };
+
+  textPatterns = [
+    toPattern(extractable.filter(skill => !skill.caseSensitive).flatMap(skill => [skill.name, ...skill.aliases]), 'giu'),
+    toPattern(extractable.filter(skill => skill.caseSensitive).map(skill => skill.name), 'gu'),
+    toPattern(extractable.filter(skill => skill.caseSensitive).flatMap(skill => skill.aliases), 'giu')
+  ];
+
+  return textPatterns;
+}
+
+export default {
+  TAXONOMY_VERSION,
+  SKILL_TYPES,
+  SKILL_TAXONOMY,
+  getSkill,
+  findSkill,
+  normalizeSkill,
+  getAncestors,
+  getDescendants,
+  isSkillOf,
+  expandSkills,
+  extractSkillsFromText,
+  matchSkills,
+  getTaxonomyInfo
+};
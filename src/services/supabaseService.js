@@ -4,6 +4,10 @@
  */
 
 import { createClient } from '@supabase/supabase-js';
+import VectorSearchService from './vectorSearchService.js';
+import { scoreScholarship } from './matchScoringService.js';
+import ScholarshipSearchService from './scholarshipSearchService.js';
+import { CATALOG_SELECT, fromCatalogRow, getCatalogStamp, mergeCatalogRecord, toCatalogPayload } from './catalogMapper.js';
 
 const supabaseUrl = import.meta.env.VITE_SUPABASE_URL;
 const supabaseKey = import.meta.env.VITE_SUPABASE_ANON_KEY;
@@ -14,6 +18,9 @@ if (!supabaseUrl || !supabaseKey) {
 
 const supabase = supabaseUrl && supabaseKey ? createClient(supabaseUrl, supabaseKey) : null;
 
+// Dispatched on window after this client adds, updates or deletes a scholarship
+export const CATALOG_UPDATED_EVENT = 'scholarai_catalog_updated';
+
 export class SupabaseService {
   /**
    * Initialize the SupabaseService
@@ -47,8 +54,9 @@ export class SupabaseService {
         .limit(1);
 
       if (error && error.code === '42P01') {
-        // Table doesn't exist, create it
-        await this.createScholarshipTable();
+        // The schema is managed by migrations, which need a direct database connection
+        console.warn('Scholarships table not found. Run `npm run migrate` to create the database schema.');
+        return false;
       }
 
       if (!existingData || existingData.length === 0) {
@@ -63,59 +71,6 @@ export class SupabaseService {
     }
   }
 
-  /**
-   * Create scholarships table
-   */
-  static async createScholarshipTable() {
-    if (!supabase) {
-      console.warn('Supabase not configured. Cannot create table.');
-      return;
-    }
-
-    try {
-      // Create the scholarships table using direct SQL
-      const { error } = await supabase.rpc('exec_sql', {
-        sql: `
-          CREATE TABLE IF NOT EXISTS public.scholarships (
-            id SERIAL PRIMARY KEY,
-            title VARCHAR(255) NOT NULL,
-            provider VARCHAR(255),
-            amount INTEGER,
-            deadline DATE,
-            description TEXT,
-            eligibility TEXT,
-            field_of_study VARCHAR(255),
-            academic_level VARCHAR(255),
-            location VARCHAR(255),
-            application_url TEXT,
-            requirements TEXT,
-            tags TEXT,
-            match_score INTEGER DEFAULT 0,
-            created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-            updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
-          );
-          
-          -- Create indexes for better query performance
-          CREATE INDEX IF NOT EXISTS idx_scholarships_field_of_study ON public.scholarships(field_of_study);
-          CREATE INDEX IF NOT EXISTS idx_scholarships_academic_level ON public.scholarships(academic_level);
-          CREATE INDEX IF NOT EXISTS idx_scholarships_deadline ON public.scholarships(deadline);
-          CREATE INDEX IF NOT EXISTS idx_scholarships_amount ON public.scholarships(amount);
-        `
-      });
-
-      if (error) {
-        console.error('Error creating scholarships table:', error);
-        throw error;
-      }
-      
-      console.log('Scholarships table created successfully');
-    } catch (error) {
-      console.error('Error in createScholarshipTable:', error);
-      // If RPC doesn't work, fall back to direct table creation (this might not work without proper permissions)
-      throw error;
-    }
-  }
-
   /**
    * Insert sample scholarship data
    */
@@ -133,8 +88,7 @@ export class SupabaseService {
         location: "United States",
         application_url: "https://buildyourfuture.withgoogle.com/scholarships",
         requirements: "Minimum 3.5 GPA, demonstrated leadership, financial need",
-        tags: "technology,diversity,computer-science,google",
-        match_score: 95
+        tags: "technology,diversity,computer-science,google"
       },
       {
         title: "Microsoft Diversity in Technology Scholarship",
@@ -148,8 +102,7 @@ export class SupabaseService {
         location: "Global",
         application_url: "https://careers.microsoft.com/students/us/en/usscholarshipprogram",
         requirements: "Demonstrated academic excellence, leadership potential",
-        tags: "technology,diversity,microsoft,global",
-        match_score: 90
+        tags: "technology,diversity,microsoft,global"
       },
       {
         title: "Amazon Future Engineer Scholarship",
@@ -163,8 +116,7 @@ export class SupabaseService {
         location: "United States",
         application_url: "https://www.amazonfutureengineer.com/scholarships",
         requirements: "High school senior, plan to study CS, demonstrate need",
-        tags: "computer-science,amazon,undergraduate,high-value",
-        match_score: 88
+        tags: "computer-science,amazon,undergraduate,high-value"
       },
       {
         title: "Adobe Digital Academy Scholarship",
@@ -178,8 +130,7 @@ export class SupabaseService {
         location: "United States",
         application_url: "https://www.adobe.com/corporate-responsibility/education/digital-academy.html",
         requirements: "Portfolio submission, academic excellence, creative potential",
-        tags: "digital-media,creative,adobe,portfolio",
-        match_score: 85
+        tags: "digital-media,creative,adobe,portfolio"
       },
       {
         title: "IBM AI Ethics Global Scholarship",
@@ -193,8 +144,7 @@ export class SupabaseService {
         location: "Global",
         application_url: "https://www.ibm.com/academic/scholarships",
         requirements: "Research proposal, academic excellence, ethics focus",
-        tags: "ai,ethics,research,ibm,graduate",
-        match_score: 82
+        tags: "ai,ethics,research,ibm,graduate"
       },
       {
         title: "Salesforce Technology Innovation Scholarship",
@@ -208,8 +158,7 @@ export class SupabaseService {
         location: "United States,Canada",
         application_url: "https://trailhead.salesforce.com/en/careers/university-recruiting",
         requirements: "Technical project portfolio, leadership experience",
-        tags: "cloud-computing,enterprise,salesforce,innovation",
-        match_score: 80
+        tags: "cloud-computing,enterprise,salesforce,innovation"
       },
       {
         title: "Tesla STEM Education Scholarship",
@@ -223,8 +172,7 @@ export class SupabaseService {
         location: "United States",
         application_url: "https://www.tesla.com/careers/students",
         requirements: "STEM focus, sustainability interest, academic merit",
-        tags: "engineering,sustainability,tesla,stem",
-        match_score: 78
+        tags: "engineering,sustainability,tesla,stem"
       },
       {
         title: "Netflix Creative Technology Scholarship",
@@ -238,8 +186,7 @@ export class SupabaseService {
         location: "United States",
         application_url: "https://jobs.netflix.com/students",
         requirements: "Creative portfolio, technical skills, entertainment industry interest",
-        tags: "entertainment,media-tech,netflix,creative",
-        match_score: 75
+        tags: "entertainment,media-tech,netflix,creative"
       },
       {
         title: "Spotify Audio Technology Scholarship",
@@ -253,8 +200,7 @@ export class SupabaseService {
         location: "Global",
         application_url: "https://www.spotifyforartists.com/education",
         requirements: "Audio technology project, technical proficiency",
-        tags: "audio,music-tech,spotify,innovation",
-        match_score: 72
+        tags: "audio,music-tech,spotify,innovation"
       },
       {
         title: "Uber Mobility Innovation Scholarship",
@@ -268,16 +214,15 @@ export class SupabaseService {
         location: "United States,Europe",
         application_url: "https://www.uber.com/careers/students",
         requirements: "Research in mobility, urban planning focus, innovation potential",
-        tags: "transportation,mobility,uber,urban-planning",
-        match_score: 70
+        tags: "transportation,mobility,uber,urban-planning"
       }
     ];
 
-    const { error } = await supabase
-      .from('scholarships')
-      .insert(sampleScholarships);
-
-    if (error) {
+    try {
+      for (const scholarship of sampleScholarships) {
+        await this.saveScholarship(scholarship);
+      }
+    } catch (error) {
       console.error('Error inserting sample scholarships:', error);
       throw error;
     }
@@ -295,7 +240,7 @@ export class SupabaseService {
       return [];
     }
 
-    let query = supabase.from('scholarships').select('*');
+    let query = supabase.from('scholarships').select(CATALOG_SELECT);
 
     // Apply filters
     if (filters.search) {
@@ -337,90 +282,41 @@ export class SupabaseService {
       throw error;
     }
 
-    return data || [];
+    return (data || []).map(fromCatalogRow);
   }
 
   /**
-   * Calculate match score between scholarship and user profile
-   * @param {Object} scholarship - Scholarship data
-   * @param {Object} profile - User profile
-   * @returns {number} - Match score (0-100)
+   * Faceted full-text search with cursor pagination, run in the database
+   * (or over the fallback scholarships when Supabase is not configured)
+   * @param {Object} params - `{ query, filters, sortBy, cursor, limit }`, see ScholarshipSearchService.search
+   * @returns {Promise<Object>} - `{ results, total, nextCursor, facets }`
    */
-  static calculateMatchScore(scholarship, profile) {
-    let score = scholarship.match_score || 50; // Base score
-
-    if (!profile || Object.keys(profile).length === 0) {
-      return score;
-    }
-
-    // Field of study match
-    if (profile.education && profile.education.length > 0) {
-      const userFields = profile.education.map(edu => edu.field?.toLowerCase() || '');
-      const scholarshipField = scholarship.field_of_study?.toLowerCase() || '';
-      
-      if (userFields.some(field => 
-        field.includes(scholarshipField) || 
-        scholarshipField.includes(field) ||
-        this.areRelatedFields(field, scholarshipField)
-      )) {
-        score += 15;
-      }
-    }
-
-    // Skills match
-    if (profile.skills && profile.skills.length > 0) {
-      const userSkills = profile.skills.map(skill => skill.toLowerCase());
-      const scholarshipTags = scholarship.tags?.toLowerCase().split(',') || [];
-      
-      const skillMatches = userSkills.filter(skill => 
-        scholarshipTags.some(tag => tag.includes(skill) || skill.includes(tag))
-      ).length;
-      
-      score += Math.min(skillMatches * 5, 20); // Max 20 points for skills
-    }
-
-    // Academic level match
-    if (profile.academicLevel) {
-      const scholarshipLevels = scholarship.academic_level?.toLowerCase().split(',') || [];
-      if (scholarshipLevels.some(level => level.includes(profile.academicLevel.toLowerCase()))) {
-        score += 10;
-      }
-    }
-
-    // Location preference (if available)
-    if (profile.location && scholarship.location) {
-      if (scholarship.location.toLowerCase() === 'global' || 
-          scholarship.location.toLowerCase().includes(profile.location.toLowerCase())) {
-        score += 5;
-      }
-    }
-
-    return Math.min(Math.max(score, 0), 100); // Ensure score is between 0-100
+  static async searchCatalog(params = {}) {
+    return ScholarshipSearchService.search(params, supabase
+      ? { client: supabase }
+      : { catalog: this.getFallbackScholarships() });
   }
 
   /**
-   * Check if two fields of study are related
-   * @param {string} field1 - First field
-   * @param {string} field2 - Second field
-   * @returns {boolean} - Whether fields are related
+   * Cheap catalog fingerprint input, read without loading the catalog
+   * @returns {Promise<Object>} - `{ count, updatedAt }`: active scholarships and the latest edit
+   *   (the fallback count and null when Supabase is not configured)
    */
-  static areRelatedFields(field1, field2) {
-    const relatedFields = {
-      'computer science': ['software engineering', 'information technology', 'data science', 'artificial intelligence'],
-      'engineering': ['computer engineering', 'electrical engineering', 'mechanical engineering', 'civil engineering'],
-      'business': ['management', 'finance', 'marketing', 'economics'],
-      'science': ['biology', 'chemistry', 'physics', 'mathematics'],
-      'arts': ['design', 'media', 'communications', 'literature']
-    };
-
-    for (const [category, related] of Object.entries(relatedFields)) {
-      if ((field1.includes(category) && related.some(r => field2.includes(r))) ||
-          (field2.includes(category) && related.some(r => field1.includes(r)))) {
-        return true;
-      }
+  static async getCatalogStamp() {
+    if (!supabase) {
+      return { count: this.getFallbackScholarships().length, updatedAt: null };
     }
+    return getCatalogStamp(supabase);
+  }
 
-    return false;
+  /**
+   * Calculate match score between scholarship and user profile
+   * @param {Object} scholarship - Scholarship data
+   * @param {Object} profile - User profile
+   * @returns {number} - Match score (0-100); see `scoreScholarship` for the breakdown
+   */
+  static calculateMatchScore(scholarship, profile) {
+    return scoreScholarship(scholarship, profile || {}).score;
   }
 
   /**
@@ -428,7 +324,7 @@ export class SupabaseService {
    * @returns {Array} - Fallback scholarship data
    */
   static getFallbackScholarships() {
-    return [
+    const scholarships = [
       {
         id: 1,
         title: "Tech Innovation Scholarship",
@@ -442,8 +338,7 @@ export class SupabaseService {
         location: "United States",
         application_url: "https://example.com/apply",
         requirements: "3.0+ GPA, demonstrated interest in technology",
-        tags: "technology,innovation,stem",
-        matchScore: 85
+        tags: "technology,innovation,stem"
       },
       {
         id: 2,
@@ -458,8 +353,7 @@ export class SupabaseService {
         location: "Global",
         application_url: "https://example.com/apply",
         requirements: "Leadership experience, community involvement",
-        tags: "leadership,business,global",
-        matchScore: 80
+        tags: "leadership,business,global"
       },
       {
         id: 3,
@@ -474,40 +368,82 @@ export class SupabaseService {
         location: "United States,Canada",
         application_url: "https://example.com/apply",
         requirements: "3.5+ GPA, STEM major, research experience",
-        tags: "stem,science,research,excellence",
-        matchScore: 90
+        tags: "stem,science,research,excellence"
       }
     ];
+
+    return scholarships.map(fromCatalogRow);
   }
 
   /**
-   * Add a new scholarship to the database
-   * @param {Object} scholarshipData - Scholarship information
-   * @returns {Promise<Object>} - Created scholarship
+   * Get one scholarship
+   * @param {string} id - Scholarship ID
+   * @returns {Promise<Object|null>} - Scholarship in the catalog record shape, or null if not found
    */
-  static async addScholarship(scholarshipData) {
+  static async getScholarship(id) {
     if (!supabase) {
       throw new Error('Supabase not configured');
     }
 
     const { data, error } = await supabase
       .from('scholarships')
-      .insert([scholarshipData])
-      .select()
-      .single();
+      .select(CATALOG_SELECT)
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error loading scholarship:', error);
+      throw error;
+    }
+
+    return data ? fromCatalogRow(data) : null;
+  }
+
+  /**
+   * Get the whole catalog
+   * @returns {Promise<Array>} - Scholarships in the catalog record shape (the fallback
+   *   scholarships when Supabase is not configured)
+   */
+  static async getAllScholarships() {
+    if (!supabase) {
+      return this.getFallbackScholarships();
+    }
+
+    const { data, error } = await supabase
+      .from('scholarships')
+      .select(CATALOG_SELECT)
+      .order('created_at', { ascending: false });
 
     if (error) {
-      console.error('Error adding scholarship:', error);
+      console.error('Error loading scholarships:', error);
       throw error;
     }
 
+    return (data || []).map(fromCatalogRow);
+  }
+
+  /**
+   * Add a new scholarship to the database
+   * @param {Object} scholarshipData - Scholarship in any of the catalog shapes
+   * @returns {Promise<Object>} - Created scholarship
+   */
+  static async addScholarship(scholarshipData) {
+    if (!supabase) {
+      throw new Error('Supabase not configured');
+    }
+
+    const data = await this.saveScholarship({ ...scholarshipData, id: null });
+
+    await this.refreshSearchIndex([data]);
+    this.dispatchCatalogUpdated({ action: 'added', ids: [data.id] });
     return data;
   }
 
   /**
    * Update scholarship information
-   * @param {number} id - Scholarship ID
-   * @param {Object} updates - Updates to apply
+   * @param {string} id - Scholarship ID
+   * @param {Object} updates - Updates to apply; flat columns (`location`, `amount`, `deadline`...)
+   *   or the nested structures, see mergeCatalogRecord
    * @returns {Promise<Object>} - Updated scholarship
    */
   static async updateScholarship(id, updates) {
@@ -515,19 +451,65 @@ export class SupabaseService {
       throw new Error('Supabase not configured');
     }
 
-    const { data, error } = await supabase
-      .from('scholarships')
-      .update(updates)
-      .eq('id', id)
-      .select()
-      .single();
+    const existing = await this.getScholarship(id);
+    if (!existing) {
+      throw new Error(`Scholarship ${id} not found`);
+    }
+
+    const data = await this.saveScholarship({ ...mergeCatalogRecord(existing, updates), id });
+
+    await this.refreshSearchIndex([data]);
+    this.dispatchCatalogUpdated({ action: 'updated', ids: [data.id] });
+    return data;
+  }
+
+  /**
+   * Write a scholarship with its eligibility and deadline rows in one transaction
+   * @param {Object} record - Scholarship in any of the catalog shapes; upserted by id
+   * @returns {Promise<Object>} - Saved scholarship, read back
+   */
+  static async saveScholarship(record) {
+    const { data: id, error } = await supabase.rpc('save_scholarship', {
+      payload: await toCatalogPayload(record)
+    });
 
     if (error) {
-      console.error('Error updating scholarship:', error);
+      console.error('Error saving scholarship:', error);
       throw error;
     }
 
-    return data;
+    return this.getScholarship(id);
+  }
+
+  /**
+   * Save many scholarships, as a bulk import does. Each is written on its own, so
+   * one bad record doesn't stop the rest; the search index and catalog listeners
+   * are updated once at the end.
+   * @param {Array<Object>} records - Scholarships in any of the catalog shapes; upserted by id
+   * @returns {Promise<Object>} - `{ saved, failed }`; failed is `[{ index, error }]`
+   */
+  static async saveScholarships(records) {
+    if (!supabase) {
+      throw new Error('Supabase not configured');
+    }
+
+    const saved = [];
+    const failed = [];
+
+    for (const [index, record] of records.entries()) {
+      try {
+        saved.push(await this.saveScholarship(record));
+      } catch (error) {
+        failed.push({ index, error: error.message });
+      }
+    }
+
+    if (saved.length > 0) {
+      await this.refreshSearchIndex(saved);
+      this.dispatchCatalogUpdated({ action: 'imported', ids: saved.filter(Boolean).map(scholarship => scholarship.id) });
+    }
+
+    return { saved, failed };
   }
 
   /**
@@ -550,9 +532,35 @@ export class SupabaseService {
       throw error;
     }
 
+    VectorSearchService.removeScholarships([id]);
+    this.dispatchCatalogUpdated({ action: 'deleted', ids: [id] });
     return true;
   }
 
+  /**
+   * Re-embed changed scholarships in the vector search index. Failures are
+   * logged rather than thrown: the write already succeeded, and the index
+   * catches up on the next search.
+   * @param {Array<Object>} scholarships - Added or updated scholarships
+   * @returns {Promise<void>}
+   */
+  static async refreshSearchIndex(scholarships) {
+    try {
+      await VectorSearchService.indexScholarships(scholarships.filter(Boolean));
+    } catch (error) {
+      console.warn('Could not update scholarship search index:', error.message);
+    }
+  }
+
+  /**
+   * Tell listeners (saved search alerts) that the catalog changed
+   * @param {Object} detail - `{ action, ids }`
+   */
+  static dispatchCatalogUpdated(detail) {
+    if (typeof window === 'undefined') return;
+    window.dispatchEvent(new CustomEvent(CATALOG_UPDATED_EVENT, { detail }));
+  }
+
   /**
    * Get scholarship statistics
    * @returns {Promise<Object>} - Statistics
@@ -0,0 +1,465 @@
+/**
+ * Vector Search Service
+ * Embedding-based candidate retrieval for scholarship matching. Keeps a
+ * persisted embedding index of the catalog, refreshed as scholarships are
+ * added or updated, and answers cosine top-k queries after applying degree,
+ * country and deadline pre-filters.
+ */
+
+import SettingsService from './settingsService.js';
+import localEmbedder from './embeddingProviders/localEmbedder.js';
+import geminiEmbedder from './embeddingProviders/geminiEmbedder.js';
+import { getDegreeLevels } from './academicNormalizer.js';
+
+export const DEFAULT_EMBEDDING_PROVIDER = localEmbedder.id;
+
+// Bump when the document text or stored metadata changes shape
+const INDEX_VERSION = 1;
+
+export const DEFAULT_CANDIDATE_LIMIT = 100;
+
+// Location values that mean "no country restriction"
+export const UNRESTRICTED_COUNTRIES = new Set(['global', 'international', 'worldwide', 'any', 'all', 'all countries', 'multiple countries']);
+
+const COUNTRY_ALIASES = {
+  'usa': 'united states',
+  'us': 'united states',
+  'u.s.': 'united states',
+  'united states of america': 'united states',
+  'uk': 'united kingdom',
+  'u.k.': 'united kingdom',
+  'great britain': 'united kingdom',
+  'britain': 'united kingdom',
+  'uae': 'united arab emirates'
+};
+
+export class VectorSearchService {
+  static STORAGE_KEY = 'scholarai_vector_index';
+  static providers = new Map([localEmbedder, geminiEmbedder].map(provider => [provider.id, provider]));
+  static overrideProvider = null;
+  static index = null;
+
+  /**
+   * Register an embedding provider
+   * @param {Object} provider - `{ id, label, model, dimensions, isConfigured, embed }`
+   */
+  static registerProvider(provider) {
+    if (!provider?.id || !provider.model || typeof provider.embed !== 'function') {
+      throw new Error('Embedding providers need an id, a model and an embed function');
+    }
+    this.providers.set(provider.id, provider);
+  }
+
+  /**
+   * Use the given provider regardless of settings, e.g. in tests. Pass null
+   * to go back to the configured provider.
+   * @param {Object|null} provider - Embedding provider
+   */
+  static useProvider(provider) {
+    if (provider) {
+      this.registerProvider(provider);
+    }
+    this.overrideProvider = provider ? provider.id : null;
+  }
+
+  /**
+   * List registered providers for settings screens
+   * @returns {Array<Object>} - `{ id, label, model, configured }`
+   */
+  static getProviders() {
+    return Array.from(this.providers.values()).map(provider => ({
+      id: provider.id,
+      label: provider.label || provider.id,
+      model: provider.model,
+      configured: provider.isConfigured()
+    }));
+  }
+
+  /**
+   * Resolve the active embedding provider, falling back to the local
+   * embedder when the configured one can't be used
+   * @returns {Object} - Embedding provider
+   */
+  static getProvider() {
+    const requestedId = this.overrideProvider
+      || SettingsService.getSetting('advanced.embeddingProvider', DEFAULT_EMBEDDING_PROVIDER);
+    const provider = this.providers.get(requestedId);
+
+    return provider && provider.isConfigured() ? provider : this.providers.get(DEFAULT_EMBEDDING_PROVIDER);
+  }
+
+  /**
+   * Embed and store scholarships whose content changed since they were indexed
+   * @param {Array<Object>} scholarships - Scholarships in any of the catalog shapes
+   * @returns {Promise<Object>} - `{ indexed, skipped }`
+   */
+  static async indexScholarships(scholarships = []) {
+    const provider = this.getProvider();
+    const index = this.loadIndex(provider);
+
+    const pending = scholarships
+      .filter(scholarship => scholarship && scholarship.id !== undefined && scholarship.id !== null)
+      .map(scholarship => {
+        const text = scholarshipToDocumentText(scholarship);
+        const metadata = getScholarshipMetadata(scholarship);
+        return { scholarship, text, metadata, hash: hashText(`${text}\n${JSON.stringify(metadata)}`) };
+      })
+      .filter(({ scholarship, hash }) => index.entries[String(scholarship.id)]?.hash !== hash);
+
+    if (pending.length > 0) {
+      const vectors = await provider.embed(pending.map(item => item.text), { purpose: 'document' });
+      const indexedAt = new Date().toISOString();
+
+      pending.forEach((item, i) => {
+        index.entries[String(item.scholarship.id)] = {
+          hash: item.hash,
+          vector: toUnitVector(vectors[i]),
+          metadata: item.metadata,
+          indexedAt
+        };
+      });
+
+      this.saveIndex(index);
+    }
+
+    return { indexed: pending.length, skipped: scholarships.length - pending.length };
+  }
+
+  /**
+   * Drop scholarships from the index
+   * @param {Array<string|number>} ids - Scholarship IDs
+   * @returns {number} - Entries removed
+   */
+  static removeScholarships(ids = []) {
+    const index = this.loadIndex(this.getProvider());
+    let removed = 0;
+
+    ids.forEach(id => {
+      if (index.entries[String(id)]) {
+        delete index.entries[String(id)];
+        removed++;
+      }
+    });
+
+    if (removed > 0) {
+      this.saveIndex(index);
+    }
+    return removed;
+  }
+
+  /**
+   * Bring the index in line with the catalog: embed new or changed
+   * scholarships and drop ones no longer listed
+   * @param {Array<Object>} scholarships - Full active catalog
+   * @returns {Promise<Object>} - `{ indexed, removed, total }`
+   */
+  static async syncIndex(scholarships = []) {
+    const { indexed } = await this.indexScholarships(scholarships);
+    const listed = new Set(scholarships.map(scholarship => String(scholarship.id)));
+    const index = this.loadIndex(this.getProvider());
+    const stale = Object.keys(index.entries).filter(id => !listed.has(id));
+    const removed = this.removeScholarships(stale);
+
+    return { indexed, removed, total: Object.keys(index.entries).length };
+  }
+
+  /**
+   * Cosine top-k search over the index
+   * @param {string} queryText - Text to search for
+   * @param {Object} options - `{ limit, filters }`; filters are `{ degree, countries, deadlineAfter }`
+   * @returns {Promise<Array<Object>>} - `{ id, score }`, best first
+   */
+  static async search(queryText, { limit = DEFAULT_CANDIDATE_LIMIT, filters = {} } = {}) {
+    const provider = this.getProvider();
+    const index = this.loadIndex(provider);
+    const [queryVector] = await provider.embed([queryText || ''], { purpose: 'query' });
+    const query = toUnitVector(queryVector);
+
+    return Object.entries(index.entries)
+      .filter(([, entry]) => matchesFilters(entry.metadata, filters))
+      .map(([id, entry]) => ({ id, score: dot(query, entry.vector) }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  /**
+   * Find the scholarships closest to a profile
+   * @param {Object} profile - CV or questionnaire profile
+   * @param {Array<Object>} scholarships - Active catalog to search
+   * @param {Object} options - `{ limit, filters }`; filters default to `getProfileFilters(profile)`
+   * @returns {Promise<Array<Object>>} - Scholarships with `vector_score` (0-1), best first
+   */
+  static async findCandidateScholarships(profile, scholarships = [], { limit = DEFAULT_CANDIDATE_LIMIT, filters } = {}) {
+    await this.syncIndex(scholarships);
+
+    const byId = new Map(scholarships.map(scholarship => [String(scholarship.id), scholarship]));
+    const results = await this.search(this.profileToSearchText(profile), {
+      limit,
+      filters: filters || this.getProfileFilters(profile)
+    });
+
+    return results
+      .filter(result => byId.has(result.id))
+      .map(result => ({
+        ...byId.get(result.id),
+        vector_score: Math.round(Math.max(0, result.score) * 1000) / 1000
+      }));
+  }
+
+  /**
+   * Build the search text for a profile
+   * @param {Object} profile - CV or questionnaire profile
+   * @returns {string} - Query text
+   */
+  static profileToSearchText(profile = {}) {
+    const education = (profile.education || []).flatMap(entry => [entry.degree, entry.field, entry.fieldOfStudy]);
+    const experience = (profile.experience || []).map(entry => (typeof entry === 'string' ? entry : entry.title));
+
+    return [
+      profile.fieldOfStudy,
+      profile.field,
+      profile.degree,
+      profile.degreeTarget,
+      ...education,
+      ...(profile.skills || []),
+      ...(profile.interests || []),
+      ...experience,
+      ...(profile.achievements || []).filter(item => typeof item === 'string'),
+      profile.careerGoals
+    ]
+      .filter(part => typeof part === 'string' && part.trim())
+      .join(' ');
+  }
+
+  /**
+   * Derive pre-filters from a profile. Only what the student is aiming for
+   * filters: the degree they hold and their home country would drop
+   * next-degree and study-abroad scholarships before they are scored.
+   * @param {Object} profile - CV or questionnaire profile
+   * @returns {Object} - `{ degree, countries, deadlineAfter }`
+   */
+  static getProfileFilters(profile = {}) {
+    return {
+      degree: profile.degreeTarget || profile.targetDegree || profile.degreeLevel || null,
+      countries: [
+        profile.targetCountry,
+        ...(profile.targetCountries || [])
+      ].filter(Boolean),
+      deadlineAfter: new Date().toISOString().split('T')[0]
+    };
+  }
+
+  /**
+   * Describe the stored index
+   * @returns {Object} - `{ provider, model, dimensions, size, updatedAt }`
+   */
+  static getIndexStats() {
+    const index = this.loadIndex(this.getProvider());
+    return {
+      provider: index.provider,
+      model: index.model,
+      dimensions: index.dimensions,
+      size: Object.keys(index.entries).length,
+      updatedAt: index.updatedAt
+    };
+  }
+
+  /**
+   * Delete the stored index; it is rebuilt on the next search
+   * @returns {boolean} - Success status
+   */
+  static clearIndex() {
+    try {
+      this.index = null;
+      if (typeof localStorage !== 'undefined') {
+        localStorage.removeItem(this.STORAGE_KEY);
+      }
+      return true;
+    } catch (error) {
+      console.error('Error clearing vector index:', error);
+      return false;
+    }
+  }
+
+  // Helper methods
+  static loadIndex(provider) {
+    if (this.index && isIndexFor(this.index, provider)) {
+      return this.index;
+    }
+
+    try {
+      const stored = typeof localStorage !== 'undefined' ? localStorage.getItem(this.STORAGE_KEY) : null;
+      const parsed = stored ? JSON.parse(stored) : null;
+
+      if (parsed && isIndexFor(parsed, provider)) {
+        Object.values(parsed.entries).forEach(entry => {
+          entry.vector = decodeVector(entry.vector);
+        });
+        this.index = parsed;
+        return this.index;
+      }
+    } catch (error) {
+      console.error('Error loading vector index:', error);
+    }
+
+    // Missing, outdated or built with another embedding model: start over
+    this.index = {
+      version: INDEX_VERSION,
+      provider: provider.id,
+      model: provider.model,
+      dimensions: provider.dimensions,
+      updatedAt: null,
+      entries: {}
+    };
+    return this.index;
+  }
+
+  static saveIndex(index) {
+    index.updatedAt = new Date().toISOString();
+    this.index = index;
+
+    try {
+      if (typeof localStorage === 'undefined') return;
+
+      const entries = Object.fromEntries(Object.entries(index.entries).map(([id, entry]) => [
+        id,
+        { ...entry, vector: encodeVector(entry.vector) }
+      ]));
+      localStorage.setItem(this.STORAGE_KEY, JSON.stringify({ ...index, entries }));
+    } catch (error) {
+      // Over quota: keep searching with the in-memory index for this session
+      console.warn('Could not persist vector index:', error.message);
+    }
+  }
+}
+
+// Helper functions
+
+/**
+ * Check a scholarship's metadata against search pre-filters. Missing
+ * metadata never excludes a scholarship.
+ * @param {Object} metadata - `{ degrees, countries, deadline }` from the index
+ * @param {Object} filters - `{ degree, countries, deadlineAfter }`
+ * @returns {boolean} - True when the scholarship passes
+ */
+export function matchesFilters(metadata = {}, { degree = null, countries = [], deadlineAfter = null } = {}) {
+  if (degree && metadata.degrees?.length > 0) {
+    const wanted = getDegreeLevels(degree);
+    if (wanted.length > 0 && !wanted.some(level => metadata.degrees.includes(level))) {
+      return false;
+    }
+  }
+
+  if (countries.length > 0 && metadata.countries?.length > 0) {
+    const wanted = countries.map(normalizeCountry);
+    if (!wanted.some(country => metadata.countries.includes(country))) {
+      return false;
+    }
+  }
+
+  if (deadlineAfter && metadata.deadline && metadata.deadline < deadlineAfter) {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Get the index metadata used by the pre-filters
+ * @param {Object} scholarship - Scholarship in any of the catalog shapes
+ * @returns {Object} - `{ degrees, countries, deadline }`; empty lists mean unrestricted
+ */
+export function getScholarshipMetadata(scholarship) {
+  const degreeValues = toList(scholarship.eligibility?.degrees ?? scholarship.academic_level ?? scholarship.degreeLevel ?? scholarship.degree);
+  const countryValues = toList(scholarship.eligibility?.countries ?? scholarship.country ?? scholarship.location);
+  const deadline = scholarship.deadlines?.application ?? scholarship.deadline;
+
+  const countries = countryValues.map(normalizeCountry);
+
+  return {
+    degrees: [...new Set(degreeValues.flatMap(getDegreeLevels))],
+    countries: countries.some(country => UNRESTRICTED_COUNTRIES.has(country)) ? [] : [...new Set(countries)],
+    deadline: /^\d{4}-\d{2}-\d{2}/.test(deadline || '') ? deadline.slice(0, 10) : null
+  };
+}
+
+function scholarshipToDocumentText(scholarship) {
+  const eligibility = scholarship.eligibility;
+
+  return [
+    scholarship.title || scholarship.name,
+    scholarship.provider,
+    scholarship.description,
+    ...toList(scholarship.field_of_study ?? scholarship.fieldOfStudy ?? eligibility?.fields),
+    ...toList(scholarship.tags),
+    typeof eligibility === 'string' ? eligibility : toList(eligibility?.requirements).join(' '),
+    ...toList(scholarship.requirements ?? scholarship.application?.requirements),
+    ...toList(scholarship.academic_level ?? scholarship.degreeLevel ?? eligibility?.degrees),
+    ...toList(scholarship.location ?? scholarship.country ?? eligibility?.countries)
+  ]
+    .filter(part => typeof part === 'string' && part.trim())
+    .join('\n');
+}
+
+/**
+ * Normalize a country name for comparison, e.g. 'USA' → 'united states'
+ * @param {string} value - Country name
+ * @returns {string} - Lower-case canonical name
+ */
+export function normalizeCountry(value) {
+  const country = String(value).trim().toLowerCase();
+  return COUNTRY_ALIASES[country] || country;
+}
+
+function toList(value) {
+  if (Array.isArray(value)) return value.filter(item => typeof item === 'string');
+  if (typeof value !== 'string') return [];
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function isIndexFor(index, provider) {
+  return index.version === INDEX_VERSION && index.provider === provider.id && index.model === provider.model;
+}
+
+function toUnitVector(values) {
+  const vector = Float32Array.from(values || []);
+  const norm = Math.sqrt(dot(vector, vector));
+
+  if (norm > 0) {
+    for (let i = 0; i < vector.length; i++) vector[i] /= norm;
+  }
+  return vector;
+}
+
+function dot(a, b) {
+  const length = Math.min(a.length, b.length);
+  let sum = 0;
+  for (let i = 0; i < length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+// Float32 vectors are stored as base64 to keep the index small enough for localStorage
+function encodeVector(vector) {
+  const bytes = new Uint8Array(vector.buffer, vector.byteOffset, vector.byteLength);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+  return btoa(binary);
+}
+
+function decodeVector(encoded) {
+  const binary = atob(encoded);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return new Float32Array(bytes.buffer);
+}
+
+function hashText(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16);
+}
+
+export default VectorSearchService;
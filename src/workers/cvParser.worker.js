@@ -0,0 +1,30 @@
+/**
+ * CV Parser Worker
+ * Runs document extraction and CV analysis off the main thread and posts
+ * progress messages back while it works
+ *
+ * Messages in:  { id, file, options: { ocrLanguages } }
+ * Messages out: { id, type: 'progress', event } | { id, type: 'result', document, profile }
+ *               | { id, type: 'error', message }
+ */
+
+// Registers pdf.js' message handler in this thread, so PDFs are parsed here
+// instead of spawning a nested worker. Its handler only answers pdf.js
+// messages, and its "ready" ping carries no request id.
+import 'pdfjs-dist/build/pdf.worker.min.mjs';
+import { parseDocument } from '../services/cvParsingPipeline.js';
+
+self.onmessage = async (event) => {
+  const { id, file, options = {} } = event.data || {};
+
+  try {
+    const { document, profile } = await parseDocument(file, {
+      ocrLanguages: options.ocrLanguages,
+      onProgress: (progressEvent) => self.postMessage({ id, type: 'progress', event: progressEvent })
+    });
+
+    self.postMessage({ id, type: 'result', document, profile });
+  } catch (error) {
+    self.postMessage({ id, type: 'error', message: error.message });
+  }
+};
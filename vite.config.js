@@ -34,6 +34,10 @@ export default defineConfig({
       }
     }
   },
+  worker: {
+    // The CV parser worker lazy-loads its document readers
+    format: 'es'
+  },
   optimizeDeps: {
     include: ['react', 'react-dom', 'framer-motion', 'lucide-react']
   }